@@ -2,22 +2,86 @@
  * AI Configuration
  *
  * Centralized configuration for all AI-related settings.
- * This is the single source of truth for AI model selection across all services.
+ * This is the single source of truth for AI model and provider selection across all services.
+ *
+ * Services never talk to a model SDK directly. They receive an AI provider
+ * (created here at startup) and call:
+ *
+ *   const text = await genAI.generateContent(request, { task, variables });
+ *
+ * - request: prompt string, or an array of parts ([prompt, { inlineData }]) for images
+ * - task: stable name of the AI call (e.g. 'quick-defaults'); the stub provider uses it to pick a fixture
+ * - variables: values the stub provider can use to shape its fixture (ignored by Gemini)
+ *
+ * The provider resolves to the raw response text, which services parse as before.
  */
 
+const { createGeminiProvider } = require('../services/aiProviders/gemini');
+const { createStubProvider } = require('../services/aiProviders/stub');
+
 /**
  * Gemini AI model to use for all AI operations.
  *
- * This constant is used across all AI services:
+ * This constant is used by the Gemini provider for every service:
  * - Recipe generation (recipeAI.js)
  * - Pantry management (pantryAI.js)
  * - Shopping list parsing (shoppingListAI.js)
+ * - Nutrition estimates (nutrition.js)
  *
  * @constant {string}
  * @default 'gemini-2.5-flash'
  */
 const GEMINI_MODEL = 'gemini-2.5-flash';
 
+/**
+ * Available AI providers, selected with the AI_PROVIDER environment variable.
+ * - gemini: Google Gemini (requires GEMINI_API_KEY)
+ * - stub: deterministic offline responses from local fixtures (no key or network needed)
+ *
+ * @constant {string[]}
+ */
+const AI_PROVIDERS = ['gemini', 'stub'];
+
+const DEFAULT_AI_PROVIDER = 'gemini';
+
+/**
+ * Resolves the configured AI provider name
+ *
+ * @returns {string} One of AI_PROVIDERS
+ * @throws {Error} If AI_PROVIDER names an unknown provider
+ */
+function getAIProviderName() {
+  const name = (process.env.AI_PROVIDER || DEFAULT_AI_PROVIDER).trim().toLowerCase();
+  if (!AI_PROVIDERS.includes(name)) {
+    throw new Error(`Unknown AI_PROVIDER "${name}". Expected one of: ${AI_PROVIDERS.join(', ')}`);
+  }
+  return name;
+}
+
+/**
+ * Creates the AI provider services use for every AI call
+ *
+ * @param {Object} options - Provider options
+ * @param {string|null} options.apiKey - Gemini API key (unused by the stub provider)
+ * @param {Object} options.logger - Pino logger instance
+ * @returns {Object} Provider with { name, model, generateContent(request, options) }
+ */
+function createAIProvider({ apiKey, logger }) {
+  const name = getAIProviderName();
+
+  if (name === 'stub') {
+    return createStubProvider({
+      fixturesDir: process.env.AI_STUB_FIXTURES_DIR,
+      logger
+    });
+  }
+
+  return createGeminiProvider({ apiKey, model: GEMINI_MODEL });
+}
+
 module.exports = {
-  GEMINI_MODEL
+  GEMINI_MODEL,
+  AI_PROVIDERS,
+  getAIProviderName,
+  createAIProvider
 };
@@ -0,0 +1,66 @@
+/**
+ * Data Layer Configuration
+ *
+ * Selects where the backend stores data and how it verifies users.
+ * Routes and services use the data layer created here at startup:
+ *
+ *   const { db, auth } = createDataLayer({ serviceAccount, logger });
+ *
+ * - db: Firestore-compatible database (collection/doc/where/runTransaction/batch)
+ * - auth: verifyIdToken, createUser, getUserByEmail (Firebase Admin Auth API)
+ *
+ * Both backends accept firebase-admin's FieldValue and Timestamp, so writes
+ * like `admin.firestore.FieldValue.serverTimestamp()` work unchanged.
+ */
+
+const { createFirestoreDataLayer } = require('../data/firestore');
+const { createMemoryDataLayer } = require('../data/memory');
+
+/**
+ * Available data backends, selected with the DATA_BACKEND environment variable.
+ * - firestore: Cloud Firestore + Firebase Auth (requires FIREBASE_SERVICE_ACCOUNT)
+ * - memory: in-process store with stub auth, optionally persisted to MEMORY_DATA_FILE
+ *
+ * @constant {string[]}
+ */
+const DATA_BACKENDS = ['firestore', 'memory'];
+
+const DEFAULT_DATA_BACKEND = 'firestore';
+
+/**
+ * Resolves the configured data backend name
+ *
+ * @returns {string} One of DATA_BACKENDS
+ * @throws {Error} If DATA_BACKEND names an unknown backend
+ */
+function getDataBackendName() {
+  const name = (process.env.DATA_BACKEND || DEFAULT_DATA_BACKEND).trim().toLowerCase();
+  if (!DATA_BACKENDS.includes(name)) {
+    throw new Error(`Unknown DATA_BACKEND "${name}". Expected one of: ${DATA_BACKENDS.join(', ')}`);
+  }
+  return name;
+}
+
+/**
+ * Creates the data layer routes and services use for storage and auth
+ *
+ * @param {Object} options - Data layer options
+ * @param {string|null} options.serviceAccount - Firebase service account JSON (unused by memory)
+ * @param {Object} options.logger - Pino logger instance
+ * @returns {Object} Data layer with { name, db, auth }
+ */
+function createDataLayer({ serviceAccount, logger }) {
+  const name = getDataBackendName();
+
+  if (name === 'memory') {
+    return createMemoryDataLayer({ filePath: process.env.MEMORY_DATA_FILE, logger });
+  }
+
+  return createFirestoreDataLayer({ serviceAccount });
+}
+
+module.exports = {
+  DATA_BACKENDS,
+  getDataBackendName,
+  createDataLayer
+};
@@ -0,0 +1,148 @@
+// authStub.js - Offline stand-in for Firebase Admin Auth
+
+const crypto = require('crypto');
+
+// --- Constants ---
+
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Builds an error shaped like firebase-admin's FirebaseAuthError
+ * Routes branch on `error.code` (e.g. auth/email-already-exists), so codes match Firebase's.
+ * @private
+ */
+function authError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Creates an auth provider with the Firebase Admin Auth methods the backend uses
+ * There is no sign-in: the bearer token *is* the identity. A request sent with
+ * `Authorization: Bearer <uid>` (or the user's email address) is treated as that
+ * user, so local clients and integration tests can act as any registered user.
+ *
+ * @param {Object} [options] - Stub options
+ * @param {Object[]} [options.users] - Initial users ({ uid, email, displayName, emailVerified })
+ * @param {Function} [options.onChange] - Called after a user is created, updated or deleted
+ * @returns {Object} Auth with { verifyIdToken, createUser, getUser, getUserByEmail, updateUser, deleteUser, exportUsers }
+ */
+function createAuthStub({ users = [], onChange } = {}) {
+  const usersByUid = new Map(users.map(user => [user.uid, { ...user }]));
+
+  const findByEmail = (email) => {
+    const normalized = String(email || '').trim().toLowerCase();
+    return [...usersByUid.values()].find(user => user.email === normalized);
+  };
+
+  const getExistingUser = (uid) => {
+    const user = usersByUid.get(uid);
+    if (!user) {
+      throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+    }
+    return user;
+  };
+
+  const checkEmail = (email) => {
+    const normalized = String(email || '').trim().toLowerCase();
+    if (!normalized.includes('@')) {
+      throw authError('auth/invalid-email', 'The email address is improperly formatted.');
+    }
+    return normalized;
+  };
+
+  const checkPassword = (password) => {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw authError('auth/invalid-password', `The password must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+    }
+  };
+
+  return {
+    /**
+     * Resolves a bearer token to a decoded token ({ uid, email, email_verified, name, auth_time })
+     * Every request counts as a fresh sign-in, so routes that require a recent
+     * login always let stub users through.
+     *
+     * @param {string} idToken - A registered user's uid or email address
+     * @returns {Promise<Object>} Decoded token
+     */
+    async verifyIdToken(idToken) {
+      const user = usersByUid.get(idToken) || findByEmail(idToken);
+      if (!user) {
+        throw authError('auth/argument-error', 'Stub auth: token does not match a registered user');
+      }
+      return {
+        uid: user.uid,
+        email: user.email,
+        email_verified: user.emailVerified !== false,
+        name: user.displayName,
+        auth_time: Math.floor(Date.now() / 1000)
+      };
+    },
+
+    async createUser({ email, password, displayName, emailVerified = true }) {
+      const normalized = checkEmail(email);
+      checkPassword(password);
+      if (findByEmail(normalized)) {
+        throw authError('auth/email-already-exists', 'The email address is already in use by another account.');
+      }
+
+      // Passwords are validated but never stored - the stub has no sign-in. It sends
+      // no mail either, so addresses count as verified unless told otherwise
+      const user = { uid: crypto.randomUUID(), email: normalized, displayName: displayName || '', emailVerified };
+      usersByUid.set(user.uid, user);
+      if (onChange) onChange();
+      return { ...user };
+    },
+
+    async getUser(uid) {
+      return { ...getExistingUser(uid) };
+    },
+
+    async getUserByEmail(email) {
+      const user = findByEmail(email);
+      if (!user) {
+        throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+      }
+      return { ...user };
+    },
+
+    async updateUser(uid, { email, password, displayName, emailVerified }) {
+      const user = getExistingUser(uid);
+      const update = {};
+
+      if (email !== undefined) {
+        update.email = checkEmail(email);
+        const owner = findByEmail(update.email);
+        if (owner && owner.uid !== uid) {
+          throw authError('auth/email-already-exists', 'The email address is already in use by another account.');
+        }
+      }
+      if (password !== undefined) checkPassword(password);
+      if (displayName !== undefined) update.displayName = displayName || '';
+      if (emailVerified !== undefined) update.emailVerified = emailVerified;
+
+      Object.assign(user, update);
+      if (onChange) onChange();
+      return { ...user };
+    },
+
+    async deleteUser(uid) {
+      getExistingUser(uid);
+      usersByUid.delete(uid);
+      if (onChange) onChange();
+    },
+
+    /**
+     * Returns every user (used for JSON persistence)
+     */
+    exportUsers() {
+      return [...usersByUid.values()].map(user => ({ ...user }));
+    }
+  };
+}
+
+module.exports = {
+  createAuthStub
+};
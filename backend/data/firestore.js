@@ -0,0 +1,27 @@
+// firestore.js - Firestore data layer with Firebase Admin Auth
+
+const admin = require('firebase-admin');
+
+/**
+ * Initializes the Firebase Admin SDK and returns its Firestore and Auth clients
+ *
+ * @param {Object} options - Data layer options
+ * @param {string} options.serviceAccount - Firebase service account JSON
+ * @returns {Object} Data layer with { name, db, auth }
+ * @throws {Error} If the service account is missing or not valid JSON
+ */
+function createFirestoreDataLayer({ serviceAccount }) {
+  if (!serviceAccount) {
+    throw new Error('Firestore data layer requires FIREBASE_SERVICE_ACCOUNT');
+  }
+
+  admin.initializeApp({
+    credential: admin.credential.cert(JSON.parse(serviceAccount))
+  });
+
+  return { name: 'firestore', db: admin.firestore(), auth: admin.auth() };
+}
+
+module.exports = {
+  createFirestoreDataLayer
+};
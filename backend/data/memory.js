@@ -0,0 +1,86 @@
+// memory.js - In-memory data layer, optionally persisted to a JSON file
+
+const fs = require('fs');
+const path = require('path');
+const admin = require('firebase-admin');
+const { createMemoryFirestore } = require('./memoryFirestore');
+const { createAuthStub } = require('./authStub');
+
+const { Timestamp } = admin.firestore;
+
+// Timestamps are written to the JSON file as { "$timestamp": "<ISO date>" }
+const TIMESTAMP_KEY = '$timestamp';
+
+/**
+ * JSON.stringify replacer that tags Timestamps
+ * Timestamp defines toJSON, so the original value is read from the holder.
+ * @private
+ */
+function encodeValue(key, value) {
+  const original = this[key];
+  if (original instanceof Timestamp) {
+    return { [TIMESTAMP_KEY]: original.toDate().toISOString() };
+  }
+  return value;
+}
+
+/**
+ * JSON.parse reviver that restores tagged Timestamps
+ * @private
+ */
+function decodeValue(key, value) {
+  if (value && typeof value === 'object' && typeof value[TIMESTAMP_KEY] === 'string') {
+    return Timestamp.fromDate(new Date(value[TIMESTAMP_KEY]));
+  }
+  return value;
+}
+
+/**
+ * Reads persisted state, starting empty when the file doesn't exist yet
+ * @private
+ */
+function loadState(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { documents: {}, authUsers: [] };
+  }
+  const state = JSON.parse(fs.readFileSync(filePath, 'utf8'), decodeValue);
+  return { documents: state.documents || {}, authUsers: state.authUsers || [] };
+}
+
+/**
+ * Creates the in-memory data layer: a Firestore-compatible db and the auth stub
+ * State lives in process memory. When a file path is given it is loaded at
+ * startup and rewritten after every write, so data survives restarts.
+ *
+ * @param {Object} options - Data layer options
+ * @param {string} [options.filePath] - JSON file to persist to (omit for memory only)
+ * @param {Object} options.logger - Pino logger instance
+ * @returns {Object} Data layer with { name, db, auth }
+ */
+function createMemoryDataLayer({ filePath, logger }) {
+  const resolvedPath = filePath ? path.resolve(filePath) : null;
+  const state = resolvedPath ? loadState(resolvedPath) : { documents: {}, authUsers: [] };
+
+  let db;
+  let auth;
+  const persist = () => {
+    if (!resolvedPath) return;
+    const contents = { documents: db.exportDocuments(), authUsers: auth.exportUsers() };
+    fs.writeFileSync(resolvedPath, JSON.stringify(contents, encodeValue, 2));
+  };
+
+  db = createMemoryFirestore({ documents: state.documents, onCommit: persist });
+  auth = createAuthStub({ users: state.authUsers, onChange: persist });
+
+  logger.warn({
+    filePath: resolvedPath,
+    documentCount: Object.keys(state.documents).length,
+    userCount: state.authUsers.length
+  }, 'Using in-memory data layer with stub auth - not for production');
+
+  return { name: 'memory', db, auth };
+}
+
+module.exports = {
+  createMemoryDataLayer
+};
@@ -0,0 +1,539 @@
+// memoryFirestore.js - In-memory implementation of the Firestore API used by the backend
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+const { Timestamp, FieldValue } = admin.firestore;
+
+// --- Constants ---
+
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const AUTO_ID_LENGTH = 20;
+
+// Firestore orders mixed-type values by type before value
+const TYPE_ORDER = ['null', 'boolean', 'number', 'timestamp', 'string', 'array', 'object'];
+
+const INEQUALITY_OPERATORS = ['<', '<=', '>', '>=', '!=', 'not-in'];
+
+/**
+ * Generates a Firestore-style 20 character document id
+ * @private
+ */
+function autoId() {
+  const bytes = crypto.randomBytes(AUTO_ID_LENGTH);
+  return Array.from(bytes, byte => AUTO_ID_CHARS[byte % AUTO_ID_CHARS.length]).join('');
+}
+
+/**
+ * Whether a value is a plain map (not a Timestamp, FieldValue or array)
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Converts a written value to its stored form
+ * Dates are stored as Timestamps, as Firestore does, so reads always return Timestamps.
+ * @private
+ */
+function toStoredValue(value) {
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (Array.isArray(value)) return value.map(toStoredValue);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, item]) => item !== undefined)
+        .map(([key, item]) => [key, toStoredValue(item)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Deep-copies stored data so callers can never mutate the store
+ * @private
+ */
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cloneValue(item)]));
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+function getTypeName(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Timestamp) return 'timestamp';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Compares two stored values using Firestore's ordering rules (simplified)
+ * @private
+ */
+function compareValues(a, b) {
+  const typeA = getTypeName(a);
+  const typeB = getTypeName(b);
+  if (typeA !== typeB) {
+    return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+  }
+  if (typeA === 'timestamp') return a.toMillis() - b.toMillis();
+  if (typeA === 'null') return 0;
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * Deep equality for stored values
+ * @private
+ */
+function valuesEqual(a, b) {
+  if (a instanceof Timestamp || b instanceof Timestamp) {
+    return a instanceof Timestamp && b instanceof Timestamp && a.isEqual(b);
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) &&
+      a.length === b.length && a.every((item, index) => valuesEqual(item, b[index]));
+  }
+  if (isPlainObject(a) || isPlainObject(b)) {
+    if (!isPlainObject(a) || !isPlainObject(b)) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => valuesEqual(a[key], b[key]));
+  }
+  return a === b;
+}
+
+/**
+ * Reads a dotted field path ("members.uid123") from document data
+ * @private
+ */
+function getField(data, fieldPath) {
+  return fieldPath.split('.').reduce(
+    (value, segment) => (isPlainObject(value) ? value[segment] : undefined),
+    data
+  );
+}
+
+/**
+ * Writes a value at a field path, creating intermediate maps
+ * @private
+ */
+function setField(data, segments, value) {
+  let target = data;
+  segments.slice(0, -1).forEach(segment => {
+    if (!isPlainObject(target[segment])) target[segment] = {};
+    target = target[segment];
+  });
+  target[segments[segments.length - 1]] = value;
+}
+
+/**
+ * Removes the value at a field path, if present
+ * @private
+ */
+function deleteField(data, segments) {
+  const parent = segments.slice(0, -1).reduce(
+    (value, segment) => (isPlainObject(value) ? value[segment] : undefined),
+    data
+  );
+  if (isPlainObject(parent)) delete parent[segments[segments.length - 1]];
+}
+
+/**
+ * Resolves a FieldValue sentinel against the field's current value
+ * FieldValue.delete() is handled by the callers since it removes the field.
+ * @private
+ */
+function resolveFieldValue(current, fieldValue) {
+  switch (fieldValue.methodName) {
+    case 'FieldValue.serverTimestamp':
+      return Timestamp.now();
+    case 'FieldValue.increment':
+      return (typeof current === 'number' ? current : 0) + fieldValue.operand;
+    case 'FieldValue.arrayUnion': {
+      const result = Array.isArray(current) ? [...current] : [];
+      fieldValue.elements.map(toStoredValue).forEach(element => {
+        if (!result.some(item => valuesEqual(item, element))) result.push(element);
+      });
+      return result;
+    }
+    case 'FieldValue.arrayRemove': {
+      const removed = fieldValue.elements.map(toStoredValue);
+      return Array.isArray(current)
+        ? current.filter(item => !removed.some(element => valuesEqual(item, element)))
+        : [];
+    }
+    default:
+      throw new Error(`Unsupported field value in memory store: ${fieldValue.methodName}`);
+  }
+}
+
+/**
+ * Merges written data into a document map, as set() with { merge: true } does
+ * Nested maps are merged key by key; every other value replaces what was there.
+ * @private
+ */
+function mergeFields(target, data) {
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined) return;
+    if (value instanceof FieldValue) {
+      if (value.methodName === 'FieldValue.delete') {
+        delete target[key];
+      } else {
+        target[key] = resolveFieldValue(target[key], value);
+      }
+    } else if (isPlainObject(value)) {
+      if (!isPlainObject(target[key])) target[key] = {};
+      mergeFields(target[key], value);
+    } else {
+      target[key] = toStoredValue(value);
+    }
+  });
+  return target;
+}
+
+/**
+ * Applies update() data, whose keys are dotted field paths
+ * @private
+ */
+function updateFields(target, data) {
+  Object.entries(data).forEach(([fieldPath, value]) => {
+    if (value === undefined) return;
+    const segments = fieldPath.split('.');
+    if (value instanceof FieldValue) {
+      if (value.methodName === 'FieldValue.delete') {
+        deleteField(target, segments);
+      } else {
+        setField(target, segments, resolveFieldValue(getField(target, fieldPath), value));
+      }
+    } else {
+      setField(target, segments, toStoredValue(value));
+    }
+  });
+  return target;
+}
+
+/**
+ * Builds the error Firestore raises when updating a missing document
+ * @private
+ */
+function notFoundError(path) {
+  const error = new Error(`5 NOT_FOUND: No document to update: ${path}`);
+  error.code = 5;
+  return error;
+}
+
+/**
+ * Whether a document matches one where() filter
+ * @private
+ */
+function matchesFilter(data, { fieldPath, operator, value }) {
+  const fieldValue = getField(data, fieldPath);
+
+  switch (operator) {
+    case '==': return fieldValue !== undefined && valuesEqual(fieldValue, value);
+    case '!=': return fieldValue !== undefined && !valuesEqual(fieldValue, value);
+    case '<': return fieldValue !== undefined && getTypeName(fieldValue) === getTypeName(value) && compareValues(fieldValue, value) < 0;
+    case '<=': return fieldValue !== undefined && getTypeName(fieldValue) === getTypeName(value) && compareValues(fieldValue, value) <= 0;
+    case '>': return fieldValue !== undefined && getTypeName(fieldValue) === getTypeName(value) && compareValues(fieldValue, value) > 0;
+    case '>=': return fieldValue !== undefined && getTypeName(fieldValue) === getTypeName(value) && compareValues(fieldValue, value) >= 0;
+    case 'in': return fieldValue !== undefined && value.some(option => valuesEqual(fieldValue, option));
+    case 'not-in': return fieldValue !== undefined && !value.some(option => valuesEqual(fieldValue, option));
+    case 'array-contains':
+      return Array.isArray(fieldValue) && fieldValue.some(item => valuesEqual(item, value));
+    case 'array-contains-any':
+      return Array.isArray(fieldValue) && fieldValue.some(item => value.some(option => valuesEqual(item, option)));
+    default:
+      throw new Error(`Unsupported query operator in memory store: ${operator}`);
+  }
+}
+
+// --- Snapshots ---
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? cloneValue(this._data) : undefined;
+  }
+
+  get(fieldPath) {
+    return this.exists ? cloneValue(getField(this._data, fieldPath)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+// --- References and queries ---
+
+class DocumentReference {
+  constructor(firestore, path) {
+    this.firestore = firestore;
+    this.path = path;
+    this.id = path.slice(path.lastIndexOf('/') + 1);
+  }
+
+  get parent() {
+    return new CollectionReference(this.firestore, this.path.slice(0, this.path.lastIndexOf('/')));
+  }
+
+  collection(collectionPath) {
+    return new CollectionReference(this.firestore, `${this.path}/${collectionPath}`);
+  }
+
+  isEqual(other) {
+    return other instanceof DocumentReference && other.path === this.path;
+  }
+
+  async get() {
+    return this.firestore._getDocument(this);
+  }
+
+  async set(data, options = {}) {
+    return this.firestore._commit([{ type: 'set', ref: this, data, merge: !!options.merge }]);
+  }
+
+  async update(data) {
+    return this.firestore._commit([{ type: 'update', ref: this, data }]);
+  }
+
+  async delete() {
+    return this.firestore._commit([{ type: 'delete', ref: this }]);
+  }
+}
+
+class Query {
+  constructor(firestore, path, { filters = [], orders = [], limit = null } = {}) {
+    this.firestore = firestore;
+    this._path = path;
+    this._options = { filters, orders, limit };
+  }
+
+  _with(changes) {
+    return new Query(this.firestore, this._path, { ...this._options, ...changes });
+  }
+
+  where(fieldPath, operator, value) {
+    const filter = { fieldPath, operator, value: toStoredValue(value) };
+    return this._with({ filters: [...this._options.filters, filter] });
+  }
+
+  orderBy(fieldPath, direction = 'asc') {
+    return this._with({ orders: [...this._options.orders, { fieldPath, direction }] });
+  }
+
+  limit(count) {
+    return this._with({ limit: count });
+  }
+
+  async get() {
+    return this.firestore._runQuery(this);
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(firestore, path) {
+    super(firestore, path);
+    this.path = path;
+    this.id = path.slice(path.lastIndexOf('/') + 1);
+  }
+
+  doc(documentId = autoId()) {
+    return new DocumentReference(this.firestore, `${this.path}/${documentId}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+// --- Batched writes and transactions ---
+
+class WriteBatch {
+  constructor(firestore) {
+    this.firestore = firestore;
+    this._writes = [];
+  }
+
+  set(ref, data, options = {}) {
+    this._writes.push({ type: 'set', ref, data, merge: !!options.merge });
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push({ type: 'update', ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push({ type: 'delete', ref });
+    return this;
+  }
+
+  async commit() {
+    return this.firestore._commit(this._writes);
+  }
+}
+
+class Transaction extends WriteBatch {
+  async get(refOrQuery) {
+    return refOrQuery instanceof DocumentReference
+      ? this.firestore._getDocument(refOrQuery)
+      : this.firestore._runQuery(refOrQuery);
+  }
+}
+
+// --- Database ---
+
+class MemoryFirestore {
+  constructor({ documents = {}, onCommit } = {}) {
+    this._documents = new Map(Object.entries(documents));
+    this._onCommit = onCommit;
+    // Transactions run one at a time, which is all the isolation a single process needs
+    this._transactionQueue = Promise.resolve();
+  }
+
+  collection(collectionPath) {
+    return new CollectionReference(this, collectionPath);
+  }
+
+  doc(documentPath) {
+    return new DocumentReference(this, documentPath);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  runTransaction(updateFunction) {
+    const run = this._transactionQueue.then(async () => {
+      const transaction = new Transaction(this);
+      const result = await updateFunction(transaction);
+      this._commit(transaction._writes);
+      return result;
+    });
+    this._transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Returns every stored document keyed by path (used for JSON persistence)
+   */
+  exportDocuments() {
+    return Object.fromEntries(this._documents);
+  }
+
+  _getDocument(ref) {
+    return new DocumentSnapshot(ref, this._documents.get(ref.path));
+  }
+
+  _runQuery(query) {
+    const { filters, orders, limit } = query._options;
+    const prefix = `${query._path}/`;
+
+    let docs = [];
+    this._documents.forEach((data, path) => {
+      if (path.startsWith(prefix) && !path.slice(prefix.length).includes('/')) {
+        docs.push(new DocumentSnapshot(new DocumentReference(this, path), data));
+      }
+    });
+
+    docs = docs.filter(doc => filters.every(filter => matchesFilter(doc._data, filter)));
+
+    // Like Firestore, an inequality filter implies ordering by its field first
+    const inequality = filters.find(filter => INEQUALITY_OPERATORS.includes(filter.operator));
+    const sortOrders = orders.length === 0 && inequality
+      ? [{ fieldPath: inequality.fieldPath, direction: 'asc' }]
+      : orders;
+
+    // orderBy() excludes documents that don't have the field
+    docs = docs.filter(doc => sortOrders.every(order => getField(doc._data, order.fieldPath) !== undefined));
+    docs.sort((a, b) => {
+      for (const { fieldPath, direction } of sortOrders) {
+        const result = compareValues(getField(a._data, fieldPath), getField(b._data, fieldPath));
+        if (result !== 0) return direction === 'desc' ? -result : result;
+      }
+      return compareValues(a.id, b.id);
+    });
+
+    return new QuerySnapshot(limit === null ? docs : docs.slice(0, limit));
+  }
+
+  /**
+   * Applies a list of writes atomically - all of them or none
+   * @private
+   */
+  _commit(writes) {
+    const staged = new Map();
+    const readStaged = (path) => (staged.has(path) ? staged.get(path) : this._documents.get(path));
+
+    writes.forEach(({ type, ref, data, merge }) => {
+      const current = readStaged(ref.path);
+
+      if (type === 'delete') {
+        staged.set(ref.path, undefined);
+      } else if (type === 'update') {
+        if (current === undefined) throw notFoundError(ref.path);
+        staged.set(ref.path, updateFields(cloneValue(current), data));
+      } else {
+        staged.set(ref.path, mergeFields(merge && current ? cloneValue(current) : {}, data));
+      }
+    });
+
+    staged.forEach((data, path) => {
+      if (data === undefined) {
+        this._documents.delete(path);
+      } else {
+        this._documents.set(path, data);
+      }
+    });
+
+    if (this._onCommit) this._onCommit();
+    return { writeTime: Timestamp.now() };
+  }
+}
+
+/**
+ * Creates an in-memory database that behaves like the Firestore Admin SDK
+ * Supports the subset the backend uses: collection/doc references and nested
+ * subcollections, get/set (with merge)/update (dotted field paths)/delete/add,
+ * where/orderBy/limit queries, batches, transactions, and the FieldValue
+ * sentinels serverTimestamp, delete, increment, arrayUnion and arrayRemove.
+ * Dates are stored as firebase-admin Timestamps, so route code reading
+ * `.toDate()` works unchanged.
+ *
+ * @param {Object} [options] - Store options
+ * @param {Object} [options.documents] - Initial documents keyed by path ("homes/abc")
+ * @param {Function} [options.onCommit] - Called after every successful write
+ * @returns {MemoryFirestore} Firestore-compatible database
+ */
+function createMemoryFirestore(options = {}) {
+  return new MemoryFirestore(options);
+}
+
+module.exports = {
+  createMemoryFirestore
+};
@@ -0,0 +1,53 @@
+// auth.js - Bearer token authentication middleware
+
+// --- Constants ---
+// How long after signing in a user may change their password, email or delete their account
+const RECENT_LOGIN_MAX_AGE_SECONDS = 5 * 60;
+
+/**
+ * Creates middleware that verifies the request's bearer token
+ * On success the decoded token is attached as req.user ({ uid, email, ... }).
+ *
+ * @param {Object} auth - Auth client from the data layer (see config/data.js)
+ * @returns {Function} Express middleware
+ */
+function createCheckAuth(auth) {
+  return async (req, res, next) => {
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer ')) {
+      const idToken = req.headers.authorization.split('Bearer ')[1];
+
+      try {
+        req.user = await auth.verifyIdToken(idToken);
+        next();
+      } catch (error) {
+        req.log.error({ err: error }, 'Token verification failed');
+        res.status(401).send('Unauthorized: Invalid token');
+      }
+    } else {
+      req.log.warn('No authorization header found');
+      res.status(401).send('Unauthorized: No token provided');
+    }
+  };
+}
+
+/**
+ * Allows the request through only if the user signed in within the last few minutes
+ * Clients re-authenticate (reauthenticateWithCredential) and send the refreshed
+ * token before sensitive account changes. Must run after checkAuth.
+ */
+function requireRecentLogin(req, res, next) {
+  const authTime = req.user.auth_time;
+  if (!authTime || Date.now() / 1000 - authTime > RECENT_LOGIN_MAX_AGE_SECONDS) {
+    req.log.warn({ userId: req.user.uid }, 'Sensitive account change without a recent login');
+    return res.status(401).json({
+      error: 'Please confirm your password and try again',
+      code: 'auth/requires-recent-login'
+    });
+  }
+  next();
+}
+
+module.exports = {
+  createCheckAuth,
+  requireRecentLogin
+};
@@ -0,0 +1,119 @@
+// homeAccess.js - Home membership, permission and admin authorization middleware
+
+const { PERMISSIONS, hasPermission } = require('../utils/homeRoles');
+
+/**
+ * Reads the home a request targets
+ * Home-scoped routes name it in the path (:homeId); older routes pass it in the
+ * body or query string instead.
+ * @private
+ */
+function getRequestedHomeId(req) {
+  return req.params.homeId || req.body?.homeId || req.query.homeId;
+}
+
+/**
+ * Creates the home authorization middleware
+ * Both middlewares load the home once and attach it to the request as
+ * req.home = { id, ref, data, role }, so handlers never re-read it to check access.
+ * A missing home and a home the user doesn't belong to get the same 403, so
+ * home ids can't be probed. Must run after checkAuth.
+ *
+ * @param {Object} db - Firestore instance
+ * @returns {Object} { requireHomeMember, requireHomePermission, requireHomeAdmin }
+ */
+function createHomeAccess(db) {
+  const loadHome = async (req, res) => {
+    const homeId = getRequestedHomeId(req);
+    const userId = req.user.uid;
+
+    if (!homeId || typeof homeId !== 'string') {
+      req.log.warn({ userId }, 'No homeId provided');
+      res.status(400).json({ error: 'homeId is required' });
+      return null;
+    }
+
+    const homeRef = db.collection('homes').doc(homeId);
+    const homeDoc = await homeRef.get();
+    const role = homeDoc.exists ? homeDoc.data().members?.[userId] : undefined;
+
+    if (role === undefined) {
+      req.log.warn({ userId, homeId }, 'Unauthorized home access attempt');
+      res.status(403).json({ error: 'Not authorized' });
+      return null;
+    }
+
+    return { id: homeId, ref: homeRef, data: homeDoc.data(), role };
+  };
+
+  /**
+   * Allows the request through only for members of the requested home
+   */
+  const requireHomeMember = async (req, res, next) => {
+    try {
+      const home = await loadHome(req, res);
+      if (!home) return;
+
+      req.home = home;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Creates middleware that allows the request through only for members whose
+   * role grants `permission` (see utils/homeRoles.js)
+   *
+   * @param {string} permission - Permission required, e.g. 'pantry:delete'
+   * @returns {Function} Express middleware
+   */
+  const requireHomePermission = (permission) => {
+    if (!PERMISSIONS.includes(permission)) {
+      throw new Error(`Unknown home permission "${permission}"`);
+    }
+
+    return async (req, res, next) => {
+      try {
+        const home = await loadHome(req, res);
+        if (!home) return;
+
+        if (!hasPermission(home.role, permission)) {
+          req.log.warn({ userId: req.user.uid, homeId: home.id, role: home.role, permission }, 'Role lacks permission - denied');
+          return res.status(403).json({ error: `Your role in this home (${home.role}) can't do this.`, permission });
+        }
+
+        req.home = home;
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  };
+
+  /**
+   * Allows the request through only for admins of the requested home
+   */
+  const requireHomeAdmin = async (req, res, next) => {
+    try {
+      const home = await loadHome(req, res);
+      if (!home) return;
+
+      if (home.role !== 'admin') {
+        req.log.warn({ userId: req.user.uid, homeId: home.id }, 'User is not admin - permission denied');
+        return res.status(403).json({ error: 'Only home admins can do this.' });
+      }
+
+      req.home = home;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return { requireHomeMember, requireHomePermission, requireHomeAdmin };
+}
+
+module.exports = {
+  createHomeAccess
+};
@@ -1,11 +1,15 @@
 // rateLimiter.js - Rate limiting middleware for AI endpoints
 
 const rateLimit = require('express-rate-limit');
+const { MemoryStore } = rateLimit;
 
 // Environment-based configuration with defaults
 const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || (60 * 60 * 1000); // 1 hour default
 const RATE_LIMIT_MAX = parseInt(process.env.RATE_LIMIT_MAX) || 100; // 100 requests default
 
+// Kept so chargeAiRequests can count against the same per-user budget
+const aiRateLimitStore = new MemoryStore();
+
 /**
  * Rate limiter for AI endpoints
  * Configurable via environment variables (defaults: 100 requests per hour per user)
@@ -22,6 +26,7 @@ const RATE_LIMIT_MAX = parseInt(process.env.RATE_LIMIT_MAX) || 100; // 100 reque
 const aiRateLimiter = rateLimit({
   windowMs: RATE_LIMIT_WINDOW_MS,
   max: RATE_LIMIT_MAX,
+  store: aiRateLimitStore,
 
   // Use Firebase UID as the key for per-user rate limiting
   keyGenerator: (req, res) => {
@@ -69,6 +74,28 @@ const aiRateLimiter = rateLimit({
   }
 });
 
+/**
+ * Counts extra AI calls a request makes against the caller's aiRateLimiter budget
+ * aiRateLimiter counts each request once; endpoints that make several AI calls
+ * (week planning makes one per empty slot) charge the rest here before starting.
+ * Nothing is counted when the calls don't fit in what's left of the window.
+ *
+ * @param {Object} req - Express request that passed aiRateLimiter
+ * @param {number} count - AI calls beyond the one already counted
+ * @returns {Promise<boolean>} True if counted, false if that would exceed the limit
+ */
+async function chargeAiRequests(req, count) {
+  const info = req.rateLimit;
+  if (!info || count <= 0) return true;
+  if (count > info.remaining) return false;
+
+  for (let i = 0; i < count; i++) {
+    await aiRateLimitStore.increment(info.key);
+  }
+  return true;
+}
+
 module.exports = {
-  aiRateLimiter
+  aiRateLimiter,
+  chargeAiRequests
 };
@@ -0,0 +1,164 @@
+// account.js - Sign-in details, data export and account deletion routes
+
+const express = require('express');
+const admin = require('firebase-admin');
+const { requireRecentLogin } = require('../middleware/auth');
+const { planAccountDeletion, exportUserData, deleteUserAccountData } = require('../services/userAccount');
+const { validate } = require('../middleware/validate');
+const { object, string, array, id } = require('../utils/schema');
+
+// --- Request Schemas ---
+const changePasswordSchema = {
+  body: object({
+    newPassword: string({ required: true, trim: false, max: 128 })
+  })
+};
+
+const changeEmailSchema = {
+  body: object({
+    email: string({ required: true, format: 'email', lowercase: true, max: 254 })
+  })
+};
+
+const deleteAccountSchema = {
+  body: object({
+    // New admins for homes the user is the only admin of (see services/userAccount.js)
+    successors: array(object({
+      homeId: id({ required: true }),
+      memberId: id({ required: true })
+    }), { max: 50 })
+  })
+};
+
+// Auth errors a user can fix, with the status and message to show them
+const AUTH_ERROR_RESPONSES = {
+  'auth/invalid-password': [400, 'Password must be at least 6 characters long.'],
+  'auth/invalid-email': [400, 'That email address is not valid.'],
+  'auth/email-already-exists': [409, 'This email address is already in use.']
+};
+
+/**
+ * Creates the account router (mounted at /api/account)
+ * Changing the password or email and deleting the account need a recent
+ * sign-in (requireRecentLogin); the client re-authenticates first.
+ *
+ * @param {Object} deps - Route dependencies
+ * @param {Object} deps.db - Firestore instance
+ * @param {Object} deps.auth - Auth client from the data layer (see config/data.js)
+ * @param {Object} deps.homeEvents - Change feed (see services/homeEvents.js)
+ * @param {Function} deps.checkAuth - Authentication middleware
+ * @returns {express.Router} Router
+ */
+function createAccountRouter({ db, auth, homeEvents, checkAuth }) {
+  const router = express.Router();
+
+  const sendAuthError = (res, error, fallback) => {
+    const [status, message] = AUTH_ERROR_RESPONSES[error.code] || [500, fallback];
+    res.status(status).json({ error: message });
+  };
+
+  router.put('/password', checkAuth, requireRecentLogin, validate(changePasswordSchema), async (req, res) => {
+    try {
+      const userId = req.user.uid;
+      await auth.updateUser(userId, { password: req.body.newPassword });
+
+      req.log.info({ userId }, 'Password changed');
+      res.json({ success: true });
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error changing password');
+      sendAuthError(res, error, 'Failed to change password');
+    }
+  });
+
+  router.put('/email', checkAuth, requireRecentLogin, validate(changeEmailSchema), async (req, res) => {
+    try {
+      const userId = req.user.uid;
+      const { email } = req.body;
+
+      if (email === String(req.user.email || '').toLowerCase()) {
+        return res.status(400).json({ error: 'That is already your email address' });
+      }
+
+      // The new address isn't verified yet (email-addressed invites check this)
+      await auth.updateUser(userId, { email, emailVerified: false });
+      await db.collection('users').doc(userId).set({
+        email,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      req.log.info({ userId }, 'Email address changed');
+      res.json({ email });
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error changing email address');
+      sendAuthError(res, error, 'Failed to change email address');
+    }
+  });
+
+  // What deleting the account would do to each home, shown before confirming
+  router.get('/deletion-plan', checkAuth, async (req, res) => {
+    try {
+      const homes = await planAccountDeletion(db, req.user.uid);
+      res.json({ homes });
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error planning account deletion');
+      res.status(500).json({ error: 'Failed to load account details' });
+    }
+  });
+
+  // Everything stored about the user, as a JSON download
+  router.get('/export', checkAuth, async (req, res) => {
+    try {
+      const userId = req.user.uid;
+      const data = await exportUserData(db, userId);
+
+      req.log.info({ userId, homeCount: data.homes.length }, 'Account data exported');
+      res.set('Content-Disposition', 'attachment; filename="home-helper-account.json"');
+      res.json(data);
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error exporting account data');
+      res.status(500).json({ error: 'Failed to export account data' });
+    }
+  });
+
+  router.delete('/', checkAuth, requireRecentLogin, validate(deleteAccountSchema), async (req, res) => {
+    try {
+      const userId = req.user.uid;
+      const successors = Object.fromEntries(
+        (req.body.successors || []).map(({ homeId, memberId }) => [homeId, memberId])
+      );
+
+      // Data first: if this fails the user can still sign in and try again
+      const result = await deleteUserAccountData(db, userId, successors);
+      if (result.status === 'needs-successor') {
+        return res.status(409).json({
+          error: "Choose who takes over each home you're the only admin of",
+          homeIds: result.homeIds
+        });
+      }
+
+      const { homes } = result;
+      homes.forEach(home => homeEvents.removeMember(home.homeId, userId));
+      try {
+        await auth.deleteUser(userId);
+      } catch (error) {
+        if (error.code !== 'auth/user-not-found') throw error;
+      }
+
+      req.log.info({
+        userId,
+        deletedHomes: homes.filter(home => home.outcome === 'delete').length,
+        transferredHomes: homes.filter(home => home.outcome === 'transfer').length
+      }, 'Account deleted');
+      res.json({ success: true, homes });
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error deleting account');
+      res.status(500).json({ error: 'Failed to delete account' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAccountRouter
+};
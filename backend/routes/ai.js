@@ -0,0 +1,644 @@
+// ai.js - AI recipe generation and pantry suggestion routes
+
+const express = require('express');
+const admin = require('firebase-admin');
+const { generateRecipes, generateRoscoesChoiceRecipe, generateCustomRecipe, generateUnifiedRecipe, regenerateRecipeWithFeedback } = require('../services/recipeAI');
+const { suggestPantryItem, getQuickDefaults } = require('../services/pantryAI');
+const { loadHouseholdDietaryProfile } = require('../services/dietaryProfiles');
+const { aiRateLimiter } = require('../middleware/rateLimiter');
+const { validate } = require('../middleware/validate');
+const { object, string, number, boolean, array, any, id } = require('../utils/schema');
+const { v4: uuidv4 } = require('uuid');
+
+// --- Constants ---
+const MAX_AI_PROMPT_LENGTH = 250; // Prevent prompt injection and timeout
+const MAX_FEEDBACK_LENGTH = 500; // Maximum length for recipe regeneration feedback
+const MAX_RECIPES_PER_REQUEST = 5;
+const MAX_SERVING_SIZE = 10;
+const MAX_OPTION_ENTRIES = 20; // Cuisines, proteins, preferences and specific ingredients
+
+// --- Request Schemas ---
+const optionListField = () => array(string({ max: 100 }), { max: MAX_OPTION_ENTRIES });
+const recipeCountField = () => number({ integer: true, min: 1, max: MAX_RECIPES_PER_REQUEST });
+const servingCountField = () => number({ integer: true, min: 1, max: MAX_SERVING_SIZE });
+
+const generateRecipeSchema = {
+  body: object({
+    homeId: id(),
+    ingredients: array(string(), { required: true }),
+    servingSize: servingCountField(),
+    dietaryRestrictions: string({ max: MAX_AI_PROMPT_LENGTH }),
+    recipeType: string({ enum: ['quick', 'sophisticated'] }),
+    generateCount: recipeCountField(),
+    pantryItems: array(object({
+      name: string({ required: true }),
+      quantity: string(),
+      daysUntilExpiry: number()
+    }))
+  })
+};
+
+const roscoesChoiceSchema = {
+  body: object({
+    homeId: id({ required: true }),
+    mode: string({ required: true, enum: ['pantry_only', 'pantry_plus_shopping'] }),
+    numberOfPeople: servingCountField(),
+    quickMealsOnly: boolean(),
+    prioritizeExpiring: boolean(),
+    numberOfRecipes: recipeCountField()
+  })
+};
+
+const customizeSchema = {
+  body: object({
+    homeId: id({ required: true }),
+    aiPrompt: string({ max: MAX_AI_PROMPT_LENGTH }),
+    cuisines: optionListField(),
+    proteins: optionListField(),
+    preferences: optionListField(),
+    numberOfRecipes: recipeCountField(),
+    servingSize: servingCountField(),
+    specificIngredients: optionListField(),
+    pantryMode: string({ enum: ['ignore_pantry', 'use_pantry_supplement', 'use_pantry_only'] })
+  })
+};
+
+const unifiedSchema = {
+  body: object({
+    homeId: id({ required: true }),
+    numberOfMeals: recipeCountField(),
+    quickMealsOnly: boolean(),
+    pantryMode: string({ enum: ['pantry_only', 'pantry_plus_shopping', 'no_constraints'] }),
+    prioritizeExpiring: boolean(),
+    mainPrompt: string({ max: MAX_AI_PROMPT_LENGTH }),
+    cuisines: optionListField(),
+    proteins: optionListField(),
+    preferences: optionListField(),
+    servingSize: servingCountField(),
+    specificIngredients: optionListField()
+  })
+};
+
+// The original recipe is echoed back to the AI, so only its shape is checked
+const regenerateSchema = {
+  body: object({
+    homeId: id({ required: true }),
+    originalRecipe: object({
+      title: string({ required: true }),
+      ingredients: array(any(), { required: true })
+    }, { required: true, unknown: 'keep' }),
+    feedback: string({ required: true, max: MAX_FEEDBACK_LENGTH })
+  })
+};
+
+const pantryItemNameSchema = {
+  body: object({
+    homeId: id(),
+    itemName: string({ required: true, max: 100 })
+  })
+};
+
+/**
+ * Creates the AI router (mounted at /api)
+ *
+ * @param {Object} deps - Route dependencies
+ * @param {Object} deps.db - Firestore instance
+ * @param {Object} deps.genAI - AI provider (see config/ai.js)
+ * @param {Function} deps.checkAuth - Authentication middleware
+ * @param {Function} deps.requireHomePermission - Role permission middleware factory (see middleware/homeAccess.js)
+ * @returns {express.Router} Router
+ */
+function createAIRouter({ db, genAI, checkAuth, requireHomePermission }) {
+  const router = express.Router();
+
+  // Generating recipes is part of planning meals, so it needs the same permission
+  const requireRecipeGeneration = requireHomePermission('planner:edit');
+
+  // The legacy endpoint takes an optional homeId - the role is only checked when one is sent
+  const requireRecipeGenerationIfGiven = (req, res, next) => (
+    req.body?.homeId ? requireRecipeGeneration(req, res, next) : next()
+  );
+
+  router.post('/generate-recipe', checkAuth, validate(generateRecipeSchema), requireRecipeGenerationIfGiven, aiRateLimiter, async (req, res) => {
+    try {
+      const {
+        ingredients,
+        servingSize,
+        dietaryRestrictions,
+        recipeType = 'quick',
+        generateCount = 1,
+        pantryItems = [],
+        homeId
+      } = req.body;
+
+      const dietaryProfile = await loadHouseholdDietaryProfile(db, homeId || null, req.user.uid);
+
+      const startTime = Date.now();
+      req.log.info({ userId: req.user.uid, ingredientCount: ingredients.length, recipeType, servingSize, generateCount }, 'Generating recipes with AI (legacy endpoint)');
+
+      // Generate recipe(s) using AI service
+      const result = await generateRecipes({
+        ingredients,
+        servingSize,
+        dietaryRestrictions,
+        recipeType,
+        pantryItems,
+        generateCount,
+        dietaryProfile
+      }, genAI, req.log);
+
+      const aiResponseTime = Date.now() - startTime;
+
+      // Handle refusal
+      if (result.success === false) {
+        return res.status(400).json({
+          error: 'Recipe generation refused',
+          reason: result.refusalReason,
+          suggestions: result.suggestions
+        });
+      }
+
+      // Handle multiple recipes
+      if (generateCount > 1) {
+        req.log.info({ userId: req.user.uid, recipesGenerated: result.length, aiResponseTime }, 'Recipes generated');
+        return res.json(result);
+      }
+
+      // Handle single recipe
+      req.log.info({ userId: req.user.uid, recipeTitle: result.title, aiResponseTime }, 'Recipe generated');
+      res.json(result);
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error generating recipe');
+      res.status(500).json({
+        error: 'Failed to generate recipe',
+        details: error.message
+      });
+    }
+  });
+
+  // Roscoe's Choice - Pantry-focused recipe generation
+  router.post('/generate-recipe/roscoes-choice', checkAuth, validate(roscoesChoiceSchema), requireRecipeGeneration, aiRateLimiter, async (req, res) => {
+    try {
+      const {
+        homeId,
+        mode,
+        numberOfPeople,
+        quickMealsOnly,
+        prioritizeExpiring,
+        numberOfRecipes
+      } = req.body;
+
+      const userUid = req.user.uid;
+
+      const dietaryProfile = await loadHouseholdDietaryProfile(db, homeId, userUid);
+
+      // Fetch ALL pantry items for the home
+      const pantrySnapshot = await db.collection('homes')
+        .doc(homeId)
+        .collection('pantry_items')
+        .get();
+
+      const pantryItems = [];
+      pantrySnapshot.forEach(doc => {
+        const data = doc.data();
+        const daysUntilExpiry = data.expiresAt
+          ? Math.ceil((data.expiresAt.toDate() - new Date()) / (1000 * 60 * 60 * 24))
+          : null;
+
+        pantryItems.push({
+          id: doc.id,
+          name: data.name,
+          quantity: data.quantity,
+          location: data.location,
+          expiresAt: data.expiresAt,
+          daysUntilExpiry
+        });
+      });
+
+      req.log.info({
+        userId: userUid,
+        homeId,
+        mode,
+        pantryItemCount: pantryItems.length,
+        numberOfRecipes: numberOfRecipes || 1
+      }, 'Generating Roscoe\'s Choice recipe(s)');
+
+      const result = await generateRoscoesChoiceRecipe({
+        pantryItems,
+        mode,
+        numberOfPeople: numberOfPeople || 2,
+        quickMealsOnly: quickMealsOnly || false,
+        prioritizeExpiring: prioritizeExpiring || false,
+        numberOfRecipes: numberOfRecipes || 1,
+        dietaryProfile
+      }, genAI, req.log);
+
+      // Handle refusal
+      if (result.success === false) {
+        return res.status(400).json({
+          error: 'Recipe generation refused',
+          reason: result.refusalReason,
+          suggestions: result.suggestions
+        });
+      }
+
+      // Handle multiple recipes
+      if (Array.isArray(result)) {
+        const variationFamily = uuidv4();
+
+        const recipes = result.map((recipe, index) => ({
+          ...recipe,
+          createdBy: userUid,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          homeId,
+          generationMode: 'roscoes_choice',
+          generationParams: {
+            mode,
+            numberOfPeople: numberOfPeople || 2,
+            quickMealsOnly: quickMealsOnly || false,
+            prioritizeExpiring: prioritizeExpiring || false,
+            numberOfRecipes: numberOfRecipes || 1
+          },
+          variationNumber: index + 1,
+          variationFamily
+        }));
+
+        return res.json(recipes);
+      }
+
+      // Single recipe
+      const recipe = {
+        ...result,
+        createdBy: userUid,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        homeId,
+        generationMode: 'roscoes_choice',
+        generationParams: {
+          mode,
+          numberOfPeople: numberOfPeople || 2,
+          quickMealsOnly: quickMealsOnly || false,
+          prioritizeExpiring: prioritizeExpiring || false
+        }
+      };
+
+      res.json(recipe);
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error in Roscoe\'s Choice generation');
+      res.status(500).json({ error: 'Failed to generate recipe' });
+    }
+  });
+
+  // Customize - User-driven recipe generation with constraints
+  router.post('/generate-recipe/customize', checkAuth, validate(customizeSchema), requireRecipeGeneration, aiRateLimiter, async (req, res) => {
+    try {
+      const {
+        homeId,
+        aiPrompt,
+        cuisines,
+        proteins,
+        preferences,
+        numberOfRecipes,
+        servingSize,
+        specificIngredients,
+        pantryMode
+      } = req.body;
+
+      const userUid = req.user.uid;
+
+      // Default to ignore_pantry if not specified
+      const mode = pantryMode || 'ignore_pantry';
+
+      const dietaryProfile = await loadHouseholdDietaryProfile(db, homeId, userUid);
+
+      // Fetch pantry items (needed for all modes except ignore_pantry for full isolation)
+      let pantryItems = [];
+
+      if (mode !== 'ignore_pantry') {
+        const pantrySnapshot = await db.collection('homes')
+          .doc(homeId)
+          .collection('pantry_items')
+          .get();
+
+        pantrySnapshot.forEach(doc => {
+          const data = doc.data();
+          const daysUntilExpiry = data.expiresAt
+            ? Math.ceil((data.expiresAt.toDate() - new Date()) / (1000 * 60 * 60 * 24))
+            : null;
+
+          pantryItems.push({
+            id: doc.id,
+            name: data.name,
+            quantity: data.quantity,
+            daysUntilExpiry
+          });
+        });
+      }
+
+      req.log.info({
+        userId: userUid,
+        homeId,
+        pantryMode: mode,
+        numberOfRecipes: numberOfRecipes || 1,
+        aiPrompt: aiPrompt || '(none)',
+        hasCuisines: !!(cuisines && cuisines.length > 0),
+        hasProteins: !!(proteins && proteins.length > 0)
+      }, 'Generating custom recipe(s)');
+
+      const result = await generateCustomRecipe({
+        aiPrompt,
+        cuisines: cuisines || [],
+        proteins: proteins || [],
+        preferences: preferences || [],
+        numberOfRecipes: numberOfRecipes || 1,
+        servingSize: servingSize || 2,
+        pantryItems,
+        specificIngredients: specificIngredients || [],
+        pantryMode: mode,
+        dietaryProfile
+      }, genAI, req.log);
+
+      // Handle refusal
+      if (result.success === false) {
+        return res.status(400).json({
+          error: 'Recipe generation refused',
+          reason: result.refusalReason,
+          suggestions: result.suggestions
+        });
+      }
+
+      // Handle multiple recipes (always array for customize)
+      const variationFamily = (numberOfRecipes || 1) > 1 ? uuidv4() : null;
+
+      const recipes = Array.isArray(result) ? result : [result];
+
+      const enhancedRecipes = recipes.map((recipe, index) => ({
+        ...recipe,
+        createdBy: userUid,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        homeId,
+        generationMode: 'customize',
+        generationParams: {
+          aiPrompt,
+          cuisines: cuisines || [],
+          proteins: proteins || [],
+          preferences: preferences || [],
+          numberOfRecipes: numberOfRecipes || 1,
+          servingSize: servingSize || 2,
+          pantryMode: mode,
+          specificIngredients: specificIngredients || []
+        },
+        ...(variationFamily && {
+          variationNumber: index + 1,
+          variationFamily
+        })
+      }));
+
+      res.json(enhancedRecipes);
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error in Customize generation');
+      res.status(500).json({ error: 'Failed to generate recipe' });
+    }
+  });
+
+  // Unified - Single progressive flow merging Roscoe's Choice and Customize
+  router.post('/generate-recipe/unified', checkAuth, validate(unifiedSchema), requireRecipeGeneration, aiRateLimiter, async (req, res) => {
+    try {
+      const {
+        homeId,
+        numberOfMeals,
+        quickMealsOnly,
+        pantryMode,
+        prioritizeExpiring,
+        mainPrompt,
+        cuisines,
+        proteins,
+        preferences,
+        servingSize,
+        specificIngredients
+      } = req.body;
+
+      const userUid = req.user.uid;
+
+      // Set defaults
+      const mode = pantryMode || 'pantry_plus_shopping';
+      const meals = numberOfMeals || 1;
+      const quick = quickMealsOnly !== undefined ? quickMealsOnly : false;
+      const expiring = prioritizeExpiring !== undefined ? prioritizeExpiring : true;
+      const servings = servingSize || 2;
+
+      const dietaryProfile = await loadHouseholdDietaryProfile(db, homeId, userUid);
+
+      // Fetch pantry items (unless no_constraints mode)
+      let pantryItems = [];
+
+      if (mode !== 'no_constraints') {
+        const pantrySnapshot = await db.collection('homes')
+          .doc(homeId)
+          .collection('pantry_items')
+          .get();
+
+        pantrySnapshot.forEach(doc => {
+          const data = doc.data();
+          const daysUntilExpiry = data.expiresAt
+            ? Math.ceil((data.expiresAt.toDate() - new Date()) / (1000 * 60 * 60 * 24))
+            : null;
+
+          pantryItems.push({
+            id: doc.id,
+            name: data.name,
+            quantity: data.quantity,
+            location: data.location,
+            expiresAt: data.expiresAt,
+            daysUntilExpiry
+          });
+        });
+      }
+
+      req.log.info({
+        userId: userUid,
+        homeId,
+        pantryMode: mode,
+        numberOfMeals: meals,
+        pantryItemCount: pantryItems.length,
+        quickMealsOnly: quick,
+        prioritizeExpiring: expiring,
+        hasMainPrompt: !!mainPrompt,
+        hasCuisines: !!(cuisines && cuisines.length > 0),
+        hasProteins: !!(proteins && proteins.length > 0),
+        hasPreferences: !!(preferences && preferences.length > 0)
+      }, 'Generating unified recipe(s)');
+
+      // Generate recipes using unified function
+      const result = await generateUnifiedRecipe({
+        pantryItems,
+        pantryMode: mode,
+        numberOfMeals: meals,
+        quickMealsOnly: quick,
+        prioritizeExpiring: expiring,
+        mainPrompt: mainPrompt || '',
+        cuisines: cuisines || [],
+        proteins: proteins || [],
+        preferences: preferences || [],
+        servingSize: servings,
+        specificIngredients: specificIngredients || [],
+        dietaryProfile
+      }, genAI, req.log);
+
+      // Handle refusal
+      if (result.success === false) {
+        return res.status(400).json({
+          error: 'Recipe generation refused',
+          reason: result.refusalReason,
+          suggestions: result.suggestions
+        });
+      }
+
+      // Handle multiple meals
+      const variationFamily = meals > 1 ? uuidv4() : null;
+      const recipes = Array.isArray(result) ? result : [result];
+
+      const enhancedRecipes = recipes.map((recipe, index) => ({
+        ...recipe,
+        createdBy: userUid,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        homeId,
+        generationMode: 'unified',
+        generationParams: {
+          pantryMode: mode,
+          numberOfMeals: meals,
+          quickMealsOnly: quick,
+          prioritizeExpiring: expiring,
+          mainPrompt,
+          cuisines: cuisines || [],
+          proteins: proteins || [],
+          preferences: preferences || [],
+          servingSize: servings,
+          specificIngredients: specificIngredients || []
+        },
+        ...(variationFamily && {
+          variationNumber: index + 1,
+          variationFamily
+        })
+      }));
+
+      res.json(enhancedRecipes);
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error in Unified generation');
+      res.status(500).json({ error: 'Failed to generate recipe' });
+    }
+  });
+
+  // Regenerate recipe with user feedback
+  router.post('/generate-recipe/regenerate', checkAuth, validate(regenerateSchema), requireRecipeGeneration, aiRateLimiter, async (req, res) => {
+    try {
+      const { homeId, originalRecipe, feedback } = req.body;
+      const userId = req.user.uid;
+
+      req.log.info({ userId, homeId, originalTitle: originalRecipe.title, feedback: feedback.substring(0, 100) }, 'Regenerating recipe with feedback');
+
+      // Fetch pantry items for the home
+      const pantrySnapshot = await db.collection('pantryItems')
+        .where('homeId', '==', homeId)
+        .get();
+
+      const pantryItems = pantrySnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+
+      const dietaryProfile = await loadHouseholdDietaryProfile(db, homeId, userId);
+
+      // Call regeneration service
+      const regeneratedRecipe = await regenerateRecipeWithFeedback(
+        {
+          originalRecipe,
+          feedback,
+          pantryItems,
+          userId,
+          homeId,
+          dietaryProfile
+        },
+        genAI,
+        req.log
+      );
+
+      req.log.info({
+        userId,
+        homeId,
+        newTitle: regeneratedRecipe.title,
+        pantryItemsUsed: regeneratedRecipe.pantryItemsUsed?.length || 0
+      }, 'Recipe successfully regenerated');
+
+      res.json(regeneratedRecipe);
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error regenerating recipe');
+      res.status(500).json({ error: 'Failed to regenerate recipe' });
+    }
+  });
+
+  // Suggest pantry item based on user input
+  router.post('/pantry/suggest-item', checkAuth, validate(pantryItemNameSchema), aiRateLimiter, async (req, res) => {
+    try {
+      const { itemName, homeId: _homeId } = req.body;
+
+      const startTime = Date.now();
+      req.log.debug({ userId: req.user.uid, itemName }, 'AI suggestions requested');
+
+      // Call AI service
+      const suggestionData = await suggestPantryItem(itemName, genAI, req.log);
+
+      req.log.info({
+        userId: req.user.uid,
+        itemName,
+        confidence: suggestionData.confidence,
+        action: suggestionData.action,
+        suggestionCount: suggestionData.suggestions?.length,
+        aiResponseTime: Date.now() - startTime
+      }, 'AI suggestions returned');
+      res.json(suggestionData);
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid, homeId: req.body.homeId, itemName: req.body.itemName }, 'Error in suggest-item');
+      res.status(500).json({
+        error: 'Failed to generate suggestions',
+        details: error.message
+      });
+    }
+  });
+
+  // Quick defaults for pantry items (fast location + expiry)
+  router.post('/pantry/quick-defaults', checkAuth, validate(pantryItemNameSchema), aiRateLimiter, async (req, res) => {
+    try {
+      const { itemName, homeId: _homeId } = req.body;
+
+      const startTime = Date.now();
+      req.log.debug({ userId: req.user.uid, itemName }, 'AI quick defaults requested');
+
+      // Call AI service (includes fallback logic)
+      const defaultsData = await getQuickDefaults(itemName, genAI, req.log);
+
+      req.log.info({
+        userId: req.user.uid,
+        itemName,
+        location: defaultsData.location,
+        daysUntilExpiry: defaultsData.daysUntilExpiry,
+        aiResponseTime: Date.now() - startTime
+      }, 'AI defaults returned');
+      res.json(defaultsData);
+
+    } catch (error) {
+      req.log.warn({ err: error, userId: req.user.uid, homeId: req.body.homeId, itemName: req.body.itemName }, 'Error in quick-defaults, using fallback');
+      // Return sensible fallback on error
+      res.json({
+        location: 'pantry',
+        daysUntilExpiry: 7
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAIRouter
+};
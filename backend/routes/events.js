@@ -0,0 +1,81 @@
+// events.js - Server-sent event stream of live household changes
+
+const express = require('express');
+const { validate } = require('../middleware/validate');
+const { object, id } = require('../utils/schema');
+
+// --- Constants ---
+const HEARTBEAT_INTERVAL_MS = 25 * 1000; // Keeps proxies from closing an idle stream
+// Streams are closed periodically so clients reconnect with a fresh token;
+// clients refetch on reconnect, so nothing is missed
+const MAX_STREAM_DURATION_MS = 10 * 60 * 1000;
+
+// --- Request Schemas ---
+const homeSchema = {
+  params: object({
+    homeId: id({ required: true })
+  })
+};
+
+/**
+ * Creates the live events router (mounted at /api/homes)
+ *
+ * @param {Object} deps - Route dependencies
+ * @param {Object} deps.homeEvents - Change feed (see services/homeEvents.js)
+ * @param {Function} deps.checkAuth - Authentication middleware
+ * @param {Function} deps.requireHomeMember - Home membership middleware (see middleware/homeAccess.js)
+ * @returns {express.Router} Router
+ */
+function createEventsRouter({ homeEvents, checkAuth, requireHomeMember }) {
+  const router = express.Router();
+
+  // Stream pantry, planner and shopping list changes for a home
+  // Each change is sent as `event: change` with the JSON event from homeEvents.publish(),
+  // and each resync as `event: resync` (see homeEvents.resync()). A user who loses
+  // access to the home gets `event: removed` and the stream closes.
+  router.get('/:homeId/events', checkAuth, validate(homeSchema), requireHomeMember, (req, res) => {
+    const { homeId } = req.params;
+    const userUid = req.user.uid;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (eventName, data) => {
+      const idLine = data.id !== undefined ? `id: ${data.id}\n` : '';
+      res.write(`event: ${eventName}\n${idLine}data: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send('ready', { homeId });
+
+    const unsubscribe = homeEvents.subscribe(homeId, (eventName, data) => {
+      if (eventName !== 'memberRemoved') {
+        send(eventName, data);
+      } else if (data.userId === userUid) {
+        send('removed', { homeId });
+        res.end();
+      }
+    });
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+    const expiry = setTimeout(() => res.end(), MAX_STREAM_DURATION_MS);
+
+    req.log.debug({ homeId, userId: userUid }, 'Home event stream opened');
+
+    res.on('close', () => {
+      unsubscribe();
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      req.log.debug({ homeId, userId: userUid }, 'Home event stream closed');
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createEventsRouter
+};
@@ -0,0 +1,239 @@
+// homeArchive.js - Home export and import routes
+
+const express = require('express');
+const admin = require('firebase-admin');
+const {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  ARCHIVE_SECTIONS,
+  ARCHIVE_TIMESTAMP_KEY,
+  buildHomeArchive,
+  checkHomeArchive,
+  restoreHomeArchive
+} = require('../services/homeArchive');
+const { MAX_HOMES_PER_USER, listUserHomeIds } = require('../services/homeLifecycle');
+const { PANTRY_LOCATIONS } = require('../services/pantryInventory');
+const { MEAL_TYPES } = require('../services/weekPlanner');
+const { SHOPPING_CATEGORIES } = require('../services/shoppingListAI');
+const { validate } = require('../middleware/validate');
+const { object, string, number, boolean, array, any, id } = require('../utils/schema');
+
+// --- Request Schemas ---
+const homeParams = object({
+  homeId: id({ required: true })
+});
+
+// A stored timestamp as the archive writes it ({ "$timestamp": "<ISO date>" })
+const timestamp = (options = {}) => object({
+  [ARCHIVE_TIMESTAMP_KEY]: string({ required: true, format: 'datetime' })
+}, options);
+
+// Archived documents, checked like the routes that create them check their input.
+// Fields those routes add themselves (createdBy, source, nutrition...) are kept as-is,
+// and missing creation times are filled in on restore.
+const archiveDocumentFields = {
+  pantry_items: {
+    name: string({ required: true, max: 100 }),
+    location: string({ required: true, enum: PANTRY_LOCATIONS }),
+    quantity: string({ max: 50 }),
+    amount: number({ min: 0, nullable: true }),
+    unit: string({ max: 20, nullable: true }),
+    expiresAt: timestamp({ nullable: true }),
+    confidence: number({ min: 0, max: 1 }),
+    detectedBy: string({ enum: ['ai', 'manual'] }),
+    createdAt: timestamp(),
+    updatedAt: timestamp()
+  },
+  pantry_consumption_log: {
+    pantryItemId: id({ required: true }),
+    itemName: string({ max: 100 }),
+    amountUsed: number({ min: 0, nullable: true }),
+    mealPlanId: id({ nullable: true }),
+    consumedAt: timestamp()
+  },
+  meal_plans: {
+    date: timestamp({ required: true }),
+    mealType: string({ required: true, enum: MEAL_TYPES }),
+    planned: object({}, { nullable: true, unknown: 'keep' }),
+    actual: object({}, { nullable: true, unknown: 'keep' }),
+    completed: boolean(),
+    pantryConsumptionLogIds: array(id()),
+    createdAt: timestamp(),
+    updatedAt: timestamp()
+  },
+  recipes: {
+    title: string({ required: true, max: 200 }),
+    ingredients: array(any()),
+    instructions: array(any()),
+    savedAt: string({ format: 'datetime' })
+  },
+  shopping_items: {
+    listId: id(),
+    name: string({ required: true, max: 100 }),
+    quantity: number({ min: 0, nullable: true }),
+    unit: string({ max: 20, nullable: true }),
+    category: string({ enum: SHOPPING_CATEGORIES }),
+    checked: boolean(),
+    addedAt: timestamp(),
+    updatedAt: timestamp()
+  },
+  shopping_lists: {
+    name: string({ required: true, min: 1, max: 50 }),
+    createdAt: timestamp()
+  },
+  shopping_store_layouts: {
+    name: string({ required: true, min: 1, max: 50 }),
+    aisles: array(object({
+      name: string({ required: true, min: 1, max: 50 }),
+      categories: array(string({ enum: SHOPPING_CATEGORIES }), { required: true })
+    }), { required: true }),
+    createdAt: timestamp(),
+    updatedAt: timestamp()
+  }
+};
+
+const archiveSchema = object({
+  format: string({ required: true, enum: [ARCHIVE_FORMAT] }),
+  version: number({ required: true, integer: true, min: 1, max: ARCHIVE_VERSION }),
+  home: object({
+    name: string({ required: true, max: 100 }),
+    dietaryProfile: any()
+  }, { required: true }),
+  shoppingList: object({}, { unknown: 'keep', nullable: true }),
+  collections: object(Object.fromEntries(ARCHIVE_SECTIONS.map(section => [
+    section,
+    array(object({
+      id: id({ required: true }),
+      ...archiveDocumentFields[section]
+    }, { unknown: 'keep' }))
+  ])), { required: true })
+}, { required: true });
+
+const exportHomeSchema = { params: homeParams };
+
+const importNewHomeSchema = {
+  body: object({
+    archive: archiveSchema,
+    // Defaults to the archived home's name
+    name: string({ max: 100 })
+  })
+};
+
+const importExistingHomeSchema = {
+  params: homeParams,
+  body: object({
+    archive: archiveSchema
+  })
+};
+
+/**
+ * Creates the home archive router (mounted at /api/homes)
+ * Admins download a home as one versioned archive and restore it into a new
+ * home or over an existing one, for backups and for moving between projects.
+ *
+ * @param {Object} deps - Route dependencies
+ * @param {Object} deps.db - Firestore instance
+ * @param {Object} deps.homeEvents - Change feed (see services/homeEvents.js)
+ * @param {Function} deps.checkAuth - Authentication middleware
+ * @param {Function} deps.requireHomeAdmin - Home admin authorization middleware
+ * @returns {express.Router} Router
+ */
+function createHomeArchiveRouter({ db, homeEvents, checkAuth, requireHomeAdmin }) {
+  const router = express.Router();
+
+  router.get('/:homeId/export', checkAuth, validate(exportHomeSchema), requireHomeAdmin, async (req, res) => {
+    try {
+      const { homeId } = req.params;
+      const archive = await buildHomeArchive(db, homeId);
+
+      req.log.info({
+        homeId,
+        userId: req.user.uid,
+        documentCount: ARCHIVE_SECTIONS.reduce((sum, section) => sum + archive.collections[section].length, 0)
+      }, 'Home exported');
+      res.set('Content-Disposition', 'attachment; filename="home-helper-home.json"');
+      res.json(archive);
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error exporting home');
+      res.status(500).json({ error: 'Failed to export home' });
+    }
+  });
+
+  // Restore an archive as a new home, with the current user as its admin
+  router.post('/import', checkAuth, validate(importNewHomeSchema), async (req, res) => {
+    try {
+      const { archive } = req.body;
+      const userId = req.user.uid;
+
+      const { settings, error } = checkHomeArchive(archive);
+      if (error) {
+        req.log.warn({ userId, reason: error }, 'Invalid home archive');
+        return res.status(400).json({ error });
+      }
+
+      const homeIds = await listUserHomeIds(db, userId);
+      if (homeIds.length >= MAX_HOMES_PER_USER) {
+        return res.status(400).json({ error: `You can belong to at most ${MAX_HOMES_PER_USER} homes` });
+      }
+
+      const name = req.body.name || settings.name;
+      const homeRef = db.collection('homes').doc();
+      const counts = await restoreHomeArchive(db, homeRef.id, archive);
+
+      // The home appears only once its data is in place
+      const batch = db.batch();
+      batch.set(homeRef, {
+        name,
+        members: { [userId]: 'admin' },
+        dietaryProfile: settings.dietaryProfile,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      batch.set(db.collection('users').doc(userId), { homes: { [homeRef.id]: 'admin' } }, { merge: true });
+      await batch.commit();
+
+      req.log.info({ homeId: homeRef.id, userId, counts }, 'Home imported');
+      res.status(201).json({
+        home: { id: homeRef.id, name, members: { [userId]: 'admin' }, role: 'admin' },
+        counts
+      });
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error importing home');
+      res.status(500).json({ error: 'Failed to import home' });
+    }
+  });
+
+  // Replace an existing home's data with an archive (name, members and invites are kept)
+  router.post('/:homeId/import', checkAuth, validate(importExistingHomeSchema), requireHomeAdmin, async (req, res) => {
+    try {
+      const { homeId } = req.params;
+      const { archive } = req.body;
+      const userId = req.user.uid;
+
+      const { settings, error } = checkHomeArchive(archive);
+      if (error) {
+        req.log.warn({ userId, homeId, reason: error }, 'Invalid home archive');
+        return res.status(400).json({ error });
+      }
+
+      const counts = await restoreHomeArchive(db, homeId, archive, { replace: true });
+      await req.home.ref.update({
+        dietaryProfile: settings.dietaryProfile,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      // Every document has a new id, so open pages refetch rather than merge
+      homeEvents.resync(homeId, { actorId: userId });
+
+      req.log.info({ homeId, userId, counts }, 'Home restored from archive');
+      res.json({ counts });
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error restoring home');
+      res.status(500).json({ error: 'Failed to restore home' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createHomeArchiveRouter
+};
@@ -0,0 +1,576 @@
+// homes.js - Home details, membership and household dietary profile routes
+
+const express = require('express');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { loadHouseholdDietaryProfile } = require('../services/dietaryProfiles');
+const { DIET_OPTIONS, DIETARY_LIST_FIELDS, emptyDietaryProfile, normalizeDietaryProfile } = require('../utils/dietary');
+const {
+  MAX_INVITE_DAYS,
+  getInvitesRef,
+  findInviteByCode,
+  getInviteProblem,
+  buildInvite,
+  serializeInvite
+} = require('../services/homeInvites');
+const {
+  MAX_HOMES_PER_USER,
+  listUserHomeIds,
+  countAdmins,
+  buildHomeRemovalUpdate,
+  writeHomeRemoval,
+  deleteHomeData
+} = require('../services/homeLifecycle');
+const { HOME_ROLES, INVITABLE_ROLES } = require('../utils/homeRoles');
+const { validate } = require('../middleware/validate');
+const { object, string, number, array, id } = require('../utils/schema');
+
+// --- Request Schemas ---
+const homeParams = object({
+  homeId: id({ required: true })
+});
+
+const homeSchema = { params: homeParams };
+
+const addMemberSchema = {
+  body: object({
+    homeId: id({ required: true }),
+    newUserEmail: string({ required: true, format: 'email' })
+  })
+};
+
+const removeMemberSchema = {
+  params: object({
+    homeId: id({ required: true }),
+    memberId: id({ required: true })
+  })
+};
+
+const createHomeSchema = {
+  body: object({
+    name: string({ required: true, max: 100 })
+  })
+};
+
+const updateHomeSchema = {
+  params: homeParams,
+  body: object({
+    name: string({ required: true, max: 100 })
+  })
+};
+
+const memberRoleSchema = {
+  params: object({
+    homeId: id({ required: true }),
+    memberId: id({ required: true })
+  }),
+  body: object({
+    role: string({ required: true, enum: HOME_ROLES })
+  })
+};
+
+// Entry limits and allowed diets are enforced by normalizeDietaryProfile
+const dietaryProfileSchema = {
+  params: homeParams,
+  body: object(Object.fromEntries(
+    DIETARY_LIST_FIELDS.map(field => [field, array(string())])
+  ))
+};
+
+const inviteMemberSchema = {
+  params: homeParams,
+  body: object({
+    email: string({ required: true, format: 'email' })
+  })
+};
+
+// Without an email the invite is a shareable code anyone signed in can accept
+const createInviteSchema = {
+  params: homeParams,
+  body: object({
+    email: string({ format: 'email', max: 254 }),
+    role: string({ enum: INVITABLE_ROLES }),
+    expiresInDays: number({ integer: true, min: 1, max: MAX_INVITE_DAYS })
+  })
+};
+
+const inviteParamsSchema = {
+  params: object({
+    homeId: id({ required: true }),
+    inviteId: id({ required: true })
+  })
+};
+
+/**
+ * Creates the homes router (mounted at /api/homes)
+ *
+ * @param {Object} deps - Route dependencies
+ * @param {Object} deps.db - Firestore instance
+ * @param {Object} deps.homeEvents - Change feed (see services/homeEvents.js)
+ * @param {Function} deps.checkAuth - Authentication middleware
+ * @param {Function} deps.requireHomeMember - Home membership middleware (see middleware/homeAccess.js)
+ * @param {Function} deps.requireHomeAdmin - Home admin middleware (see middleware/homeAccess.js)
+ * @returns {express.Router} Router
+ */
+function createHomesRouter({ db, homeEvents, checkAuth, requireHomeMember, requireHomeAdmin }) {
+  const router = express.Router();
+
+  /**
+   * Creates an invite to req.home and responds 201 with it
+   * Email invites are refused for existing members and for addresses that
+   * already have a pending invite to the home.
+   */
+  const sendNewInvite = async (req, res, { email = null, role, expiresInDays } = {}) => {
+    const homeId = req.home.id;
+    const adminId = req.user.uid;
+    const normalizedEmail = email ? email.toLowerCase() : null;
+
+    if (normalizedEmail) {
+      const userSnapshot = await db.collection('users')
+        .where('email', '==', normalizedEmail)
+        .limit(1)
+        .get();
+
+      if (!userSnapshot.empty && req.home.data.members[userSnapshot.docs[0].id]) {
+        return res.status(400).json({ error: 'User is already a member' });
+      }
+
+      const invitesSnap = await getInvitesRef(db).where('homeId', '==', homeId).get();
+      const alreadyInvited = invitesSnap.docs.some(doc =>
+        doc.data().email === normalizedEmail && !getInviteProblem(doc.data())
+      );
+      if (alreadyInvited) {
+        return res.status(409).json({ error: 'An invite is already pending for this email' });
+      }
+    }
+
+    const adminDoc = await db.collection('users').doc(adminId).get();
+    const inviteOptions = {
+      homeId,
+      homeName: req.home.data.name,
+      email: normalizedEmail,
+      createdBy: adminId,
+      createdByName: adminDoc.exists ? adminDoc.data().name || '' : '',
+      role,
+      expiresInDays
+    };
+
+    // Codes are random; draw again in the unlikely case one is taken
+    let inviteData = buildInvite(inviteOptions);
+    while (await findInviteByCode(db, inviteData.code)) {
+      inviteData = buildInvite(inviteOptions);
+    }
+
+    const inviteRef = await getInvitesRef(db).add(inviteData);
+
+    req.log.info({
+      homeId,
+      adminId,
+      inviteId: inviteRef.id,
+      invitedEmail: normalizedEmail,
+      expiresAt: inviteData.expiresAt.toDate().toISOString()
+    }, normalizedEmail ? 'Home invite sent' : 'Home invite code created');
+
+    res.status(201).json({ invite: serializeInvite(inviteRef.id, inviteData) });
+  };
+
+  // Create another home, with the current user as its admin
+  router.post('/', checkAuth, validate(createHomeSchema), async (req, res) => {
+    try {
+      const { name } = req.body;
+      const userId = req.user.uid;
+
+      const homeIds = await listUserHomeIds(db, userId);
+      if (homeIds.length >= MAX_HOMES_PER_USER) {
+        return res.status(400).json({ error: `You can belong to at most ${MAX_HOMES_PER_USER} homes` });
+      }
+
+      const homeRef = db.collection('homes').doc();
+      const batch = db.batch();
+      batch.set(homeRef, {
+        name,
+        members: { [userId]: 'admin' },
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      batch.set(db.collection('users').doc(userId), { homes: { [homeRef.id]: 'admin' } }, { merge: true });
+      await batch.commit();
+
+      req.log.info({ homeId: homeRef.id, userId, name }, 'Home created');
+      res.status(201).json({ id: homeRef.id, name, members: { [userId]: 'admin' }, role: 'admin' });
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error creating home');
+      res.status(500).json({ error: 'Failed to create home' });
+    }
+  });
+
+  // Delete a home and everything in it (admins only)
+  router.delete('/:homeId', checkAuth, validate(homeSchema), requireHomeAdmin, async (req, res) => {
+    try {
+      const { homeId } = req.params;
+      const userId = req.user.uid;
+
+      const homeIds = await listUserHomeIds(db, userId);
+      if (homeIds.length <= 1) {
+        return res.status(400).json({ error: "You can't delete your only home. Create another home first." });
+      }
+
+      const formerMemberIds = await db.runTransaction(async (transaction) => {
+        const homeDoc = await transaction.get(req.home.ref);
+        if (!homeDoc.exists) return [];
+
+        const memberIds = Object.keys(homeDoc.data().members || {});
+        const memberDocs = await Promise.all(
+          memberIds.map(memberId => transaction.get(db.collection('users').doc(memberId)))
+        );
+
+        // Members for whom this was their only home get a personal one instead
+        memberDocs
+          .filter(doc => doc.exists)
+          .forEach(doc => writeHomeRemoval(transaction, db, doc, homeId));
+        transaction.delete(req.home.ref);
+        return memberIds;
+      });
+
+      await deleteHomeData(db, homeId);
+      formerMemberIds.forEach(memberId => homeEvents.removeMember(homeId, memberId));
+
+      req.log.info({ homeId, userId, memberCount: formerMemberIds.length }, 'Home deleted');
+      res.json({ success: true });
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error deleting home');
+      res.status(500).json({ error: 'Failed to delete home' });
+    }
+  });
+
+  // Leave a home (its last admin has to hand over first)
+  router.post('/:homeId/leave', checkAuth, validate(homeSchema), requireHomeMember, async (req, res) => {
+    try {
+      const { homeId } = req.params;
+      const userId = req.user.uid;
+
+      const homeIds = await listUserHomeIds(db, userId);
+      if (homeIds.length <= 1) {
+        return res.status(400).json({ error: "You can't leave your only home. Create or join another home first." });
+      }
+
+      const userRef = db.collection('users').doc(userId);
+      const result = await db.runTransaction(async (transaction) => {
+        const [homeDoc, userDoc] = await Promise.all([transaction.get(req.home.ref), transaction.get(userRef)]);
+        const members = homeDoc.exists ? homeDoc.data().members || {} : {};
+        if (!members[userId]) return 'not-member';
+        if (Object.keys(members).length === 1) return 'only-member';
+        if (members[userId] === 'admin' && countAdmins(members) === 1) return 'last-admin';
+
+        transaction.update(req.home.ref, { [`members.${userId}`]: admin.firestore.FieldValue.delete() });
+        if (userDoc.exists) {
+          transaction.update(userRef, buildHomeRemovalUpdate(userDoc.data(), homeId));
+        }
+        return 'left';
+      });
+
+      if (result === 'not-member') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+      if (result === 'only-member') {
+        return res.status(400).json({ error: "You're the only member of this home. Delete it instead." });
+      }
+      if (result === 'last-admin') {
+        return res.status(400).json({ error: 'Make another member an admin before leaving' });
+      }
+
+      homeEvents.removeMember(homeId, userId);
+      req.log.info({ homeId, userId }, 'User left home');
+      res.json({ success: true });
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error leaving home');
+      res.status(500).json({ error: 'Failed to leave home' });
+    }
+  });
+
+  // Change a member's role (see utils/homeRoles.js)
+  router.put('/:homeId/members/:memberId/role', checkAuth, validate(memberRoleSchema), requireHomeAdmin, async (req, res) => {
+    try {
+      const { homeId, memberId } = req.params;
+      const { role } = req.body;
+      const adminId = req.user.uid;
+      const memberRef = db.collection('users').doc(memberId);
+
+      const result = await db.runTransaction(async (transaction) => {
+        const [homeDoc, memberDoc] = await Promise.all([transaction.get(req.home.ref), transaction.get(memberRef)]);
+        const members = homeDoc.exists ? homeDoc.data().members || {} : {};
+        if (!members[memberId]) return 'missing';
+        if (members[memberId] === role) return 'unchanged';
+        if (members[memberId] === 'admin' && countAdmins(members) === 1) return 'last-admin';
+
+        transaction.update(req.home.ref, { [`members.${memberId}`]: role });
+        if (memberDoc.exists) {
+          transaction.update(memberRef, { [`homes.${homeId}`]: role });
+        }
+        return 'updated';
+      });
+
+      if (result === 'missing') {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+      if (result === 'last-admin') {
+        return res.status(400).json({ error: 'A home needs at least one admin' });
+      }
+
+      if (result === 'updated') {
+        req.log.info({ homeId, adminId, memberId, role }, 'Member role changed');
+      }
+      res.json({ id: memberId, role });
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, memberId: req.params.memberId, userId: req.user.uid }, 'Error changing member role');
+      res.status(500).json({ error: 'Failed to change member role' });
+    }
+  });
+
+  // Older clients: invites the user instead of adding them straight away
+  router.post('/add-member', checkAuth, validate(addMemberSchema), requireHomeAdmin, async (req, res) => {
+    try {
+      await sendNewInvite(req, res, { email: req.body.newUserEmail });
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.body.homeId, userId: req.user.uid }, 'Error inviting member');
+      res.status(500).json({ error: 'Failed to invite member' });
+    }
+  });
+
+  router.get('/:homeId/members', checkAuth, validate(homeSchema), requireHomeMember, async (req, res) => {
+    try {
+      const homeData = req.home.data;
+      const memberIds = Object.keys(homeData.members);
+
+      const memberProfiles = [];
+      for (const memberId of memberIds) {
+        const userDoc = await db.collection('users').doc(memberId).get();
+        if (userDoc.exists) {
+          const userData = userDoc.data();
+          memberProfiles.push({
+            id: memberId,
+            name: userData.name,
+            email: userData.email,
+            role: homeData.members[memberId]
+          });
+        }
+      }
+      res.json(memberProfiles);
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch home members.' });
+    }
+  });
+
+  router.delete('/:homeId/members/:memberId', checkAuth, validate(removeMemberSchema), requireHomeAdmin, async (req, res) => {
+    const { homeId, memberId } = req.params;
+    const adminId = req.user.uid;
+
+    try {
+      if (adminId === memberId) {
+        return res.status(400).json({ error: 'Admins cannot remove themselves.' });
+      }
+
+      const memberRef = db.collection('users').doc(memberId);
+      const result = await db.runTransaction(async (transaction) => {
+        const [homeDoc, memberDoc] = await Promise.all([transaction.get(req.home.ref), transaction.get(memberRef)]);
+        const members = homeDoc.exists ? homeDoc.data().members || {} : {};
+        if (!members[memberId]) return { status: 'missing' };
+
+        transaction.update(req.home.ref, { [`members.${memberId}`]: admin.firestore.FieldValue.delete() });
+        const personalHomeId = memberDoc.exists ? writeHomeRemoval(transaction, db, memberDoc, homeId) : null;
+        return { status: 'removed', personalHomeId };
+      });
+
+      if (result.status === 'missing') {
+        return res.status(400).json({ error: 'That user is not a member of this home.' });
+      }
+
+      homeEvents.removeMember(homeId, memberId);
+      logger.info({ homeId, adminId, memberId, personalHomeId: result.personalHomeId }, 'Member removed from home');
+      res.status(200).json({ message: 'Member removed successfully.' });
+    } catch (error) {
+      logger.error({ err: error, homeId, memberId, adminId }, 'Error removing member');
+      res.status(500).json({ error: 'Failed to remove member' });
+    }
+  });
+
+  // Update home details (name)
+  router.put('/:homeId', checkAuth, validate(updateHomeSchema), requireHomeAdmin, async (req, res) => {
+    try {
+      const { homeId } = req.params;
+      const { name } = req.body;
+      const userId = req.user.uid;
+
+      req.log.debug({ homeId, userId, newName: name }, 'Updating home details');
+
+      // Update home name
+      const homeRef = req.home.ref;
+      await homeRef.update({
+        name,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      // Fetch updated home data
+      const updatedHomeDoc = await homeRef.get();
+      const updatedHomeData = updatedHomeDoc.data();
+
+      const response = {
+        id: homeId,
+        ...updatedHomeData,
+        role: req.home.role
+      };
+
+      req.log.info({ homeId, userId, newName: name }, 'Home updated successfully');
+      res.json(response);
+
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error updating home');
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Get the home's dietary profile, each member's profile and the combined restrictions
+  router.get('/:homeId/dietary-profile', checkAuth, validate(homeSchema), requireHomeMember, async (req, res) => {
+    try {
+      const { homeId } = req.params;
+      const userId = req.user.uid;
+
+      const homeData = req.home.data;
+      const memberDocs = await Promise.all(
+        Object.keys(homeData.members).map(memberId => db.collection('users').doc(memberId).get())
+      );
+
+      const members = memberDocs
+        .filter(doc => doc.exists)
+        .map(doc => ({
+          id: doc.id,
+          name: doc.data().name,
+          dietaryProfile: doc.data().dietaryProfile || emptyDietaryProfile()
+        }));
+
+      const combined = await loadHouseholdDietaryProfile(db, homeId, userId);
+
+      res.json({
+        homeProfile: homeData.dietaryProfile || emptyDietaryProfile(),
+        members,
+        combined,
+        dietOptions: DIET_OPTIONS
+      });
+
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error fetching dietary profiles');
+      res.status(500).json({ error: 'Failed to fetch dietary profiles' });
+    }
+  });
+
+  // Update the home-wide dietary profile (admins only)
+  router.put('/:homeId/dietary-profile', checkAuth, validate(dietaryProfileSchema), requireHomeAdmin, async (req, res) => {
+    try {
+      const { homeId } = req.params;
+      const userId = req.user.uid;
+
+      const { profile, error } = normalizeDietaryProfile(req.body);
+      if (error) {
+        req.log.warn({ homeId, userId, reason: error }, 'Invalid dietary profile');
+        return res.status(400).json({ error });
+      }
+
+      await req.home.ref.update({
+        dietaryProfile: profile,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      req.log.info({
+        homeId,
+        userId,
+        allergyCount: profile.allergies.length,
+        dietCount: profile.diets.length
+      }, 'Home dietary profile updated');
+      res.json({ dietaryProfile: profile });
+
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error updating home dietary profile');
+      res.status(500).json({ error: 'Failed to update dietary profile' });
+    }
+  });
+
+  // Older clients: invites the user instead of adding them straight away
+  router.post('/:homeId/members', checkAuth, validate(inviteMemberSchema), requireHomeAdmin, async (req, res) => {
+    try {
+      await sendNewInvite(req, res, { email: req.body.email });
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error inviting member');
+      res.status(500).json({ error: 'Failed to invite member' });
+    }
+  });
+
+  // Invite someone by email, or create a shareable invite code
+  router.post('/:homeId/invites', checkAuth, validate(createInviteSchema), requireHomeAdmin, async (req, res) => {
+    try {
+      await sendNewInvite(req, res, req.body);
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error creating home invite');
+      res.status(500).json({ error: 'Failed to create invite' });
+    }
+  });
+
+  // Pending invites of a home (newest first)
+  router.get('/:homeId/invites', checkAuth, validate(homeSchema), requireHomeAdmin, async (req, res) => {
+    try {
+      const invitesSnap = await getInvitesRef(db).where('homeId', '==', req.home.id).get();
+      const invites = invitesSnap.docs
+        .filter(doc => !getInviteProblem(doc.data()))
+        .map(doc => serializeInvite(doc.id, doc.data()))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+      res.json({ invites });
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error fetching home invites');
+      res.status(500).json({ error: 'Failed to fetch invites' });
+    }
+  });
+
+  // Revoke a pending invite
+  router.delete('/:homeId/invites/:inviteId', checkAuth, validate(inviteParamsSchema), requireHomeAdmin, async (req, res) => {
+    try {
+      const { homeId, inviteId } = req.params;
+      const adminId = req.user.uid;
+      const inviteRef = getInvitesRef(db).doc(inviteId);
+
+      const result = await db.runTransaction(async (transaction) => {
+        const inviteDoc = await transaction.get(inviteRef);
+        if (!inviteDoc.exists || inviteDoc.data().homeId !== homeId) return 'missing';
+        if (inviteDoc.data().status !== 'pending') return 'not-pending';
+
+        transaction.update(inviteRef, {
+          status: 'revoked',
+          respondedBy: adminId,
+          respondedAt: admin.firestore.Timestamp.now()
+        });
+        return 'revoked';
+      });
+
+      if (result === 'missing') {
+        return res.status(404).json({ error: 'Invite not found' });
+      }
+      if (result === 'not-pending') {
+        return res.status(409).json({ error: 'Invite is no longer pending' });
+      }
+
+      req.log.info({ homeId, adminId, inviteId }, 'Home invite revoked');
+      res.json({ success: true });
+    } catch (error) {
+      req.log.error({ err: error, inviteId: req.params.inviteId, userId: req.user.uid }, 'Error revoking home invite');
+      res.status(500).json({ error: 'Failed to revoke invite' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createHomesRouter
+};
@@ -0,0 +1,57 @@
+// index.js - Assembles the per-domain API routers
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { createCheckAuth } = require('../middleware/auth');
+const { createHomeAccess } = require('../middleware/homeAccess');
+const { createHomeEvents } = require('../services/homeEvents');
+const { createEventsRouter } = require('./events');
+const { createUsersRouter } = require('./users');
+const { createAccountRouter } = require('./account');
+const { createHomesRouter } = require('./homes');
+const { createHomeArchiveRouter } = require('./homeArchive');
+const { createInvitesRouter } = require('./invites');
+const { createRecipesRouter } = require('./recipes');
+const { createAIRouter } = require('./ai');
+const { createPantryRouter } = require('./pantry');
+const { createPlannerRouter } = require('./planner');
+const { createShoppingRouter } = require('./shopping');
+
+/**
+ * Creates the router for every /api endpoint except health and debug
+ * The AI router is mounted before the pantry router so /api/pantry/suggest-item
+ * and /api/pantry/quick-defaults aren't captured by /api/pantry/:homeId.
+ * Routers that change pantry, planner or shopping data (or who belongs to a home)
+ * publish to the shared homeEvents feed, which /api/homes/:homeId/events streams to clients.
+ *
+ * @param {Object} services - Initialized services
+ * @param {Object} services.db - Firestore instance
+ * @param {Object} services.auth - Auth client from the data layer (see config/data.js)
+ * @param {Object} services.genAI - AI provider (see config/ai.js)
+ * @returns {express.Router} Router to mount at /api
+ */
+function createApiRouter({ db, auth, genAI }) {
+  const checkAuth = createCheckAuth(auth);
+  const { requireHomeMember, requireHomePermission, requireHomeAdmin } = createHomeAccess(db);
+  const homeEvents = createHomeEvents({ logger });
+  const deps = { db, auth, genAI, homeEvents, checkAuth, requireHomeMember, requireHomePermission, requireHomeAdmin };
+
+  const router = express.Router();
+  router.use('/', createUsersRouter(deps));
+  router.use('/account', createAccountRouter(deps));
+  router.use('/homes', createEventsRouter(deps));
+  router.use('/homes', createHomesRouter(deps));
+  router.use('/homes', createHomeArchiveRouter(deps));
+  router.use('/invites', createInvitesRouter(deps));
+  router.use('/recipes', createRecipesRouter(deps));
+  router.use('/', createAIRouter(deps));
+  router.use('/pantry', createPantryRouter(deps));
+  router.use('/planner', createPlannerRouter(deps));
+  router.use('/shopping-list', createShoppingRouter(deps));
+
+  return router;
+}
+
+module.exports = {
+  createApiRouter
+};
@@ -0,0 +1,190 @@
+// invites.js - Routes for people invited to a home
+
+const express = require('express');
+const admin = require('firebase-admin');
+const {
+  INVITE_PROBLEM_MESSAGES,
+  getInvitesRef,
+  normalizeInviteCode,
+  findInviteByCode,
+  getInviteProblem,
+  writeInviteAcceptance,
+  serializeInvite
+} = require('../services/homeInvites');
+const { MAX_HOMES_PER_USER, listUserHomeIds } = require('../services/homeLifecycle');
+const { validate } = require('../middleware/validate');
+const { object, string } = require('../utils/schema');
+
+// --- Request Schemas ---
+const inviteCodeSchema = {
+  params: object({
+    code: string({ required: true, max: 20 })
+  })
+};
+
+/**
+ * Creates the invites router (mounted at /api/invites)
+ * Admins create and revoke invites through the homes router; these routes let
+ * the invitee look an invite up and accept or decline it.
+ *
+ * @param {Object} deps - Route dependencies
+ * @param {Object} deps.db - Firestore instance
+ * @param {Function} deps.checkAuth - Authentication middleware
+ * @returns {express.Router} Router
+ */
+function createInvitesRouter({ db, checkAuth }) {
+  const router = express.Router();
+
+  // Pending invites sent to the current user's email address
+  router.get('/', checkAuth, async (req, res) => {
+    try {
+      const email = String(req.user.email || '').toLowerCase();
+      if (!email) {
+        return res.json({ invites: [] });
+      }
+
+      // Listed before the address is verified too, so the app can ask the user to verify it
+      const needsEmailVerification = !req.user.email_verified;
+      const invitesSnap = await getInvitesRef(db).where('email', '==', email).get();
+      const invites = invitesSnap.docs
+        .filter(doc => [null, 'unverified'].includes(getInviteProblem(doc.data(), email, req.user.email_verified)))
+        .map(doc => ({ ...serializeInvite(doc.id, doc.data()), needsEmailVerification }))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+      res.json({ invites });
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error fetching invites');
+      res.status(500).json({ error: 'Failed to fetch invites' });
+    }
+  });
+
+  // Public preview of an invite link, shown before signing in or up
+  router.get('/code/:code', validate(inviteCodeSchema), async (req, res) => {
+    try {
+      const inviteDoc = await findInviteByCode(db, normalizeInviteCode(req.params.code));
+      if (!inviteDoc) {
+        return res.status(404).json({ error: 'Invite not found' });
+      }
+
+      const invite = inviteDoc.data();
+      const problem = getInviteProblem(invite);
+      if (problem) {
+        return res.status(410).json({ error: INVITE_PROBLEM_MESSAGES[problem], reason: problem });
+      }
+
+      res.json({
+        invite: {
+          code: invite.code,
+          homeName: invite.homeName,
+          createdByName: invite.createdByName,
+          role: invite.role,
+          expiresAt: invite.expiresAt.toDate().toISOString(),
+          // Only whether it's addressed to someone; the address isn't disclosed
+          isEmailInvite: Boolean(invite.email)
+        }
+      });
+    } catch (error) {
+      req.log.error({ err: error }, 'Error fetching invite preview');
+      res.status(500).json({ error: 'Failed to fetch invite' });
+    }
+  });
+
+  // Join the invite's home
+  router.post('/:code/accept', checkAuth, validate(inviteCodeSchema), async (req, res) => {
+    try {
+      const code = normalizeInviteCode(req.params.code);
+      const userId = req.user.uid;
+      const userRef = db.collection('users').doc(userId);
+
+      // Same limit as creating a home
+      const homeIds = await listUserHomeIds(db, userId);
+      if (homeIds.length >= MAX_HOMES_PER_USER) {
+        return res.status(400).json({ error: `You can belong to at most ${MAX_HOMES_PER_USER} homes` });
+      }
+
+      const result = await db.runTransaction(async (transaction) => {
+        const inviteDoc = await findInviteByCode(db, code, transaction);
+        if (!inviteDoc) return { status: 'missing' };
+
+        const problem = getInviteProblem(inviteDoc.data(), req.user.email, req.user.email_verified);
+        if (problem) return { status: 'unusable', problem };
+
+        const homeRef = db.collection('homes').doc(inviteDoc.data().homeId);
+        const [homeDoc, userDoc] = await Promise.all([transaction.get(homeRef), transaction.get(userRef)]);
+        if (!homeDoc.exists) return { status: 'missing' };
+        if (!userDoc.exists) return { status: 'no-profile' };
+        if (homeDoc.data().members?.[userId]) return { status: 'member' };
+
+        writeInviteAcceptance(transaction, db, inviteDoc, userId);
+        return {
+          status: 'accepted',
+          inviteId: inviteDoc.id,
+          homeId: homeRef.id,
+          homeName: homeDoc.data().name,
+          role: inviteDoc.data().role
+        };
+      });
+
+      if (result.status === 'missing') {
+        return res.status(404).json({ error: 'Invite not found' });
+      }
+      if (result.status === 'unusable') {
+        return res.status(410).json({ error: INVITE_PROBLEM_MESSAGES[result.problem], reason: result.problem });
+      }
+      if (result.status === 'no-profile') {
+        return res.status(400).json({ error: 'Finish setting up your account before joining a home' });
+      }
+      if (result.status === 'member') {
+        return res.status(400).json({ error: 'You are already a member of this home' });
+      }
+
+      req.log.info({ userId, inviteId: result.inviteId, homeId: result.homeId }, 'Home invite accepted');
+      res.json({ home: { id: result.homeId, name: result.homeName, role: result.role } });
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error accepting invite');
+      res.status(500).json({ error: 'Failed to accept invite' });
+    }
+  });
+
+  // Turn an invite down (only invites addressed to the user; codes can just be ignored)
+  router.post('/:code/decline', checkAuth, validate(inviteCodeSchema), async (req, res) => {
+    try {
+      const code = normalizeInviteCode(req.params.code);
+      const userId = req.user.uid;
+
+      const result = await db.runTransaction(async (transaction) => {
+        const inviteDoc = await findInviteByCode(db, code, transaction);
+        if (!inviteDoc || !inviteDoc.data().email) return { status: 'missing' };
+
+        const problem = getInviteProblem(inviteDoc.data(), req.user.email, req.user.email_verified);
+        if (problem) return { status: 'unusable', problem };
+
+        transaction.update(inviteDoc.ref, {
+          status: 'declined',
+          respondedBy: userId,
+          respondedAt: admin.firestore.Timestamp.now()
+        });
+        return { status: 'declined', inviteId: inviteDoc.id };
+      });
+
+      if (result.status === 'missing') {
+        return res.status(404).json({ error: 'Invite not found' });
+      }
+      if (result.status === 'unusable') {
+        return res.status(410).json({ error: INVITE_PROBLEM_MESSAGES[result.problem], reason: result.problem });
+      }
+
+      req.log.info({ userId, inviteId: result.inviteId }, 'Home invite declined');
+      res.json({ success: true });
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error declining invite');
+      res.status(500).json({ error: 'Failed to decline invite' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createInvitesRouter
+};
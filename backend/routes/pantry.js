@@ -0,0 +1,425 @@
+// pantry.js - Pantry inventory, image detection and consumption routes
+
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const multer = require('multer');
+const admin = require('firebase-admin');
+const { detectItemsFromImage } = require('../services/pantryAI');
+const { PANTRY_LOCATIONS, serializePantryItem, deductPantryIngredients } = require('../services/pantryInventory');
+const { loadDocumentChanges } = require('../services/homeEvents');
+const { DEFAULT_HISTORY_DAYS, MAX_HISTORY_DAYS, loadPantryForecast } = require('../services/pantryForecast');
+const { PORTION_FRACTIONS, buildQuantityFields } = require('../utils/quantity');
+const { aiRateLimiter } = require('../middleware/rateLimiter');
+const { validate } = require('../middleware/validate');
+const { object, string, number, array, id } = require('../utils/schema');
+
+// --- Request Schemas ---
+const homeParams = object({
+  homeId: id({ required: true })
+});
+
+const itemParams = object({
+  homeId: id({ required: true }),
+  itemId: id({ required: true })
+});
+
+// Shared by add and update - both write the full item
+const pantryItemBody = object({
+  name: string({ required: true, max: 100 }),
+  location: string({ required: true, enum: PANTRY_LOCATIONS }),
+  quantity: string({ max: 50 }),
+  amount: number({ min: 0 }),
+  unit: string({ max: 20 }),
+  expiresAt: string({ format: 'datetime', nullable: true }),
+  daysUntilExpiry: number({ min: 0, max: 3650 }),
+  confidence: number({ min: 0, max: 1 }),
+  detectedBy: string({ enum: ['ai', 'manual'] })
+});
+
+const homeSchema = { params: homeParams };
+const itemSchema = { params: itemParams };
+const addItemSchema = { params: homeParams, body: pantryItemBody };
+const updateItemSchema = { params: itemParams, body: pantryItemBody };
+
+const deductSchema = {
+  params: homeParams,
+  body: object({
+    ingredients: array(object({
+      pantryItemId: id({ required: true }),
+      portion: string({ required: true, enum: [...Object.keys(PORTION_FRACTIONS), 'custom'] }),
+      amount: number({ min: 0 }),
+      unit: string({ max: 20 })
+    }), { required: true }),
+    mealPlanId: id()
+  })
+};
+
+const consumptionSchema = {
+  params: homeParams,
+  query: object({
+    days: number({ integer: true, min: 1, max: MAX_HISTORY_DAYS, default: DEFAULT_HISTORY_DAYS })
+  })
+};
+
+// --- AI Pantry Detection ---
+// Configure multer for image uploads (stored under backend/uploads)
+const storage = multer.diskStorage({
+  destination: async (req, file, cb) => {
+    const uploadDir = path.join(__dirname, '..', 'uploads');
+    try {
+      await fs.mkdir(uploadDir, { recursive: true });
+      cb(null, uploadDir);
+    } catch (error) {
+      cb(error);
+    }
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/heif', 'image/heic'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only JPG, PNG, and HEIF images are allowed.'));
+    }
+  }
+});
+
+/**
+ * Creates the pantry router (mounted at /api/pantry)
+ *
+ * @param {Object} deps - Route dependencies
+ * @param {Object} deps.db - Firestore instance
+ * @param {Object} deps.genAI - AI provider (see config/ai.js)
+ * @param {Object} deps.homeEvents - Change feed (see services/homeEvents.js)
+ * @param {Function} deps.checkAuth - Authentication middleware
+ * @param {Function} deps.requireHomeMember - Home membership middleware (see middleware/homeAccess.js)
+ * @param {Function} deps.requireHomePermission - Role permission middleware factory (see middleware/homeAccess.js)
+ * @returns {express.Router} Router
+ */
+function createPantryRouter({ db, genAI, homeEvents, checkAuth, requireHomeMember, requireHomePermission }) {
+  const router = express.Router();
+
+  // Get all pantry items for a home
+  router.get('/:homeId', checkAuth, validate(homeSchema), requireHomeMember, async (req, res) => {
+    try {
+      const { homeId } = req.params;
+      const userUid = req.user.uid;
+
+      // Get items from the subcollection
+      const itemsSnap = await db.collection('homes')
+        .doc(homeId)
+        .collection('pantry_items')
+        .orderBy('createdAt', 'desc')
+        .get();
+
+      const items = itemsSnap.docs.map(serializePantryItem);
+
+      // Set explicit JSON content type
+      res.setHeader('Content-Type', 'application/json');
+      req.log.debug({ homeId, userId: userUid, itemCount: items.length }, 'Pantry items fetched');
+      return res.json(items);
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error fetching pantry items');
+      return res.status(500).json({ error: 'Failed to fetch pantry items' });
+    }
+  });
+
+  // Add new pantry item
+  router.post('/:homeId', checkAuth, validate(addItemSchema), requireHomePermission('pantry:add'), async (req, res) => {
+    try {
+      const { homeId } = req.params;
+      const { name, location, quantity, amount, unit, expiresAt, daysUntilExpiry, confidence, detectedBy } = req.body;
+      const userUid = req.user.uid;
+
+      // Parse quantity into structured amount + unit (keeps display string)
+      const quantityFields = buildQuantityFields({ quantity, amount, unit });
+
+      // Handle expiry date - prioritize expiresAt, fallback to daysUntilExpiry
+      let calculatedExpiresAt;
+      if (expiresAt) {
+        calculatedExpiresAt = new Date(expiresAt);
+      } else if (daysUntilExpiry !== undefined) {
+        calculatedExpiresAt = new Date(Date.now() + daysUntilExpiry * 24 * 60 * 60 * 1000);
+      }
+
+      const newItem = {
+        name,
+        location,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        createdBy: userUid,
+        // Add new optional fields
+        ...quantityFields,
+        ...(calculatedExpiresAt && { expiresAt: calculatedExpiresAt }),
+        ...(confidence !== undefined && { confidence }),
+        ...(detectedBy && { detectedBy })
+      };
+
+      // Add to the subcollection
+      const itemRef = await db.collection('homes')
+        .doc(homeId)
+        .collection('pantry_items')
+        .add(newItem);
+
+      const resultData = { 
+        id: itemRef.id, 
+        ...newItem
+      };
+      // Don't send back server timestamp object
+      delete resultData.createdAt;
+
+      homeEvents.publish(homeId, {
+        collection: 'pantry',
+        upserted: [serializePantryItem(await itemRef.get())],
+        actorId: userUid
+      });
+
+      req.log.info({
+        homeId,
+        userId: userUid,
+        itemName: name,
+        location,
+        quantity: quantityFields.quantity,
+        expiresAt: calculatedExpiresAt
+      }, 'Pantry item added');
+      res.status(201).json(resultData);
+
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error adding pantry item');
+      res.status(500).json({ error: 'Failed to add pantry item' });
+    }
+  });
+
+  // Update pantry item
+  router.put('/:homeId/:itemId', checkAuth, validate(updateItemSchema), requireHomePermission('pantry:edit'), async (req, res) => {
+    try {
+      const { homeId, itemId } = req.params;
+      const { name, location, quantity, amount, unit, expiresAt, daysUntilExpiry, confidence, detectedBy } = req.body;
+      const userUid = req.user.uid;
+
+      // Verify item exists
+      const itemRef = db.collection('homes')
+        .doc(homeId)
+        .collection('pantry_items')
+        .doc(itemId);
+
+      const item = await itemRef.get();
+      if (!item.exists) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      // Handle expiry date - prioritize expiresAt, fallback to daysUntilExpiry
+      let calculatedExpiresAt;
+      if (expiresAt) {
+        calculatedExpiresAt = new Date(expiresAt);
+      } else if (daysUntilExpiry !== undefined) {
+        calculatedExpiresAt = new Date(Date.now() + daysUntilExpiry * 24 * 60 * 60 * 1000);
+      }
+
+      const updatedFields = {
+        name,
+        location,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        // Add optional fields
+        ...buildQuantityFields({ quantity, amount, unit }),
+        ...(calculatedExpiresAt && { expiresAt: calculatedExpiresAt }),
+        ...(confidence !== undefined && { confidence }),
+        ...(detectedBy && { detectedBy })
+      };
+
+      await itemRef.update(updatedFields);
+
+      const resultData = { 
+        id: itemId,
+        ...item.data(),
+        ...updatedFields
+      };
+      // Don't send back server timestamp object
+      delete resultData.updatedAt;
+
+      homeEvents.publish(homeId, {
+        collection: 'pantry',
+        upserted: [serializePantryItem(await itemRef.get())],
+        actorId: userUid
+      });
+
+      req.log.info({ homeId, userId: userUid, itemId, itemName: name, location }, 'Pantry item updated');
+      res.json(resultData);
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, itemId: req.params.itemId, userId: req.user.uid }, 'Error updating pantry item');
+      res.status(500).json({ error: 'Failed to update pantry item' });
+    }
+  });
+
+  // Delete pantry item
+  router.delete('/:homeId/:itemId', checkAuth, validate(itemSchema), requireHomePermission('pantry:delete'), async (req, res) => {
+    try {
+      const { homeId, itemId } = req.params;
+      const userUid = req.user.uid;
+
+      // Verify item exists before deletion
+      const itemRef = db.collection('homes')
+        .doc(homeId)
+        .collection('pantry_items')
+        .doc(itemId);
+
+      const item = await itemRef.get();
+      if (!item.exists) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      const itemName = item.data().name;
+      await itemRef.delete();
+      homeEvents.publish(homeId, { collection: 'pantry', deleted: [itemId], actorId: userUid });
+      req.log.info({ homeId, userId: userUid, itemId, itemName }, 'Pantry item deleted');
+      res.json({ message: 'Item deleted' });
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, itemId: req.params.itemId, userId: req.user.uid }, 'Error deleting pantry item');
+      res.status(500).json({ error: 'Failed to delete pantry item' });
+    }
+  });
+
+  // AI-powered pantry item detection endpoint
+  router.post('/:homeId/detect-items', checkAuth, validate(homeSchema), requireHomePermission('pantry:add'), aiRateLimiter, upload.single('image'), async (req, res) => {
+    let filePath = null;
+
+    try {
+      const { homeId } = req.params;
+      const userUid = req.user.uid;
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'No image file provided' });
+      }
+
+      const startTime = Date.now();
+      filePath = req.file.path;
+      req.log.info({
+        homeId,
+        userId: userUid,
+        fileName: req.file.originalname,
+        fileSize: req.file.size
+      }, 'AI image detection started');
+
+      // Read file and convert to base64
+      const imageData = await fs.readFile(filePath);
+      const base64Image = imageData.toString('base64');
+
+      // Call AI service
+      const formattedItems = await detectItemsFromImage(base64Image, req.file.mimetype, genAI, req.log);
+
+      // Clean up uploaded file
+      await fs.unlink(filePath);
+
+      req.log.info({
+        homeId: req.params.homeId,
+        userId: req.user.uid,
+        itemsDetected: formattedItems.length,
+        aiResponseTime: Date.now() - startTime
+      }, 'AI detected items from image');
+      res.json({ items: formattedItems });
+
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error in AI detection');
+
+      // Clean up file if it exists
+      if (filePath) {
+        try {
+          await fs.unlink(filePath);
+        } catch (unlinkError) {
+          req.log.error({ err: unlinkError, filePath: path.basename(filePath) }, 'Error deleting uploaded file');
+        }
+      }
+
+      res.status(500).json({
+        error: 'Failed to process image',
+        details: error.message
+      });
+    }
+  });
+
+  // Pantry ingredient deduction endpoint
+  router.post('/:homeId/deduct', checkAuth, validate(deductSchema), requireHomePermission('pantry:edit'), async (req, res) => {
+    try {
+      const { homeId } = req.params;
+      const { ingredients, mealPlanId } = req.body;
+      const userUid = req.user.uid;
+
+      // portion: 'all' | 'half' | 'quarter' | 'custom' (custom uses amount + unit)
+      const { consumptionLogs, skipped } = await deductPantryIngredients(
+        db,
+        homeId,
+        ingredients,
+        { userUid, mealPlanId },
+        req.log
+      );
+
+      const pantryChanges = await loadDocumentChanges(
+        db.collection('homes').doc(homeId).collection('pantry_items'),
+        consumptionLogs.map(log => log.pantryItemId),
+        serializePantryItem
+      );
+      homeEvents.publish(homeId, { collection: 'pantry', ...pantryChanges, actorId: userUid });
+
+      res.json({
+        success: true,
+        consumptionLogs,
+        skipped
+      });
+      req.log.info({
+        homeId,
+        userId: userUid,
+        ingredientCount: ingredients.length,
+        mealPlanId,
+        itemsDeducted: consumptionLogs.length,
+        itemsSkipped: skipped.length
+      }, 'Ingredients deducted from pantry');
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error deducting pantry ingredients');
+      res.status(500).json({ error: 'Failed to deduct ingredients' });
+    }
+  });
+
+  // Pantry consumption history and run-out forecast
+  router.get('/:homeId/consumption', checkAuth, validate(consumptionSchema), requireHomeMember, async (req, res) => {
+    try {
+      const { homeId } = req.params;
+      const userUid = req.user.uid;
+
+      const { days } = req.query;
+
+      const result = await loadPantryForecast(db, homeId, {
+        today: new Date().toISOString().split('T')[0],
+        historyDays: days
+      });
+
+      req.log.debug({
+        homeId,
+        userId: userUid,
+        historyDays: days,
+        historyItemCount: result.history.length,
+        runningOutCount: result.runningOutThisWeek.length
+      }, 'Pantry consumption forecast built');
+      res.json(result);
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error building pantry consumption forecast');
+      res.status(500).json({ error: 'Failed to load pantry consumption' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createPantryRouter
+};
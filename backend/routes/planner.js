@@ -0,0 +1,927 @@
+// planner.js - Meal planner, week planning and nutrition analytics routes
+
+const express = require('express');
+const admin = require('firebase-admin');
+const { matchIngredientsToPantry } = require('../services/recipeAI');
+const { serializePantryItem, applyPantryDeductions, buildDeductionPreview } = require('../services/pantryInventory');
+const { loadDocumentChanges } = require('../services/homeEvents');
+const { MEAL_TYPES, PLANNED_MEAL_TYPES, findEmptySlots, assignVariety, assignPantryItems, generateSlotRecipe, generateWeekPlan } = require('../services/weekPlanner');
+const { loadHouseholdDietaryProfile } = require('../services/dietaryProfiles');
+const { estimateMealNutrition } = require('../services/nutrition');
+const { validateDashboardRange, buildNutritionDashboard } = require('../services/nutritionDashboard');
+const { buildMealPlanAnalytics } = require('../services/mealPlanAnalytics');
+const { aiRateLimiter, chargeAiRequests } = require('../middleware/rateLimiter');
+const { validate } = require('../middleware/validate');
+const { findAllergenViolations } = require('../utils/dietary');
+const { PORTION_FRACTIONS } = require('../utils/quantity');
+const { object, string, number, boolean, array, id } = require('../utils/schema');
+
+// --- Constants ---
+const MAX_SERVING_SIZE = 10;
+const MAX_AI_PROMPT_LENGTH = 250; // Prevent prompt injection and timeout
+const MAX_OPTION_ENTRIES = 20; // Cuisines, proteins and preferences
+const MAX_WEEK_SLOTS = 7 * PLANNED_MEAL_TYPES.length; // Titles and neighbors a slot regeneration can reference
+
+// --- Request Schemas ---
+const homeParams = object({
+  homeId: id({ required: true })
+});
+
+const planParams = object({
+  homeId: id({ required: true }),
+  planId: id({ required: true })
+});
+
+// Planned and actual meals carry recipe details from several sources, so only their container is checked
+const mealDetails = () => object({}, { nullable: true, unknown: 'keep' });
+
+// Options shared by week planning and single-slot regeneration
+const weekPlanOptions = {
+  servingSize: number({ integer: true, min: 1, max: MAX_SERVING_SIZE }),
+  quickMealsOnly: boolean(),
+  preferences: array(string({ max: 100 }), { max: MAX_OPTION_ENTRIES }),
+  cuisines: array(string({ max: 100 }), { max: MAX_OPTION_ENTRIES }),
+  proteins: array(string({ max: 100 }), { max: MAX_OPTION_ENTRIES })
+};
+
+const listPlansSchema = {
+  params: homeParams,
+  query: object({
+    startDate: string({ format: 'date' }),
+    endDate: string({ format: 'date' })
+  })
+};
+
+// Range length and ordering are checked by validateDashboardRange
+const dashboardSchema = {
+  params: homeParams,
+  query: object({
+    startDate: string({ required: true, format: 'date' }),
+    endDate: string({ required: true, format: 'date' })
+  })
+};
+
+const createPlanSchema = {
+  params: homeParams,
+  body: object({
+    date: string({ required: true, format: 'date' }),
+    mealType: string({ required: true, enum: MEAL_TYPES }),
+    planned: mealDetails()
+  })
+};
+
+const updatePlanSchema = {
+  params: planParams,
+  body: object({
+    planned: mealDetails(),
+    actual: mealDetails(),
+    completed: boolean(),
+    completedDate: string({ format: 'date', nullable: true }),
+    completionType: string({ enum: ['as-planned', 'modified'], nullable: true }),
+    pantryDeductions: array(object({
+      pantryItemId: id({ required: true }),
+      portion: string({ required: true, enum: [...Object.keys(PORTION_FRACTIONS), 'custom'] }),
+      amount: number({ min: 0 }),
+      unit: string({ max: 20 })
+    }))
+  })
+};
+
+const planSchema = { params: planParams };
+
+const weekPlanSchema = {
+  params: homeParams,
+  body: object({
+    weekStart: string({ required: true, format: 'date' }),
+    ...weekPlanOptions
+  })
+};
+
+const weekPlanSlotSchema = {
+  params: homeParams,
+  body: object({
+    date: string({ required: true, format: 'date' }),
+    mealType: string({ required: true, enum: PLANNED_MEAL_TYPES }),
+    neighbors: array(object({
+      date: string({ required: true, format: 'date' }),
+      protein: string({ nullable: true, max: 100 }),
+      cuisine: string({ nullable: true, max: 100 })
+    }), { max: MAX_WEEK_SLOTS }),
+    avoidTitles: array(string({ max: MAX_AI_PROMPT_LENGTH }), { max: MAX_WEEK_SLOTS }),
+    reservedPantryItemIds: array(id()),
+    ...weekPlanOptions
+  })
+};
+
+const acceptWeekPlanSchema = {
+  params: homeParams,
+  body: object({
+    slots: array(object({
+      date: string({ required: true, format: 'date' }),
+      mealType: string({ required: true, enum: PLANNED_MEAL_TYPES }),
+      recipe: object({
+        title: string({ required: true, max: 200 })
+      }, { required: true, unknown: 'keep' }),
+      savedRecipeId: id({ nullable: true }),
+      protein: string({ nullable: true }),
+      cuisine: string({ nullable: true })
+    }), { required: true }),
+    servingSize: weekPlanOptions.servingSize
+  })
+};
+
+const logMealSchema = {
+  params: homeParams,
+  body: object({
+    date: string({ required: true, format: 'date' }),
+    mealType: string({ required: true, enum: MEAL_TYPES }),
+    description: string({ required: true, max: 500 }),
+    notes: string({ max: 500 })
+  })
+};
+
+/**
+ * Converts a meal plan document into the shape the planner API returns
+ * Timestamps become ISO strings.
+ * @private
+ */
+function serializeMealPlan(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    date: data.date.toDate().toISOString(),
+    createdAt: data.createdAt?.toDate?.()?.toISOString() || null,
+    updatedAt: data.updatedAt?.toDate?.()?.toISOString() || null,
+    actual: data.actual ? {
+      ...data.actual,
+      loggedAt: data.actual.loggedAt?.toDate?.()?.toISOString() || null
+    } : null
+  };
+}
+
+/**
+ * Creates the planner router (mounted at /api/planner)
+ *
+ * @param {Object} deps - Route dependencies
+ * @param {Object} deps.db - Firestore instance
+ * @param {Object} deps.genAI - AI provider (see config/ai.js)
+ * @param {Object} deps.homeEvents - Change feed (see services/homeEvents.js)
+ * @param {Function} deps.checkAuth - Authentication middleware
+ * @param {Function} deps.requireHomeMember - Home membership middleware (see middleware/homeAccess.js)
+ * @param {Function} deps.requireHomePermission - Role permission middleware factory (see middleware/homeAccess.js)
+ * @returns {express.Router} Router
+ */
+function createPlannerRouter({ db, genAI, homeEvents, checkAuth, requireHomeMember, requireHomePermission }) {
+  const router = express.Router();
+
+  // Get meal plans for a home within date range
+  router.get('/:homeId', checkAuth, validate(listPlansSchema), requireHomeMember, async (req, res) => {
+    try {
+      const { homeId } = req.params;
+      const { startDate, endDate } = req.query;
+      const userUid = req.user.uid;
+
+      // Build query
+      let query = db.collection('homes')
+        .doc(homeId)
+        .collection('meal_plans');
+
+      if (startDate) {
+        query = query.where('date', '>=', new Date(startDate));
+      }
+      if (endDate) {
+        query = query.where('date', '<=', new Date(endDate));
+      }
+
+      const mealPlansSnap = await query.orderBy('date', 'asc').get();
+
+      const mealPlans = mealPlansSnap.docs.map(serializeMealPlan);
+
+      req.log.debug({
+        homeId,
+        userId: userUid,
+        mealPlanCount: mealPlans.length,
+        dateRange: { startDate, endDate }
+      }, 'Meal plans fetched');
+      res.json(mealPlans);
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error fetching meal plans');
+      res.status(500).json({ error: 'Failed to fetch meal plans' });
+    }
+  });
+
+  // Nutrition dashboard: daily and per-member totals of eaten meals over a date range
+  router.get('/:homeId/nutrition', checkAuth, validate(dashboardSchema), requireHomeMember, async (req, res) => {
+    try {
+      const { homeId } = req.params;
+      const { startDate, endDate } = req.query;
+      const userUid = req.user.uid;
+
+      const rangeError = validateDashboardRange(startDate, endDate);
+      if (rangeError) {
+        return res.status(400).json({ error: rangeError });
+      }
+
+      const [mealPlansSnap, memberDocs] = await Promise.all([
+        db.collection('homes').doc(homeId).collection('meal_plans')
+          .where('date', '>=', new Date(startDate))
+          .where('date', '<=', new Date(endDate))
+          .get(),
+        Promise.all(Object.keys(req.home.data.members).map(memberId => db.collection('users').doc(memberId).get()))
+      ]);
+
+      const members = memberDocs
+        .filter(doc => doc.exists)
+        .map(doc => ({
+          id: doc.id,
+          name: doc.data().name,
+          nutritionTargets: doc.data().nutritionTargets || null
+        }));
+
+      const dashboard = buildNutritionDashboard({
+        mealPlans: mealPlansSnap.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+        members,
+        startDate,
+        endDate,
+        today: new Date().toISOString().split('T')[0]
+      });
+
+      req.log.debug({
+        homeId,
+        userId: userUid,
+        mealPlanCount: mealPlansSnap.size,
+        loggedDays: dashboard.summary.loggedDays
+      }, 'Nutrition dashboard built');
+      res.json(dashboard);
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error building nutrition dashboard');
+      res.status(500).json({ error: 'Failed to load nutrition dashboard' });
+    }
+  });
+
+  // Planned-vs-actual analytics: adherence, most-skipped recipes, empty meal types and variety
+  router.get('/:homeId/analytics', checkAuth, validate(dashboardSchema), requireHomeMember, async (req, res) => {
+    try {
+      const { homeId } = req.params;
+      const { startDate, endDate } = req.query;
+      const userUid = req.user.uid;
+
+      const rangeError = validateDashboardRange(startDate, endDate);
+      if (rangeError) {
+        return res.status(400).json({ error: rangeError });
+      }
+
+      const mealPlansSnap = await db.collection('homes').doc(homeId).collection('meal_plans')
+        .where('date', '>=', new Date(startDate))
+        .where('date', '<=', new Date(endDate))
+        .get();
+
+      const analytics = buildMealPlanAnalytics({
+        mealPlans: mealPlansSnap.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+        startDate,
+        endDate,
+        today: new Date().toISOString().split('T')[0]
+      });
+
+      req.log.debug({
+        homeId,
+        userId: userUid,
+        mealPlanCount: mealPlansSnap.size,
+        asPlannedRate: analytics.adherence.asPlannedRate
+      }, 'Meal plan analytics built');
+      res.json(analytics);
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error building meal plan analytics');
+      res.status(500).json({ error: 'Failed to load meal plan analytics' });
+    }
+  });
+
+  // Create a new meal plan
+  router.post('/:homeId', checkAuth, validate(createPlanSchema), requireHomePermission('planner:edit'), async (req, res) => {
+    try {
+      const { homeId } = req.params;
+      const { date, mealType, planned } = req.body;
+      const userUid = req.user.uid;
+
+      req.log.debug({
+        homeId,
+        date,
+        mealType,
+        planned: planned ? { recipeName: planned.recipeName, recipeId: planned.recipeId } : null,
+        userUid
+      }, 'Planner POST Request');
+
+      // Check if meal plan already exists for this date/meal type
+      const queryDate = new Date(date);
+      req.log.debug({ date, queryDate, mealType }, 'Checking for existing meal plan');
+
+      const existingQuery = await db.collection('homes')
+        .doc(homeId)
+        .collection('meal_plans')
+        .where('date', '==', queryDate)
+        .where('mealType', '==', mealType)
+        .get();
+
+      req.log.debug({
+        isEmpty: existingQuery.empty,
+        size: existingQuery.size,
+        docs: existingQuery.docs.map(doc => ({
+          id: doc.id,
+          date: doc.data().date?.toDate?.()?.toISOString() || doc.data().date,
+          mealType: doc.data().mealType
+        }))
+      }, 'Existing query results');
+
+      if (!existingQuery.empty) {
+        req.log.warn({ homeId, date, mealType }, 'Conflict: Meal plan already exists');
+        return res.status(409).json({ error: 'Meal plan already exists for this date and meal type' });
+      }
+
+      // Copy the saved recipe's nutrition onto the plan when the client didn't send it
+      let plannedData = planned || null;
+      if (plannedData?.recipeId && plannedData.nutrition === undefined) {
+        const recipeDoc = await db.collection('homes').doc(homeId).collection('recipes').doc(plannedData.recipeId).get();
+        plannedData = {
+          ...plannedData,
+          nutrition: recipeDoc.exists ? recipeDoc.data().nutrition || null : null
+        };
+      }
+
+      const mealPlan = {
+        date: queryDate,
+        mealType,
+        planned: plannedData,
+        actual: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        createdBy: userUid,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      req.log.debug({
+        date: queryDate,
+        mealType,
+        plannedRecipeName: planned?.recipeName
+      }, 'Creating meal plan');
+
+      const docRef = await db.collection('homes')
+        .doc(homeId)
+        .collection('meal_plans')
+        .add(mealPlan);
+
+      const response = serializeMealPlan(await docRef.get());
+      homeEvents.publish(homeId, { collection: 'planner', upserted: [response], actorId: userUid });
+
+      req.log.info({
+        id: docRef.id,
+        recipeName: response.planned?.recipeName
+      }, 'Meal plan created successfully');
+
+      res.status(201).json(response);
+    } catch (error) {
+      req.log.error({ err: error }, 'Error creating meal plan');
+      res.status(500).json({ error: 'Failed to create meal plan' });
+    }
+  });
+
+  // Update a meal plan (for logging actual meals)
+  router.put('/:homeId/:planId', checkAuth, validate(updatePlanSchema), requireHomePermission('planner:edit'), async (req, res) => {
+    try {
+      const { homeId, planId } = req.params;
+      const { planned, actual, completed, completedDate, completionType, pantryDeductions } = req.body;
+      const userUid = req.user.uid;
+
+      // Get current meal plan
+      const mealPlanRef = db.collection('homes').doc(homeId).collection('meal_plans').doc(planId);
+      const mealPlanDoc = await mealPlanRef.get();
+
+      if (!mealPlanDoc.exists) {
+        return res.status(404).json({ error: 'Meal plan not found' });
+      }
+
+      const updateData = {
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      if (planned !== undefined) {
+        updateData.planned = planned;
+      }
+
+      if (actual !== undefined) {
+        updateData.actual = actual ? {
+          ...actual,
+          loggedAt: admin.firestore.FieldValue.serverTimestamp()
+        } : null;
+
+        // Meals eaten as planned reuse the plan's nutrition; anything else is estimated from the description
+        if (actual && actual.nutrition === undefined) {
+          const plannedNutrition = (planned || mealPlanDoc.data().planned)?.nutrition || null;
+          updateData.actual.nutrition = completionType === 'as-planned'
+            ? plannedNutrition
+            : await estimateMealNutrition(actual.description || actual.recipeName, genAI, req.log);
+        }
+      }
+
+      // Handle completion fields
+      if (completed !== undefined) {
+        updateData.completed = completed;
+      }
+
+      if (completedDate !== undefined) {
+        updateData.completedDate = completedDate;
+      }
+
+      if (completionType !== undefined) {
+        updateData.completionType = completionType;
+      }
+
+      // Apply confirmed pantry deductions when a meal is completed as planned (once per meal)
+      const wantsDeduction = completed === true &&
+        completionType === 'as-planned' &&
+        Array.isArray(pantryDeductions) &&
+        pantryDeductions.length > 0;
+
+      // The flag check, the deduction and the plan update commit together, so a
+      // double submit can't deduct twice and a failed update can't deduct at all
+      const result = await db.runTransaction(async (transaction) => {
+        const currentPlan = await transaction.get(mealPlanRef);
+        if (!currentPlan.exists) return { status: 'missing' };
+
+        const update = { ...updateData };
+        let deduction = null;
+        if (wantsDeduction && !currentPlan.data().pantryDeducted) {
+          deduction = await applyPantryDeductions(
+            transaction,
+            db,
+            homeId,
+            pantryDeductions,
+            { userUid, mealPlanId: planId },
+            req.log
+          );
+          update.pantryDeducted = true;
+          update.pantryConsumptionLogIds = deduction.consumptionLogs.map(log => log.id);
+        }
+
+        transaction.update(mealPlanRef, update);
+        return { status: 'updated', deduction };
+      });
+
+      if (result.status === 'missing') {
+        return res.status(404).json({ error: 'Meal plan not found' });
+      }
+      const pantryDeduction = result.deduction;
+
+      const updatedPlan = serializeMealPlan(await mealPlanRef.get());
+      homeEvents.publish(homeId, { collection: 'planner', upserted: [updatedPlan], actorId: userUid });
+
+      if (pantryDeduction) {
+        const pantryChanges = await loadDocumentChanges(
+          db.collection('homes').doc(homeId).collection('pantry_items'),
+          pantryDeduction.consumptionLogs.map(log => log.pantryItemId),
+          serializePantryItem
+        );
+        homeEvents.publish(homeId, { collection: 'pantry', ...pantryChanges, actorId: userUid });
+      }
+
+      res.json({
+        ...updatedPlan,
+        ...(pantryDeduction && { pantryDeduction })
+      });
+      req.log.info({
+        homeId: req.params.homeId,
+        userId: req.user.uid,
+        planId: req.params.planId,
+        hasPlanned: !!planned,
+        hasActual: !!actual,
+        completed,
+        itemsDeducted: pantryDeduction?.consumptionLogs.length || 0
+      }, 'Meal plan updated');
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, planId: req.params.planId, userId: req.user.uid }, 'Error updating meal plan');
+      res.status(500).json({ error: 'Failed to update meal plan' });
+    }
+  });
+
+  // Preview pantry deductions for completing a planned meal
+  router.post('/:homeId/:planId/deduction-preview', checkAuth, validate(planSchema), requireHomePermission('planner:edit'), aiRateLimiter, async (req, res) => {
+    try {
+      const { homeId, planId } = req.params;
+      const userUid = req.user.uid;
+
+      const mealPlanDoc = await db.collection('homes').doc(homeId).collection('meal_plans').doc(planId).get();
+      if (!mealPlanDoc.exists) {
+        return res.status(404).json({ error: 'Meal plan not found' });
+      }
+
+      const mealPlan = mealPlanDoc.data();
+      if (mealPlan.pantryDeducted) {
+        return res.json({ alreadyDeducted: true, scale: 1, deductions: [] });
+      }
+
+      // Prefer the saved recipe for ingredients and its base serving count
+      let ingredients = mealPlan.planned?.ingredients || [];
+      let recipeServings = null;
+      if (mealPlan.planned?.recipeId) {
+        const recipeDoc = await db.collection('homes').doc(homeId).collection('recipes').doc(mealPlan.planned.recipeId).get();
+        if (recipeDoc.exists) {
+          const recipe = recipeDoc.data();
+          if (Array.isArray(recipe.ingredients) && recipe.ingredients.length > 0) {
+            ingredients = recipe.ingredients;
+          }
+          recipeServings = parseInt(recipe.servings) || null;
+        }
+      }
+
+      if (ingredients.length === 0) {
+        return res.json({ alreadyDeducted: false, scale: 1, deductions: [] });
+      }
+
+      const plannedServings = parseInt(mealPlan.planned?.servings) || null;
+      const scale = plannedServings && recipeServings ? plannedServings / recipeServings : 1;
+
+      const pantrySnapshot = await db.collection('homes')
+        .doc(homeId)
+        .collection('pantry_items')
+        .get();
+
+      const pantryItems = pantrySnapshot.docs.map(doc => ({
+        id: doc.id,
+        name: doc.data().name,
+        quantity: doc.data().quantity,
+        amount: doc.data().amount,
+        unit: doc.data().unit
+      }));
+
+      const { pantryMatches } = await matchIngredientsToPantry(ingredients, pantryItems, genAI, req.log);
+      const deductions = buildDeductionPreview(pantryMatches, pantryItems, scale);
+
+      req.log.info({
+        homeId,
+        userId: userUid,
+        planId,
+        ingredientCount: ingredients.length,
+        matchCount: pantryMatches.length,
+        scale
+      }, 'Pantry deduction preview generated');
+
+      res.json({ alreadyDeducted: false, scale, deductions });
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, planId: req.params.planId, userId: req.user.uid }, 'Error generating deduction preview');
+      res.status(500).json({ error: 'Failed to preview pantry deductions' });
+    }
+  });
+
+  // Generate recipe proposals for every empty breakfast/lunch/dinner slot in a week
+  router.post('/:homeId/week-plan', checkAuth, validate(weekPlanSchema), requireHomePermission('planner:edit'), aiRateLimiter, async (req, res) => {
+    try {
+      const { homeId } = req.params;
+      const { weekStart, servingSize, quickMealsOnly, preferences, cuisines, proteins } = req.body;
+      const userUid = req.user.uid;
+
+      const homeRef = db.collection('homes').doc(homeId);
+      const weekEnd = new Date(weekStart);
+      weekEnd.setUTCDate(weekEnd.getUTCDate() + 6);
+
+      const mealPlansSnap = await homeRef.collection('meal_plans')
+        .where('date', '>=', new Date(weekStart))
+        .where('date', '<=', weekEnd)
+        .get();
+
+      const existingPlans = mealPlansSnap.docs.map(doc => {
+        const data = doc.data();
+        return {
+          date: data.date.toDate().toISOString().split('T')[0],
+          mealType: data.mealType,
+          recipeName: data.planned?.recipeName || data.planned?.description || null
+        };
+      });
+
+      // Every empty slot is its own AI call; aiRateLimiter has counted the first
+      const slotCount = findEmptySlots(weekStart, existingPlans).length;
+      if (!(await chargeAiRequests(req, slotCount - 1))) {
+        return res.status(429).json({
+          error: `Planning ${slotCount} meals needs more AI requests than you have left this hour. Please try again later.`
+        });
+      }
+
+      const pantrySnapshot = await homeRef.collection('pantry_items').get();
+      const pantryItems = pantrySnapshot.docs.map(doc => {
+        const data = doc.data();
+        const daysUntilExpiry = data.expiresAt
+          ? Math.ceil((data.expiresAt.toDate() - new Date()) / (1000 * 60 * 60 * 24))
+          : null;
+
+        return {
+          id: doc.id,
+          name: data.name,
+          quantity: data.quantity,
+          location: data.location,
+          daysUntilExpiry
+        };
+      });
+
+      req.log.info({
+        userId: userUid,
+        homeId,
+        weekStart,
+        existingMealCount: existingPlans.length,
+        pantryItemCount: pantryItems.length
+      }, 'Generating week plan');
+
+      const dietaryProfile = await loadHouseholdDietaryProfile(db, homeId, userUid);
+
+      const slots = await generateWeekPlan({
+        weekStart,
+        today: new Date().toISOString().split('T')[0],
+        existingPlans,
+        pantryItems,
+        proteins: proteins || [],
+        cuisines: cuisines || [],
+        servingSize: servingSize || 2,
+        quickMealsOnly: quickMealsOnly || false,
+        preferences: preferences || [],
+        dietaryProfile
+      }, genAI, req.log);
+
+      res.json({ weekStart, slots });
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error generating week plan');
+      res.status(500).json({ error: 'Failed to generate week plan' });
+    }
+  });
+
+  // Regenerate a single week plan slot
+  router.post('/:homeId/week-plan/slot', checkAuth, validate(weekPlanSlotSchema), requireHomePermission('planner:edit'), aiRateLimiter, async (req, res) => {
+    try {
+      const { homeId } = req.params;
+      const {
+        date,
+        mealType,
+        neighbors,
+        avoidTitles,
+        reservedPantryItemIds,
+        servingSize,
+        quickMealsOnly,
+        preferences,
+        cuisines,
+        proteins
+      } = req.body;
+      const userUid = req.user.uid;
+
+      const pantrySnapshot = await db.collection('homes').doc(homeId).collection('pantry_items').get();
+      const pantryItems = pantrySnapshot.docs.map(doc => {
+        const data = doc.data();
+        const daysUntilExpiry = data.expiresAt
+          ? Math.ceil((data.expiresAt.toDate() - new Date()) / (1000 * 60 * 60 * 24))
+          : null;
+
+        return {
+          id: doc.id,
+          name: data.name,
+          quantity: data.quantity,
+          location: data.location,
+          daysUntilExpiry
+        };
+      });
+
+      const dietaryProfile = await loadHouseholdDietaryProfile(db, homeId, userUid);
+
+      // Neighboring slots (including this slot's previous proposal) steer variety away from repeats
+      const [slot] = assignVariety([{ date, mealType }], {
+        proteins: proteins || [],
+        cuisines: cuisines || [],
+        existingPlans: neighbors || [],
+        dietaryProfile
+      });
+      const [slotPantryItems] = assignPantryItems(
+        [slot],
+        pantryItems,
+        new Date().toISOString().split('T')[0],
+        reservedPantryItemIds || []
+      );
+
+      const proposal = await generateSlotRecipe({ ...slot, pantryItems: slotPantryItems }, {
+        servingSize: servingSize || 2,
+        quickMealsOnly: quickMealsOnly || false,
+        preferences: preferences || [],
+        avoidTitles: avoidTitles || [],
+        dietaryProfile
+      }, genAI, req.log);
+
+      req.log.info({
+        userId: userUid,
+        homeId,
+        date,
+        mealType,
+        protein: proposal.protein,
+        cuisine: proposal.cuisine,
+        generated: !!proposal.recipe
+      }, 'Week plan slot regenerated');
+
+      res.json({ slot: proposal });
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error regenerating week plan slot');
+      res.status(500).json({ error: 'Failed to regenerate meal' });
+    }
+  });
+
+  // Save accepted week plan slots as recipes and meal plans
+  router.post('/:homeId/week-plan/accept', checkAuth, validate(acceptWeekPlanSchema), requireHomePermission('planner:edit'), async (req, res) => {
+    try {
+      const { homeId } = req.params;
+      const { slots, servingSize } = req.body;
+      const userUid = req.user.uid;
+
+      // Recipes come back from the client, so they are checked against the household again
+      const dietaryProfile = await loadHouseholdDietaryProfile(db, homeId, userUid);
+      const violations = slots.flatMap(({ date, mealType, recipe }) =>
+        findAllergenViolations(recipe, dietaryProfile).map(violation => ({ date, mealType, ...violation }))
+      );
+      if (violations.length > 0) {
+        req.log.warn({ homeId, userId: userUid, violations }, 'Accepted week plan contains declared allergens');
+        return res.status(400).json({
+          error: `These recipes contain ${[...new Set(violations.map(violation => violation.allergen))].join(', ')}`,
+          violations
+        });
+      }
+
+      const homeRef = db.collection('homes').doc(homeId);
+      const created = [];
+      const conflicts = [];
+
+      for (const slot of slots) {
+        const { date, mealType, recipe, savedRecipeId, protein, cuisine } = slot;
+
+        // The slot may have been filled while the user was reviewing
+        const queryDate = new Date(date);
+        const existingQuery = await homeRef.collection('meal_plans')
+          .where('date', '==', queryDate)
+          .where('mealType', '==', mealType)
+          .get();
+
+        if (!existingQuery.empty) {
+          conflicts.push({ date, mealType });
+          continue;
+        }
+
+        // Generated recipes are saved so the meal keeps its ingredients and instructions
+        let recipeId = savedRecipeId || null;
+        if (!recipeId) {
+          const recipeRef = await homeRef.collection('recipes').add({
+            ...recipe,
+            generationMode: 'week-plan',
+            savedAt: new Date().toISOString(),
+            savedBy: userUid
+          });
+          recipeId = recipeRef.id;
+        }
+
+        const mealPlan = {
+          date: queryDate,
+          mealType,
+          planned: {
+            recipeId,
+            recipeName: recipe.title,
+            ingredients: recipe.ingredients || [],
+            servings: parseInt(recipe.servings) || servingSize || 2,
+            cookingTime: recipe.cookingTime || recipe.cookTime || null,
+            description: recipe.description || '',
+            nutrition: recipe.nutrition || null,
+            protein: protein || null,
+            cuisine: cuisine || null,
+            source: 'week-plan'
+          },
+          actual: null,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          createdBy: userUid,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        const docRef = await homeRef.collection('meal_plans').add(mealPlan);
+
+        created.push({
+          id: docRef.id,
+          ...mealPlan,
+          date: queryDate.toISOString(),
+          createdAt: new Date().toISOString(), // Approximate timestamp
+          updatedAt: new Date().toISOString()
+        });
+      }
+
+      homeEvents.publish(homeId, { collection: 'planner', upserted: created, actorId: userUid });
+
+      req.log.info({
+        userId: userUid,
+        homeId,
+        requestedCount: slots.length,
+        createdCount: created.length,
+        conflictCount: conflicts.length
+      }, 'Week plan accepted');
+
+      res.status(201).json({ mealPlans: created, conflicts });
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error accepting week plan');
+      res.status(500).json({ error: 'Failed to save week plan' });
+    }
+  });
+
+  // Delete a meal plan
+  router.delete('/:homeId/:planId', checkAuth, validate(planSchema), requireHomePermission('planner:delete'), async (req, res) => {
+    try {
+      const { homeId, planId } = req.params;
+
+      const mealPlanRef = db.collection('homes').doc(homeId).collection('meal_plans').doc(planId);
+      const mealPlanDoc = await mealPlanRef.get();
+
+      if (!mealPlanDoc.exists) {
+        return res.status(404).json({ error: 'Meal plan not found' });
+      }
+
+      await mealPlanRef.delete();
+      homeEvents.publish(homeId, { collection: 'planner', deleted: [planId], actorId: req.user.uid });
+      req.log.info({ homeId: req.params.homeId, userId: req.user.uid, planId: req.params.planId }, 'Meal plan deleted');
+      res.json({ success: true });
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, planId: req.params.planId, userId: req.user.uid }, 'Error deleting meal plan');
+      res.status(500).json({ error: 'Failed to delete meal plan' });
+    }
+  });
+
+  // Simple meal logging endpoint
+  router.post('/:homeId/log-meal', checkAuth, validate(logMealSchema), requireHomePermission('planner:edit'), aiRateLimiter, async (req, res) => {
+    try {
+      const { homeId } = req.params;
+      const { date, mealType, description, notes } = req.body;
+      const userUid = req.user.uid;
+
+      const nutrition = await estimateMealNutrition(description, genAI, req.log);
+
+      // Check if meal plan already exists for this date/meal type
+      const existingQuery = await db.collection('homes')
+        .doc(homeId)
+        .collection('meal_plans')
+        .where('date', '==', new Date(date))
+        .where('mealType', '==', mealType)
+        .get();
+
+      if (!existingQuery.empty) {
+        // Update existing meal plan's actual section
+        const existingDoc = existingQuery.docs[0];
+
+        await existingDoc.ref.update({
+          actual: {
+            description,
+            notes: notes || '',
+            nutrition,
+            loggedAt: admin.firestore.FieldValue.serverTimestamp(),
+            madeAsPlanned: false
+          },
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        const updatedPlan = serializeMealPlan(await existingDoc.ref.get());
+        homeEvents.publish(homeId, { collection: 'planner', upserted: [updatedPlan], actorId: userUid });
+
+        return res.json(updatedPlan);
+      } else {
+        // Create new meal plan with actual meal logged
+        const mealPlan = {
+          date: new Date(date),
+          mealType,
+          planned: null,
+          actual: {
+            description,
+            notes: notes || '',
+            nutrition,
+            loggedAt: admin.firestore.FieldValue.serverTimestamp(),
+            madeAsPlanned: false
+          },
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          createdBy: userUid,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        const docRef = await db.collection('homes')
+          .doc(homeId)
+          .collection('meal_plans')
+          .add(mealPlan);
+
+        const createdPlan = serializeMealPlan(await docRef.get());
+        homeEvents.publish(homeId, { collection: 'planner', upserted: [createdPlan], actorId: userUid });
+
+        req.log.info({ homeId: req.params.homeId, userId: req.user.uid, date, mealType, description }, 'Meal logged');
+
+        return res.status(201).json(createdPlan);
+      }
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.params.homeId, userId: req.user.uid }, 'Error logging meal');
+      res.status(500).json({ error: 'Failed to log meal' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createPlannerRouter
+};
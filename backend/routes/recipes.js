@@ -0,0 +1,105 @@
+// recipes.js - Saved recipe routes
+
+const express = require('express');
+const { estimateRecipeNutrition } = require('../services/nutrition');
+const { validate } = require('../middleware/validate');
+const { object, string, array, any, id } = require('../utils/schema');
+
+// --- Request Schemas ---
+const listRecipesSchema = {
+  body: object({
+    homeId: id({ required: true })
+  })
+};
+
+// Recipes come straight from the AI generators, so fields beyond the basics are kept as-is
+const saveRecipeSchema = {
+  body: object({
+    homeId: id({ required: true }),
+    recipe: object({
+      title: string({ required: true, max: 200 }),
+      ingredients: array(any()),
+      instructions: array(any())
+    }, { required: true, unknown: 'keep' })
+  })
+};
+
+const deleteRecipeSchema = {
+  params: object({
+    recipeId: id({ required: true })
+  }),
+  query: object({
+    homeId: id({ required: true })
+  })
+};
+
+/**
+ * Creates the recipes router (mounted at /api/recipes)
+ *
+ * @param {Object} deps - Route dependencies
+ * @param {Function} deps.checkAuth - Authentication middleware
+ * @param {Function} deps.requireHomeMember - Home membership middleware (see middleware/homeAccess.js)
+ * @param {Function} deps.requireHomePermission - Role permission middleware factory (see middleware/homeAccess.js)
+ * @returns {express.Router} Router
+ */
+function createRecipesRouter({ checkAuth, requireHomeMember, requireHomePermission }) {
+  const router = express.Router();
+
+  router.post('/list', checkAuth, validate(listRecipesSchema), requireHomeMember, async (req, res) => {
+    try {
+      const homeId = req.home.id;
+      req.log.debug({ homeId, userId: req.user.uid }, 'Fetching recipes list');
+
+      const recipesSnapshot = await req.home.ref.collection('recipes').get();
+      const recipeList = recipesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+      req.log.info({ homeId, userId: req.user.uid, recipeCount: recipeList.length }, 'Recipes fetched successfully');
+      res.json({ recipes: recipeList });
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.body.homeId, userId: req.user.uid }, 'Error fetching recipes');
+      res.status(500).json({ error: 'Failed to fetch recipes' });
+    }
+  });
+
+  router.post('/save', checkAuth, validate(saveRecipeSchema), requireHomePermission('recipes:save'), async (req, res) => {
+    try {
+      const { recipe } = req.body;
+      const homeId = req.home.id;
+
+      // Add timestamp for proper sorting; recipes saved without nutrition get a table-only estimate
+      const recipeWithTimestamp = {
+        ...recipe,
+        nutrition: recipe.nutrition || await estimateRecipeNutrition(recipe, null, req.log),
+        savedAt: new Date().toISOString(),
+        savedBy: req.user.uid
+      };
+
+      const docRef = await req.home.ref.collection('recipes').add(recipeWithTimestamp);
+      req.log.info({ homeId, userId: req.user.uid, recipeTitle: recipe.title, recipeId: docRef.id }, 'Recipe saved');
+      res.status(201).json({ id: docRef.id, ...recipeWithTimestamp });
+    } catch (error) {
+      req.log.error({ err: error, homeId: req.body.homeId, userId: req.user.uid }, 'Error saving recipe');
+      res.status(500).json({ error: 'Failed to save recipe' });
+    }
+  });
+
+  router.delete('/:recipeId', checkAuth, validate(deleteRecipeSchema), requireHomePermission('recipes:delete'), async (req, res) => {
+    try {
+      const { recipeId } = req.params;
+      const homeId = req.home.id;
+
+      await req.home.ref.collection('recipes').doc(recipeId).delete();
+      req.log.info({ homeId, userId: req.user.uid, recipeId }, 'Recipe deleted');
+      res.json({ success: true });
+    } catch (error) {
+      req.log.error({ err: error, recipeId: req.params.recipeId, userId: req.user.uid }, 'Error deleting recipe');
+      res.status(500).json({ error: 'Failed to delete recipe' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createRecipesRouter
+};
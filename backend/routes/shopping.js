@@ -0,0 +1,1180 @@
+// shopping.js - Shopping list routes
+
+const express = require('express');
+const admin = require('firebase-admin');
+const { SHOPPING_CATEGORIES, parseShoppingListItem } = require('../services/shoppingListAI');
+const { buildShoppingItemsFromMealPlans } = require('../services/mealPlanShopping');
+const { loadPantryForecast } = require('../services/pantryForecast');
+const { putAwayCheckedItems } = require('../services/groceryPutAway');
+const { serializePantryItem } = require('../services/pantryInventory');
+const { loadDocumentChanges } = require('../services/homeEvents');
+const {
+  getShoppingListRef,
+  getShoppingItemsRef,
+  readShoppingItem,
+  touchShoppingList,
+  ensureShoppingListMigrated,
+  DEFAULT_SHOPPING_LIST_ID,
+  DEFAULT_SHOPPING_LIST_NAME,
+  getNamedListsRef,
+  getStoreLayoutsRef,
+  shoppingListExists
+} = require('../services/shoppingListStore');
+const { aiRateLimiter } = require('../middleware/rateLimiter');
+const { validate } = require('../middleware/validate');
+const { object, string, number, boolean, array, id } = require('../utils/schema');
+
+// --- Constants ---
+const MAX_SHOPPING_LISTS = 20; // Named lists per home, besides the default list
+const MAX_STORE_LAYOUTS = 20; // Store layouts per home
+const MAX_STORE_AISLES = 50; // Aisles per store layout
+
+// --- Request Schemas ---
+const homeParams = object({
+  homeId: id({ required: true })
+});
+
+// Routes for "the list" also answer under /lists/:listId; without it they use the default list
+const listParams = object({
+  homeId: id({ required: true }),
+  listId: id()
+});
+
+const namedListParams = object({
+  homeId: id({ required: true }),
+  listId: id({ required: true })
+});
+
+const itemParams = object({
+  homeId: id({ required: true }),
+  itemId: id({ required: true })
+});
+
+const homeSchema = { params: homeParams };
+const listSchema = { params: listParams };
+
+// Offline clients generate the item id so a replayed add is not stored twice
+const addItemSchema = {
+  params: listParams,
+  body: object({
+    id: id(),
+    text: string({ required: true, max: 200 }),
+    changedAt: string({ format: 'datetime' })
+  })
+};
+
+const fromMealPlanSchema = {
+  params: homeParams,
+  body: object({
+    startDate: string({ required: true, format: 'date' }),
+    endDate: string({ required: true, format: 'date' }),
+    listId: id()
+  })
+};
+
+const fromForecastSchema = {
+  params: homeParams,
+  body: object({
+    pantryItemIds: array(id(), { required: true }),
+    listId: id()
+  })
+};
+
+const updateItemSchema = {
+  params: itemParams,
+  body: object({
+    name: string({ min: 1, max: 100 }),
+    quantity: number({ min: 0 }),
+    unit: string({ max: 20 }),
+    category: string({ enum: SHOPPING_CATEGORIES }),
+    changedAt: string({ format: 'datetime' })
+  })
+};
+
+const checkItemSchema = {
+  params: itemParams,
+  body: object({
+    checked: boolean({ required: true }),
+    changedAt: string({ format: 'datetime' })
+  })
+};
+
+const deleteItemSchema = {
+  params: itemParams,
+  query: object({
+    changedAt: string({ format: 'datetime' })
+  })
+};
+
+const listNameSchema = object({
+  name: string({ required: true, min: 1, max: 50 })
+});
+
+const createListSchema = {
+  params: homeParams,
+  body: listNameSchema
+};
+
+const renameListSchema = {
+  params: namedListParams,
+  body: listNameSchema
+};
+
+const deleteListSchema = { params: namedListParams };
+
+// A store's aisles in walking order; each category belongs to at most one aisle
+const storeLayoutBody = object({
+  name: string({ required: true, min: 1, max: 50 }),
+  aisles: array(object({
+    name: string({ required: true, min: 1, max: 50 }),
+    categories: array(string({ enum: SHOPPING_CATEGORIES }), { required: true, max: SHOPPING_CATEGORIES.length })
+  }), { required: true, min: 1, max: MAX_STORE_AISLES })
+});
+
+const storeLayoutParams = object({
+  homeId: id({ required: true }),
+  layoutId: id({ required: true })
+});
+
+const createStoreLayoutSchema = {
+  params: homeParams,
+  body: storeLayoutBody
+};
+
+const updateStoreLayoutSchema = {
+  params: storeLayoutParams,
+  body: storeLayoutBody
+};
+
+const deleteStoreLayoutSchema = { params: storeLayoutParams };
+
+const moveItemSchema = {
+  params: itemParams,
+  body: object({
+    listId: id({ required: true })
+  })
+};
+
+/**
+ * Route paths for the default list and the same path under /lists/:listId
+ * @private
+ */
+function listPaths(suffix = '') {
+  return [`/:homeId${suffix}`, `/:homeId/lists/:listId${suffix}`];
+}
+
+/**
+ * The default list, which has no document of its own
+ * @private
+ */
+function defaultShoppingList() {
+  return { id: DEFAULT_SHOPPING_LIST_ID, name: DEFAULT_SHOPPING_LIST_NAME, isDefault: true };
+}
+
+/**
+ * Converts a named list document into the shape the API returns
+ * @private
+ */
+function serializeShoppingList(listId, data) {
+  return {
+    id: listId,
+    name: data.name,
+    isDefault: false,
+    createdBy: data.createdBy,
+    createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : data.createdAt
+  };
+}
+
+/**
+ * Converts a store layout document into the shape the API returns
+ * @private
+ */
+function serializeStoreLayout(layoutId, data) {
+  return {
+    id: layoutId,
+    name: data.name,
+    aisles: data.aisles || [],
+    createdBy: data.createdBy,
+    createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : data.createdAt,
+    updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate().toISOString() : data.updatedAt
+  };
+}
+
+/**
+ * Trims aisle names and drops repeated categories within an aisle
+ * @private
+ */
+function normalizeAisles(aisles) {
+  return aisles.map(aisle => ({
+    name: aisle.name.trim(),
+    categories: [...new Set(aisle.categories)]
+  }));
+}
+
+/**
+ * Finds a category mapped to more than one aisle, if any
+ * @private
+ */
+function findRepeatedCategory(aisles) {
+  const seen = new Set();
+  for (const category of aisles.flatMap(aisle => aisle.categories)) {
+    if (seen.has(category)) return category;
+    seen.add(category);
+  }
+  return null;
+}
+
+/**
+ * Converts a stored shopping list item into the shape the API returns
+ * @private
+ */
+function serializeShoppingItem(item) {
+  return {
+    ...item,
+    addedAt: item.addedAt?.toDate ? item.addedAt.toDate().toISOString() : item.addedAt,
+    updatedAt: item.updatedAt?.toDate ? item.updatedAt.toDate().toISOString() : item.updatedAt
+  };
+}
+
+/**
+ * Checks whether an item changed on the server after a client made its change
+ * Clients replaying offline edits send `changedAt` (when the user made the edit);
+ * the later change wins. Requests without it always apply.
+ * @private
+ */
+function isStaleChange(item, changedAt) {
+  if (!changedAt) return false;
+
+  const lastChange = item.updatedAt || item.addedAt;
+  if (!lastChange) return false;
+
+  const lastChangeMs = lastChange.toDate ? lastChange.toDate().getTime() : new Date(lastChange).getTime();
+  return lastChangeMs > new Date(changedAt).getTime();
+}
+
+/**
+ * Timestamp to record for a change: when the client made it (offline replays),
+ * but never later than now
+ * @private
+ */
+function changeTimestamp(changedAt) {
+  const now = admin.firestore.Timestamp.now();
+  if (!changedAt) return now;
+
+  const changedTime = new Date(changedAt);
+  return changedTime < now.toDate() ? admin.firestore.Timestamp.fromDate(changedTime) : now;
+}
+
+/**
+ * Responds 409 with the server's copy of an item so the client can adopt it
+ * @private
+ */
+function sendConflict(req, res, item) {
+  req.log.info({ userId: req.user.uid, itemId: item.id }, 'Stale shopping list change rejected');
+  return res.status(409).json({
+    error: 'Item was changed by someone else',
+    item: serializeShoppingItem(item)
+  });
+}
+
+/**
+ * Creates the shopping list router (mounted at /api/shopping-list)
+ *
+ * @param {Object} deps - Route dependencies
+ * @param {Object} deps.db - Firestore instance
+ * @param {Object} deps.genAI - AI provider (see config/ai.js)
+ * @param {Object} deps.homeEvents - Change feed (see services/homeEvents.js)
+ * @param {Function} deps.checkAuth - Authentication middleware
+ * @param {Function} deps.requireHomeMember - Home membership middleware (see middleware/homeAccess.js)
+ * @param {Function} deps.requireHomePermission - Role permission middleware factory (see middleware/homeAccess.js)
+ * @returns {express.Router} Router
+ */
+function createShoppingRouter({ db, genAI, homeEvents, checkAuth, requireHomeMember, requireHomePermission }) {
+  const router = express.Router();
+
+  // Lists still stored as a single array are moved to per-item documents on first use
+  const migrateLegacyList = async (req, res, next) => {
+    try {
+      await ensureShoppingListMigrated(db, req.params.homeId);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Resolves the list a request works on (:listId, a body listId, or the default list)
+  const resolveList = async (req, res, next) => {
+    try {
+      const listId = req.params.listId || req.body?.listId || DEFAULT_SHOPPING_LIST_ID;
+
+      if (!(await shoppingListExists(db, req.params.homeId, listId))) {
+        return res.status(404).json({ error: 'Shopping list not found' });
+      }
+
+      req.shoppingListId = listId;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Updates one item in a transaction, so concurrent edits can't interleave
+   * Resolves to { status: 'updated' | 'missing' | 'conflict', item }.
+   */
+  const updateItem = (homeId, itemId, changedAt, fields) => {
+    const itemRef = getShoppingItemsRef(db, homeId).doc(itemId);
+
+    return db.runTransaction(async (transaction) => {
+      const itemDoc = await transaction.get(itemRef);
+      if (!itemDoc.exists) return { status: 'missing' };
+
+      const item = readShoppingItem(itemDoc);
+      if (isStaleChange(item, changedAt)) return { status: 'conflict', item };
+
+      const changes = { ...fields, updatedAt: changeTimestamp(changedAt) };
+      transaction.update(itemRef, changes);
+      touchShoppingList(transaction, db, homeId);
+
+      return { status: 'updated', item: { ...item, ...changes } };
+    });
+  };
+
+  // GET shopping list for a home
+  router.get(listPaths(), checkAuth, validate(listSchema), requireHomeMember, migrateLegacyList, resolveList, async (req, res) => {
+    try {
+      const userUid = req.user.uid;
+      const { homeId } = req.params;
+      const listId = req.shoppingListId;
+
+      const [listDoc, itemsSnap] = await Promise.all([
+        getShoppingListRef(db, homeId).get(),
+        getShoppingItemsRef(db, homeId).get()
+      ]);
+
+      // Convert Firestore timestamps to ISO strings for all items, oldest first
+      const items = itemsSnap.docs
+        .map(readShoppingItem)
+        .filter(item => item.listId === listId)
+        .map(serializeShoppingItem)
+        .sort((a, b) => (a.addedAt || '').localeCompare(b.addedAt || ''));
+
+      req.log.info({
+        userId: userUid,
+        homeId,
+        listId,
+        itemCount: items.length
+      }, 'Shopping list fetched');
+
+      res.json({
+        listId,
+        items,
+        lastUpdated: listDoc.exists ? listDoc.data().lastUpdated?.toDate().toISOString() || null : null
+      });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error fetching shopping list');
+      res.status(500).json({ error: 'Failed to fetch shopping list' });
+    }
+  });
+
+  // POST - Add item to shopping list with AI parsing
+  router.post(listPaths('/items'), checkAuth, validate(addItemSchema), requireHomePermission('shopping:add'), migrateLegacyList, resolveList, aiRateLimiter, async (req, res) => {
+    try {
+      const userUid = req.user.uid;
+      const { homeId } = req.params;
+      const { text } = req.body;
+      const itemsRef = getShoppingItemsRef(db, homeId);
+
+      // A replayed offline add that already went through returns the stored item
+      if (req.body.id) {
+        const existingDoc = await itemsRef.doc(req.body.id).get();
+        if (existingDoc.exists) {
+          return res.json({
+            item: serializeShoppingItem(readShoppingItem(existingDoc))
+          });
+        }
+      }
+
+      // Parse item with AI
+      const startTime = Date.now();
+      const parsedItem = await parseShoppingListItem(text, genAI, req.log);
+      const aiResponseTime = Date.now() - startTime;
+
+      // Create item with metadata
+      const itemRef = req.body.id ? itemsRef.doc(req.body.id) : itemsRef.doc();
+      const addedAt = changeTimestamp(req.body.changedAt);
+      const newItem = {
+        listId: req.shoppingListId,
+        name: parsedItem.name,
+        quantity: parsedItem.quantity,
+        unit: parsedItem.unit,
+        category: parsedItem.category,
+        checked: false,
+        addedBy: userUid,
+        addedAt,
+        updatedAt: addedAt,
+        source: {
+          type: 'manual'
+        }
+      };
+
+      const batch = db.batch();
+      batch.set(itemRef, newItem);
+      touchShoppingList(batch, db, homeId);
+      await batch.commit();
+
+      req.log.info({
+        userId: userUid,
+        homeId,
+        listId: newItem.listId,
+        itemName: newItem.name,
+        category: newItem.category,
+        aiResponseTime
+      }, 'Shopping list item added');
+
+      // Return item with ISO date string
+      const addedItem = serializeShoppingItem({ id: itemRef.id, ...newItem });
+      homeEvents.publish(homeId, { collection: 'shopping', upserted: [addedItem], actorId: userUid });
+
+      res.json({
+        item: addedItem
+      });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid, homeId: req.params.homeId }, 'Error adding shopping list item');
+      res.status(500).json({ error: 'Failed to add item' });
+    }
+  });
+
+  // POST - Add ingredients for planned meals in a date range
+  router.post('/:homeId/from-meal-plan', checkAuth, validate(fromMealPlanSchema), requireHomePermission('shopping:add'), migrateLegacyList, resolveList, aiRateLimiter, async (req, res) => {
+    try {
+      const userUid = req.user.uid;
+      const { homeId } = req.params;
+      const { startDate, endDate } = req.body;
+
+      if (startDate > endDate) {
+        return res.status(400).json({ error: 'startDate must be on or before endDate' });
+      }
+
+      const homeRef = db.collection('homes').doc(homeId);
+
+      // Only meals that are still planned need shopping
+      const mealPlansSnap = await homeRef.collection('meal_plans')
+        .where('date', '>=', new Date(startDate))
+        .where('date', '<=', new Date(endDate))
+        .get();
+
+      const plannedMeals = mealPlansSnap.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(plan => !plan.completed && plan.planned);
+
+      // Skip meals already shopped for on the list being added to, so running this twice adds nothing new
+      const itemsRef = getShoppingItemsRef(db, homeId);
+      const itemsSnap = await itemsRef.get();
+      const listedMealPlanIds = new Set(itemsSnap.docs
+        .map(readShoppingItem)
+        .filter(item => item.listId === req.shoppingListId)
+        .flatMap(item => item.source?.mealPlanIds || []));
+      const mealPlans = plannedMeals.filter(plan => !listedMealPlanIds.has(plan.id));
+      const alreadyListedCount = plannedMeals.length - mealPlans.length;
+
+      if (mealPlans.length === 0) {
+        return res.json({ items: [], covered: [], mealPlanCount: 0, alreadyListedCount });
+      }
+
+      // Load saved recipes referenced by the plans
+      const recipeIds = [...new Set(mealPlans.map(plan => plan.planned.recipeId).filter(Boolean))];
+      const recipeDocs = await Promise.all(
+        recipeIds.map(recipeId => homeRef.collection('recipes').doc(recipeId).get())
+      );
+      const recipesById = new Map(
+        recipeDocs.filter(doc => doc.exists).map(doc => [doc.id, doc.data()])
+      );
+
+      const pantrySnapshot = await homeRef.collection('pantry_items').get();
+      const pantryItems = pantrySnapshot.docs.map(doc => {
+        const data = doc.data();
+        return { id: doc.id, name: data.name, quantity: data.quantity, amount: data.amount, unit: data.unit };
+      });
+
+      const startTime = Date.now();
+      const { items, covered } = await buildShoppingItemsFromMealPlans(
+        { mealPlans, recipesById, pantryItems },
+        genAI,
+        req.log
+      );
+      const aiResponseTime = Date.now() - startTime;
+
+      const now = admin.firestore.Timestamp.now();
+      const newItems = items.map(item => ({
+        id: itemsRef.doc().id,
+        listId: req.shoppingListId,
+        name: item.name,
+        quantity: item.quantity,
+        unit: item.unit,
+        category: item.category,
+        checked: false,
+        addedBy: userUid,
+        addedAt: now,
+        updatedAt: now,
+        source: {
+          type: 'meal_plan',
+          mealPlanIds: item.mealPlanIds
+        }
+      }));
+
+      if (newItems.length > 0) {
+        const batch = db.batch();
+        newItems.forEach(({ id: itemId, ...item }) => batch.set(itemsRef.doc(itemId), item));
+        touchShoppingList(batch, db, homeId);
+        await batch.commit();
+      }
+
+      req.log.info({
+        userId: userUid,
+        homeId,
+        dateRange: { startDate, endDate },
+        mealPlanCount: mealPlans.length,
+        alreadyListedCount,
+        itemCount: newItems.length,
+        coveredCount: covered.length,
+        aiResponseTime
+      }, 'Shopping list items added from meal plans');
+
+      const addedItems = newItems.map(serializeShoppingItem);
+      homeEvents.publish(homeId, { collection: 'shopping', upserted: addedItems, actorId: userUid });
+
+      res.json({
+        items: addedItems,
+        covered,
+        mealPlanCount: mealPlans.length,
+        alreadyListedCount
+      });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid, homeId: req.params.homeId }, 'Error adding meal plan items to shopping list');
+      res.status(500).json({ error: 'Failed to add meal plan ingredients' });
+    }
+  });
+
+  // POST - Add pantry items forecast to run out this week
+  router.post('/:homeId/from-forecast', checkAuth, validate(fromForecastSchema), requireHomePermission('shopping:add'), migrateLegacyList, resolveList, async (req, res) => {
+    try {
+      const userUid = req.user.uid;
+      const { homeId } = req.params;
+      const { pantryItemIds } = req.body;
+
+      // Recompute the forecast so quantities come from the server, not the client
+      const { runningOutThisWeek } = await loadPantryForecast(db, homeId, {
+        today: new Date().toISOString().split('T')[0]
+      });
+      const requestedIds = new Set(pantryItemIds);
+
+      // Skip items that are already waiting on the list being added to
+      const itemsRef = getShoppingItemsRef(db, homeId);
+      const uncheckedSnap = await itemsRef.where('checked', '==', false).get();
+      const listedNames = new Set(uncheckedSnap.docs
+        .map(readShoppingItem)
+        .filter(item => item.listId === req.shoppingListId)
+        .map(item => item.name.toLowerCase()));
+
+      const now = admin.firestore.Timestamp.now();
+      const newItems = runningOutThisWeek
+        .filter(entry => requestedIds.has(entry.pantryItemId))
+        .filter(entry => !listedNames.has(entry.name.toLowerCase()))
+        .map(entry => ({
+          id: itemsRef.doc().id,
+          listId: req.shoppingListId,
+          name: entry.suggestedPurchase.name,
+          quantity: entry.suggestedPurchase.quantity,
+          unit: entry.suggestedPurchase.unit,
+          category: entry.suggestedPurchase.category,
+          checked: false,
+          addedBy: userUid,
+          addedAt: now,
+          updatedAt: now,
+          source: {
+            type: 'pantry_forecast',
+            pantryItemId: entry.pantryItemId
+          }
+        }));
+
+      if (newItems.length > 0) {
+        const batch = db.batch();
+        newItems.forEach(({ id: itemId, ...item }) => batch.set(itemsRef.doc(itemId), item));
+        touchShoppingList(batch, db, homeId);
+        await batch.commit();
+      }
+
+      req.log.info({
+        userId: userUid,
+        homeId,
+        requestedCount: pantryItemIds.length,
+        itemCount: newItems.length
+      }, 'Shopping list items added from pantry forecast');
+
+      const addedItems = newItems.map(serializeShoppingItem);
+      homeEvents.publish(homeId, { collection: 'shopping', upserted: addedItems, actorId: userUid });
+
+      res.json({
+        items: addedItems,
+        skippedCount: pantryItemIds.length - newItems.length
+      });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid, homeId: req.params.homeId }, 'Error adding forecast items to shopping list');
+      res.status(500).json({ error: 'Failed to add items to shopping list' });
+    }
+  });
+
+  // PATCH - Update item fields
+  router.patch('/:homeId/items/:itemId', checkAuth, validate(updateItemSchema), requireHomePermission('shopping:edit'), migrateLegacyList, async (req, res) => {
+    try {
+      const userUid = req.user.uid;
+      const { homeId, itemId } = req.params;
+      const { name, quantity, unit, category, changedAt } = req.body;
+
+      // Update only provided fields
+      const fields = {};
+      if (name !== undefined) fields.name = name;
+      if (quantity !== undefined) fields.quantity = quantity;
+      if (unit !== undefined) fields.unit = unit;
+      if (category !== undefined) fields.category = category;
+
+      const result = await updateItem(homeId, itemId, changedAt, fields);
+
+      if (result.status === 'missing') {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+      if (result.status === 'conflict') {
+        return sendConflict(req, res, result.item);
+      }
+
+      req.log.info({
+        userId: userUid,
+        homeId,
+        itemId,
+        itemName: result.item.name
+      }, 'Shopping list item updated');
+
+      // Return updated item with ISO date
+      const updatedItem = serializeShoppingItem(result.item);
+      homeEvents.publish(homeId, { collection: 'shopping', upserted: [updatedItem], actorId: userUid });
+
+      res.json({
+        success: true,
+        item: updatedItem
+      });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid, itemId: req.params.itemId }, 'Error updating shopping list item');
+      res.status(500).json({ error: 'Failed to update item' });
+    }
+  });
+
+  // PATCH - Toggle item checked state
+  router.patch('/:homeId/items/:itemId/check', checkAuth, validate(checkItemSchema), requireHomePermission('shopping:check'), migrateLegacyList, async (req, res) => {
+    try {
+      const userUid = req.user.uid;
+      const { homeId, itemId } = req.params;
+      const { checked, changedAt } = req.body;
+
+      const result = await updateItem(homeId, itemId, changedAt, { checked });
+
+      if (result.status === 'missing') {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+      if (result.status === 'conflict') {
+        return sendConflict(req, res, result.item);
+      }
+
+      req.log.info({
+        userId: userUid,
+        homeId,
+        itemId,
+        itemName: result.item.name,
+        checked
+      }, 'Shopping list item checked state updated');
+
+      // Return updated item with ISO date
+      const updatedItem = serializeShoppingItem(result.item);
+      homeEvents.publish(homeId, { collection: 'shopping', upserted: [updatedItem], actorId: userUid });
+
+      res.json({
+        success: true,
+        item: updatedItem
+      });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid, itemId: req.params.itemId }, 'Error updating checked state');
+      res.status(500).json({ error: 'Failed to update item' });
+    }
+  });
+
+  // DELETE - Remove item from shopping list
+  // Offline deletes send ?changedAt= and are rejected if the item was edited since
+  router.delete('/:homeId/items/:itemId', checkAuth, validate(deleteItemSchema), requireHomePermission('shopping:edit'), migrateLegacyList, async (req, res) => {
+    try {
+      const userUid = req.user.uid;
+      const { homeId, itemId } = req.params;
+      const itemRef = getShoppingItemsRef(db, homeId).doc(itemId);
+
+      const result = await db.runTransaction(async (transaction) => {
+        const itemDoc = await transaction.get(itemRef);
+        if (!itemDoc.exists) return { status: 'missing' };
+
+        const item = readShoppingItem(itemDoc);
+        if (isStaleChange(item, req.query.changedAt)) return { status: 'conflict', item };
+
+        transaction.delete(itemRef);
+        touchShoppingList(transaction, db, homeId);
+        return { status: 'deleted', item };
+      });
+
+      if (result.status === 'missing') {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+      if (result.status === 'conflict') {
+        return sendConflict(req, res, result.item);
+      }
+
+      homeEvents.publish(homeId, { collection: 'shopping', deleted: [itemId], actorId: userUid });
+
+      req.log.info({
+        userId: userUid,
+        homeId,
+        itemId,
+        itemName: result.item.name
+      }, 'Shopping list item deleted');
+
+      res.json({
+        success: true
+      });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid, itemId: req.params.itemId }, 'Error deleting shopping list item');
+      res.status(500).json({ error: 'Failed to delete item' });
+    }
+  });
+
+  // DELETE - Clear all checked items
+  router.delete(listPaths('/checked'), checkAuth, validate(listSchema), requireHomePermission('shopping:manage'), migrateLegacyList, resolveList, async (req, res) => {
+    try {
+      const userUid = req.user.uid;
+      const { homeId } = req.params;
+      const listId = req.shoppingListId;
+      const checkedQuery = getShoppingItemsRef(db, homeId).where('checked', '==', true);
+
+      // Items checked while this runs are either all cleared or all kept
+      const checkedIds = await db.runTransaction(async (transaction) => {
+        const checkedSnap = await transaction.get(checkedQuery);
+        const checkedDocs = checkedSnap.docs.filter(doc => readShoppingItem(doc).listId === listId);
+        checkedDocs.forEach(doc => transaction.delete(doc.ref));
+        if (checkedDocs.length > 0) touchShoppingList(transaction, db, homeId);
+        return checkedDocs.map(doc => doc.id);
+      });
+
+      homeEvents.publish(homeId, { collection: 'shopping', deleted: checkedIds, actorId: userUid });
+
+      req.log.info({
+        userId: userUid,
+        homeId,
+        listId,
+        clearedCount: checkedIds.length
+      }, 'Checked items cleared from shopping list');
+
+      res.json({
+        success: true,
+        clearedCount: checkedIds.length
+      });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error clearing checked items');
+      res.status(500).json({ error: 'Failed to clear checked items' });
+    }
+  });
+
+  // POST - Put checked items away into the pantry and remove them from the list
+  router.post(listPaths('/checked/put-away'), checkAuth, validate(listSchema), requireHomePermission('shopping:manage'), migrateLegacyList, resolveList, aiRateLimiter, async (req, res) => {
+    try {
+      const userUid = req.user.uid;
+      const { homeId } = req.params;
+
+      const startTime = Date.now();
+      const { results } = await putAwayCheckedItems(db, homeId, { userUid, listId: req.shoppingListId }, genAI, req.log);
+      const aiResponseTime = Date.now() - startTime;
+
+      homeEvents.publish(homeId, {
+        collection: 'shopping',
+        deleted: results.map(result => result.shoppingItemId),
+        actorId: userUid
+      });
+      const pantryChanges = await loadDocumentChanges(
+        db.collection('homes').doc(homeId).collection('pantry_items'),
+        results.map(result => result.pantryItemId),
+        serializePantryItem
+      );
+      homeEvents.publish(homeId, { collection: 'pantry', ...pantryChanges, actorId: userUid });
+
+      const createdCount = results.filter(result => result.action === 'created').length;
+
+      req.log.info({
+        userId: userUid,
+        homeId,
+        movedCount: results.length,
+        createdCount,
+        mergedCount: results.length - createdCount,
+        aiResponseTime
+      }, 'Checked items put away into pantry');
+
+      res.json({
+        success: true,
+        results,
+        movedCount: results.length,
+        createdCount,
+        mergedCount: results.length - createdCount
+      });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid, homeId: req.params.homeId }, 'Error putting away checked items');
+      res.status(500).json({ error: 'Failed to put items away' });
+    }
+  });
+
+  // GET - Shopping lists of a home (the default list first)
+  router.get('/:homeId/lists', checkAuth, validate(homeSchema), requireHomeMember, async (req, res) => {
+    try {
+      const { homeId } = req.params;
+
+      const listsSnap = await getNamedListsRef(db, homeId).get();
+      const namedLists = listsSnap.docs
+        .map(doc => serializeShoppingList(doc.id, doc.data()))
+        .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+
+      res.json({
+        lists: [defaultShoppingList(), ...namedLists]
+      });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid, homeId: req.params.homeId }, 'Error fetching shopping lists');
+      res.status(500).json({ error: 'Failed to fetch shopping lists' });
+    }
+  });
+
+  // POST - Create a named shopping list
+  router.post('/:homeId/lists', checkAuth, validate(createListSchema), requireHomePermission('shopping:manage'), async (req, res) => {
+    try {
+      const userUid = req.user.uid;
+      const { homeId } = req.params;
+      const name = req.body.name.trim();
+
+      const listsSnap = await getNamedListsRef(db, homeId).get();
+      const takenNames = [DEFAULT_SHOPPING_LIST_NAME, ...listsSnap.docs.map(doc => doc.data().name)]
+        .map(listName => listName.toLowerCase());
+
+      if (listsSnap.size >= MAX_SHOPPING_LISTS) {
+        return res.status(400).json({ error: `A home can have at most ${MAX_SHOPPING_LISTS} shopping lists` });
+      }
+      if (takenNames.includes(name.toLowerCase())) {
+        return res.status(409).json({ error: 'A list with that name already exists' });
+      }
+
+      const listRef = getNamedListsRef(db, homeId).doc();
+      const listData = {
+        name,
+        createdBy: userUid,
+        createdAt: admin.firestore.Timestamp.now()
+      };
+      await listRef.set(listData);
+
+      req.log.info({ userId: userUid, homeId, listId: listRef.id, name }, 'Shopping list created');
+
+      const list = serializeShoppingList(listRef.id, listData);
+      homeEvents.publish(homeId, { collection: 'shoppingLists', upserted: [list], actorId: userUid });
+
+      res.status(201).json({ list });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid, homeId: req.params.homeId }, 'Error creating shopping list');
+      res.status(500).json({ error: 'Failed to create shopping list' });
+    }
+  });
+
+  // PATCH - Rename a named shopping list
+  router.patch('/:homeId/lists/:listId', checkAuth, validate(renameListSchema), requireHomePermission('shopping:manage'), async (req, res) => {
+    try {
+      const userUid = req.user.uid;
+      const { homeId, listId } = req.params;
+      const name = req.body.name.trim();
+
+      if (listId === DEFAULT_SHOPPING_LIST_ID) {
+        return res.status(400).json({ error: 'The default list can\'t be renamed' });
+      }
+
+      const listsSnap = await getNamedListsRef(db, homeId).get();
+      const listDoc = listsSnap.docs.find(doc => doc.id === listId);
+      if (!listDoc) {
+        return res.status(404).json({ error: 'Shopping list not found' });
+      }
+
+      const nameTaken = [DEFAULT_SHOPPING_LIST_NAME, ...listsSnap.docs.filter(doc => doc.id !== listId).map(doc => doc.data().name)]
+        .some(listName => listName.toLowerCase() === name.toLowerCase());
+      if (nameTaken) {
+        return res.status(409).json({ error: 'A list with that name already exists' });
+      }
+
+      await listDoc.ref.update({ name });
+
+      req.log.info({ userId: userUid, homeId, listId, name }, 'Shopping list renamed');
+
+      const list = serializeShoppingList(listId, { ...listDoc.data(), name });
+      homeEvents.publish(homeId, { collection: 'shoppingLists', upserted: [list], actorId: userUid });
+
+      res.json({ list });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid, listId: req.params.listId }, 'Error renaming shopping list');
+      res.status(500).json({ error: 'Failed to rename shopping list' });
+    }
+  });
+
+  // DELETE - Remove a named shopping list together with its items
+  router.delete('/:homeId/lists/:listId', checkAuth, validate(deleteListSchema), requireHomePermission('shopping:manage'), migrateLegacyList, async (req, res) => {
+    try {
+      const userUid = req.user.uid;
+      const { homeId, listId } = req.params;
+
+      if (listId === DEFAULT_SHOPPING_LIST_ID) {
+        return res.status(400).json({ error: 'The default list can\'t be deleted' });
+      }
+
+      const listRef = getNamedListsRef(db, homeId).doc(listId);
+      const itemsRef = getShoppingItemsRef(db, homeId);
+
+      const deletedItemIds = await db.runTransaction(async (transaction) => {
+        const listDoc = await transaction.get(listRef);
+        if (!listDoc.exists) return null;
+
+        const itemsSnap = await transaction.get(itemsRef);
+        const listItemDocs = itemsSnap.docs.filter(doc => readShoppingItem(doc).listId === listId);
+
+        listItemDocs.forEach(doc => transaction.delete(doc.ref));
+        transaction.delete(listRef);
+        touchShoppingList(transaction, db, homeId);
+
+        return listItemDocs.map(doc => doc.id);
+      });
+
+      if (!deletedItemIds) {
+        return res.status(404).json({ error: 'Shopping list not found' });
+      }
+
+      homeEvents.publish(homeId, { collection: 'shoppingLists', deleted: [listId], actorId: userUid });
+      homeEvents.publish(homeId, { collection: 'shopping', deleted: deletedItemIds, actorId: userUid });
+
+      req.log.info({ userId: userUid, homeId, listId, deletedItemCount: deletedItemIds.length }, 'Shopping list deleted');
+
+      res.json({
+        success: true,
+        deletedItemCount: deletedItemIds.length
+      });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid, listId: req.params.listId }, 'Error deleting shopping list');
+      res.status(500).json({ error: 'Failed to delete shopping list' });
+    }
+  });
+
+  // POST - Move an item to another list of the same home
+  router.post('/:homeId/items/:itemId/move', checkAuth, validate(moveItemSchema), requireHomePermission('shopping:edit'), migrateLegacyList, async (req, res) => {
+    try {
+      const userUid = req.user.uid;
+      const { homeId, itemId } = req.params;
+      const { listId } = req.body;
+      const itemRef = getShoppingItemsRef(db, homeId).doc(itemId);
+
+      const result = await db.runTransaction(async (transaction) => {
+        const itemDoc = await transaction.get(itemRef);
+        if (!itemDoc.exists) return { status: 'missing' };
+        if (!(await shoppingListExists(db, homeId, listId, transaction))) return { status: 'no-list' };
+
+        const item = readShoppingItem(itemDoc);
+        if (item.listId === listId) return { status: 'moved', item };
+
+        const changes = { listId, updatedAt: admin.firestore.Timestamp.now() };
+        transaction.update(itemRef, changes);
+        touchShoppingList(transaction, db, homeId);
+
+        return { status: 'moved', item: { ...item, ...changes }, fromListId: item.listId };
+      });
+
+      if (result.status === 'missing') {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+      if (result.status === 'no-list') {
+        return res.status(404).json({ error: 'Shopping list not found' });
+      }
+
+      req.log.info({
+        userId: userUid,
+        homeId,
+        itemId,
+        fromListId: result.fromListId,
+        toListId: listId
+      }, 'Shopping list item moved');
+
+      const movedItem = serializeShoppingItem(result.item);
+      if (result.fromListId) {
+        homeEvents.publish(homeId, { collection: 'shopping', upserted: [movedItem], actorId: userUid });
+      }
+
+      res.json({
+        success: true,
+        item: movedItem
+      });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid, itemId: req.params.itemId }, 'Error moving shopping list item');
+      res.status(500).json({ error: 'Failed to move item' });
+    }
+  });
+
+  // GET - Store layouts of a home
+  router.get('/:homeId/store-layouts', checkAuth, validate(homeSchema), requireHomeMember, async (req, res) => {
+    try {
+      const { homeId } = req.params;
+
+      const layoutsSnap = await getStoreLayoutsRef(db, homeId).get();
+      const layouts = layoutsSnap.docs
+        .map(doc => serializeStoreLayout(doc.id, doc.data()))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+      res.json({ layouts });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid, homeId: req.params.homeId }, 'Error fetching store layouts');
+      res.status(500).json({ error: 'Failed to fetch store layouts' });
+    }
+  });
+
+  // POST - Save the aisle order of a store
+  router.post('/:homeId/store-layouts', checkAuth, validate(createStoreLayoutSchema), requireHomePermission('shopping:manage'), async (req, res) => {
+    try {
+      const userUid = req.user.uid;
+      const { homeId } = req.params;
+      const name = req.body.name.trim();
+      const aisles = normalizeAisles(req.body.aisles);
+
+      const repeatedCategory = findRepeatedCategory(aisles);
+      if (repeatedCategory) {
+        return res.status(400).json({ error: `Category "${repeatedCategory}" is in more than one aisle` });
+      }
+
+      const layoutsSnap = await getStoreLayoutsRef(db, homeId).get();
+      if (layoutsSnap.size >= MAX_STORE_LAYOUTS) {
+        return res.status(400).json({ error: `A home can have at most ${MAX_STORE_LAYOUTS} store layouts` });
+      }
+      if (layoutsSnap.docs.some(doc => doc.data().name.toLowerCase() === name.toLowerCase())) {
+        return res.status(409).json({ error: 'A store with that name already exists' });
+      }
+
+      const now = admin.firestore.Timestamp.now();
+      const layoutRef = getStoreLayoutsRef(db, homeId).doc();
+      const layoutData = {
+        name,
+        aisles,
+        createdBy: userUid,
+        createdAt: now,
+        updatedAt: now
+      };
+      await layoutRef.set(layoutData);
+
+      req.log.info({ userId: userUid, homeId, layoutId: layoutRef.id, name, aisleCount: aisles.length }, 'Store layout created');
+
+      const layout = serializeStoreLayout(layoutRef.id, layoutData);
+      homeEvents.publish(homeId, { collection: 'storeLayouts', upserted: [layout], actorId: userUid });
+
+      res.status(201).json({ layout });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid, homeId: req.params.homeId }, 'Error creating store layout');
+      res.status(500).json({ error: 'Failed to create store layout' });
+    }
+  });
+
+  // PUT - Replace the name and aisles of a store layout
+  router.put('/:homeId/store-layouts/:layoutId', checkAuth, validate(updateStoreLayoutSchema), requireHomePermission('shopping:manage'), async (req, res) => {
+    try {
+      const userUid = req.user.uid;
+      const { homeId, layoutId } = req.params;
+      const name = req.body.name.trim();
+      const aisles = normalizeAisles(req.body.aisles);
+
+      const repeatedCategory = findRepeatedCategory(aisles);
+      if (repeatedCategory) {
+        return res.status(400).json({ error: `Category "${repeatedCategory}" is in more than one aisle` });
+      }
+
+      const layoutsSnap = await getStoreLayoutsRef(db, homeId).get();
+      const layoutDoc = layoutsSnap.docs.find(doc => doc.id === layoutId);
+      if (!layoutDoc) {
+        return res.status(404).json({ error: 'Store layout not found' });
+      }
+
+      const nameTaken = layoutsSnap.docs
+        .filter(doc => doc.id !== layoutId)
+        .some(doc => doc.data().name.toLowerCase() === name.toLowerCase());
+      if (nameTaken) {
+        return res.status(409).json({ error: 'A store with that name already exists' });
+      }
+
+      const changes = { name, aisles, updatedAt: admin.firestore.Timestamp.now() };
+      await layoutDoc.ref.update(changes);
+
+      req.log.info({ userId: userUid, homeId, layoutId, name, aisleCount: aisles.length }, 'Store layout updated');
+
+      const layout = serializeStoreLayout(layoutId, { ...layoutDoc.data(), ...changes });
+      homeEvents.publish(homeId, { collection: 'storeLayouts', upserted: [layout], actorId: userUid });
+
+      res.json({ layout });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid, layoutId: req.params.layoutId }, 'Error updating store layout');
+      res.status(500).json({ error: 'Failed to update store layout' });
+    }
+  });
+
+  // DELETE - Remove a store layout
+  router.delete('/:homeId/store-layouts/:layoutId', checkAuth, validate(deleteStoreLayoutSchema), requireHomePermission('shopping:manage'), async (req, res) => {
+    try {
+      const userUid = req.user.uid;
+      const { homeId, layoutId } = req.params;
+      const layoutRef = getStoreLayoutsRef(db, homeId).doc(layoutId);
+
+      const layoutDoc = await layoutRef.get();
+      if (!layoutDoc.exists) {
+        return res.status(404).json({ error: 'Store layout not found' });
+      }
+
+      await layoutRef.delete();
+
+      homeEvents.publish(homeId, { collection: 'storeLayouts', deleted: [layoutId], actorId: userUid });
+
+      req.log.info({ userId: userUid, homeId, layoutId }, 'Store layout deleted');
+
+      res.json({ success: true });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid, layoutId: req.params.layoutId }, 'Error deleting store layout');
+      res.status(500).json({ error: 'Failed to delete store layout' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createShoppingRouter
+};
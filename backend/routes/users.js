@@ -0,0 +1,335 @@
+// users.js - Registration and current-user profile routes
+
+const express = require('express');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { DIETARY_LIST_FIELDS, emptyDietaryProfile, normalizeDietaryProfile } = require('../utils/dietary');
+const { NUTRIENT_KEYS, normalizeNutritionTargets } = require('../utils/nutrients');
+const { HOME_ROLES } = require('../utils/homeRoles');
+const {
+  INVITE_PROBLEM_MESSAGES,
+  normalizeInviteCode,
+  findInviteByCode,
+  getInviteProblem,
+  writeInviteAcceptance
+} = require('../services/homeInvites');
+const { validate } = require('../middleware/validate');
+const { object, string, number, array, id } = require('../utils/schema');
+
+// --- Request Schemas ---
+const registerSchema = {
+  body: object({
+    email: string({ required: true, format: 'email', max: 254 }),
+    password: string({ required: true, trim: false }),
+    name: string({ required: true, max: 100 }),
+    // Signing up from an invite link joins that home instead of creating one
+    inviteCode: string({ max: 20 })
+  })
+};
+
+const updateProfileSchema = {
+  body: object({
+    name: string({ required: true, max: 100 })
+  })
+};
+
+const primaryHomeSchema = {
+  body: object({
+    homeId: id({ required: true })
+  })
+};
+
+// Entry limits and allowed diets are enforced by normalizeDietaryProfile
+const dietaryProfileSchema = {
+  body: object(Object.fromEntries(
+    DIETARY_LIST_FIELDS.map(field => [field, array(string())])
+  ))
+};
+
+// Per-nutrient ranges are enforced by normalizeNutritionTargets
+const nutritionTargetsSchema = {
+  body: object(Object.fromEntries(
+    NUTRIENT_KEYS.map(key => [key, number({ nullable: true })])
+  ))
+};
+
+/**
+ * Creates the users router (mounted at /api)
+ *
+ * @param {Object} deps - Route dependencies
+ * @param {Object} deps.db - Firestore instance
+ * @param {Object} deps.auth - Auth client from the data layer (see config/data.js)
+ * @param {Function} deps.checkAuth - Authentication middleware
+ * @returns {express.Router} Router
+ */
+function createUsersRouter({ db, auth, checkAuth }) {
+  const router = express.Router();
+
+  router.post('/register', validate(registerSchema), async (req, res) => {
+    try {
+      const { email, password, name, inviteCode } = req.body;
+
+      // Check the invite before creating the account so a bad link doesn't leave one behind
+      // (the new address can't be verified yet, so that isn't checked here)
+      let inviteDoc = null;
+      if (inviteCode) {
+        inviteDoc = await findInviteByCode(db, normalizeInviteCode(inviteCode));
+        const problem = inviteDoc && getInviteProblem(inviteDoc.data(), email, true);
+        if (!inviteDoc || problem) {
+          return res.status(400).json({ error: inviteDoc ? INVITE_PROBLEM_MESSAGES[problem] : 'Invite not found' });
+        }
+      }
+
+      const userRecord = await auth.createUser({ email, password, displayName: name });
+      const userRef = db.collection('users').doc(userRecord.uid);
+
+      // An invite sent to this address waits until the user has verified it; they
+      // accept it from their pending invites afterwards
+      const inviteDeferred = Boolean(inviteDoc) &&
+        getInviteProblem(inviteDoc.data(), email, userRecord.emailVerified) === 'unverified';
+
+      let joinedHomeId = null;
+      if (inviteDoc && !inviteDeferred) {
+        await userRef.set({ name, email, primaryHomeId: inviteDoc.data().homeId, homes: {} });
+        joinedHomeId = await db.runTransaction(async (transaction) => {
+          const currentInvite = await transaction.get(inviteDoc.ref);
+          if (getInviteProblem(currentInvite.data(), email, userRecord.emailVerified)) return null;
+
+          writeInviteAcceptance(transaction, db, currentInvite, userRecord.uid);
+          return currentInvite.data().homeId;
+        });
+      }
+
+      // Without an invite (or if it was used up in the meantime) the user gets a home of their own
+      let homeId = joinedHomeId;
+      if (!homeId) {
+        const homeRef = await db.collection('homes').add({
+          name: `${name}'s Home`,
+          members: { [userRecord.uid]: 'admin' }
+        });
+        homeId = homeRef.id;
+        await userRef.set({
+          name,
+          email,
+          primaryHomeId: homeId,
+          homes: { [homeId]: 'admin' }
+        });
+      }
+
+      logger.info({
+        userId: userRecord.uid, email, name, homeId, joinedByInvite: Boolean(joinedHomeId), inviteDeferred
+      }, 'User registered');
+      res.status(201).json({ message: 'User created successfully', inviteDeferred });
+    } catch (error) {
+      let errorMessage = 'Failed to create user.';
+      if (error.code === 'auth/email-already-exists') {
+        errorMessage = 'This email address is already in use.';
+      } else if (error.code === 'auth/invalid-password') {
+          errorMessage = 'Password is not valid. It must be at least 6 characters long.';
+      }
+      logger.error({ err: error, email: req.body.email }, 'User registration failed');
+      res.status(400).json({ error: errorMessage });
+    }
+  });
+
+  router.get('/user/me', checkAuth, async (req, res) => {
+    try {
+      req.log.debug({ userId: req.user.uid }, 'Fetching user profile');
+
+      // First verify the user exists in Firestore
+      const userDoc = await db.collection('users').doc(req.user.uid).get();
+
+      if (!userDoc.exists) {
+        req.log.info({ userId: req.user.uid }, 'Creating new user document');
+        // Create user document if it doesn't exist
+        const userData = {
+          uid: req.user.uid,
+          email: req.user.email,
+          name: req.user.displayName || '',
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+        await db.collection('users').doc(req.user.uid).set(userData);
+      }
+
+      // Get user data (either existing or newly created)
+      const userData = userDoc.exists ? userDoc.data() : {};
+
+      // Fetch homes where user is a member
+      const homesSnapshot = await db.collection('homes')
+        .where(`members.${req.user.uid}`, 'in', HOME_ROLES)
+        .get();
+
+      const homes = [];
+      homesSnapshot.forEach(doc => {
+        homes.push({
+          id: doc.id,
+          ...doc.data(),
+          role: doc.data().members[req.user.uid]
+        });
+      });
+
+      const response = {
+        uid: req.user.uid,
+        email: req.user.email,
+        name: userData.name || req.user.displayName || '',
+        homes: homes,
+        primaryHomeId: userData.primaryHomeId || (homes[0]?.id || null),
+        dietaryProfile: userData.dietaryProfile || emptyDietaryProfile(),
+        nutritionTargets: userData.nutritionTargets || null
+      };
+
+      req.log.info({ userId: req.user.uid, homeCount: homes.length }, 'Profile fetched successfully');
+      res.json(response);
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error fetching user profile');
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Update user profile (name)
+  router.put('/user/me', checkAuth, validate(updateProfileSchema), async (req, res) => {
+    try {
+      const { name } = req.body;
+      const userId = req.user.uid;
+
+      req.log.debug({ userId, newName: name }, 'Updating user profile');
+
+      // Update user document in Firestore
+      const userRef = db.collection('users').doc(userId);
+      await userRef.update({
+        name,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      // Fetch updated user data
+      const updatedUserDoc = await userRef.get();
+      const userData = updatedUserDoc.data();
+
+      // Fetch homes where user is a member
+      const homesSnapshot = await db.collection('homes')
+        .where(`members.${userId}`, 'in', HOME_ROLES)
+        .get();
+
+      const homes = [];
+      homesSnapshot.forEach(doc => {
+        homes.push({
+          id: doc.id,
+          ...doc.data(),
+          role: doc.data().members[userId]
+        });
+      });
+
+      const response = {
+        uid: userId,
+        email: req.user.email,
+        name: userData.name,
+        homes: homes,
+        primaryHomeId: userData.primaryHomeId || (homes[0]?.id || null),
+        dietaryProfile: userData.dietaryProfile || emptyDietaryProfile(),
+        nutritionTargets: userData.nutritionTargets || null
+      };
+
+      req.log.info({ userId, newName: name }, 'User profile updated successfully');
+      res.json(response);
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error updating user profile');
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Choose the home the app opens in
+  router.put('/user/me/primary-home', checkAuth, validate(primaryHomeSchema), async (req, res) => {
+    try {
+      const { homeId } = req.body;
+      const userId = req.user.uid;
+
+      const homeDoc = await db.collection('homes').doc(homeId).get();
+      if (!homeDoc.exists || !homeDoc.data().members?.[userId]) {
+        req.log.warn({ userId, homeId }, 'Primary home is not one of the user\'s homes');
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      await db.collection('users').doc(userId).set({
+        primaryHomeId: homeId,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      req.log.info({ userId, homeId }, 'Primary home changed');
+      res.json({ primaryHomeId: homeId });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error changing primary home');
+      res.status(500).json({ error: 'Failed to change primary home' });
+    }
+  });
+
+  // Update the current user's dietary profile
+  router.put('/user/me/dietary-profile', checkAuth, validate(dietaryProfileSchema), async (req, res) => {
+    try {
+      const userId = req.user.uid;
+
+      const { profile, error } = normalizeDietaryProfile(req.body);
+      if (error) {
+        req.log.warn({ userId, reason: error }, 'Invalid dietary profile');
+        return res.status(400).json({ error });
+      }
+
+      await db.collection('users').doc(userId).set({
+        dietaryProfile: profile,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      req.log.info({
+        userId,
+        allergyCount: profile.allergies.length,
+        dietCount: profile.diets.length
+      }, 'User dietary profile updated');
+      res.json({ dietaryProfile: profile });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error updating user dietary profile');
+      res.status(500).json({ error: 'Failed to update dietary profile' });
+    }
+  });
+
+  // Update the current user's daily nutrition targets
+  router.put('/user/me/nutrition-targets', checkAuth, validate(nutritionTargetsSchema), async (req, res) => {
+    try {
+      const userId = req.user.uid;
+
+      const { targets, error } = normalizeNutritionTargets(req.body);
+      if (error) {
+        req.log.warn({ userId, reason: error }, 'Invalid nutrition targets');
+        return res.status(400).json({ error });
+      }
+
+      await db.collection('users').doc(userId).set({
+        nutritionTargets: targets,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      req.log.info({ userId, calorieTarget: targets.calories }, 'User nutrition targets updated');
+      res.json({ nutritionTargets: targets });
+
+    } catch (error) {
+      req.log.error({ err: error, userId: req.user.uid }, 'Error updating nutrition targets');
+      res.status(500).json({ error: 'Failed to update nutrition targets' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createUsersRouter
+};
@@ -0,0 +1,44 @@
+// ingredient-matching.js - Stub fixture: name-based ingredient to pantry matching
+
+const { parseQuantity } = require('../../../utils/quantity');
+
+/**
+ * Matches each recipe ingredient to the first pantry item whose name it contains
+ * Mirrors the response shape of the matchIngredientsToPantry prompt so matches
+ * point at real pantry item ids.
+ *
+ * @param {Object} variables - Call variables
+ * @param {string[]} variables.recipeIngredients - Recipe ingredient lines
+ * @param {Object[]} variables.pantryItems - Pantry items as { id, name }
+ * @returns {Object} { matches, needToBuy }
+ */
+module.exports = ({ recipeIngredients = [], pantryItems = [] }) => {
+  const matches = [];
+  const needToBuy = [];
+
+  recipeIngredients.forEach(ingredient => {
+    const lower = ingredient.toLowerCase();
+    const quantity = parseQuantity(ingredient);
+    const quantityText = quantity ? `${quantity.amount} ${quantity.unit}` : '1 each';
+    const item = pantryItems.find(pantryItem => lower.includes(pantryItem.name.toLowerCase()));
+
+    if (item) {
+      matches.push({
+        recipeIngredient: ingredient,
+        pantryItemId: item.id,
+        pantryItemName: item.name,
+        matchConfidence: 0.9,
+        quantityExtracted: quantityText
+      });
+    } else {
+      needToBuy.push({
+        ingredient,
+        reason: 'Not in pantry',
+        category: 'other',
+        quantity: quantityText
+      });
+    }
+  });
+
+  return { matches, needToBuy };
+};
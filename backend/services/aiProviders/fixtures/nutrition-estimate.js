@@ -0,0 +1,18 @@
+// nutrition-estimate.js - Stub fixture: fixed nutrition per ingredient line
+
+/**
+ * Returns the same modest nutrient estimate for every ingredient line
+ *
+ * @param {Object} variables - Call variables
+ * @param {number} variables.lineCount - Number of ingredient lines in the prompt
+ * @returns {Object[]} One nutrient object per line
+ */
+module.exports = ({ lineCount = 0 }) =>
+  Array.from({ length: lineCount }, () => ({
+    calories: 100,
+    protein: 3,
+    carbs: 12,
+    fat: 4,
+    fiber: 1,
+    sodium: 120
+  }));
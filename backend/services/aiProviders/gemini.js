@@ -0,0 +1,42 @@
+// gemini.js - Google Gemini AI provider
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Creates an AI provider backed by Google Gemini
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - Gemini API key
+ * @param {string} options.model - Gemini model name (see GEMINI_MODEL in config/ai.js)
+ * @returns {Object} Provider with { name, model, generateContent(request, options) }
+ */
+function createGeminiProvider({ apiKey, model }) {
+  if (!apiKey) {
+    throw new Error('Gemini AI provider requires GEMINI_API_KEY');
+  }
+
+  const client = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: 'gemini',
+    model,
+
+    /**
+     * Sends a prompt (or prompt parts) to Gemini and returns the response text
+     * The task options are only used by the stub provider.
+     *
+     * @param {string|Array} request - Prompt string or content parts
+     * @returns {Promise<string>} Raw response text
+     */
+    async generateContent(request) {
+      const generativeModel = client.getGenerativeModel({ model });
+      const result = await generativeModel.generateContent(request);
+      const response = await result.response;
+      return response.text();
+    }
+  };
+}
+
+module.exports = {
+  createGeminiProvider
+};
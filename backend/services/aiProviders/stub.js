@@ -0,0 +1,97 @@
+// stub.js - Deterministic offline AI provider driven by local fixtures
+
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Whole-string placeholder ("{{servings}}") - replaced by the raw variable value
+const EXACT_PLACEHOLDER_PATTERN = /^\{\{(\w+)\}\}$/;
+// Placeholder inside a longer string - replaced by the value as text
+const INLINE_PLACEHOLDER_PATTERN = /\{\{(\w+)\}\}/g;
+
+/**
+ * Fills {{variable}} placeholders throughout a fixture value
+ * A string that is exactly one placeholder takes the variable's own type, so
+ * "{{servings}}" becomes the number 4 rather than "4". Unknown variables are left as-is.
+ * @private
+ */
+function fillPlaceholders(value, variables) {
+  if (Array.isArray(value)) {
+    return value.map(item => fillPlaceholders(item, variables));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, fillPlaceholders(item, variables)])
+    );
+  }
+
+  if (typeof value === 'string') {
+    const exact = value.match(EXACT_PLACEHOLDER_PATTERN);
+    if (exact && variables[exact[1]] !== undefined) {
+      return variables[exact[1]];
+    }
+    return value.replace(INLINE_PLACEHOLDER_PATTERN, (placeholder, name) =>
+      (variables[name] !== undefined ? String(variables[name]) : placeholder)
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Creates an AI provider that answers from fixtures instead of a model
+ * Each task maps to a fixture module in the fixtures directory (`<task>.json`
+ * or `<task>.js`). JSON fixtures are returned with {{variable}} placeholders
+ * filled; JS fixtures export a function of the call's variables, for tasks whose
+ * answer depends on the input (e.g. matching ingredients to real pantry ids).
+ * Responses are serialized to JSON text, exactly as services expect from Gemini.
+ *
+ * @param {Object} options - Provider options
+ * @param {string} [options.fixturesDir] - Directory to load fixtures from (defaults to ./fixtures)
+ * @param {Object} options.logger - Pino logger instance
+ * @returns {Object} Provider with { name, model, generateContent(request, options) }
+ */
+function createStubProvider({ fixturesDir = DEFAULT_FIXTURES_DIR, logger }) {
+  const directory = path.resolve(fixturesDir || DEFAULT_FIXTURES_DIR);
+  logger.warn({ fixturesDir: directory }, 'Using stub AI provider - responses come from local fixtures');
+
+  return {
+    name: 'stub',
+    model: 'stub',
+
+    /**
+     * Returns the fixture response for a task
+     *
+     * @param {string|Array} request - Prompt string or content parts (ignored)
+     * @param {Object} options - Call options
+     * @param {string} options.task - Task name, used as the fixture file name
+     * @param {Object} [options.variables] - Values for placeholders or fixture functions
+     * @returns {Promise<string>} Fixture response as JSON text
+     */
+    async generateContent(request, { task, variables = {} } = {}) {
+      if (!task) {
+        throw new Error('Stub AI provider requires a task name');
+      }
+
+      let fixture;
+      try {
+        fixture = require(path.join(directory, task));
+      } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        throw new Error(`No stub AI fixture for task "${task}" in ${directory}`);
+      }
+
+      const response = typeof fixture === 'function'
+        ? fixture(variables)
+        : fillPlaceholders(fixture, variables);
+
+      logger.debug({ aiProvider: 'stub', task }, 'Stub AI response served');
+      return JSON.stringify(response);
+    }
+  };
+}
+
+module.exports = {
+  createStubProvider
+};
@@ -0,0 +1,147 @@
+// aiResponseSchemas.js - Expected shape of every structured AI response
+
+const { string, number, boolean, array, object, any } = require('../utils/schema');
+
+/**
+ * One schema per AI task, used with generateValidatedJson (utils/aiHelpers.js).
+ * They describe what the services rely on rather than everything the prompts
+ * ask for: fields a service has its own fallback for stay optional, and
+ * recoverable slips are coerced (numeric strings, numbers given as text,
+ * "Fridge" for "fridge", missing optional arrays).
+ */
+
+// --- Constants ---
+const STORAGE_LOCATIONS = ['pantry', 'fridge', 'freezer'];
+const SUGGESTION_ACTIONS = ['accept', 'choose', 'specify'];
+
+/**
+ * Text field that tolerates a number (e.g. "quantity": 2 instead of "2")
+ * @private
+ */
+const text = (options = {}) => string({ coerce: true, ...options });
+
+/**
+ * Refusal returned instead of a recipe when the ingredients don't work together
+ * @private
+ */
+const REFUSAL_SCHEMA = object({
+  success: boolean({ required: true }),
+  refusalReason: text({ required: true }),
+  suggestions: array(text(), { default: () => [] })
+});
+
+/**
+ * Base recipe returned by the legacy recipe generator
+ */
+const RECIPE_SCHEMA = object({
+  title: text({ required: true }),
+  description: text(),
+  prepTime: text(),
+  cookTime: text(),
+  servings: any(),
+  difficulty: text(),
+  ingredients: array(text(), { required: true }),
+  instructions: array(text(), { required: true }),
+  tips: array(text(), { default: () => [] })
+}, { unknown: 'keep' });
+
+/**
+ * Recipe with a quality score and pantry/shopping breakdown (Roscoe's Choice, custom, unified)
+ * @private
+ */
+const SCORED_RECIPE_OBJECT = object({
+  ...RECIPE_SCHEMA.fields,
+  qualityScore: number({ required: true, min: 0, max: 100 }),
+  pantryItemsUsed: array(object({
+    itemId: text(),
+    itemName: text({ required: true }),
+    quantity: text(),
+    matchConfidence: number({ min: 0, max: 1 })
+  }, { unknown: 'keep' }), { default: () => [] }),
+  shoppingListItems: array(object({
+    name: text({ required: true }),
+    quantity: text(),
+    category: text({ lowercase: true }),
+    priority: text({ lowercase: true })
+  }, { unknown: 'keep' }), { default: () => [] })
+}, { unknown: 'keep' });
+
+/**
+ * Scored recipe, or a refusal when the response says `"success": false`
+ *
+ * @param {*} response - Parsed AI response
+ * @returns {Object} Schema to validate the response against
+ */
+function SCORED_RECIPE_SCHEMA(response) {
+  return response && response.success === false ? REFUSAL_SCHEMA : SCORED_RECIPE_OBJECT;
+}
+
+/**
+ * Recipe updated from user feedback
+ */
+const REGENERATED_RECIPE_SCHEMA = object({
+  ...SCORED_RECIPE_OBJECT.fields,
+  success: boolean({ required: true }),
+  message: text()
+}, { unknown: 'keep' });
+
+/**
+ * Suggestions for a typed pantry item name
+ */
+const PANTRY_SUGGESTION_SCHEMA = object({
+  confidence: number({ required: true, min: 0, max: 1 }),
+  action: string({ required: true, lowercase: true, enum: SUGGESTION_ACTIONS }),
+  suggestions: array(object({
+    name: text({ required: true }),
+    quantity: text(),
+    shelfLife: text(),
+    location: string({ lowercase: true, enum: STORAGE_LOCATIONS }),
+    daysUntilExpiry: number({ min: 0 })
+  }), { default: () => [] }),
+  guidance: object({
+    message: text(),
+    examples: array(text(), { default: () => [] }),
+    reasoning: text()
+  }, { nullable: true })
+});
+
+/**
+ * Storage location and shelf life for a pantry item
+ */
+const QUICK_DEFAULTS_SCHEMA = object({
+  location: string({ required: true, lowercase: true, enum: STORAGE_LOCATIONS }),
+  daysUntilExpiry: number({ required: true, min: 0 })
+});
+
+/**
+ * Food items detected in a photo (may be empty)
+ * Fields are optional: detectItemsFromImage fills in defaults per item.
+ */
+const DETECTED_ITEMS_SCHEMA = array(object({
+  name: text(),
+  quantity: text(),
+  location: string({ lowercase: true }),
+  daysUntilExpiry: number({ min: 0 }),
+  confidence: number({ min: 0, max: 1 })
+}));
+
+/**
+ * Shopping list item parsed from free text
+ * Unknown categories are not an error: parseShoppingListItem files them under "other".
+ */
+const SHOPPING_ITEM_SCHEMA = object({
+  name: text({ required: true }),
+  quantity: number({ required: true, min: 0 }),
+  unit: text({ required: true }),
+  category: string({ required: true, lowercase: true })
+});
+
+module.exports = {
+  RECIPE_SCHEMA,
+  SCORED_RECIPE_SCHEMA,
+  REGENERATED_RECIPE_SCHEMA,
+  PANTRY_SUGGESTION_SCHEMA,
+  QUICK_DEFAULTS_SCHEMA,
+  DETECTED_ITEMS_SCHEMA,
+  SHOPPING_ITEM_SCHEMA
+};
@@ -0,0 +1,41 @@
+// dietaryProfiles.js - Loads the dietary restrictions that apply to a household
+
+const { mergeDietaryProfiles } = require('../utils/dietary');
+
+/**
+ * Loads the combined dietary profile for everyone eating in a home
+ * Merges the home's own profile with the profile of every member, so a
+ * restriction declared by any member applies to all generated recipes.
+ * Without a homeId only the requesting user's profile is used.
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string|null} homeId - Home to load profiles for
+ * @param {string} userUid - Requesting user (always included)
+ * @returns {Promise<Object>} Combined profile { allergies, intolerances, diets, dislikes }
+ */
+async function loadHouseholdDietaryProfile(db, homeId, userUid) {
+  const profiles = [];
+  const memberIds = new Set([userUid]);
+
+  if (homeId) {
+    const homeDoc = await db.collection('homes').doc(homeId).get();
+    if (homeDoc.exists) {
+      const homeData = homeDoc.data();
+      profiles.push(homeData.dietaryProfile);
+      Object.keys(homeData.members || {}).forEach(memberId => memberIds.add(memberId));
+    }
+  }
+
+  const memberDocs = await Promise.all(
+    [...memberIds].map(memberId => db.collection('users').doc(memberId).get())
+  );
+  memberDocs.forEach(doc => {
+    if (doc.exists) profiles.push(doc.data().dietaryProfile);
+  });
+
+  return mergeDietaryProfiles(profiles);
+}
+
+module.exports = {
+  loadHouseholdDietaryProfile
+};
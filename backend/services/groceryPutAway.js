@@ -0,0 +1,191 @@
+// groceryPutAway.js - Moves checked shopping list items into the pantry
+
+const admin = require('firebase-admin');
+const { getQuickDefaults } = require('./pantryAI');
+const {
+  DEFAULT_SHOPPING_LIST_ID,
+  getShoppingItemsRef,
+  readShoppingItem,
+  touchShoppingList
+} = require('./shoppingListStore');
+const { normalizeIngredientName } = require('../utils/ingredients');
+const {
+  parseQuantity,
+  convertAmount,
+  roundAmount,
+  formatQuantity,
+  getItemQuantity
+} = require('../utils/quantity');
+
+// --- Constants ---
+
+// Shopping categories that always belong in one place. Produce and "other" vary
+// (bananas vs lettuce), so their location comes from getQuickDefaults instead.
+const CATEGORY_LOCATIONS = {
+  dairy: 'fridge',
+  meat: 'fridge',
+  seafood: 'fridge',
+  frozen: 'freezer',
+  pantry: 'pantry',
+  bakery: 'pantry',
+  snacks: 'pantry',
+  household: 'pantry',
+  'personal-care': 'pantry'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Estimates location and expiry for each distinct checked item name
+ * Runs before the transaction so AI calls are never repeated on a retry.
+ * @private
+ */
+async function estimateDefaults(items, genAI, logger) {
+  const names = [...new Set(items.map(item => item.name))];
+  const defaults = await Promise.all(names.map(name => getQuickDefaults(name, genAI, logger)));
+  return new Map(names.map((name, index) => [name, defaults[index]]));
+}
+
+/**
+ * Resolves the structured quantity bought for a shopping list item
+ * Shopping items store a number plus a display unit ("2", "lbs").
+ * @private
+ */
+function getPurchasedQuantity(item) {
+  const quantity = parseQuantity(`${item.quantity ?? 1} ${item.unit || 'each'}`);
+  return quantity || { amount: 1, unit: 'each' };
+}
+
+/**
+ * Puts checked shopping list items away into the pantry
+ * Each item's location comes from its shopping category (falling back to the
+ * AI estimate) and its expiry from getQuickDefaults. Items whose name matches
+ * an existing pantry item with a convertible unit are merged into it (amounts
+ * are added, and an existing expiry is kept since older stock goes off first).
+ * When no same-named item's unit converts ("1 bag" of rice bought for "2 cups"
+ * in the pantry), the purchase becomes a pantry item of its own.
+ * Pantry writes and removal from the shopping list happen in one transaction.
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} homeId - Home the list and pantry belong to
+ * @param {Object} context - Put-away context
+ * @param {string} context.userUid - User putting the groceries away
+ * @param {string} [context.listId] - List whose checked items are put away (default list when omitted)
+ * @param {Object} genAI - AI provider (see config/ai.js)
+ * @param {Object} logger - Pino logger instance
+ * @returns {Promise<Object>} { results } where results are { shoppingItemId, pantryItemId, name, location, action }
+ */
+async function putAwayCheckedItems(db, homeId, context, genAI, logger) {
+  const { userUid, listId = DEFAULT_SHOPPING_LIST_ID } = context;
+  const homeRef = db.collection('homes').doc(homeId);
+  const pantryRef = homeRef.collection('pantry_items');
+  const shoppingItemsRef = getShoppingItemsRef(db, homeId);
+  const checkedQuery = shoppingItemsRef.where('checked', '==', true);
+
+  // Items of every list share one subcollection; keep the requested list's
+  const readCheckedItems = snap => snap.docs.map(readShoppingItem).filter(item => item.listId === listId);
+
+  const checkedItems = readCheckedItems(await checkedQuery.get());
+  if (checkedItems.length === 0) {
+    return { results: [] };
+  }
+
+  const defaultsByName = await estimateDefaults(checkedItems, genAI, logger);
+
+  return db.runTransaction(async (transaction) => {
+    const currentCheckedSnap = await transaction.get(checkedQuery);
+    const pantrySnap = await transaction.get(pantryRef);
+
+    // Only items that are still checked and were estimated above are moved
+    const toPutAway = readCheckedItems(currentCheckedSnap).filter(item => defaultsByName.has(item.name));
+
+    // Pantry items (existing and created here) by normalized name
+    const targetsByKey = new Map();
+    const addTarget = (key, target) => targetsByKey.set(key, [...(targetsByKey.get(key) || []), target]);
+    pantrySnap.docs.forEach(doc => {
+      const key = normalizeIngredientName(doc.data().name);
+      if (key) {
+        addTarget(key, { ref: doc.ref, data: doc.data(), isNew: false, ...getItemQuantity(doc.data()) });
+      }
+    });
+
+    const results = [];
+    const touched = new Set();
+
+    for (const item of toPutAway) {
+      const key = normalizeIngredientName(item.name);
+      const defaults = defaultsByName.get(item.name);
+      const purchased = getPurchasedQuantity(item);
+      let converted = null;
+      let target = (targetsByKey.get(key) || []).find((candidate) => {
+        converted = convertAmount(purchased.amount, purchased.unit, candidate.unit);
+        return converted !== null;
+      });
+      const action = target ? 'merged' : 'created';
+      const expiresAt = new Date(Date.now() + (Number(defaults.daysUntilExpiry) || 7) * DAY_MS);
+
+      if (!target) {
+        target = {
+          ref: pantryRef.doc(),
+          data: {
+            name: item.name,
+            location: CATEGORY_LOCATIONS[item.category] || defaults.location || 'pantry',
+            expiresAt
+          },
+          isNew: true,
+          amount: purchased.amount,
+          unit: purchased.unit
+        };
+        addTarget(key, target);
+      } else {
+        target.amount += converted;
+        if (!target.data.expiresAt) {
+          target.data.expiresAt = expiresAt;
+          target.expiryAdded = true;
+        }
+      }
+
+      touched.add(target);
+      results.push({
+        shoppingItemId: item.id,
+        pantryItemId: target.ref.id,
+        name: target.data.name,
+        location: target.data.location || 'pantry',
+        action
+      });
+    }
+
+    for (const target of touched) {
+      const quantityFields = {
+        quantity: formatQuantity(target.amount, target.unit),
+        amount: roundAmount(target.amount),
+        unit: target.unit
+      };
+
+      if (target.isNew) {
+        transaction.set(target.ref, {
+          ...target.data,
+          ...quantityFields,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          createdBy: userUid
+        });
+      } else {
+        transaction.update(target.ref, {
+          ...quantityFields,
+          ...(target.expiryAdded && { expiresAt: target.data.expiresAt }),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      }
+    }
+
+    toPutAway.forEach(item => transaction.delete(shoppingItemsRef.doc(item.id)));
+    if (toPutAway.length > 0) touchShoppingList(transaction, db, homeId);
+
+    return { results };
+  });
+}
+
+module.exports = {
+  putAwayCheckedItems
+};
@@ -0,0 +1,289 @@
+// homeArchive.js - Exporting a home to a single archive and restoring it
+
+const admin = require('firebase-admin');
+const { getShoppingListRef } = require('./shoppingListStore');
+const { HOME_SUBCOLLECTIONS, SHOPPING_SUBCOLLECTIONS, collectHomeData } = require('./homeLifecycle');
+const { emptyDietaryProfile, normalizeDietaryProfile } = require('../utils/dietary');
+
+const { Timestamp } = admin.firestore;
+
+/**
+ * An archive is one JSON document holding everything in a home:
+ *   { format, version, exportedAt,
+ *     home: { id, name, dietaryProfile, createdAt },
+ *     members: [{ id, name, email, role }],
+ *     shoppingList: { ... } | null,
+ *     collections: { pantry_items: [{ id, ... }], ..., shopping_items: [...] } }
+ * Shopping subcollections are prefixed with `shopping_`. Timestamps are written
+ * as { "$timestamp": "<ISO date>" }, as in the memory backend's JSON file.
+ *
+ * Restoring gives every document a new id and rewrites the references listed in
+ * ARCHIVE_REFERENCES, so an archive can be restored next to the home it came
+ * from, or in another project entirely. Members are recorded but not restored:
+ * user ids differ between projects, so the importing user becomes the admin
+ * and invites everyone else again.
+ */
+
+// --- Constants ---
+const ARCHIVE_FORMAT = 'home-helper-home-archive';
+const ARCHIVE_VERSION = 1;
+const MAX_ARCHIVE_DOCUMENTS = 20000;
+const WRITE_BATCH_SIZE = 400; // Firestore allows 500 writes per batch
+const TIMESTAMP_KEY = '$timestamp';
+const SHOPPING_SECTION_PREFIX = 'shopping_';
+
+const ARCHIVE_SECTIONS = [
+  ...HOME_SUBCOLLECTIONS,
+  ...SHOPPING_SUBCOLLECTIONS.map(name => `${SHOPPING_SECTION_PREFIX}${name}`)
+];
+
+// Creation times the app sorts or reads by, filled in when an archive lacks them
+const ARCHIVE_DEFAULTS = {
+  pantry_items: { createdAt: () => Timestamp.now(), updatedAt: () => Timestamp.now() },
+  pantry_consumption_log: { consumedAt: () => Timestamp.now() },
+  meal_plans: { createdAt: () => Timestamp.now(), updatedAt: () => Timestamp.now() },
+  recipes: { savedAt: () => new Date().toISOString() },
+  shopping_items: { addedAt: () => Timestamp.now(), updatedAt: () => Timestamp.now() },
+  shopping_lists: { createdAt: () => Timestamp.now() },
+  shopping_store_layouts: { createdAt: () => Timestamp.now(), updatedAt: () => Timestamp.now() }
+};
+
+// Fields holding ids of documents in another section ([path, section])
+const ARCHIVE_REFERENCES = {
+  pantry_consumption_log: [['pantryItemId', 'pantry_items'], ['mealPlanId', 'meal_plans']],
+  meal_plans: [
+    ['planned.recipeId', 'recipes'],
+    ['actual.recipeId', 'recipes'],
+    ['pantryConsumptionLogIds', 'pantry_consumption_log']
+  ],
+  shopping_items: [
+    ['listId', 'shopping_lists'],
+    ['source.pantryItemId', 'pantry_items'],
+    ['source.mealPlanIds', 'meal_plans']
+  ]
+};
+
+/**
+ * Converts stored values for the archive (Timestamps become tagged ISO strings)
+ * @private
+ */
+function encodeValue(value) {
+  if (value instanceof Timestamp) return { [TIMESTAMP_KEY]: value.toDate().toISOString() };
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, encodeValue(entry)]));
+  }
+  return value;
+}
+
+/**
+ * Reverses encodeValue (unreadable dates become null)
+ * @private
+ */
+function decodeValue(value) {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (value && typeof value === 'object') {
+    if (typeof value[TIMESTAMP_KEY] === 'string' && Object.keys(value).length === 1) {
+      const date = new Date(value[TIMESTAMP_KEY]);
+      return Number.isNaN(date.getTime()) ? null : Timestamp.fromDate(date);
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, decodeValue(entry)]));
+  }
+  return value;
+}
+
+/**
+ * Gets the collection an archive section is restored into
+ * @private
+ */
+function getSectionRef(db, homeId, section) {
+  if (section.startsWith(SHOPPING_SECTION_PREFIX)) {
+    return getShoppingListRef(db, homeId).collection(section.slice(SHOPPING_SECTION_PREFIX.length));
+  }
+  return db.collection('homes').doc(homeId).collection(section);
+}
+
+/**
+ * Replaces the id (or ids) at a dotted path using the section's id map
+ * Ids that aren't in the archive (deleted documents, the default list) are kept.
+ * @private
+ */
+function remapReference(data, path, idMap) {
+  const keys = path.split('.');
+  const field = keys.pop();
+  const parent = keys.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), data);
+  if (!parent || typeof parent !== 'object' || parent[field] == null) return;
+
+  const remap = (oldId) => idMap.get(oldId) || oldId;
+  parent[field] = Array.isArray(parent[field]) ? parent[field].map(remap) : remap(parent[field]);
+}
+
+/**
+ * Builds the archive of a home
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} homeId - Home ID
+ * @returns {Promise<Object>} JSON-friendly archive
+ */
+async function buildHomeArchive(db, homeId) {
+  const homeDoc = await db.collection('homes').doc(homeId).get();
+  const { members = {}, ...home } = homeDoc.data();
+
+  const memberIds = Object.keys(members);
+  const memberDocs = await Promise.all(memberIds.map(memberId => db.collection('users').doc(memberId).get()));
+  const { collections, shoppingList, shoppingCollections } = await collectHomeData(db, homeId);
+
+  return encodeValue({
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    home: { id: homeId, ...home },
+    members: memberDocs.map(doc => ({
+      id: doc.id,
+      name: doc.exists ? doc.data().name : null,
+      email: doc.exists ? doc.data().email : null,
+      role: members[doc.id]
+    })),
+    shoppingList,
+    collections: {
+      ...collections,
+      ...Object.fromEntries(Object.entries(shoppingCollections).map(
+        ([name, docs]) => [`${SHOPPING_SECTION_PREFIX}${name}`, docs]
+      ))
+    }
+  });
+}
+
+/**
+ * Checks an archive that already matched the request schema
+ * Catches what the schema can't: duplicate ids, the overall size and the
+ * home's dietary profile.
+ *
+ * @param {Object} archive - Archive from the request
+ * @returns {Object} { settings: { name, dietaryProfile } } or { error }
+ */
+function checkHomeArchive(archive) {
+  let documentCount = 0;
+  for (const section of ARCHIVE_SECTIONS) {
+    const docs = archive.collections[section] || [];
+    documentCount += docs.length;
+
+    const ids = new Set(docs.map(doc => doc.id));
+    if (ids.size !== docs.length) {
+      return { error: `The archive lists the same ${section} document twice` };
+    }
+  }
+  if (documentCount > MAX_ARCHIVE_DOCUMENTS) {
+    return { error: `The archive has more than ${MAX_ARCHIVE_DOCUMENTS} documents` };
+  }
+
+  const { profile, error } = archive.home.dietaryProfile
+    ? normalizeDietaryProfile(archive.home.dietaryProfile)
+    : { profile: emptyDietaryProfile() };
+  if (error) {
+    return { error: `Home dietary profile: ${error}` };
+  }
+
+  return { settings: { name: archive.home.name, dietaryProfile: profile } };
+}
+
+/**
+ * Decodes an archive's documents and gives them new ids in a home
+ * Nothing is written here, so an archive that can't be read fails before the
+ * home is touched. The shopping list document comes last.
+ * @private
+ */
+function buildRestoreWrites(db, homeId, archive) {
+  const idMaps = {};
+  for (const section of ARCHIVE_SECTIONS) {
+    const sectionRef = getSectionRef(db, homeId, section);
+    idMaps[section] = new Map((archive.collections[section] || []).map(doc => [doc.id, sectionRef.doc().id]));
+  }
+
+  const writes = [];
+  const counts = {};
+  for (const section of ARCHIVE_SECTIONS) {
+    const sectionRef = getSectionRef(db, homeId, section);
+    const docs = archive.collections[section] || [];
+
+    for (const { id: oldId, ...fields } of docs) {
+      const data = decodeValue(fields);
+      Object.entries(ARCHIVE_DEFAULTS[section] || {}).forEach(([field, makeDefault]) => {
+        if (data[field] == null) data[field] = makeDefault();
+      });
+      (ARCHIVE_REFERENCES[section] || []).forEach(([path, target]) => remapReference(data, path, idMaps[target]));
+      writes.push([sectionRef.doc(idMaps[section].get(oldId)), data]);
+    }
+    counts[section] = docs.length;
+  }
+
+  writes.push([getShoppingListRef(db, homeId), {
+    ...decodeValue(archive.shoppingList || {}),
+    homeId,
+    lastUpdated: Timestamp.now()
+  }]);
+
+  return { writes, counts };
+}
+
+/**
+ * Commits [ref, data] pairs in batches (null data deletes the document)
+ * @private
+ */
+async function commitWrites(db, writes) {
+  for (let start = 0; start < writes.length; start += WRITE_BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(start, start + WRITE_BATCH_SIZE).forEach(([ref, data]) => (
+      data === null ? batch.delete(ref) : batch.set(ref, data)
+    ));
+    await batch.commit();
+  }
+}
+
+/**
+ * Writes an archive's documents into a home under new ids
+ * The caller creates the home (if it's new) and applies the settings from
+ * checkHomeArchive. When replacing, the home's current documents are deleted
+ * only after the whole archive is written; if writing fails, the part already
+ * written is removed again and the home keeps its old contents.
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} homeId - Home to restore into
+ * @param {Object} archive - Checked archive
+ * @param {Object} [options] - Restore options
+ * @param {boolean} [options.replace=false] - Delete the home's current contents afterwards
+ * @returns {Promise<Object>} Documents restored per section ({ [section]: count })
+ */
+async function restoreHomeArchive(db, homeId, archive, { replace = false } = {}) {
+  const { writes, counts } = buildRestoreWrites(db, homeId, archive);
+
+  // New ids never collide with these, so they can be listed before writing
+  const oldRefs = [];
+  if (replace) {
+    for (const section of ARCHIVE_SECTIONS) {
+      const snapshot = await getSectionRef(db, homeId, section).get();
+      oldRefs.push(...snapshot.docs.map(doc => doc.ref));
+    }
+  }
+
+  try {
+    await commitWrites(db, writes);
+  } catch (error) {
+    // The shopping list document is in the last batch, so it was never overwritten
+    await commitWrites(db, writes.slice(0, -1).map(([ref]) => [ref, null]));
+    throw error;
+  }
+
+  await commitWrites(db, oldRefs.map(ref => [ref, null]));
+  return counts;
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  ARCHIVE_SECTIONS,
+  ARCHIVE_TIMESTAMP_KEY: TIMESTAMP_KEY,
+  buildHomeArchive,
+  checkHomeArchive,
+  restoreHomeArchive
+};
@@ -0,0 +1,134 @@
+// homeEvents.js - Live change notifications for household data
+
+const { EventEmitter } = require('events');
+
+// --- Constants ---
+// Data sets clients can follow; each names the page state an event updates
+const HOME_EVENT_COLLECTIONS = ['pantry', 'planner', 'shopping', 'shoppingLists', 'storeLayouts'];
+
+/**
+ * Creates the in-process change feed routes publish to and /events streams read from
+ * Events are item-level: every change lists the full items that were created or
+ * updated (in the same shape the REST endpoint returns them) and the ids that
+ * were removed, so clients merge them into local state without refetching.
+ * Changes too broad to list (restoring an archive) send a resync instead, and
+ * clients refetch the collections it names. Removing someone from a home closes
+ * their open streams for it, since membership is only checked when a stream opens.
+ *
+ * Delivery is per instance, which matches the single-instance App Engine
+ * deployment (app.yaml: max_instances 1). Clients refetch after reconnecting,
+ * so changes published while they were disconnected are never lost.
+ *
+ * @param {Object} options - Feed options
+ * @param {Object} options.logger - Pino logger instance
+ * @returns {Object} Feed with { publish(homeId, change), resync(homeId, options), removeMember(homeId, userId), subscribe(homeId, listener) }
+ */
+function createHomeEvents({ logger }) {
+  const emitter = new EventEmitter();
+  // One listener per open stream; a busy household can exceed the default warning limit of 10
+  emitter.setMaxListeners(0);
+  let sequence = 0;
+
+  return {
+    /**
+     * Notifies every open stream of a home about changed items
+     *
+     * @param {string} homeId - Home the items belong to
+     * @param {Object} change - Change description
+     * @param {string} change.collection - One of HOME_EVENT_COLLECTIONS
+     * @param {Object[]} [change.upserted=[]] - Created or updated items, with ids
+     * @param {string[]} [change.deleted=[]] - Ids of removed items
+     * @param {string} [change.actorId] - User who made the change
+     */
+    publish(homeId, { collection, upserted = [], deleted = [], actorId = null }) {
+      if (!HOME_EVENT_COLLECTIONS.includes(collection)) {
+        throw new Error(`Unknown home event collection "${collection}"`);
+      }
+      if (upserted.length === 0 && deleted.length === 0) return;
+
+      sequence++;
+      const event = {
+        id: sequence,
+        collection,
+        upserted,
+        deleted,
+        actorId,
+        at: new Date().toISOString()
+      };
+
+      logger.debug({
+        homeId,
+        collection,
+        upsertedCount: upserted.length,
+        deletedCount: deleted.length,
+        listenerCount: emitter.listenerCount(homeId)
+      }, 'Home change published');
+      emitter.emit(homeId, 'change', event);
+    },
+
+    /**
+     * Tells every open stream of a home to refetch whole collections
+     *
+     * @param {string} homeId - Home whose data changed
+     * @param {Object} [options] - Resync options
+     * @param {string[]} [options.collections=HOME_EVENT_COLLECTIONS] - Collections to refetch
+     * @param {string} [options.actorId] - User who made the change
+     */
+    resync(homeId, { collections = HOME_EVENT_COLLECTIONS, actorId = null } = {}) {
+      sequence++;
+      logger.debug({ homeId, collections, listenerCount: emitter.listenerCount(homeId) }, 'Home resync published');
+      emitter.emit(homeId, 'resync', { id: sequence, collections, actorId, at: new Date().toISOString() });
+    },
+
+    /**
+     * Tells a home's streams that a user is no longer a member
+     * The user's own streams close; other members' streams aren't sent anything.
+     *
+     * @param {string} homeId - Home the user left or was removed from (or that was deleted)
+     * @param {string} userId - User who lost access
+     */
+    removeMember(homeId, userId) {
+      logger.debug({ homeId, userId, listenerCount: emitter.listenerCount(homeId) }, 'Home member removal published');
+      emitter.emit(homeId, 'memberRemoved', { userId });
+    },
+
+    /**
+     * Registers a listener for a home's changes
+     *
+     * @param {string} homeId - Home to follow
+     * @param {Function} listener - Called with the event name ('change' | 'resync' | 'memberRemoved') and data
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(homeId, listener) {
+      emitter.on(homeId, listener);
+      return () => emitter.off(homeId, listener);
+    }
+  };
+}
+
+/**
+ * Reads the current state of documents a write touched
+ * For writes done in services (batches, transactions) where the route only
+ * knows which ids changed: documents that still exist are serialized as
+ * upserts, missing ones are reported as deleted.
+ *
+ * @param {Object} collectionRef - Firestore collection the documents live in
+ * @param {string[]} ids - Ids of the touched documents (duplicates allowed)
+ * @param {Function} serialize - Turns a document snapshot into the REST item shape
+ * @returns {Promise<{upserted: Object[], deleted: string[]}>} Change lists for publish()
+ */
+async function loadDocumentChanges(collectionRef, ids, serialize) {
+  const uniqueIds = [...new Set(ids.filter(Boolean))];
+  const docs = await Promise.all(uniqueIds.map(docId => collectionRef.doc(docId).get()));
+
+  return {
+    upserted: docs.filter(doc => doc.exists).map(serialize),
+    deleted: docs.filter(doc => !doc.exists).map(doc => doc.id)
+  };
+}
+
+module.exports = {
+  HOME_EVENT_COLLECTIONS,
+  createHomeEvents,
+  loadDocumentChanges
+};
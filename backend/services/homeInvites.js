@@ -0,0 +1,192 @@
+// homeInvites.js - Invitations to join a home
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+/**
+ * Invites are stored as:
+ *   home_invites/{id}  { homeId, homeName, email, code, role, status, createdBy, createdByName,
+ *                        createdAt, expiresAt, respondedBy, respondedAt }
+ *
+ * An invite is addressed to an email address (only that account can accept it)
+ * or, with email null, to whoever holds its code (shared as a link). Every
+ * invite has a code; invitees act on invites by code, admins by id. Invites are
+ * single use: status moves from 'pending' to 'accepted', 'declined' or 'revoked'
+ * once, and a pending invite past expiresAt can no longer be used.
+ */
+
+// --- Constants ---
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I lookalikes
+const INVITE_CODE_LENGTH = 8;
+const DEFAULT_INVITE_DAYS = 7;
+const MAX_INVITE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// User-facing reasons an invite can't be used (see getInviteProblem)
+const INVITE_PROBLEM_MESSAGES = {
+  accepted: 'This invite has already been used',
+  declined: 'This invite was declined',
+  revoked: 'This invite was cancelled by the home admin',
+  expired: 'This invite has expired',
+  'wrong-recipient': 'This invite was sent to a different email address',
+  unverified: 'Verify your email address to answer this invite'
+};
+
+/**
+ * Gets the invites collection
+ *
+ * @param {Object} db - Firestore instance
+ * @returns {Object} Collection reference
+ */
+function getInvitesRef(db) {
+  return db.collection('home_invites');
+}
+
+/**
+ * Generates a random invite code, e.g. "K7QM2XRP"
+ *
+ * @returns {string} Invite code
+ */
+function generateInviteCode() {
+  let code = '';
+  for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+    code += INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Normalizes a code typed or pasted by a user ("k7qm-2xrp" -> "K7QM2XRP")
+ *
+ * @param {string} code - Code as entered
+ * @returns {string} Normalized code
+ */
+function normalizeInviteCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Finds an invite by its code
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} code - Invite code (normalized)
+ * @param {Object} [transaction] - Read inside this transaction when given
+ * @returns {Promise<Object|null>} Invite document snapshot, or null
+ */
+async function findInviteByCode(db, code, transaction) {
+  const query = getInvitesRef(db).where('code', '==', code).limit(1);
+  const snapshot = transaction ? await transaction.get(query) : await query.get();
+  return snapshot.empty ? null : snapshot.docs[0];
+}
+
+/**
+ * Works out whether an invite can still be used, and by whom
+ * Resolves to null when `email` may accept it, or the reason it can't:
+ * 'accepted' | 'declined' | 'revoked' | 'expired' | 'wrong-recipient' | 'unverified'.
+ * An invite sent to an address needs that address verified, or anyone who
+ * signs up with it could join the home.
+ *
+ * @param {Object} invite - Invite document data
+ * @param {string} [email] - Email address of the user acting on the invite
+ * @param {boolean} [emailVerified=false] - Whether that address is verified
+ * @returns {string|null} Reason the invite can't be used, or null
+ */
+function getInviteProblem(invite, email, emailVerified = false) {
+  if (invite.status !== 'pending') return invite.status;
+  if (invite.expiresAt.toDate() <= new Date()) return 'expired';
+  if (email !== undefined && invite.email) {
+    if (invite.email !== String(email || '').toLowerCase()) return 'wrong-recipient';
+    if (!emailVerified) return 'unverified';
+  }
+  return null;
+}
+
+/**
+ * Builds the data for a new pending invite
+ *
+ * @param {Object} options - Invite options
+ * @param {string} options.homeId - Home to join
+ * @param {string} options.homeName - Home name (shown to invitees, who can't read the home)
+ * @param {string|null} options.email - Invitee email, or null for a shareable code
+ * @param {string} options.createdBy - Admin creating the invite
+ * @param {string} options.createdByName - Admin's display name
+ * @param {string} [options.role='member'] - Role the invitee joins with (never 'admin')
+ * @param {number} [options.expiresInDays=7] - Days until the invite expires
+ * @returns {Object} Invite document data
+ */
+function buildInvite({ homeId, homeName, email, createdBy, createdByName, role = 'member', expiresInDays = DEFAULT_INVITE_DAYS }) {
+  const now = admin.firestore.Timestamp.now();
+
+  return {
+    homeId,
+    homeName,
+    email: email ? email.toLowerCase() : null,
+    code: generateInviteCode(),
+    role,
+    status: 'pending',
+    createdBy,
+    createdByName,
+    createdAt: now,
+    expiresAt: admin.firestore.Timestamp.fromMillis(now.toMillis() + expiresInDays * DAY_MS),
+    respondedBy: null,
+    respondedAt: null
+  };
+}
+
+/**
+ * Accepts an invite inside a transaction: adds the user to the home and marks
+ * the invite accepted. The caller has already read the invite in the same
+ * transaction and checked it with getInviteProblem.
+ *
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} db - Firestore instance
+ * @param {Object} inviteDoc - Invite document snapshot
+ * @param {string} userId - User joining the home
+ */
+function writeInviteAcceptance(transaction, db, inviteDoc, userId) {
+  const { homeId, role } = inviteDoc.data();
+
+  transaction.update(db.collection('homes').doc(homeId), { [`members.${userId}`]: role });
+  transaction.update(db.collection('users').doc(userId), { [`homes.${homeId}`]: role });
+  transaction.update(inviteDoc.ref, {
+    status: 'accepted',
+    respondedBy: userId,
+    respondedAt: admin.firestore.Timestamp.now()
+  });
+}
+
+/**
+ * Converts an invite document into the shape the API returns
+ *
+ * @param {string} inviteId - Invite document id
+ * @param {Object} data - Invite document data
+ * @returns {Object} Invite with ISO dates
+ */
+function serializeInvite(inviteId, data) {
+  return {
+    id: inviteId,
+    homeId: data.homeId,
+    homeName: data.homeName,
+    email: data.email,
+    code: data.code,
+    role: data.role,
+    status: data.status,
+    createdBy: data.createdBy,
+    createdByName: data.createdByName,
+    createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : data.createdAt,
+    expiresAt: data.expiresAt?.toDate ? data.expiresAt.toDate().toISOString() : data.expiresAt
+  };
+}
+
+module.exports = {
+  DEFAULT_INVITE_DAYS,
+  MAX_INVITE_DAYS,
+  INVITE_PROBLEM_MESSAGES,
+  getInvitesRef,
+  normalizeInviteCode,
+  findInviteByCode,
+  getInviteProblem,
+  buildInvite,
+  writeInviteAcceptance,
+  serializeInvite
+};
@@ -0,0 +1,197 @@
+// homeLifecycle.js - Creating, leaving and deleting homes
+
+const admin = require('firebase-admin');
+const { getInvitesRef } = require('./homeInvites');
+const { getShoppingListRef } = require('./shoppingListStore');
+const { HOME_ROLES } = require('../utils/homeRoles');
+
+/**
+ * A user's role in a home is stored twice and kept in sync:
+ *   homes/{homeId}  { members: { [userId]: role } }  (used for access checks, see utils/homeRoles.js)
+ *   users/{userId}  { homes: { [homeId]: role }, primaryHomeId }
+ * A home always keeps at least one admin, and a user always keeps at least one
+ * home: leaving or deleting your own last home is refused, and someone who loses
+ * their last home because an admin removed them or deleted it gets a new
+ * personal home (see writeHomeRemoval).
+ */
+
+// --- Constants ---
+const MAX_HOMES_PER_USER = 10;
+const DELETE_BATCH_SIZE = 400; // Firestore allows 500 writes per batch
+
+// Per-home data deleted along with the home
+const HOME_SUBCOLLECTIONS = ['pantry_items', 'pantry_consumption_log', 'meal_plans', 'recipes'];
+const SHOPPING_SUBCOLLECTIONS = ['items', 'lists', 'store_layouts'];
+
+/**
+ * Lists the ids of the homes a user belongs to
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} Home ids
+ */
+async function listUserHomeIds(db, userId) {
+  const homesSnapshot = await db.collection('homes')
+    .where(`members.${userId}`, 'in', HOME_ROLES)
+    .get();
+  return homesSnapshot.docs.map(doc => doc.id);
+}
+
+/**
+ * Counts the admins of a home
+ *
+ * @param {Object} members - Home members map ({ [userId]: role })
+ * @returns {number} Number of admins
+ */
+function countAdmins(members) {
+  return Object.values(members || {}).filter(role => role === 'admin').length;
+}
+
+/**
+ * Builds the user document update that removes a home from a user
+ * If it was their primary home, another of their homes becomes primary.
+ *
+ * @param {Object} userData - User document data
+ * @param {string} homeId - Home being removed
+ * @returns {Object} Update for the user document
+ */
+function buildHomeRemovalUpdate(userData, homeId) {
+  const update = { [`homes.${homeId}`]: admin.firestore.FieldValue.delete() };
+
+  if (userData.primaryHomeId === homeId) {
+    const remaining = Object.keys(userData.homes || {}).filter(id => id !== homeId);
+    update.primaryHomeId = remaining[0] || null;
+  }
+
+  return update;
+}
+
+/**
+ * Removes a home from a user inside a transaction
+ * If it was their last home, a new personal home is created for them in the
+ * same transaction and becomes their primary home.
+ *
+ * @param {Object} transaction - Firestore transaction (all reads already done)
+ * @param {Object} db - Firestore instance
+ * @param {Object} userDoc - User document snapshot
+ * @param {string} homeId - Home being removed
+ * @returns {string|null} Id of the new personal home, or null if none was needed
+ */
+function writeHomeRemoval(transaction, db, userDoc, homeId) {
+  const userData = userDoc.data();
+  const otherHomeIds = Object.keys(userData.homes || {}).filter(id => id !== homeId);
+  if (otherHomeIds.length > 0) {
+    transaction.update(userDoc.ref, buildHomeRemovalUpdate(userData, homeId));
+    return null;
+  }
+
+  const homeRef = db.collection('homes').doc();
+  transaction.set(homeRef, {
+    name: userData.name ? `${userData.name}'s Home` : 'My Home',
+    members: { [userDoc.id]: 'admin' },
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  transaction.update(userDoc.ref, {
+    [`homes.${homeId}`]: admin.firestore.FieldValue.delete(),
+    [`homes.${homeRef.id}`]: 'admin',
+    primaryHomeId: homeRef.id
+  });
+  return homeRef.id;
+}
+
+/**
+ * Reads every document in a collection as { id, ...data }
+ * @private
+ */
+async function readCollection(collectionRef) {
+  const snapshot = await collectionRef.get();
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Reads everything stored for a home outside the home document itself
+ * Covers exactly what clearHomeContents removes. Values are
+ * returned as stored (Timestamps included).
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} homeId - Home ID
+ * @returns {Promise<Object>} { collections: { [name]: docs }, shoppingList, shoppingCollections: { [name]: docs } }
+ */
+async function collectHomeData(db, homeId) {
+  const homeRef = db.collection('homes').doc(homeId);
+  const shoppingRef = getShoppingListRef(db, homeId);
+
+  const collections = {};
+  for (const name of HOME_SUBCOLLECTIONS) {
+    collections[name] = await readCollection(homeRef.collection(name));
+  }
+
+  const shoppingCollections = {};
+  for (const name of SHOPPING_SUBCOLLECTIONS) {
+    shoppingCollections[name] = await readCollection(shoppingRef.collection(name));
+  }
+
+  const shoppingDoc = await shoppingRef.get();
+  return {
+    collections,
+    shoppingList: shoppingDoc.exists ? shoppingDoc.data() : null,
+    shoppingCollections
+  };
+}
+
+/**
+ * Deletes every document in a collection, in batches
+ * @private
+ */
+async function deleteCollection(db, collectionRef) {
+  for (;;) {
+    const snapshot = await collectionRef.limit(DELETE_BATCH_SIZE).get();
+    if (snapshot.empty) return;
+
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+  }
+}
+
+/**
+ * Deletes a home's pantry, planner, recipes and shopping lists
+ * The home document, its members and invites are left alone.
+ * @private
+ */
+async function clearHomeContents(db, homeId) {
+  const homeRef = db.collection('homes').doc(homeId);
+  const shoppingRef = getShoppingListRef(db, homeId);
+
+  for (const name of HOME_SUBCOLLECTIONS) {
+    await deleteCollection(db, homeRef.collection(name));
+  }
+  for (const name of SHOPPING_SUBCOLLECTIONS) {
+    await deleteCollection(db, shoppingRef.collection(name));
+  }
+  await shoppingRef.delete();
+}
+
+/**
+ * Deletes a home's pantry, planner, recipes, shopping lists and invites
+ * Runs after the home document itself is gone, so nobody can still reach the data.
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} homeId - Home ID
+ */
+async function deleteHomeData(db, homeId) {
+  await clearHomeContents(db, homeId);
+  await deleteCollection(db, getInvitesRef(db).where('homeId', '==', homeId));
+}
+
+module.exports = {
+  MAX_HOMES_PER_USER,
+  HOME_SUBCOLLECTIONS,
+  SHOPPING_SUBCOLLECTIONS,
+  listUserHomeIds,
+  countAdmins,
+  buildHomeRemovalUpdate,
+  writeHomeRemoval,
+  collectHomeData,
+  deleteHomeData
+};
@@ -0,0 +1,209 @@
+// mealPlanAnalytics.js - Planned-vs-actual adherence, skipped recipes and meal variety
+
+const { PLANNED_MEAL_TYPES } = require('./weekPlanner');
+const { toDateKey, listDateKeys } = require('./nutritionDashboard');
+
+const MOST_SKIPPED_LIMIT = 5;
+const VARIETY_PERIOD_DAYS = 7;
+
+// Keywords used to infer a meal's main protein when the plan doesn't record one
+const PROTEIN_KEYWORDS = {
+  Chicken: ['chicken'],
+  Beef: ['beef', 'steak', 'brisket'],
+  Pork: ['pork', 'bacon', 'ham', 'sausage', 'chorizo'],
+  Turkey: ['turkey'],
+  Lamb: ['lamb'],
+  Fish: ['fish', 'salmon', 'tuna', 'cod', 'tilapia', 'halibut', 'trout'],
+  Shrimp: ['shrimp', 'prawn'],
+  Tofu: ['tofu', 'tempeh'],
+  Beans: ['bean', 'lentil', 'chickpea'],
+  Eggs: ['egg', 'omelet', 'omelette', 'frittata']
+};
+
+// Dish words that reveal a cuisine when the plan doesn't record one
+const CUISINE_KEYWORDS = {
+  Mexican: ['taco', 'burrito', 'enchilada', 'quesadilla', 'fajita', 'mexican', 'salsa'],
+  Italian: ['pasta', 'spaghetti', 'lasagna', 'risotto', 'pizza', 'gnocchi', 'italian', 'parmesan', 'carbonara'],
+  Indian: ['curry', 'tikka', 'masala', 'dal', 'biryani', 'indian', 'tandoori'],
+  Thai: ['thai', 'pad thai', 'larb'],
+  Asian: ['stir-fry', 'stir fry', 'teriyaki', 'ramen', 'fried rice', 'lo mein', 'sushi', 'bibimbap', 'asian'],
+  Mediterranean: ['greek', 'gyro', 'hummus', 'falafel', 'shawarma', 'mediterranean', 'tabbouleh'],
+  French: ['french', 'ratatouille', 'quiche', 'coq au vin'],
+  American: ['burger', 'bbq', 'barbecue', 'mac and cheese', 'meatloaf', 'american', 'sandwich']
+};
+
+/**
+ * Classifies what happened to a meal slot
+ * - as-planned: completed as planned
+ * - substituted: a planned meal was replaced by something else
+ * - skipped: a planned meal in the past with no completion or log
+ * - upcoming: a planned meal today or later that isn't done yet
+ * - unplanned: something was logged without a plan
+ * @private
+ */
+function classifyMealOutcome(plan, dateKey, today) {
+  const hasPlan = !!plan.planned;
+  const hasActual = !!plan.actual;
+
+  if (!hasPlan) return hasActual ? 'unplanned' : null;
+  if (plan.completed === true && plan.completionType !== 'modified') return 'as-planned';
+  if (plan.completed === true || hasActual) return 'substituted';
+  return dateKey < today ? 'skipped' : 'upcoming';
+}
+
+/**
+ * Finds the first keyword group that matches a piece of text
+ * @private
+ */
+function matchKeywordGroup(text, groups) {
+  const lower = ` ${text.toLowerCase()} `;
+  const match = Object.entries(groups).find(([, keywords]) =>
+    keywords.some(keyword => new RegExp(`\\b${keyword}(e?s)?\\b`).test(lower))
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Works out the protein and cuisine of what was (or will be) eaten
+ * Planned protein/cuisine (recorded by week planning) win; otherwise they are
+ * inferred from the meal name and ingredients.
+ * @private
+ */
+function describeMeal(plan, outcome) {
+  const useActual = outcome === 'substituted' || outcome === 'unplanned';
+  const source = useActual ? plan.actual : plan.planned;
+  if (!source) return { protein: null, cuisine: null };
+
+  const name = source.recipeName || source.description || '';
+  const ingredientText = (source.ingredients || [])
+    .map(ing => (typeof ing === 'string' ? ing : ing?.name || ''))
+    .join(' ');
+
+  return {
+    protein: (!useActual && plan.planned.protein) || matchKeywordGroup(`${name} ${ingredientText}`, PROTEIN_KEYWORDS),
+    cuisine: (!useActual && plan.planned.cuisine) || matchKeywordGroup(name, CUISINE_KEYWORDS)
+  };
+}
+
+/**
+ * Increments a counter in a plain object
+ * @private
+ */
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+/**
+ * Builds planned-vs-actual analytics for a date range
+ * Reports how often planned meals were made, substituted or skipped, which
+ * recipes get skipped most, which meal types are most often left empty, and how
+ * many distinct proteins and cuisines were eaten in each week of the range.
+ *
+ * @param {Object} options - Analytics options
+ * @param {Object[]} options.mealPlans - Meal plan documents in the range
+ * @param {string} options.startDate - First day (YYYY-MM-DD)
+ * @param {string} options.endDate - Last day (YYYY-MM-DD)
+ * @param {string} options.today - Current day (YYYY-MM-DD); meals from today on are not yet skipped
+ * @returns {Object} { startDate, endDate, adherence, mostSkippedRecipes, emptyMealTypes, variety }
+ */
+function buildMealPlanAnalytics(options) {
+  const { mealPlans = [], startDate, endDate, today } = options;
+
+  const outcomes = { 'as-planned': 0, substituted: 0, skipped: 0, upcoming: 0, unplanned: 0 };
+  const recipeStats = new Map();
+  const filledSlots = new Set();
+  const meals = [];
+
+  for (const plan of mealPlans) {
+    const dateKey = toDateKey(plan.date);
+    if (!dateKey) continue;
+    filledSlots.add(`${dateKey}|${plan.mealType}`);
+
+    const outcome = classifyMealOutcome(plan, dateKey, today);
+    if (!outcome) continue;
+    outcomes[outcome]++;
+
+    if (plan.planned && outcome !== 'upcoming') {
+      const recipeName = plan.planned.recipeName || plan.planned.description || 'Untitled meal';
+      const key = plan.planned.recipeId || recipeName.toLowerCase();
+      const stats = recipeStats.get(key) || { recipeId: plan.planned.recipeId || null, recipeName, planned: 0, skipped: 0 };
+      stats.planned++;
+      if (outcome === 'skipped') stats.skipped++;
+      recipeStats.set(key, stats);
+    }
+
+    if (outcome !== 'skipped') {
+      meals.push({ dateKey, ...describeMeal(plan, outcome) });
+    }
+  }
+
+  // Adherence only counts planned meals whose day has come
+  const decided = outcomes['as-planned'] + outcomes.substituted + outcomes.skipped;
+  const toPercent = (count) => (decided > 0 ? Math.round((count / decided) * 100) : 0);
+
+  const mostSkippedRecipes = [...recipeStats.values()]
+    .filter(stats => stats.skipped > 0)
+    .sort((a, b) => b.skipped - a.skipped || b.planned - a.planned)
+    .slice(0, MOST_SKIPPED_LIMIT);
+
+  const pastDays = listDateKeys(startDate, endDate).filter(date => date < today);
+  const emptyMealTypes = PLANNED_MEAL_TYPES
+    .map(mealType => {
+      const emptyDays = pastDays.filter(date => !filledSlots.has(`${date}|${mealType}`)).length;
+      return {
+        mealType,
+        emptyDays,
+        emptyRate: pastDays.length > 0 ? Math.round((emptyDays / pastDays.length) * 100) : 0
+      };
+    })
+    .sort((a, b) => b.emptyDays - a.emptyDays);
+
+  const allDays = listDateKeys(startDate, endDate);
+  const variety = [];
+  for (let i = 0; i < allDays.length; i += VARIETY_PERIOD_DAYS) {
+    const periodDays = allDays.slice(i, i + VARIETY_PERIOD_DAYS);
+    const periodStart = periodDays[0];
+    const periodEnd = periodDays[periodDays.length - 1];
+    const periodMeals = meals.filter(meal => meal.dateKey >= periodStart && meal.dateKey <= periodEnd);
+
+    const proteins = {};
+    const cuisines = {};
+    periodMeals.forEach(meal => {
+      if (meal.protein) increment(proteins, meal.protein);
+      if (meal.cuisine) increment(cuisines, meal.cuisine);
+    });
+
+    variety.push({
+      startDate: periodStart,
+      endDate: periodEnd,
+      mealCount: periodMeals.length,
+      distinctProteins: Object.keys(proteins).length,
+      distinctCuisines: Object.keys(cuisines).length,
+      proteins,
+      cuisines
+    });
+  }
+
+  return {
+    startDate,
+    endDate,
+    adherence: {
+      planned: decided,
+      asPlanned: outcomes['as-planned'],
+      substituted: outcomes.substituted,
+      skipped: outcomes.skipped,
+      upcoming: outcomes.upcoming,
+      unplanned: outcomes.unplanned,
+      asPlannedRate: toPercent(outcomes['as-planned']),
+      substitutedRate: toPercent(outcomes.substituted),
+      skippedRate: toPercent(outcomes.skipped)
+    },
+    mostSkippedRecipes,
+    emptyMealTypes,
+    variety
+  };
+}
+
+module.exports = {
+  buildMealPlanAnalytics
+};
@@ -0,0 +1,251 @@
+// mealPlanShopping.js - Builds shopping list items from planned meals
+
+const { matchIngredientsToPantry } = require('./recipeAI');
+const { SHOPPING_CATEGORIES } = require('./shoppingListAI');
+const { parseIngredient, normalizeIngredientName } = require('../utils/ingredients');
+const {
+  AMOUNT_EPSILON,
+  parseQuantity,
+  convertAmount,
+  roundAmount,
+  getItemQuantity
+} = require('../utils/quantity');
+
+// Staples recipes assume are always on hand - never added to the list
+const ASSUMED_STAPLES = new Set(['salt', 'pepper', 'black pepper', 'salt and pepper', 'water']);
+
+/**
+ * Collects ingredient entries (scaled to planned servings) from each planned meal
+ * Falls back to the recipe's stored shoppingListItems when no ingredient list exists.
+ *
+ * @param {Object[]} mealPlans - Meal plan documents (with id)
+ * @param {Map<string, Object>} recipesById - Saved recipes referenced by the meal plans
+ * @returns {Object[]} Entries as { name, amount, unit, category, mealPlanId }
+ */
+function collectMealIngredients(mealPlans, recipesById) {
+  const entries = [];
+
+  for (const plan of mealPlans) {
+    const planned = plan.planned || {};
+    const recipe = planned.recipeId ? recipesById.get(planned.recipeId) : null;
+
+    const ingredients = (recipe?.ingredients?.length ? recipe.ingredients : planned.ingredients) || [];
+    const recipeServings = parseInt(recipe?.servings) || null;
+    const plannedServings = parseInt(planned.servings) || null;
+    const scale = recipeServings && plannedServings ? plannedServings / recipeServings : 1;
+
+    if (ingredients.length > 0) {
+      for (const line of ingredients) {
+        const parsed = parseIngredient(typeof line === 'string' ? line : line?.name);
+        if (!parsed) continue;
+        entries.push({
+          ...parsed,
+          amount: parsed.amount !== null ? parsed.amount * scale : null,
+          category: null,
+          mealPlanId: plan.id
+        });
+      }
+      continue;
+    }
+
+    for (const item of recipe?.shoppingListItems || []) {
+      if (!item?.name) continue;
+      const quantity = parseQuantity(item.quantity);
+      entries.push({
+        name: item.name.toLowerCase(),
+        amount: quantity ? quantity.amount * scale : null,
+        unit: quantity ? quantity.unit : null,
+        category: item.category || null,
+        mealPlanId: plan.id
+      });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Merges duplicate ingredients across meals
+ * Entries with the same normalized name are summed when their units are
+ * compatible (converted into the first unit seen); incompatible units stay separate.
+ * @private
+ */
+function mergeIngredientEntries(entries) {
+  const groupsByKey = new Map();
+
+  for (const entry of entries) {
+    const key = normalizeIngredientName(entry.name);
+    if (!key || ASSUMED_STAPLES.has(key)) continue;
+
+    const groups = groupsByKey.get(key) || [];
+    groupsByKey.set(key, groups);
+
+    let group = null;
+    if (entry.amount === null) {
+      group = groups[0] || null;
+    } else {
+      group = groups.find(g => g.unit && convertAmount(1, entry.unit, g.unit) !== null) ||
+        groups.find(g => g.amount === null) ||
+        null;
+    }
+
+    if (!group) {
+      group = { key, name: entry.name, amount: null, unit: null, category: null, mealPlanIds: new Set() };
+      groups.push(group);
+    }
+
+    if (entry.amount !== null) {
+      if (group.amount === null) {
+        group.amount = entry.amount;
+        group.unit = entry.unit;
+      } else {
+        group.amount += convertAmount(entry.amount, entry.unit, group.unit);
+      }
+    }
+
+    group.category = group.category || entry.category;
+    group.mealPlanIds.add(entry.mealPlanId);
+  }
+
+  return [...groupsByKey.values()].flat();
+}
+
+/**
+ * Subtracts pantry stock from merged ingredients
+ * Matching uses matchIngredientsToPantry (AI with string-match fallback). A match
+ * whose quantity cannot be compared (unknown amount or incompatible units) is
+ * treated as covered by the pantry.
+ * @private
+ */
+async function subtractPantryStock(groups, pantryItems, genAI, logger) {
+  const covered = [];
+
+  if (groups.length === 0 || pantryItems.length === 0) {
+    return { remaining: groups, covered };
+  }
+
+  const labels = [...new Set(groups.map(group => group.name))];
+  const { pantryMatches, shoppingItems } = await matchIngredientsToPantry(labels, pantryItems, genAI, logger);
+
+  // Same-named groups in incompatible units share a label, so a match applies to each of them
+  const groupsByLabel = new Map();
+  for (const group of groups) {
+    const label = normalizeIngredientName(group.name);
+    groupsByLabel.set(label, [...(groupsByLabel.get(label) || []), group]);
+  }
+  const findGroups = (text) => groupsByLabel.get(normalizeIngredientName(text)) || [];
+
+  // Use AI-suggested categories for items that still need buying
+  for (const item of shoppingItems) {
+    for (const group of findGroups(item.ingredient)) {
+      if (!group.category && SHOPPING_CATEGORIES.includes(item.category)) {
+        group.category = item.category;
+      }
+    }
+  }
+
+  const pantryById = new Map(pantryItems.map(item => [item.id, item]));
+  const stockById = new Map();
+  const coveredGroups = new Set();
+
+  for (const match of pantryMatches) {
+    const pantryItem = pantryById.get(match.pantryItemId);
+    if (!pantryItem) continue;
+
+    const stock = stockById.get(pantryItem.id) || getItemQuantity(pantryItem);
+    stockById.set(pantryItem.id, stock);
+
+    for (const group of findGroups(match.recipeIngredient)) {
+      if (coveredGroups.has(group)) continue;
+
+      const available = group.amount !== null ? convertAmount(stock.amount, stock.unit, group.unit) : null;
+      if (available === null) {
+        coveredGroups.add(group);
+        covered.push({ name: group.name, pantryItemName: pantryItem.name });
+        continue;
+      }
+
+      const stillNeeded = group.amount - available;
+      if (stillNeeded <= AMOUNT_EPSILON) {
+        stock.amount -= convertAmount(group.amount, group.unit, stock.unit);
+        coveredGroups.add(group);
+        covered.push({ name: group.name, pantryItemName: pantryItem.name });
+      } else {
+        stock.amount = 0;
+        group.amount = stillNeeded;
+      }
+    }
+  }
+
+  return {
+    remaining: groups.filter(group => !coveredGroups.has(group)),
+    covered
+  };
+}
+
+/**
+ * Formats a canonical unit the way shopping list items display it
+ * @private
+ */
+function toShoppingUnit(unit, quantity) {
+  if (!unit) return 'each';
+  if (quantity === 1) return unit;
+  if (unit === 'cup') return 'cups';
+  if (unit === 'lb') return 'lbs';
+  return unit;
+}
+
+/**
+ * Title-cases an ingredient name for display on the shopping list
+ * @private
+ */
+function toDisplayName(name) {
+  return name.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Builds shopping list items for a set of planned meals
+ * Gathers every planned recipe's ingredients (scaled to planned servings),
+ * merges duplicates across meals and subtracts what the pantry already holds.
+ *
+ * @param {Object} options - Build options
+ * @param {Object[]} options.mealPlans - Meal plan documents (with id) to shop for
+ * @param {Map<string, Object>} options.recipesById - Saved recipes referenced by the meal plans
+ * @param {Object[]} options.pantryItems - Current pantry items (with id)
+ * @param {Object} genAI - AI provider (see config/ai.js)
+ * @param {Object} logger - Pino logger instance
+ * @returns {Promise<Object>} { items, covered } where items are { name, quantity, unit, category, mealPlanIds }
+ */
+async function buildShoppingItemsFromMealPlans(options, genAI, logger) {
+  const { mealPlans, recipesById, pantryItems = [] } = options;
+
+  const entries = collectMealIngredients(mealPlans, recipesById);
+  const merged = mergeIngredientEntries(entries);
+  const { remaining, covered } = await subtractPantryStock(merged, pantryItems, genAI, logger);
+
+  const items = remaining.map(group => {
+    const quantity = group.amount !== null ? Math.max(roundAmount(group.amount), 0.01) : 1;
+    return {
+      name: toDisplayName(group.name),
+      quantity,
+      unit: toShoppingUnit(group.unit, quantity),
+      category: SHOPPING_CATEGORIES.includes(group.category) ? group.category : 'other',
+      mealPlanIds: [...group.mealPlanIds]
+    };
+  });
+
+  logger.debug({
+    mealPlanCount: mealPlans.length,
+    ingredientCount: entries.length,
+    mergedCount: merged.length,
+    coveredCount: covered.length,
+    itemCount: items.length
+  }, 'Shopping items built from meal plans');
+
+  return { items, covered };
+}
+
+module.exports = {
+  collectMealIngredients,
+  buildShoppingItemsFromMealPlans
+};
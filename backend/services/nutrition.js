@@ -0,0 +1,150 @@
+// nutrition.js - Per-serving nutrition estimates for recipes and logged meals
+
+const { parseAIJsonResponse } = require('../utils/aiHelpers');
+const {
+  NUTRIENT_KEYS,
+  estimateIngredientNutrients,
+  sumNutrients,
+  toPerServing
+} = require('../utils/nutrients');
+
+/**
+ * Asks the AI for total nutrients of ingredient lines the table does not know
+ * Returns one nutrient object per line in input order (null where the AI gave nothing usable).
+ * @private
+ */
+async function estimateUnknownIngredients(lines, genAI, logger) {
+  const prompt = `Estimate the total nutrition for each ingredient line at the exact amount given.
+
+INGREDIENTS:
+${lines.map((line, index) => `${index + 1}. ${line}`).join('\n')}
+
+Return ONLY a JSON array with one object per ingredient, in the same order:
+[
+  { "calories": 120, "protein": 4.5, "carbs": 10, "fat": 6, "fiber": 1.2, "sodium": 300 }
+]
+
+Units: calories in kcal, protein/carbs/fat/fiber in grams, sodium in milligrams.
+Use typical values for common preparations; use 0 for negligible amounts.
+When a line has no amount, assume one typical serving.`;
+
+  const text = await genAI.generateContent(prompt, {
+    task: 'nutrition-estimate',
+    variables: { lineCount: lines.length }
+  });
+  const parsed = parseAIJsonResponse(text, logger, { context: 'nutrition-estimate' });
+
+  if (!Array.isArray(parsed)) {
+    throw new Error('Nutrition estimate was not an array');
+  }
+
+  return lines.map((_, index) => {
+    const entry = parsed[index];
+    if (!entry || typeof entry !== 'object') return null;
+    const nutrients = {};
+    for (const key of NUTRIENT_KEYS) {
+      const value = Number(entry[key]);
+      if (!Number.isFinite(value) || value < 0) return null;
+      nutrients[key] = value;
+    }
+    return nutrients;
+  });
+}
+
+/**
+ * Estimates per-serving nutrition for a recipe
+ * Each ingredient line is looked up in the bundled nutrient table; lines the
+ * table cannot resolve are estimated by the AI in a single call. Without genAI
+ * (or if the AI call fails) unknown lines are left out and listed in `unmatched`.
+ *
+ * @param {Object} recipe - Recipe with ingredients (strings) and servings
+ * @param {Object|null} genAI - AI provider (see config/ai.js), or null for table-only estimates
+ * @param {Object} logger - Pino logger instance
+ * @returns {Promise<Object|null>} { perServing, servings, source, unmatched }, or null if the recipe has no ingredients
+ */
+async function estimateRecipeNutrition(recipe, genAI, logger) {
+  const lines = (recipe?.ingredients || [])
+    .map(ing => (typeof ing === 'string' ? ing : ing?.name))
+    .filter(line => typeof line === 'string' && line.trim());
+
+  if (lines.length === 0) return null;
+
+  const servings = parseInt(recipe.servings) || 1;
+  const matched = [];
+  let unknownLines = [];
+
+  for (const line of lines) {
+    const estimate = estimateIngredientNutrients(line);
+    if (estimate.status === 'matched') matched.push(estimate.nutrients);
+    if (estimate.status === 'unknown') unknownLines.push(line);
+  }
+
+  let aiEstimated = 0;
+  if (unknownLines.length > 0 && genAI) {
+    try {
+      const estimates = await estimateUnknownIngredients(unknownLines, genAI, logger);
+      estimates.forEach(nutrients => {
+        if (nutrients) matched.push(nutrients);
+      });
+      aiEstimated = estimates.filter(Boolean).length;
+      unknownLines = unknownLines.filter((_, index) => !estimates[index]);
+    } catch (error) {
+      logger.warn({ err: error, unknownCount: unknownLines.length }, 'AI nutrition fallback failed, using table values only');
+    }
+  }
+
+  const tableMatched = matched.length - aiEstimated;
+  const source = aiEstimated === 0 ? 'table' : tableMatched === 0 ? 'ai' : 'table+ai';
+
+  logger.debug({
+    title: recipe.title,
+    ingredientCount: lines.length,
+    tableMatched,
+    aiEstimated,
+    unmatchedCount: unknownLines.length
+  }, 'Recipe nutrition estimated');
+
+  return {
+    perServing: toPerServing(sumNutrients(matched), servings),
+    servings,
+    source,
+    unmatched: unknownLines
+  };
+}
+
+/**
+ * Estimates nutrition for a free-text logged meal (e.g. "leftover pizza, 2 slices")
+ * The description is tried against the nutrient table first, then the AI.
+ *
+ * @param {string} description - What was eaten
+ * @param {Object|null} genAI - AI provider (see config/ai.js), or null for table-only estimates
+ * @param {Object} logger - Pino logger instance
+ * @returns {Promise<Object|null>} { perServing, servings, source, unmatched }, or null if it cannot be estimated
+ */
+async function estimateMealNutrition(description, genAI, logger) {
+  if (!description || typeof description !== 'string' || !description.trim()) return null;
+
+  const text = description.trim();
+  const tableEstimate = estimateIngredientNutrients(text);
+  if (tableEstimate.status === 'matched') {
+    return { perServing: toPerServing(tableEstimate.nutrients, 1), servings: 1, source: 'table', unmatched: [] };
+  }
+
+  if (!genAI) return null;
+
+  try {
+    const [nutrients] = await estimateUnknownIngredients([text], genAI, logger);
+    if (nutrients) {
+      return { perServing: toPerServing(nutrients, 1), servings: 1, source: 'ai', unmatched: [] };
+    }
+  } catch (error) {
+    logger.warn({ err: error }, 'AI nutrition estimate for logged meal failed');
+  }
+
+  return null;
+}
+
+module.exports = {
+  estimateRecipeNutrition,
+  estimateMealNutrition
+};
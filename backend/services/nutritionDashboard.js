@@ -0,0 +1,208 @@
+// nutritionDashboard.js - Aggregates eaten meals into daily and per-member nutrition totals
+
+const { NUTRIENT_KEYS, emptyNutrients, sumNutrients } = require('../utils/nutrients');
+
+// Meals a day is expected to have logged; snacks are counted but never "missing"
+const TRACKED_MEAL_TYPES = ['breakfast', 'lunch', 'dinner'];
+
+const MAX_DASHBOARD_DAYS = 62;
+
+/**
+ * Formats a meal plan date (Date, Firestore Timestamp or ISO string) as YYYY-MM-DD
+ * Meal plan dates are stored at UTC midnight, so the UTC date is the plan date.
+ *
+ * @param {Date|Object|string} date - Meal plan date
+ * @returns {string|null} YYYY-MM-DD, or null if the date is invalid
+ */
+function toDateKey(date) {
+  if (!date) return null;
+  const value = date.toDate ? date.toDate() : new Date(date);
+  return Number.isNaN(value.getTime()) ? null : value.toISOString().split('T')[0];
+}
+
+/**
+ * Lists every YYYY-MM-DD between two dates (inclusive)
+ *
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {string[]} Dates in order
+ */
+function listDateKeys(startDate, endDate) {
+  const keys = [];
+  const cursor = new Date(`${startDate}T00:00:00.000Z`);
+  const end = new Date(`${endDate}T00:00:00.000Z`);
+  while (cursor <= end) {
+    keys.push(cursor.toISOString().split('T')[0]);
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return keys;
+}
+
+/**
+ * Works out whether a meal was eaten and the per-serving nutrition it contributed
+ * Completed meals and meals with an `actual` log count as eaten. Logged nutrition
+ * wins; meals made as planned fall back to the planned recipe's estimate.
+ * @private
+ */
+function getEatenMeal(plan) {
+  const eaten = plan.completed === true || !!plan.actual;
+  if (!eaten) return { eaten: false, nutrition: null };
+
+  const nutrition = plan.actual?.nutrition ||
+    (plan.completionType !== 'modified' ? plan.planned?.nutrition : null) ||
+    null;
+
+  return { eaten: true, nutrition: nutrition?.perServing || null };
+}
+
+/**
+ * Validates a dashboard date range
+ *
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {string|null} Error message, or null if the range is valid
+ */
+function validateDashboardRange(startDate, endDate) {
+  const pattern = /^\d{4}-\d{2}-\d{2}$/;
+  if (!pattern.test(startDate || '') || !pattern.test(endDate || '')) {
+    return 'startDate and endDate are required (YYYY-MM-DD)';
+  }
+  if (Number.isNaN(new Date(startDate).getTime()) || Number.isNaN(new Date(endDate).getTime())) {
+    return 'startDate and endDate must be valid dates';
+  }
+  if (startDate > endDate) {
+    return 'startDate must be on or before endDate';
+  }
+  if (listDateKeys(startDate, endDate).length > MAX_DASHBOARD_DAYS) {
+    return `Date range cannot exceed ${MAX_DASHBOARD_DAYS} days`;
+  }
+  return null;
+}
+
+/**
+ * Multiplies every nutrient by a factor
+ * @private
+ */
+function scaleNutrients(nutrients, factor) {
+  const scaled = {};
+  NUTRIENT_KEYS.forEach(key => {
+    scaled[key] = (nutrients[key] || 0) * factor;
+  });
+  return scaled;
+}
+
+/**
+ * Rounds nutrient totals for display (whole kcal/mg, one decimal for grams)
+ * @private
+ */
+function roundNutrients(nutrients) {
+  const rounded = {};
+  NUTRIENT_KEYS.forEach(key => {
+    const value = nutrients[key] || 0;
+    rounded[key] = key === 'calories' || key === 'sodium'
+      ? Math.round(value)
+      : Math.round(value * 10) / 10;
+  });
+  return rounded;
+}
+
+/**
+ * Builds the nutrition dashboard for a date range
+ * Meals are not attributed to individual members, so each member is counted as
+ * eating one serving of every eaten meal; household totals are that serving
+ * times the number of members. Days up to `today` that lack a breakfast, lunch
+ * or dinner log are flagged as missing.
+ *
+ * @param {Object} options - Dashboard options
+ * @param {Object[]} options.mealPlans - Meal plan documents in the range
+ * @param {Object[]} options.members - Home members as { id, name, nutritionTargets }
+ * @param {string} options.startDate - First day (YYYY-MM-DD)
+ * @param {string} options.endDate - Last day (YYYY-MM-DD)
+ * @param {string} options.today - Current day (YYYY-MM-DD); later days are never missing
+ * @returns {Object} { startDate, endDate, days, members, summary }
+ */
+function buildNutritionDashboard(options) {
+  const { mealPlans = [], members = [], startDate, endDate, today } = options;
+  const memberCount = Math.max(members.length, 1);
+
+  const plansByDate = new Map();
+  for (const plan of mealPlans) {
+    const key = toDateKey(plan.date);
+    if (!key) continue;
+    if (!plansByDate.has(key)) plansByDate.set(key, []);
+    plansByDate.get(key).push(plan);
+  }
+
+  const days = listDateKeys(startDate, endDate).map(date => {
+    const plans = plansByDate.get(date) || [];
+    const servings = [];
+    const loggedMealTypes = new Set();
+    let unestimatedMeals = 0;
+
+    for (const plan of plans) {
+      const { eaten, nutrition } = getEatenMeal(plan);
+      if (!eaten) continue;
+      loggedMealTypes.add(plan.mealType);
+      if (nutrition) {
+        servings.push(nutrition);
+      } else {
+        unestimatedMeals++;
+      }
+    }
+
+    const isFuture = date > today;
+    const missingMealTypes = isFuture ? [] : TRACKED_MEAL_TYPES.filter(type => !loggedMealTypes.has(type));
+    const perMember = sumNutrients(servings);
+
+    return {
+      date,
+      isFuture,
+      mealsLogged: loggedMealTypes.size,
+      unestimatedMeals,
+      missingMealTypes,
+      hasMissingLogs: missingMealTypes.length > 0,
+      perMember: roundNutrients(perMember),
+      household: roundNutrients(scaleNutrients(perMember, memberCount))
+    };
+  });
+
+  // Averages only cover days that have anything logged
+  const loggedDays = days.filter(day => day.mealsLogged > 0);
+  const averagePerMember = loggedDays.length > 0
+    ? scaleNutrients(sumNutrients(loggedDays.map(day => day.perMember)), 1 / loggedDays.length)
+    : emptyNutrients();
+
+  const memberSummaries = members.map(member => {
+    const targets = member.nutritionTargets || null;
+    const daysOverCalories = targets?.calories
+      ? loggedDays.filter(day => day.perMember.calories > targets.calories).length
+      : 0;
+
+    return {
+      id: member.id,
+      name: member.name,
+      targets,
+      dailyAverage: roundNutrients(averagePerMember),
+      daysOverCalories
+    };
+  });
+
+  return {
+    startDate,
+    endDate,
+    days,
+    members: memberSummaries,
+    summary: {
+      loggedDays: loggedDays.length,
+      daysWithMissingLogs: days.filter(day => day.hasMissingLogs).length,
+      unestimatedMeals: days.reduce((sum, day) => sum + day.unestimatedMeals, 0)
+    }
+  };
+}
+
+module.exports = {
+  toDateKey,
+  listDateKeys,
+  validateDashboardRange,
+  buildNutritionDashboard
+};
@@ -1,14 +1,18 @@
 // pantryAI.js - AI pantry management service
 
-const { parseAIJsonResponse } = require('../utils/aiHelpers');
-const { GEMINI_MODEL } = require('../config/ai');
+const { generateValidatedJson } = require('../utils/aiHelpers');
+const {
+  PANTRY_SUGGESTION_SCHEMA,
+  QUICK_DEFAULTS_SCHEMA,
+  DETECTED_ITEMS_SCHEMA
+} = require('./aiResponseSchemas');
 
 /**
  * Suggests pantry items based on user input with confidence scoring
  * Uses AI to provide specific suggestions, variations, or guidance
  *
  * @param {string} itemName - The item name to analyze
- * @param {Object} genAI - Google Generative AI instance
+ * @param {Object} genAI - AI provider (see config/ai.js)
  * @param {Object} logger - Pino logger instance
  * @returns {Promise<Object>} Suggestion data with confidence, action, suggestions, and guidance
  */
@@ -66,14 +70,13 @@ Return JSON format:
       itemName
     };
 
-    // Call Gemini API
-    const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-
-    // Parse AI response
-    const suggestionData = parseAIJsonResponse(text, logger, { itemName, context: 'suggest-item' });
+    // Call AI provider and validate the response
+    const { data: suggestionData, text, attempts } = await generateValidatedJson(genAI, prompt, {
+      task: 'suggest-item',
+      variables: promptVariables,
+      schema: PANTRY_SUGGESTION_SCHEMA,
+      logger
+    });
 
     const responseTime = Date.now() - startTime;
 
@@ -86,7 +89,7 @@ Return JSON format:
       fullResponse: text,
       parsedResult: suggestionData,
       responseTime,
-      attempt: 1
+      attempt: attempts
     }, 'AI call completed (Pantry Suggestions)');
 
     logger.debug({
@@ -110,7 +113,7 @@ Return JSON format:
  * Provides fast smart defaults with fallback logic
  *
  * @param {string} itemName - The item name to analyze
- * @param {Object} genAI - Google Generative AI instance
+ * @param {Object} genAI - AI provider (see config/ai.js)
  * @param {Object} logger - Pino logger instance
  * @returns {Promise<Object>} Object with location and daysUntilExpiry
  */
@@ -136,21 +139,13 @@ Use these rules:
       itemName
     };
 
-    // Call Gemini API
-    const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-
-    // Parse AI response
-    let defaultsData;
-    try {
-      defaultsData = parseAIJsonResponse(text, logger, { itemName, context: 'quick-defaults' });
-    } catch (parseError) {
-      logger.warn({ err: parseError, itemName }, 'Error parsing quick defaults, using fallback');
-      // Return sensible fallback
-      defaultsData = createDefaultsFallback(itemName);
-    }
+    // Call AI provider and validate the response (falls back below if it stays invalid)
+    const { data: defaultsData, text, attempts } = await generateValidatedJson(genAI, prompt, {
+      task: 'quick-defaults',
+      variables: promptVariables,
+      schema: QUICK_DEFAULTS_SCHEMA,
+      logger
+    });
 
     const responseTime = Date.now() - startTime;
 
@@ -163,7 +158,7 @@ Use these rules:
       fullResponse: text,
       parsedResult: defaultsData,
       responseTime,
-      attempt: 1
+      attempt: attempts
     }, 'AI call completed (Quick Defaults)');
 
     logger.debug({
@@ -188,7 +183,7 @@ Use these rules:
  *
  * @param {string} base64Image - Base64 encoded image data
  * @param {string} mimeType - Image MIME type (e.g., 'image/jpeg')
- * @param {Object} genAI - Google Generative AI instance
+ * @param {Object} genAI - AI provider (see config/ai.js)
  * @param {Object} logger - Pino logger instance
  * @returns {Promise<Object[]>} Array of detected items with formatted data
  */
@@ -235,9 +230,8 @@ If no food items are detected, return an empty array: []`;
       base64ImagePreview: base64Image.substring(0, 100) + '...'
     };
 
-    // Call Gemini API with image
-    const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
-    const result = await model.generateContent([
+    // Call AI provider with image (expects array of detected items)
+    const { data: detectedItems, text, attempts } = await generateValidatedJson(genAI, [
       prompt,
       {
         inlineData: {
@@ -245,13 +239,7 @@ If no food items are detected, return an empty array: []`;
           data: base64Image
         }
       }
-    ]);
-
-    const response = await result.response;
-    const text = response.text();
-
-    // Parse AI response (expects array of detected items)
-    const detectedItems = parseAIJsonResponse(text, logger, { context: 'detect-items' });
+    ], { task: 'detect-items', schema: DETECTED_ITEMS_SCHEMA, logger });
 
     // Validate and format detected items
     const formattedItems = detectedItems.map(item => {
@@ -280,7 +268,7 @@ If no food items are detected, return an empty array: []`;
       fullResponse: text,
       parsedResult: formattedItems,
       responseTime,
-      attempt: 1
+      attempt: attempts
     }, 'AI call completed (Image Detection)');
 
     logger.debug({
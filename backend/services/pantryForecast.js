@@ -0,0 +1,385 @@
+// pantryForecast.js - Pantry consumption history and run-out forecasting
+
+const { collectMealIngredients } = require('./mealPlanShopping');
+const { toDateKey } = require('./nutritionDashboard');
+const { normalizeIngredientName } = require('../utils/ingredients');
+const {
+  AMOUNT_EPSILON,
+  convertAmount,
+  roundAmount,
+  formatQuantity,
+  getItemQuantity
+} = require('../utils/quantity');
+
+// --- Constants ---
+const DEFAULT_HISTORY_DAYS = 30;
+const MAX_HISTORY_DAYS = 90;
+
+// Shortest span a rate is averaged over, so a single recent use doesn't read as a daily habit
+const MIN_RATE_SPAN_DAYS = 7;
+
+// How far ahead run-out dates are projected and planned meals are loaded
+const FORECAST_HORIZON_DAYS = 28;
+
+// Items projected to run out within this many days (today included) are "running out this week"
+const RUN_OUT_SOON_DAYS = 7;
+
+// Most recent consumption events returned per item
+const MAX_EVENTS_PER_ITEM = 10;
+
+// Pantry locations mapped to shopping list categories
+const LOCATION_CATEGORIES = {
+  pantry: 'pantry',
+  freezer: 'frozen'
+};
+
+/**
+ * Shifts a YYYY-MM-DD date by a number of days
+ * @private
+ */
+function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another
+ * @private
+ */
+function daysBetween(fromKey, toKey) {
+  return Math.round((new Date(`${toKey}T00:00:00.000Z`) - new Date(`${fromKey}T00:00:00.000Z`)) / 86400000);
+}
+
+/**
+ * Converts a consumption log timestamp (Firestore Timestamp, Date or string) to a Date
+ * @private
+ */
+function toDate(value) {
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Checks whether every word of one normalized name appears, in order, in another
+ * @private
+ */
+function containsWords(haystack, needle) {
+  return ` ${haystack} `.includes(` ${needle} `);
+}
+
+/**
+ * Finds the pantry item an ingredient or log entry refers to by name
+ * Exact normalized names win; otherwise the longest pantry name that contains
+ * (or is contained in) the ingredient name is used, so "milk" matches "Whole Milk".
+ * @private
+ */
+function findPantryItem(key, pantryEntries) {
+  if (!key) return null;
+
+  const exact = pantryEntries.find(entry => entry.key === key);
+  if (exact) return exact;
+
+  return pantryEntries
+    .filter(entry => entry.key && (containsWords(key, entry.key) || containsWords(entry.key, key)))
+    .sort((a, b) => b.key.length - a.key.length)[0] || null;
+}
+
+/**
+ * Sums the amount used by a set of logs in one unit
+ * Logs whose unit cannot be converted are left out.
+ * @private
+ */
+function sumUsed(logs, unit) {
+  return logs.reduce((sum, log) => {
+    const converted = convertAmount(log.amountUsed || 0, log.unit, unit);
+    return converted === null ? sum : sum + converted;
+  }, 0);
+}
+
+/**
+ * Groups consumption logs into per-item history
+ * Logs are grouped by normalized item name rather than pantry item id, so an
+ * item that was used up and restocked keeps one history. Groups matching a
+ * current pantry item are totalled in that item's unit.
+ * @private
+ */
+function groupConsumptionLogs(logs, pantryEntries) {
+  const groups = new Map();
+
+  const sorted = logs
+    .map(log => ({ ...log, consumedAt: toDate(log.consumedAt) }))
+    .filter(log => log.consumedAt)
+    .sort((a, b) => b.consumedAt - a.consumedAt);
+
+  for (const log of sorted) {
+    const key = normalizeIngredientName(log.itemName);
+    if (!key) continue;
+
+    if (!groups.has(key)) {
+      const pantryEntry = pantryEntries.find(entry => entry.item.id === log.pantryItemId) ||
+        pantryEntries.find(entry => entry.key === key) ||
+        null;
+      groups.set(key, {
+        key,
+        name: log.itemName,
+        pantryEntry,
+        // Most recent log's unit unless the item is still in the pantry
+        unit: pantryEntry ? pantryEntry.quantity.unit : log.unit,
+        logs: []
+      });
+    }
+    groups.get(key).logs.push(log);
+  }
+
+  return groups;
+}
+
+/**
+ * Shapes a consumption group for the API response
+ * @private
+ */
+function toHistoryEntry(group) {
+  return {
+    name: group.pantryEntry ? group.pantryEntry.item.name : group.name,
+    pantryItemId: group.pantryEntry ? group.pantryEntry.item.id : null,
+    unit: group.unit,
+    totalUsed: roundAmount(sumUsed(group.logs, group.unit)),
+    useCount: group.logs.length,
+    lastConsumedAt: group.logs[0].consumedAt.toISOString(),
+    events: group.logs.slice(0, MAX_EVENTS_PER_ITEM).map(log => ({
+      id: log.id,
+      consumedAt: log.consumedAt.toISOString(),
+      amountUsed: log.amountUsed,
+      unit: log.unit,
+      portion: log.portion,
+      itemRemoved: !!log.itemRemoved,
+      mealPlanId: log.mealPlanId || null
+    }))
+  };
+}
+
+/**
+ * Works out per-day planned demand on each pantry item from upcoming meals
+ * Ingredients are matched to pantry items by name and converted into the
+ * item's unit; ingredients without a convertible amount are only counted.
+ * @private
+ */
+function buildPlannedDemand(upcomingMealPlans, recipesById, pantryEntries, today) {
+  const offsetsByPlanId = new Map();
+  for (const plan of upcomingMealPlans) {
+    const dateKey = toDateKey(plan.date);
+    if (!dateKey) continue;
+    const offset = daysBetween(today, dateKey);
+    if (offset >= 0 && offset < FORECAST_HORIZON_DAYS) {
+      offsetsByPlanId.set(plan.id, offset);
+    }
+  }
+
+  const demandById = new Map();
+  const entries = collectMealIngredients(
+    upcomingMealPlans.filter(plan => offsetsByPlanId.has(plan.id)),
+    recipesById
+  );
+
+  for (const entry of entries) {
+    const pantryEntry = findPantryItem(normalizeIngredientName(entry.name), pantryEntries);
+    if (!pantryEntry) continue;
+
+    const { item, quantity } = pantryEntry;
+    let demand = demandById.get(item.id);
+    if (!demand) {
+      demand = { byDay: new Array(FORECAST_HORIZON_DAYS).fill(0), mealPlanIds: new Set() };
+      demandById.set(item.id, demand);
+    }
+
+    const offset = offsetsByPlanId.get(entry.mealPlanId);
+    if (offset < RUN_OUT_SOON_DAYS) demand.mealPlanIds.add(entry.mealPlanId);
+
+    const converted = entry.amount !== null ? convertAmount(entry.amount, entry.unit, quantity.unit) : null;
+    if (converted !== null) demand.byDay[offset] += converted;
+  }
+
+  return demandById;
+}
+
+/**
+ * Suggests restocking a week's worth of an item at its projected usage
+ * @private
+ */
+function buildSuggestedPurchase(item, unit, weekUsage) {
+  const amount = unit === 'each'
+    ? Math.max(Math.ceil(weekUsage - AMOUNT_EPSILON), 1)
+    : Math.max(roundAmount(weekUsage), 0.01);
+
+  return {
+    name: item.name,
+    quantity: amount,
+    unit,
+    category: LOCATION_CATEGORIES[item.location] || 'other'
+  };
+}
+
+/**
+ * Builds consumption history and run-out forecasts for a home's pantry
+ * The daily rate is the amount used over the history window (averaged over at
+ * least MIN_RATE_SPAN_DAYS). Upcoming planned meals add known demand on their
+ * day. Because past planned meals are already part of the rate, projected use
+ * is the larger of the overall rate and planned demand plus the rate of use
+ * that wasn't tied to a planned meal, which avoids counting the same meals twice.
+ *
+ * @param {Object} options - Forecast options
+ * @param {Object[]} options.pantryItems - Current pantry items (with id)
+ * @param {Object[]} options.consumptionLogs - Consumption log entries in the history window (with id)
+ * @param {Object[]} options.upcomingMealPlans - Uncompleted planned meals from today on (with id)
+ * @param {Map<string, Object>} options.recipesById - Saved recipes referenced by the upcoming meals
+ * @param {string} options.today - Current day (YYYY-MM-DD)
+ * @param {number} options.historyDays - Length of the history window in days
+ * @returns {Object} { historyDays, history, forecast, runningOutThisWeek }
+ */
+function buildPantryForecast(options) {
+  const {
+    pantryItems = [],
+    consumptionLogs = [],
+    upcomingMealPlans = [],
+    recipesById = new Map(),
+    today,
+    historyDays = DEFAULT_HISTORY_DAYS
+  } = options;
+
+  const pantryEntries = pantryItems.map(item => ({
+    item,
+    key: normalizeIngredientName(item.name),
+    quantity: getItemQuantity(item)
+  }));
+
+  const groups = groupConsumptionLogs(consumptionLogs, pantryEntries);
+  const groupsByItemId = new Map();
+  for (const group of groups.values()) {
+    if (group.pantryEntry && !groupsByItemId.has(group.pantryEntry.item.id)) {
+      groupsByItemId.set(group.pantryEntry.item.id, group);
+    }
+  }
+
+  const demandById = buildPlannedDemand(upcomingMealPlans, recipesById, pantryEntries, today);
+
+  const forecast = pantryEntries.map(({ item, quantity }) => {
+    const group = groupsByItemId.get(item.id);
+    const demand = demandById.get(item.id);
+
+    let dailyRate = 0;
+    let unplannedRate = 0;
+    if (group) {
+      const firstDay = toDateKey(group.logs[group.logs.length - 1].consumedAt);
+      const span = Math.min(Math.max(daysBetween(firstDay, today) + 1, MIN_RATE_SPAN_DAYS), historyDays);
+      dailyRate = sumUsed(group.logs, quantity.unit) / span;
+      unplannedRate = sumUsed(group.logs.filter(log => !log.mealPlanId), quantity.unit) / span;
+    }
+
+    let planned = 0;
+    let plannedThisWeek = 0;
+    let runOutOffset = null;
+    let weekUsage = 0;
+    for (let offset = 0; offset < FORECAST_HORIZON_DAYS; offset++) {
+      planned += demand ? demand.byDay[offset] : 0;
+      const elapsed = offset + 1;
+      const projected = Math.max(dailyRate * elapsed, planned + unplannedRate * elapsed);
+
+      if (offset === RUN_OUT_SOON_DAYS - 1) {
+        weekUsage = projected;
+        plannedThisWeek = planned;
+      }
+      if (runOutOffset === null && projected > 0 && projected >= quantity.amount - AMOUNT_EPSILON) {
+        runOutOffset = offset;
+      }
+    }
+
+    const basis = [dailyRate > 0 && 'history', plannedThisWeek > 0 && 'planned'].filter(Boolean).join('+') || null;
+    const runsOutThisWeek = runOutOffset !== null && runOutOffset < RUN_OUT_SOON_DAYS;
+
+    return {
+      pantryItemId: item.id,
+      name: item.name,
+      location: item.location || 'pantry',
+      quantity: formatQuantity(quantity.amount, quantity.unit),
+      amount: roundAmount(quantity.amount),
+      unit: quantity.unit,
+      dailyRate: roundAmount(dailyRate),
+      plannedThisWeek: roundAmount(plannedThisWeek),
+      plannedMealCount: demand ? demand.mealPlanIds.size : 0,
+      basis,
+      runOutDate: runOutOffset !== null ? addDays(today, runOutOffset) : null,
+      daysUntilRunOut: runOutOffset,
+      suggestedPurchase: runsOutThisWeek
+        ? buildSuggestedPurchase(item, quantity.unit, weekUsage)
+        : null
+    };
+  });
+
+  forecast.sort((a, b) => {
+    if (a.daysUntilRunOut === null) return b.daysUntilRunOut === null ? a.name.localeCompare(b.name) : 1;
+    if (b.daysUntilRunOut === null) return -1;
+    return a.daysUntilRunOut - b.daysUntilRunOut;
+  });
+
+  const history = [...groups.values()].map(toHistoryEntry);
+
+  return {
+    historyDays,
+    history,
+    forecast,
+    runningOutThisWeek: forecast.filter(entry => entry.suggestedPurchase)
+  };
+}
+
+/**
+ * Loads pantry items, consumption logs and upcoming meals and builds the forecast
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} homeId - Home the pantry belongs to
+ * @param {Object} options - Forecast options
+ * @param {string} options.today - Current day (YYYY-MM-DD)
+ * @param {number} [options.historyDays] - Length of the history window in days
+ * @returns {Promise<Object>} Result of buildPantryForecast
+ */
+async function loadPantryForecast(db, homeId, options) {
+  const { today, historyDays = DEFAULT_HISTORY_DAYS } = options;
+  const homeRef = db.collection('homes').doc(homeId);
+
+  const [pantrySnap, logsSnap, mealPlansSnap] = await Promise.all([
+    homeRef.collection('pantry_items').get(),
+    homeRef.collection('pantry_consumption_log')
+      .where('consumedAt', '>=', new Date(`${addDays(today, -(historyDays - 1))}T00:00:00.000Z`))
+      .get(),
+    homeRef.collection('meal_plans')
+      .where('date', '>=', new Date(today))
+      .where('date', '<=', new Date(addDays(today, FORECAST_HORIZON_DAYS - 1)))
+      .get()
+  ]);
+
+  const upcomingMealPlans = mealPlansSnap.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(plan => !plan.completed && plan.planned);
+
+  const recipeIds = [...new Set(upcomingMealPlans.map(plan => plan.planned.recipeId).filter(Boolean))];
+  const recipeDocs = await Promise.all(
+    recipeIds.map(recipeId => homeRef.collection('recipes').doc(recipeId).get())
+  );
+
+  return buildPantryForecast({
+    pantryItems: pantrySnap.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+    consumptionLogs: logsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+    upcomingMealPlans,
+    recipesById: new Map(recipeDocs.filter(doc => doc.exists).map(doc => [doc.id, doc.data()])),
+    today,
+    historyDays
+  });
+}
+
+module.exports = {
+  DEFAULT_HISTORY_DAYS,
+  MAX_HISTORY_DAYS,
+  buildPantryForecast,
+  loadPantryForecast
+};
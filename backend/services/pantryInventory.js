@@ -0,0 +1,269 @@
+// pantryInventory.js - Pantry quantity bookkeeping (deductions and consumption log)
+
+const admin = require('firebase-admin');
+const {
+  PORTION_FRACTIONS,
+  AMOUNT_EPSILON,
+  parseQuantity,
+  convertAmount,
+  roundAmount,
+  formatQuantity,
+  getItemQuantity
+} = require('../utils/quantity');
+
+// --- Constants ---
+const PANTRY_LOCATIONS = ['pantry', 'fridge', 'freezer'];
+
+/**
+ * Converts a pantry item document into the shape the pantry API returns
+ *
+ * @param {Object} doc - Pantry item document snapshot
+ * @returns {Object} Item with its id; location defaults to 'pantry'
+ */
+function serializePantryItem(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    // Ensure location is always present
+    location: data.location || 'pantry'
+  };
+}
+
+/**
+ * Works out how much of a pantry item an ingredient consumes, in the item's own unit
+ * @private
+ * @returns {{amountUsed: number}|{error: string}}
+ */
+function resolveAmountUsed(ingredient, current) {
+  const { portion, amount, unit } = ingredient;
+
+  if (PORTION_FRACTIONS[portion] !== undefined) {
+    return { amountUsed: current.amount * PORTION_FRACTIONS[portion] };
+  }
+
+  if (portion === 'custom') {
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+      return { error: 'Custom portion requires a positive amount' };
+    }
+    if (!unit) {
+      return { amountUsed: amount };
+    }
+    const converted = convertAmount(amount, unit, current.unit);
+    if (converted === null) {
+      return { error: `Cannot convert ${unit} to ${current.unit}` };
+    }
+    return { amountUsed: converted };
+  }
+
+  return { error: `Invalid portion: ${portion}` };
+}
+
+/**
+ * Deducts ingredients from pantry items inside a caller's transaction
+ * Partial portions reduce the stored amount; items that reach zero are removed.
+ * Every pantry item is read before anything is written, as Firestore requires,
+ * so callers may read their own documents first and write after this returns.
+ *
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} db - Firestore instance
+ * @param {string} homeId - Home the pantry belongs to
+ * @param {Object[]} ingredients - Deductions to apply
+ * @param {string} ingredients[].pantryItemId - Pantry item to deduct from
+ * @param {string} ingredients[].portion - 'all' | 'half' | 'quarter' | 'custom'
+ * @param {number} [ingredients[].amount] - Amount used (custom portion only)
+ * @param {string} [ingredients[].unit] - Unit of `amount`; defaults to the item's unit
+ * @param {Object} context - Deduction context
+ * @param {string} context.userUid - User performing the deduction
+ * @param {string} [context.mealPlanId] - Meal plan the deduction belongs to
+ * @param {Object} logger - Pino logger instance
+ * @returns {Promise<Object>} { consumptionLogs, skipped }
+ */
+async function applyPantryDeductions(transaction, db, homeId, ingredients, context, logger) {
+  const { userUid, mealPlanId } = context;
+  const homeRef = db.collection('homes').doc(homeId);
+  const pantryRef = homeRef.collection('pantry_items');
+  const consumptionLogs = [];
+  const skipped = [];
+
+  const itemIds = [...new Set(ingredients.map(ingredient => ingredient.pantryItemId).filter(Boolean))];
+  const itemDocs = await Promise.all(itemIds.map(itemId => transaction.get(pantryRef.doc(itemId))));
+
+  // Running state per item so repeated deductions from the same item stack correctly
+  const itemStates = new Map();
+  itemDocs.filter(doc => doc.exists).forEach(doc => {
+    const itemData = doc.data();
+    itemStates.set(doc.id, {
+      ref: doc.ref,
+      name: itemData.name,
+      originalQuantity: itemData.quantity || '1 item',
+      ...getItemQuantity(itemData)
+    });
+  });
+
+  for (const ingredient of ingredients) {
+    const { pantryItemId, portion } = ingredient;
+
+    if (!pantryItemId) continue;
+
+    const state = itemStates.get(pantryItemId);
+    if (!state) {
+      skipped.push({ pantryItemId, reason: 'Item not found' });
+      continue;
+    }
+
+    if (state.amount <= AMOUNT_EPSILON) {
+      skipped.push({ pantryItemId, reason: 'Item already used up' });
+      continue;
+    }
+
+    const resolved = resolveAmountUsed(ingredient, state);
+    if (resolved.error) {
+      logger.warn({ homeId, pantryItemId, portion, reason: resolved.error }, 'Skipping pantry deduction');
+      skipped.push({ pantryItemId, reason: resolved.error });
+      continue;
+    }
+
+    const amountBefore = state.amount;
+    const amountUsed = Math.min(resolved.amountUsed, amountBefore);
+    const remaining = amountBefore - amountUsed;
+    const amountAfter = remaining <= AMOUNT_EPSILON ? 0 : roundAmount(remaining);
+
+    state.amount = amountAfter;
+
+    const consumptionLog = {
+      pantryItemId,
+      itemName: state.name,
+      originalQuantity: state.originalQuantity,
+      portion,
+      unit: state.unit,
+      amountBefore: roundAmount(amountBefore),
+      amountUsed: roundAmount(amountUsed),
+      amountAfter,
+      itemRemoved: amountAfter === 0,
+      mealPlanId: mealPlanId || null,
+      consumedAt: admin.firestore.FieldValue.serverTimestamp(),
+      consumedBy: userUid
+    };
+
+    const logRef = homeRef.collection('pantry_consumption_log').doc();
+    transaction.set(logRef, consumptionLog);
+
+    consumptionLogs.push({
+      id: logRef.id,
+      ...consumptionLog
+    });
+  }
+
+  // One write per touched item, reflecting the final remaining amount
+  const deductedIds = new Set(consumptionLogs.map(log => log.pantryItemId));
+  for (const [pantryItemId, state] of itemStates) {
+    if (!deductedIds.has(pantryItemId)) continue;
+
+    if (state.amount === 0) {
+      transaction.delete(state.ref);
+    } else {
+      transaction.update(state.ref, {
+        amount: state.amount,
+        unit: state.unit,
+        quantity: formatQuantity(state.amount, state.unit),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+  }
+
+  return {
+    consumptionLogs: consumptionLogs.map(log => ({
+      ...log,
+      consumedAt: new Date().toISOString() // Approximate timestamp
+    })),
+    skipped
+  };
+}
+
+/**
+ * Deducts ingredients from pantry items and records each deduction in the consumption log
+ * Runs applyPantryDeductions in its own transaction, so concurrent deductions
+ * and edits to the same items can't overwrite each other.
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} homeId - Home the pantry belongs to
+ * @param {Object[]} ingredients - Deductions to apply (see applyPantryDeductions)
+ * @param {Object} context - Deduction context ({ userUid, mealPlanId })
+ * @param {Object} logger - Pino logger instance
+ * @returns {Promise<Object>} { consumptionLogs, skipped }
+ */
+async function deductPantryIngredients(db, homeId, ingredients, context, logger) {
+  return db.runTransaction(transaction => applyPantryDeductions(transaction, db, homeId, ingredients, context, logger));
+}
+
+/**
+ * Builds a confirmable deduction preview from AI ingredient matches
+ * Recipe quantities are scaled to the planned servings and converted into each
+ * pantry item's unit. Matches whose quantity cannot be converted fall back to a
+ * half portion and are flagged for review; low-confidence matches start unselected.
+ *
+ * @param {Object[]} matches - `pantryMatches` from matchIngredientsToPantry
+ * @param {Object[]} pantryItems - Pantry items the matches refer to (with id)
+ * @param {number} [scale=1] - Planned servings divided by recipe servings
+ * @returns {Object[]} Preview entries, shaped as deduct endpoint ingredients plus display fields
+ */
+function buildDeductionPreview(matches, pantryItems, scale = 1) {
+  const itemsById = new Map(pantryItems.map(item => [item.id, item]));
+  const remainingById = new Map();
+  const preview = [];
+
+  for (const match of matches) {
+    const item = itemsById.get(match.pantryItemId);
+    if (!item) continue;
+
+    const current = getItemQuantity(item);
+    const available = remainingById.has(item.id) ? remainingById.get(item.id) : current.amount;
+    if (available <= AMOUNT_EPSILON) continue;
+
+    const needed = parseQuantity(match.quantityExtracted || match.recipeIngredient);
+    const converted = needed ? convertAmount(needed.amount * scale, needed.unit, current.unit) : null;
+    const needsReview = converted === null;
+    const matchConfidence = typeof match.matchConfidence === 'number' ? match.matchConfidence : 0.7;
+
+    let amountUsed;
+    let portion;
+    if (needsReview) {
+      portion = 'half';
+      amountUsed = available * PORTION_FRACTIONS.half;
+    } else if (converted >= available - AMOUNT_EPSILON) {
+      portion = 'all';
+      amountUsed = available;
+    } else {
+      portion = 'custom';
+      amountUsed = converted;
+    }
+
+    const remaining = available - amountUsed;
+    remainingById.set(item.id, remaining <= AMOUNT_EPSILON ? 0 : remaining);
+
+    preview.push({
+      pantryItemId: item.id,
+      pantryItemName: item.name,
+      recipeIngredient: match.recipeIngredient,
+      matchConfidence,
+      portion,
+      amount: roundAmount(amountUsed),
+      unit: current.unit,
+      currentQuantity: formatQuantity(available, current.unit),
+      remainingQuantity: formatQuantity(remainingById.get(item.id), current.unit),
+      needsReview,
+      selected: !needsReview && matchConfidence >= 0.6
+    });
+  }
+
+  return preview;
+}
+
+module.exports = {
+  PANTRY_LOCATIONS,
+  serializePantryItem,
+  applyPantryDeductions,
+  deductPantryIngredients,
+  buildDeductionPreview
+};
@@ -1,7 +1,13 @@
 // recipeAI.js - AI recipe generation service
 
-const { parseAIJsonResponse } = require('../utils/aiHelpers');
-const { GEMINI_MODEL } = require('../config/ai');
+const { parseAIJsonResponse, generateValidatedJson } = require('../utils/aiHelpers');
+const {
+  RECIPE_SCHEMA,
+  SCORED_RECIPE_SCHEMA,
+  REGENERATED_RECIPE_SCHEMA
+} = require('./aiResponseSchemas');
+const { buildDietaryPromptSection, findAllergenViolations } = require('../utils/dietary');
+const { estimateRecipeNutrition } = require('./nutrition');
 
 // --- Constants ---
 const MAX_AI_RETRY_ATTEMPTS = 3; // Maximum number of retry attempts for AI generation
@@ -25,6 +31,43 @@ function sanitizeFeedback(feedback) {
     .trim();
 }
 
+/**
+ * Builds the refusal returned when every attempt contained a declared allergen
+ * @private
+ * @param {Object[]} violations - Output of findAllergenViolations
+ * @returns {Object} Refusal object
+ */
+function createAllergenRefusal(violations) {
+  const allergens = [...new Set(violations.map(violation => violation.allergen))];
+  return {
+    success: false,
+    refusalReason: `Unable to create a recipe free of ${allergens.join(', ')} with these constraints`,
+    suggestions: [
+      'Try a different cuisine or protein',
+      'Remove ingredients that usually contain these allergens',
+      'Review your household dietary profile on the Manage page'
+    ]
+  };
+}
+
+/**
+ * Adds per-serving nutrition to a generated recipe
+ * Estimation problems never fail generation - the recipe keeps nutrition: null.
+ * @private
+ * @param {Object} recipe - Generated recipe
+ * @param {Object} genAI - AI provider (see config/ai.js) (fallback for unknown ingredients)
+ * @param {Object} logger - Pino logger instance
+ * @returns {Promise<Object>} Recipe with a nutrition field
+ */
+async function withNutrition(recipe, genAI, logger) {
+  try {
+    return { ...recipe, nutrition: await estimateRecipeNutrition(recipe, genAI, logger) };
+  } catch (error) {
+    logger.warn({ err: error, title: recipe.title }, 'Failed to estimate recipe nutrition');
+    return { ...recipe, nutrition: null };
+  }
+}
+
 /**
  * Creates variation guidance for multiple recipe generation
  * @private
@@ -46,7 +89,7 @@ function createVariationGuidance(variationNumber, totalVariations) {
 
 /**
  * Generates one or more recipes based on provided ingredients and preferences
- * Uses Google Gemini AI to create detailed recipes with pantry integration
+ * Uses the configured AI provider to create detailed recipes with pantry integration
  *
  * @param {Object} options - Recipe generation options
  * @param {string[]} options.ingredients - List of main ingredients
@@ -55,9 +98,10 @@ function createVariationGuidance(variationNumber, totalVariations) {
  * @param {string} options.recipeType - 'quick' or 'sophisticated'
  * @param {Object[]} options.pantryItems - Available pantry items
  * @param {number} options.generateCount - Number of recipes to generate (default 1)
- * @param {Object} genAI - Google Generative AI instance
+ * @param {Object} [options.dietaryProfile] - Household dietary profile, enforced as hard constraints
+ * @param {Object} genAI - AI provider (see config/ai.js)
  * @param {Object} logger - Pino logger instance
- * @returns {Promise<Object|Object[]>} Single recipe or array of recipes
+ * @returns {Promise<Object|Object[]>} Single recipe, array of recipes, or refusal object
  */
 async function generateRecipes(options, genAI, logger) {
   const {
@@ -66,9 +110,12 @@ async function generateRecipes(options, genAI, logger) {
     dietaryRestrictions,
     recipeType = 'quick',
     pantryItems = [],
-    generateCount = 1
+    generateCount = 1,
+    dietaryProfile = null
   } = options;
 
+  const dietarySection = buildDietaryPromptSection(dietaryProfile);
+
   const startTime = Date.now();
 
   // Generate multiple recipes in parallel
@@ -91,15 +138,13 @@ async function generateRecipes(options, genAI, logger) {
         recipeType,
         pantryItems,
         i + 1
-      );
+      ) + dietarySection;
 
       const promise = (async () => {
         const recipeStartTime = Date.now();
-        const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const generatedText = response.text();
-        const parsed = parseRecipeResponse(generatedText, servingSize, pantryItems, ingredients, logger);
+        const { recipe: parsed, text: generatedText, attempts } = await requestRecipe(
+          prompt, { servingSize, variationNumber: i + 1 }, pantryItems, ingredients, genAI, logger
+        );
 
         // Log each parallel AI call
         logger.debug({
@@ -111,7 +156,7 @@ async function generateRecipes(options, genAI, logger) {
           fullResponse: generatedText,
           parsedResult: parsed,
           responseTime: Date.now() - recipeStartTime,
-          attempt: 1
+          attempt: attempts
         }, `AI call completed (variation ${i + 1}/${generateCount})`);
 
         return parsed;
@@ -122,12 +167,15 @@ async function generateRecipes(options, genAI, logger) {
 
     const results = await Promise.all(promises);
 
-    // Validate all recipes
-    const validRecipes = results.filter(recipe =>
-      recipe.title && recipe.ingredients && recipe.instructions
+    // Validate all recipes (drop any containing a declared allergen)
+    const completeRecipes = results.filter(recipe => recipe.title && recipe.ingredients && recipe.instructions);
+    const violations = completeRecipes.flatMap(recipe => findAllergenViolations(recipe, dietaryProfile));
+    const validRecipes = completeRecipes.filter(recipe =>
+      findAllergenViolations(recipe, dietaryProfile).length === 0
     );
 
     if (validRecipes.length === 0) {
+      if (violations.length > 0) return createAllergenRefusal(violations);
       throw new Error('Failed to generate valid recipes');
     }
 
@@ -154,19 +202,23 @@ async function generateRecipes(options, genAI, logger) {
     dietaryRestrictions,
     recipeType,
     pantryItems
-  );
-
-  const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
-  const result = await model.generateContent(prompt);
-  const response = await result.response;
-  const generatedText = response.text();
-
-  const recipe = parseRecipeResponse(generatedText, servingSize, pantryItems, ingredients, logger);
-
-  // Validate recipe structure
-  if (!recipe.title || !recipe.ingredients || !recipe.instructions) {
-    logger.error({ generatedText: generatedText.substring(0, 200) }, 'Invalid recipe format from AI');
-    throw new Error('Generated recipe has invalid format');
+  ) + dietarySection;
+
+  let generatedText;
+  let recipe;
+  for (let attempt = 1; attempt <= MAX_AI_RETRY_ATTEMPTS; attempt++) {
+    ({ recipe, text: generatedText } = await requestRecipe(
+      prompt, { servingSize, variationNumber: 1 }, pantryItems, ingredients, genAI, logger
+    ));
+
+    // Retry if the recipe contains a declared allergen
+    const violations = findAllergenViolations(recipe, dietaryProfile);
+    if (violations.length === 0) break;
+
+    logger.warn({ violations, title: recipe.title, attempt }, 'Generated recipe contains declared allergens');
+    if (attempt === MAX_AI_RETRY_ATTEMPTS) {
+      return createAllergenRefusal(violations);
+    }
   }
 
   const responseTime = Date.now() - startTime;
@@ -252,15 +304,36 @@ Make sure the recipe is practical, delicious, and uses the provided ingredients
 }
 
 /**
- * Parses AI response text into structured recipe object
+ * Requests one legacy recipe and formats it
+ * A response that fails RECIPE_SCHEMA even after the repair retry becomes the
+ * fallback recipe; provider errors are thrown.
  * @private
+ * @returns {Promise<{recipe: Object, text: string, attempts: number}>}
  */
-function parseRecipeResponse(text, servingSize, pantryItems = [], originalIngredients = [], logger) {
+async function requestRecipe(prompt, variables, pantryItems, originalIngredients, genAI, logger) {
   try {
-    const parsed = parseAIJsonResponse(text, logger, { context: 'parse-recipe' });
+    const { data, text, attempts } = await generateValidatedJson(genAI, prompt, {
+      task: 'recipe',
+      variables,
+      schema: RECIPE_SCHEMA,
+      logger
+    });
+    return { recipe: formatRecipe(data, variables.servingSize, pantryItems, originalIngredients), text, attempts };
+  } catch (error) {
+    if (!error.validationErrors) throw error;
+    logger.error({ err: error }, 'Error parsing recipe response');
+    return { recipe: formatRecipe(null, variables.servingSize), text: '', attempts: 2 };
+  }
+}
 
+/**
+ * Formats a validated recipe response (see RECIPE_SCHEMA), or the fallback recipe when there is none
+ * @private
+ */
+function formatRecipe(parsed, servingSize, pantryItems = [], originalIngredients = []) {
+  if (parsed) {
     // Identify which ingredients come from pantry and which are missing
-    const recipeIngredients = parsed.ingredients || [];
+    const recipeIngredients = parsed.ingredients;
     const pantryIngredients = [];
     const missingIngredients = [];
 
@@ -288,20 +361,18 @@ function parseRecipeResponse(text, servingSize, pantryItems = [], originalIngred
     }
 
     return {
-      title: parsed.title || "Delicious Recipe",
+      title: parsed.title,
       description: parsed.description || "A wonderful meal made with your ingredients",
       prepTime: parsed.prepTime || "15 minutes",
       cookTime: parsed.cookTime || "30 minutes",
       servings: servingSize,
       difficulty: parsed.difficulty || "Medium",
       ingredients: recipeIngredients,
-      instructions: parsed.instructions || [],
-      tips: parsed.tips || ["Enjoy your meal!"],
+      instructions: parsed.instructions,
+      tips: parsed.tips.length > 0 ? parsed.tips : ["Enjoy your meal!"],
       pantryIngredients: pantryIngredients,
       missingIngredients: missingIngredients
     };
-  } catch (error) {
-    logger.error({ err: error }, 'Error parsing recipe response');
   }
 
   // Return fallback recipe
@@ -331,7 +402,8 @@ function parseRecipeResponse(text, servingSize, pantryItems = [], originalIngred
  * @param {boolean} options.quickMealsOnly - Under 30 min constraint
  * @param {boolean} options.prioritizeExpiring - Use expiring items first
  * @param {number} options.numberOfRecipes - 1-5 recipes to generate
- * @param {Object} genAI - Google Generative AI instance
+ * @param {Object} [options.dietaryProfile] - Household dietary profile, enforced as hard constraints
+ * @param {Object} genAI - AI provider (see config/ai.js)
  * @param {Object} logger - Pino logger instance
  * @returns {Promise<Object|Object[]>} Recipe(s) or refusal object
  */
@@ -342,7 +414,8 @@ async function generateRoscoesChoiceRecipe(options, genAI, logger) {
     numberOfPeople = 2,
     quickMealsOnly = false,
     prioritizeExpiring = false,
-    numberOfRecipes = 1
+    numberOfRecipes = 1,
+    dietaryProfile = null
   } = options;
 
   const startTime = Date.now();
@@ -381,9 +454,9 @@ async function generateRoscoesChoiceRecipe(options, genAI, logger) {
         variationNumber: i + 1,
         totalVariations: numberOfRecipes,
         pantryItems
-      });
+      }) + buildDietaryPromptSection(dietaryProfile);
 
-      const promise = generateSingleRoscoesRecipe(prompt, genAI, pantryItems, logger, maxAttempts);
+      const promise = generateSingleRoscoesRecipe(prompt, genAI, pantryItems, logger, maxAttempts, dietaryProfile);
       promises.push(promise);
     }
 
@@ -416,9 +489,9 @@ async function generateRoscoesChoiceRecipe(options, genAI, logger) {
     quickMealsOnly,
     prioritizeExpiring,
     pantryItems
-  });
+  }) + buildDietaryPromptSection(dietaryProfile);
 
-  const result = await generateSingleRoscoesRecipe(prompt, genAI, pantryItems, logger, maxAttempts);
+  const result = await generateSingleRoscoesRecipe(prompt, genAI, pantryItems, logger, maxAttempts, dietaryProfile);
 
   logger.info({
     success: result.success !== false,
@@ -434,7 +507,7 @@ async function generateRoscoesChoiceRecipe(options, genAI, logger) {
  * Generates a single Roscoe's Choice recipe with retry logic
  * @private
  */
-async function generateSingleRoscoesRecipe(prompt, genAI, pantryItems, logger, maxAttempts) {
+async function generateSingleRoscoesRecipe(prompt, genAI, pantryItems, logger, maxAttempts, dietaryProfile = null) {
   let attempts = 0;
 
   while (attempts < maxAttempts) {
@@ -442,19 +515,18 @@ async function generateSingleRoscoesRecipe(prompt, genAI, pantryItems, logger, m
       attempts++;
       const attemptStartTime = Date.now();
 
-      const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      // Recipe or refusal, validated (with one repair retry) before any checks below
+      const { data: parsed, text } = await generateValidatedJson(genAI, prompt, {
+        task: 'roscoes-choice',
+        schema: SCORED_RECIPE_SCHEMA,
+        logger
+      });
 
       logger.debug({
         responsePreview: text.substring(0, 300),
         attempt: attempts
       }, 'Roscoe\'s Choice AI response');
 
-      // Parse response
-      const parsed = parseAIJsonResponse(text, logger, { context: 'roscoes-choice' });
-
       // Comprehensive AI logging (DEBUG level, dev only)
       logger.debug({
         aiService: 'recipeAI',
@@ -467,28 +539,14 @@ async function generateSingleRoscoesRecipe(prompt, genAI, pantryItems, logger, m
       }, 'AI call completed (Roscoe\'s Choice)');
 
       // Check if AI refused
-      if (parsed.success === false && parsed.refusalReason) {
+      if (parsed.success === false) {
         return {
           success: false,
           refusalReason: parsed.refusalReason,
-          suggestions: parsed.suggestions || []
+          suggestions: parsed.suggestions
         };
       }
 
-      // Validate required fields
-      const requiredFields = ['title', 'ingredients', 'instructions', 'qualityScore'];
-      const missingFields = requiredFields.filter(field => !parsed[field]);
-
-      if (missingFields.length > 0) {
-        logger.warn({ missingFields, attempt: attempts }, 'Missing required fields in AI response');
-
-        if (attempts < maxAttempts) {
-          continue; // Retry
-        }
-
-        throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
-      }
-
       // Quality check - reject if score below minimum threshold
       if (parsed.qualityScore < MIN_QUALITY_SCORE) {
         logger.warn({
@@ -512,6 +570,18 @@ async function generateSingleRoscoesRecipe(prompt, genAI, pantryItems, logger, m
         };
       }
 
+      // Reject recipes containing a declared allergen
+      const violations = findAllergenViolations(parsed, dietaryProfile);
+      if (violations.length > 0) {
+        logger.warn({ violations, title: parsed.title, attempt: attempts }, 'Recipe contains declared allergens');
+
+        if (attempts < maxAttempts) {
+          continue; // Retry
+        }
+
+        return createAllergenRefusal(violations);
+      }
+
       // Match pantry items if provided in response
       const pantryItemsUsed = parsed.pantryItemsUsed || [];
       const shoppingListItems = parsed.shoppingListItems || [];
@@ -670,8 +740,9 @@ Quality score must be honest (50-100). Only generate if you can create something
  * @param {number} options.servingSize - 1-6+
  * @param {Object[]} options.pantryItems - Available pantry (may be ignored)
  * @param {string[]} options.specificIngredients - Must-use ingredients
+ * @param {Object} [options.dietaryProfile] - Household dietary profile, enforced as hard constraints
  * @param {boolean} options.ignorePantry - If true, build from scratch
- * @param {Object} genAI - Google Generative AI instance
+ * @param {Object} genAI - AI provider (see config/ai.js)
  * @param {Object} logger - Pino logger instance
  * @returns {Promise<Object[]>} Array of recipes
  */
@@ -685,7 +756,8 @@ async function generateCustomRecipe(options, genAI, logger) {
     servingSize = 2,
     pantryItems = [],
     specificIngredients = [],
-    pantryMode = 'ignore_pantry' // 'ignore_pantry' | 'use_pantry_supplement' | 'use_pantry_only'
+    pantryMode = 'ignore_pantry', // 'ignore_pantry' | 'use_pantry_supplement' | 'use_pantry_only'
+    dietaryProfile = null
   } = options;
 
   const startTime = Date.now();
@@ -715,9 +787,9 @@ async function generateCustomRecipe(options, genAI, logger) {
         pantryMode,
         variationNumber: i + 1,
         totalVariations: numberOfRecipes
-      });
+      }) + buildDietaryPromptSection(dietaryProfile);
 
-      const promise = generateSingleCustomRecipe(prompt, genAI, pantryItems, logger, MAX_AI_RETRY_ATTEMPTS);
+      const promise = generateSingleCustomRecipe(prompt, genAI, pantryItems, logger, MAX_AI_RETRY_ATTEMPTS, dietaryProfile);
       promises.push(promise);
     }
 
@@ -752,9 +824,9 @@ async function generateCustomRecipe(options, genAI, logger) {
     pantryContext,
     specificIngredients,
     pantryMode
-  });
+  }) + buildDietaryPromptSection(dietaryProfile);
 
-  const result = await generateSingleCustomRecipe(prompt, genAI, pantryItems, logger, MAX_AI_RETRY_ATTEMPTS);
+  const result = await generateSingleCustomRecipe(prompt, genAI, pantryItems, logger, MAX_AI_RETRY_ATTEMPTS, dietaryProfile);
 
   logger.info({
     success: result.success !== false,
@@ -770,7 +842,7 @@ async function generateCustomRecipe(options, genAI, logger) {
  * Generates a single custom recipe with retry logic
  * @private
  */
-async function generateSingleCustomRecipe(prompt, genAI, pantryItems, logger, maxAttempts) {
+async function generateSingleCustomRecipe(prompt, genAI, pantryItems, logger, maxAttempts, dietaryProfile = null) {
   let attempts = 0;
 
   while (attempts < maxAttempts) {
@@ -778,19 +850,18 @@ async function generateSingleCustomRecipe(prompt, genAI, pantryItems, logger, ma
       attempts++;
       const attemptStartTime = Date.now();
 
-      const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      // Recipe or refusal, validated (with one repair retry) before any checks below
+      const { data: parsed, text } = await generateValidatedJson(genAI, prompt, {
+        task: 'custom-recipe',
+        schema: SCORED_RECIPE_SCHEMA,
+        logger
+      });
 
       logger.debug({
         responsePreview: text.substring(0, 300),
         attempt: attempts
       }, 'Custom recipe AI response');
 
-      // Parse response
-      const parsed = parseAIJsonResponse(text, logger, { context: 'custom-recipe' });
-
       // Comprehensive AI logging (DEBUG level, dev only)
       logger.debug({
         aiService: 'recipeAI',
@@ -803,28 +874,14 @@ async function generateSingleCustomRecipe(prompt, genAI, pantryItems, logger, ma
       }, 'AI call completed (Custom Recipe)');
 
       // Check if AI refused
-      if (parsed.success === false && parsed.refusalReason) {
+      if (parsed.success === false) {
         return {
           success: false,
           refusalReason: parsed.refusalReason,
-          suggestions: parsed.suggestions || []
+          suggestions: parsed.suggestions
         };
       }
 
-      // Validate required fields
-      const requiredFields = ['title', 'ingredients', 'instructions', 'qualityScore'];
-      const missingFields = requiredFields.filter(field => !parsed[field]);
-
-      if (missingFields.length > 0) {
-        logger.warn({ missingFields, attempt: attempts }, 'Missing fields in custom recipe');
-
-        if (attempts < maxAttempts) {
-          continue; // Retry
-        }
-
-        throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
-      }
-
       // Quality check
       if (parsed.qualityScore < MIN_QUALITY_SCORE) {
         logger.warn({
@@ -847,6 +904,18 @@ async function generateSingleCustomRecipe(prompt, genAI, pantryItems, logger, ma
         };
       }
 
+      // Reject recipes containing a declared allergen
+      const violations = findAllergenViolations(parsed, dietaryProfile);
+      if (violations.length > 0) {
+        logger.warn({ violations, title: parsed.title, attempt: attempts }, 'Recipe contains declared allergens');
+
+        if (attempts < maxAttempts) {
+          continue; // Retry
+        }
+
+        return createAllergenRefusal(violations);
+      }
+
       // Return recipe
       return {
         title: parsed.title,
@@ -979,6 +1048,7 @@ If refusing:
 /**
  * Generates recipes using unified flow - merges Roscoe's Choice and Customize approaches
  * Single progressive interface with smart constraint merging
+ * Each recipe carries per-serving `nutrition` (see services/nutrition.js).
  *
  * @param {Object} options - Generation options
  * @param {Object[]} options.pantryItems - Available pantry items (empty if no_constraints mode)
@@ -992,7 +1062,8 @@ If refusing:
  * @param {string[]} options.preferences - Quick/Healthy/Comfort/Easy
  * @param {number} options.servingSize - 1-10 servings
  * @param {string[]} options.specificIngredients - Must-use pantry ingredients
- * @param {Object} genAI - Google Generative AI instance
+ * @param {Object} [options.dietaryProfile] - Household dietary profile, enforced as hard constraints
+ * @param {Object} genAI - AI provider (see config/ai.js)
  * @param {Object} logger - Pino logger instance
  * @returns {Promise<Object|Object[]>} Recipe(s) or refusal object
  */
@@ -1008,7 +1079,8 @@ async function generateUnifiedRecipe(options, genAI, logger) {
     proteins = [],
     preferences = [],
     servingSize = 2,
-    specificIngredients = []
+    specificIngredients = [],
+    dietaryProfile = null
   } = options;
 
   const startTime = Date.now();
@@ -1058,9 +1130,9 @@ async function generateUnifiedRecipe(options, genAI, logger) {
         variationNumber: i + 1,
         totalVariations: numberOfMeals,
         pantryItems
-      });
+      }) + buildDietaryPromptSection(dietaryProfile);
 
-      const promise = generateSingleUnifiedRecipe(prompt, genAI, pantryItems, logger, maxAttempts);
+      const promise = generateSingleUnifiedRecipe(prompt, genAI, pantryItems, logger, maxAttempts, dietaryProfile);
       promises.push(promise);
     }
 
@@ -1073,7 +1145,9 @@ async function generateUnifiedRecipe(options, genAI, logger) {
       return refusals[0];
     }
 
-    const validRecipes = results.filter(r => r.success !== false);
+    const validRecipes = await Promise.all(
+      results.filter(r => r.success !== false).map(recipe => withNutrition(recipe, genAI, logger))
+    );
 
     logger.info({
       recipeCount: validRecipes.length,
@@ -1098,9 +1172,10 @@ async function generateUnifiedRecipe(options, genAI, logger) {
     servingSize,
     specificIngredients,
     pantryItems
-  });
+  }) + buildDietaryPromptSection(dietaryProfile);
 
-  const result = await generateSingleUnifiedRecipe(prompt, genAI, pantryItems, logger, maxAttempts);
+  const generated = await generateSingleUnifiedRecipe(prompt, genAI, pantryItems, logger, maxAttempts, dietaryProfile);
+  const result = generated.success === false ? generated : await withNutrition(generated, genAI, logger);
 
   logger.info({
     success: result.success !== false,
@@ -1117,7 +1192,7 @@ async function generateUnifiedRecipe(options, genAI, logger) {
  * Generates a single unified recipe with retry logic
  * @private
  */
-async function generateSingleUnifiedRecipe(prompt, genAI, pantryItems, logger, maxAttempts) {
+async function generateSingleUnifiedRecipe(prompt, genAI, pantryItems, logger, maxAttempts, dietaryProfile = null) {
   let attempts = 0;
 
   while (attempts < maxAttempts) {
@@ -1125,19 +1200,18 @@ async function generateSingleUnifiedRecipe(prompt, genAI, pantryItems, logger, m
       attempts++;
       const attemptStartTime = Date.now();
 
-      const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      // Recipe or refusal, validated (with one repair retry) before any checks below
+      const { data: parsed, text } = await generateValidatedJson(genAI, prompt, {
+        task: 'unified-recipe',
+        schema: SCORED_RECIPE_SCHEMA,
+        logger
+      });
 
       logger.debug({
         responsePreview: text.substring(0, 300),
         attempt: attempts
       }, 'Unified recipe AI response');
 
-      // Parse response
-      const parsed = parseAIJsonResponse(text, logger, { context: 'unified-recipe' });
-
       // Comprehensive AI logging (DEBUG level, dev only)
       logger.debug({
         aiService: 'recipeAI',
@@ -1150,28 +1224,14 @@ async function generateSingleUnifiedRecipe(prompt, genAI, pantryItems, logger, m
       }, 'AI call completed (Unified Recipe)');
 
       // Check if AI refused
-      if (parsed.success === false && parsed.refusalReason) {
+      if (parsed.success === false) {
         return {
           success: false,
           refusalReason: parsed.refusalReason,
-          suggestions: parsed.suggestions || []
+          suggestions: parsed.suggestions
         };
       }
 
-      // Validate required fields
-      const requiredFields = ['title', 'ingredients', 'instructions', 'qualityScore'];
-      const missingFields = requiredFields.filter(field => !parsed[field]);
-
-      if (missingFields.length > 0) {
-        logger.warn({ missingFields, attempt: attempts }, 'Missing fields in unified recipe');
-
-        if (attempts < maxAttempts) {
-          continue; // Retry
-        }
-
-        throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
-      }
-
       // Quality check
       if (parsed.qualityScore < MIN_QUALITY_SCORE) {
         logger.warn({
@@ -1194,6 +1254,18 @@ async function generateSingleUnifiedRecipe(prompt, genAI, pantryItems, logger, m
         };
       }
 
+      // Reject recipes containing a declared allergen
+      const violations = findAllergenViolations(parsed, dietaryProfile);
+      if (violations.length > 0) {
+        logger.warn({ violations, title: parsed.title, attempt: attempts }, 'Recipe contains declared allergens');
+
+        if (attempts < maxAttempts) {
+          continue; // Retry
+        }
+
+        return createAllergenRefusal(violations);
+      }
+
       // Return recipe
       return {
         title: parsed.title,
@@ -1372,7 +1444,7 @@ Quality score must be honest (50-100). Only generate if genuinely delicious and
  *
  * @param {string[]} recipeIngredients - From AI recipe generation
  * @param {Object[]} pantryItems - Available pantry items
- * @param {Object} genAI - Google Generative AI instance
+ * @param {Object} genAI - AI provider (see config/ai.js)
  * @param {Object} logger - Pino logger instance
  * @returns {Promise<Object>} { pantryMatches, shoppingItems }
  */
@@ -1437,10 +1509,13 @@ RESPONSE FORMAT (JSON):
       pantryItemCount: pantryItems.length
     };
 
-    const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
+    const text = await genAI.generateContent(prompt, {
+      task: 'ingredient-matching',
+      variables: {
+        recipeIngredients,
+        pantryItems: pantryItems.map(item => ({ id: item.id, name: item.name }))
+      }
+    });
 
     const parsed = parseAIJsonResponse(text, logger, { context: 'ingredient-matching' });
 
@@ -1515,7 +1590,8 @@ RESPONSE FORMAT (JSON):
  * @param {Object[]} options.pantryItems - Available pantry items
  * @param {string} options.userId - User ID for logging
  * @param {string} options.homeId - Home ID for logging
- * @param {Object} genAI - Google Generative AI instance
+ * @param {Object} [options.dietaryProfile] - Household dietary profile, enforced as hard constraints
+ * @param {Object} genAI - AI provider (see config/ai.js)
  * @param {Object} logger - Pino logger instance
  * @returns {Promise<Object>} Updated recipe
  */
@@ -1525,7 +1601,8 @@ async function regenerateRecipeWithFeedback(options, genAI, logger) {
     feedback,
     pantryItems = [],
     userId,
-    homeId
+    homeId,
+    dietaryProfile = null
   } = options;
 
   const startTime = Date.now();
@@ -1551,7 +1628,7 @@ ${JSON.stringify(originalRecipe, null, 2)}
 
 USER FEEDBACK:
 "${sanitizeFeedback(feedback)}"
-${pantryContext}
+${pantryContext}${buildDietaryPromptSection(dietaryProfile)}
 
 TASK:
 Apply the user's feedback to generate an UPDATED recipe. The feedback might request:
@@ -1607,12 +1684,12 @@ RESPONSE FORMAT (exact JSON):
       pantryItemCount: pantryItems.length
     };
 
-    const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
-    const result = await model.generateContent(prompt);
-    const responseText = result.response.text();
-
-    // Parse JSON response
-    const parsedRecipe = parseAIJsonResponse(responseText, logger);
+    const { data: parsedRecipe, text: responseText, attempts } = await generateValidatedJson(genAI, prompt, {
+      task: 'recipe-regeneration',
+      variables: { servings: originalRecipe.servings || 2 },
+      schema: REGENERATED_RECIPE_SCHEMA,
+      logger
+    });
 
     // Comprehensive AI logging (DEBUG level, dev only)
     logger.debug({
@@ -1623,13 +1700,19 @@ RESPONSE FORMAT (exact JSON):
       fullResponse: responseText,
       parsedResult: parsedRecipe,
       responseTime: Date.now() - startTime,
-      attempt: 1
+      attempt: attempts
     }, 'AI call completed (Regenerate with Feedback)');
 
-    if (!parsedRecipe || !parsedRecipe.success) {
+    if (!parsedRecipe.success) {
       throw new Error('AI failed to regenerate recipe');
     }
 
+    const violations = findAllergenViolations(parsedRecipe, dietaryProfile);
+    if (violations.length > 0) {
+      logger.warn({ violations, title: parsedRecipe.title }, 'Regenerated recipe contains declared allergens');
+      throw new Error(createAllergenRefusal(violations).refusalReason);
+    }
+
     // Re-match ingredients to pantry if pantry items available
     if (pantryItems.length > 0 && parsedRecipe.ingredients) {
       const matchResult = await matchIngredientsToPantry(
@@ -1645,14 +1728,16 @@ RESPONSE FORMAT (exact JSON):
       }
     }
 
+    const recipe = await withNutrition(parsedRecipe, genAI, logger);
+
     const responseTime = Date.now() - startTime;
     logger.info({
       feedback: feedback.substring(0, 100),
-      newTitle: parsedRecipe.title,
+      newTitle: recipe.title,
       aiResponseTime: responseTime
     }, 'Recipe regenerated with feedback');
 
-    return parsedRecipe;
+    return recipe;
 
   } catch (error) {
     const responseTime = Date.now() - startTime;
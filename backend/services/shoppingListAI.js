@@ -1,14 +1,31 @@
 // shoppingListAI.js - AI parsing service for shopping list items
 
-const { parseAIJsonResponse } = require('../utils/aiHelpers');
-const { GEMINI_MODEL } = require('../config/ai');
+const { generateValidatedJson } = require('../utils/aiHelpers');
+const { SHOPPING_ITEM_SCHEMA } = require('./aiResponseSchemas');
+
+// --- Constants ---
+// Listed in a typical store's walking order, which is also the default display order
+const SHOPPING_CATEGORIES = [
+  'produce',
+  'bakery',
+  'meat',
+  'seafood',
+  'dairy',
+  'frozen',
+  'pantry',
+  'snacks',
+  'beverages',
+  'household',
+  'personal-care',
+  'other'
+];
 
 /**
  * Parses natural language shopping list item text into structured data
- * Uses Google Gemini AI to extract name, quantity, unit, and category
+ * Uses the configured AI provider to extract name, quantity, unit, and category
  *
  * @param {string} text - Raw text input (e.g., "2 lbs chicken breast")
- * @param {Object} genAI - Google Generative AI instance
+ * @param {Object} genAI - AI provider (see config/ai.js)
  * @param {Object} logger - Pino logger instance
  * @returns {Promise<Object>} Parsed item with name, quantity, unit, category
  */
@@ -24,7 +41,7 @@ Output JSON format:
   "name": "item name with qualifiers preserved",
   "quantity": number,
   "unit": "lbs|oz|kg|g|gallons|cups|tbsp|tsp|each|bunch|bag|can|box|bottle|jar|dozen|pack|loaf|ct",
-  "category": "produce|dairy|meat|pantry|frozen|other"
+  "category": "${SHOPPING_CATEGORIES.join('|')}"
 }
 
 Examples:
@@ -34,16 +51,21 @@ Examples:
 - "dozen eggs" -> {"name": "Eggs", "quantity": 12, "unit": "each", "category": "dairy"}
 - "2% milk" -> {"name": "2% Milk", "quantity": 1, "unit": "gallon", "category": "dairy"}
 - "greek yogurt" -> {"name": "Greek Yogurt", "quantity": 1, "unit": "each", "category": "dairy"}
-- "coca cola 1ltr" -> {"name": "Coca Cola", "quantity": 1, "unit": "Ltr", "category": "other"}
+- "coca cola 1ltr" -> {"name": "Coca Cola", "quantity": 1, "unit": "Ltr", "category": "beverages"}
 - "extra virgin olive oil" -> {"name": "Extra Virgin Olive Oil", "quantity": 1, "unit": "bottle", "category": "pantry"}
 - "red delicious apples" -> {"name": "Red Delicious Apples", "quantity": 1, "unit": "each", "category": "produce"}
 - "organic chicken breast" -> {"name": "Organic Chicken Breast", "quantity": 1, "unit": "lbs", "category": "meat"}
-- "whole wheat bread" -> {"name": "Whole Wheat Bread", "quantity": 1, "unit": "loaf", "category": "pantry"}
+- "whole wheat bread" -> {"name": "Whole Wheat Bread", "quantity": 1, "unit": "loaf", "category": "bakery"}
+- "salmon fillets" -> {"name": "Salmon Fillets", "quantity": 1, "unit": "lbs", "category": "seafood"}
+- "tortilla chips" -> {"name": "Tortilla Chips", "quantity": 1, "unit": "bag", "category": "snacks"}
+- "paper towels" -> {"name": "Paper Towels", "quantity": 1, "unit": "pack", "category": "household"}
+- "toothpaste" -> {"name": "Toothpaste", "quantity": 1, "unit": "each", "category": "personal-care"}
 
 Rules:
 - Default quantity is 1
 - Default unit is "each"
-- Category MUST be one of: produce, dairy, meat, pantry, frozen, other
+- Category MUST be one of: ${SHOPPING_CATEGORIES.join(', ')}
+- Cleaning supplies, paper goods and other non-food home items are "household"; toiletries, medicine and cosmetics are "personal-care"
 - PRESERVE ALL qualifiers and descriptors: "2%", "organic", "greek", "extra virgin", varieties, etc.
 - CAPITALIZE each significant word in the item name (title case)
 - Recognize and properly capitalize brand names: "Coca Cola", "Cheerios", "Kraft", etc.
@@ -61,31 +83,16 @@ Return ONLY valid JSON, no explanation or markdown formatting.`;
       inputLength: text.length
     };
 
-    const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const responseText = response.text();
-
-    // Parse JSON from response
-    let parsedItem;
-    try {
-      // Remove markdown code blocks if present (AI sometimes adds these)
-      const cleanedText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      parsedItem = parseAIJsonResponse(cleanedText, logger, { inputText: text, context: 'shopping-list-item' });
-    } catch (parseError) {
-      // Return fallback on parsing error
-      return createFallbackItem(text);
-    }
-
-    // Validate parsed item
-    if (!parsedItem.name || typeof parsedItem.quantity !== 'number' || !parsedItem.unit || !parsedItem.category) {
-      logger.warn({ parsedItem, inputText: text }, 'Incomplete parsed item, using fallback');
-      return createFallbackItem(text);
-    }
+    // Invalid responses are retried once, then fall back below
+    const { data: parsedItem, text: responseText, attempts } = await generateValidatedJson(genAI, prompt, {
+      task: 'shopping-list-item',
+      variables: promptVariables,
+      schema: SHOPPING_ITEM_SCHEMA,
+      logger
+    });
 
     // Validate category
-    const validCategories = ['produce', 'dairy', 'meat', 'pantry', 'frozen', 'other'];
-    if (!validCategories.includes(parsedItem.category)) {
+    if (!SHOPPING_CATEGORIES.includes(parsedItem.category)) {
       logger.warn({ category: parsedItem.category, inputText: text }, 'Invalid category, defaulting to "other"');
       parsedItem.category = 'other';
     }
@@ -101,7 +108,7 @@ Return ONLY valid JSON, no explanation or markdown formatting.`;
       fullResponse: responseText,
       parsedResult: parsedItem,
       responseTime,
-      attempt: 1
+      attempt: attempts
     }, 'AI call completed (Shopping List Parsing)');
 
     logger.debug({
@@ -116,7 +123,7 @@ Return ONLY valid JSON, no explanation or markdown formatting.`;
     logger.error({
       err: error,
       inputText: text
-    }, 'Error calling Gemini AI for shopping list parsing');
+    }, 'Error calling AI for shopping list parsing');
 
     // Return fallback item
     return createFallbackItem(text);
@@ -143,5 +150,6 @@ function createFallbackItem(text) {
 }
 
 module.exports = {
+  SHOPPING_CATEGORIES,
   parseShoppingListItem
 };
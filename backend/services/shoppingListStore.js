@@ -0,0 +1,217 @@
+// shoppingListStore.js - Shopping list storage (one document per item)
+
+const admin = require('firebase-admin');
+
+/**
+ * Shopping lists are stored as:
+ *   shopping_lists/{homeId}             { homeId, lastUpdated }
+ *   shopping_lists/{homeId}/lists/{id}  { name, createdAt, createdBy }
+ *   shopping_lists/{homeId}/items/{id}  { listId, name, quantity, unit, category, checked,
+ *                                         addedBy, addedAt, updatedAt, source }
+ *   shopping_lists/{homeId}/store_layouts/{id}  { name, aisles: [{ name, categories }],
+ *                                                 createdBy, createdAt, updatedAt }
+ *
+ * Every home has a default list that has no document of its own; items
+ * without a listId belong to it. Named lists (one per store, say) live in the
+ * lists subcollection, and all items share one subcollection so moving an item
+ * between lists only changes its listId. Store layouts describe the aisles of a
+ * store the household shops at, so a list can be shown in walking order.
+ *
+ * Keeping each item in its own document lets members edit different items at
+ * the same time without rewriting (and clobbering) the whole list. Lists
+ * written before this layout keep their items in an `items` array on the list
+ * document; migrateShoppingList() moves them into the subcollection.
+ */
+
+// --- Constants ---
+const DEFAULT_SHOPPING_LIST_ID = 'default';
+const DEFAULT_SHOPPING_LIST_NAME = 'Shopping List';
+const MIGRATION_BATCH_SIZE = 400; // Firestore allows 500 writes per batch
+
+// Homes whose list has been checked for legacy items since this process started
+const migratedHomeIds = new Set();
+
+/**
+ * Gets the list document for a home
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} homeId - Home the list belongs to
+ * @returns {Object} Document reference
+ */
+function getShoppingListRef(db, homeId) {
+  return db.collection('shopping_lists').doc(homeId);
+}
+
+/**
+ * Gets the item subcollection of a home's list
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} homeId - Home the list belongs to
+ * @returns {Object} Collection reference
+ */
+function getShoppingItemsRef(db, homeId) {
+  return getShoppingListRef(db, homeId).collection('items');
+}
+
+/**
+ * Gets the named lists subcollection of a home
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} homeId - Home the lists belong to
+ * @returns {Object} Collection reference
+ */
+function getNamedListsRef(db, homeId) {
+  return getShoppingListRef(db, homeId).collection('lists');
+}
+
+/**
+ * Gets the store layouts subcollection of a home
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} homeId - Home the layouts belong to
+ * @returns {Object} Collection reference
+ */
+function getStoreLayoutsRef(db, homeId) {
+  return getShoppingListRef(db, homeId).collection('store_layouts');
+}
+
+/**
+ * Converts an item document snapshot into a plain item with its id and list
+ *
+ * @param {Object} doc - Item document snapshot
+ * @returns {Object} Item with id and listId
+ */
+function readShoppingItem(doc) {
+  const data = doc.data();
+  return { id: doc.id, ...data, listId: data.listId || DEFAULT_SHOPPING_LIST_ID };
+}
+
+/**
+ * Checks whether a list exists (the default list always does)
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} homeId - Home the list belongs to
+ * @param {string} listId - List to look up
+ * @param {Object} [transaction] - Read inside this transaction when given
+ * @returns {Promise<boolean>} True if the list exists
+ */
+async function shoppingListExists(db, homeId, listId, transaction) {
+  if (listId === DEFAULT_SHOPPING_LIST_ID) return true;
+
+  const listRef = getNamedListsRef(db, homeId).doc(listId);
+  const listDoc = transaction ? await transaction.get(listRef) : await listRef.get();
+  return listDoc.exists;
+}
+
+/**
+ * Records a change to a home's list in the same batch or transaction as the change
+ * Creates the list document on a home's first write.
+ *
+ * @param {Object} writer - Firestore batch or transaction
+ * @param {Object} db - Firestore instance
+ * @param {string} homeId - Home the list belongs to
+ */
+function touchShoppingList(writer, db, homeId) {
+  writer.set(getShoppingListRef(db, homeId), {
+    homeId,
+    lastUpdated: admin.firestore.Timestamp.now()
+  }, { merge: true });
+}
+
+/**
+ * Moves a legacy `items` array on a list document into the item subcollection
+ * Items are written in batches (a transaction is capped at 500 writes) and the
+ * array is removed only after every batch has committed, so an interrupted
+ * migration simply runs again. Items keep their ids; items without one get an
+ * id derived from their position, so a rerun overwrites rather than duplicates
+ * them. A no-op for lists already stored per item.
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} homeId - Home the list belongs to
+ * @returns {Promise<number>} Number of items moved
+ */
+async function migrateShoppingList(db, homeId) {
+  const listRef = getShoppingListRef(db, homeId);
+  const itemsRef = listRef.collection('items');
+
+  const listDoc = await listRef.get();
+  const legacyItems = listDoc.exists ? listDoc.data().items : undefined;
+  if (!Array.isArray(legacyItems)) return 0;
+
+  for (let start = 0; start < legacyItems.length; start += MIGRATION_BATCH_SIZE) {
+    const batch = db.batch();
+    legacyItems.slice(start, start + MIGRATION_BATCH_SIZE).forEach(({ id, ...item }, offset) => {
+      batch.set(itemsRef.doc(id || `legacy-${start + offset}`), {
+        ...item,
+        updatedAt: item.updatedAt || item.addedAt || admin.firestore.Timestamp.now()
+      });
+    });
+    await batch.commit();
+  }
+
+  // Removing the array marks the list as migrated
+  await listRef.update({
+    items: admin.firestore.FieldValue.delete(),
+    lastUpdated: admin.firestore.Timestamp.now()
+  });
+
+  return legacyItems.length;
+}
+
+/**
+ * Migrates a home's list before it is read or written
+ * Checked once per home per process; cheap after the first call.
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} homeId - Home the list belongs to
+ * @returns {Promise<void>}
+ */
+async function ensureShoppingListMigrated(db, homeId) {
+  if (migratedHomeIds.has(homeId)) return;
+
+  await migrateShoppingList(db, homeId);
+  migratedHomeIds.add(homeId);
+}
+
+/**
+ * Migrates every legacy list (run once at startup)
+ * Requests for a list that hasn't been reached yet migrate it themselves via
+ * ensureShoppingListMigrated, so this can run in the background.
+ *
+ * @param {Object} db - Firestore instance
+ * @param {Object} logger - Pino logger instance
+ * @returns {Promise<Object>} { listCount, itemCount } of migrated lists
+ */
+async function migrateShoppingLists(db, logger) {
+  const listsSnap = await db.collection('shopping_lists').get();
+  const legacyIds = listsSnap.docs
+    .filter(doc => Array.isArray(doc.data().items))
+    .map(doc => doc.id);
+
+  let itemCount = 0;
+  for (const homeId of legacyIds) {
+    itemCount += await migrateShoppingList(db, homeId);
+    migratedHomeIds.add(homeId);
+  }
+
+  if (legacyIds.length > 0) {
+    logger.info({ listCount: legacyIds.length, itemCount }, 'Shopping lists migrated to per-item documents');
+  }
+
+  return { listCount: legacyIds.length, itemCount };
+}
+
+module.exports = {
+  DEFAULT_SHOPPING_LIST_ID,
+  DEFAULT_SHOPPING_LIST_NAME,
+  getShoppingListRef,
+  getShoppingItemsRef,
+  getNamedListsRef,
+  getStoreLayoutsRef,
+  readShoppingItem,
+  shoppingListExists,
+  touchShoppingList,
+  migrateShoppingList,
+  ensureShoppingListMigrated,
+  migrateShoppingLists
+};
@@ -0,0 +1,211 @@
+// userAccount.js - Exporting and deleting a user's account data
+
+const admin = require('firebase-admin');
+const { HOME_ROLES } = require('../utils/homeRoles');
+const { listUserHomeIds, countAdmins, collectHomeData, deleteHomeData } = require('./homeLifecycle');
+
+// Roles that can be made admin without the leaving admin choosing them
+const AUTO_SUCCESSOR_ROLES = ['admin', 'member'];
+
+/**
+ * Deleting an account removes the user from every home they belong to:
+ *   delete   - they are the only member, so the home and its data go too
+ *   transfer - they are the only admin, so another member is made admin first
+ *              (the user must choose one unless a full member can take over)
+ *   leave    - anyone else just drops out of the members map
+ * The same plan is shown to the user before they confirm, and the export
+ * includes the full contents of every home that would be deleted.
+ */
+
+/**
+ * Converts stored values to JSON-friendly ones (Timestamps become ISO strings)
+ * @private
+ */
+function toPlainData(value) {
+  if (value instanceof admin.firestore.Timestamp) return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(toPlainData);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toPlainData(entry)]));
+  }
+  return value;
+}
+
+/**
+ * Chooses who becomes admin when a home's only admin leaves
+ * A valid requested member wins. Otherwise only a full member is picked: a
+ * shopper, child or viewer is never made admin unless the leaving admin chose them.
+ *
+ * @param {Object} members - Home members map ({ [userId]: role })
+ * @param {string} userId - Admin who is leaving
+ * @param {string} [preferredId] - Member the leaving admin picked
+ * @returns {string|null} New admin's user ID, or null if the leaving admin has to choose
+ */
+function pickSuccessor(members, userId, preferredId) {
+  const candidates = Object.keys(members || {}).filter(memberId => memberId !== userId);
+  if (preferredId && candidates.includes(preferredId)) return preferredId;
+
+  const rank = (memberId) => HOME_ROLES.indexOf(members[memberId]);
+  return candidates
+    .filter(memberId => AUTO_SUCCESSOR_ROLES.includes(members[memberId]))
+    .sort((a, b) => rank(a) - rank(b))[0] || null;
+}
+
+/**
+ * Decides what happens to a home when a member deletes their account
+ * @private
+ */
+function getHomeOutcome(members, userId) {
+  if (Object.keys(members).length === 1) return 'delete';
+  if (members[userId] === 'admin' && countAdmins(members) === 1) return 'transfer';
+  return 'leave';
+}
+
+/**
+ * Describes what deleting the account would do to each of the user's homes
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} [{ id, name, role, outcome, successorId, candidates: [{ id, name, role }] }]
+ *   (successorId is null when the user has to choose one of the candidates)
+ */
+async function planAccountDeletion(db, userId) {
+  const homeIds = await listUserHomeIds(db, userId);
+  const plan = [];
+
+  for (const homeId of homeIds) {
+    const homeDoc = await db.collection('homes').doc(homeId).get();
+    if (!homeDoc.exists) continue;
+
+    const { name, members = {} } = homeDoc.data();
+    const outcome = getHomeOutcome(members, userId);
+    const entry = { id: homeId, name, role: members[userId], outcome, successorId: null, candidates: [] };
+
+    if (outcome === 'transfer') {
+      const memberIds = Object.keys(members).filter(memberId => memberId !== userId);
+      const memberDocs = await Promise.all(memberIds.map(memberId => db.collection('users').doc(memberId).get()));
+      entry.candidates = memberDocs.map(doc => ({
+        id: doc.id,
+        name: doc.exists ? doc.data().name : 'Unknown member',
+        role: members[doc.id]
+      }));
+      entry.successorId = pickSuccessor(members, userId);
+    }
+
+    plan.push(entry);
+  }
+
+  return plan;
+}
+
+/**
+ * Builds a download of everything stored about a user
+ * Includes their profile, their homes and the full contents of any home that
+ * would be deleted with the account.
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} JSON-friendly export
+ */
+async function exportUserData(db, userId) {
+  const userDoc = await db.collection('users').doc(userId).get();
+  const { homes: _homes, ...profile } = userDoc.exists ? userDoc.data() : {};
+  const plan = await planAccountDeletion(db, userId);
+
+  const homes = [];
+  for (const home of plan) {
+    const exported = { id: home.id, name: home.name, role: home.role };
+    if (home.outcome === 'delete') {
+      const homeDoc = await db.collection('homes').doc(home.id).get();
+      const { members: _members, ...settings } = homeDoc.data();
+      exported.data = { settings, ...(await collectHomeData(db, home.id)) };
+    }
+    homes.push(exported);
+  }
+
+  return toPlainData({
+    exportedAt: new Date().toISOString(),
+    account: { uid: userId, ...profile },
+    homes
+  });
+}
+
+/**
+ * Removes a user from every home and deletes their user document
+ * The auth account itself is deleted by the caller afterwards. Homes are
+ * handled one transaction at a time, so a failure part-way leaves every
+ * home consistent and the deletion can simply be retried. Nothing is changed
+ * while any home still needs the user to choose a new admin.
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} userId - User ID
+ * @param {Object} [successors] - Chosen new admins ({ [homeId]: memberId })
+ * @returns {Promise<Object>} { status: 'deleted', homes: [{ homeId, outcome, successorId }] }
+ *   or { status: 'needs-successor', homeIds }
+ */
+async function deleteUserAccountData(db, userId, successors = {}) {
+  const homeIds = await listUserHomeIds(db, userId);
+
+  const homeDocs = await Promise.all(homeIds.map(homeId => db.collection('homes').doc(homeId).get()));
+  const unresolvedHomeIds = homeDocs.filter((homeDoc) => {
+    const members = homeDoc.exists ? homeDoc.data().members || {} : {};
+    return members[userId] && getHomeOutcome(members, userId) === 'transfer' &&
+      !pickSuccessor(members, userId, successors[homeDoc.id]);
+  }).map(homeDoc => homeDoc.id);
+  if (unresolvedHomeIds.length > 0) {
+    return { status: 'needs-successor', homeIds: unresolvedHomeIds };
+  }
+
+  const results = [];
+  for (const homeId of homeIds) {
+    const homeRef = db.collection('homes').doc(homeId);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const homeDoc = await transaction.get(homeRef);
+      const members = homeDoc.exists ? homeDoc.data().members || {} : {};
+      if (!members[userId]) return null;
+
+      const outcome = getHomeOutcome(members, userId);
+      if (outcome === 'delete') {
+        transaction.delete(homeRef);
+        return { homeId, outcome, successorId: null };
+      }
+
+      const update = { [`members.${userId}`]: admin.firestore.FieldValue.delete() };
+      let successorId = null;
+      if (outcome === 'transfer') {
+        successorId = pickSuccessor(members, userId, successors[homeId]);
+        // The members changed since the check above
+        if (!successorId) return { homeId, outcome: 'needs-successor' };
+        const successorRef = db.collection('users').doc(successorId);
+        const successorDoc = await transaction.get(successorRef);
+
+        update[`members.${successorId}`] = 'admin';
+        if (successorDoc.exists) {
+          transaction.update(successorRef, { [`homes.${homeId}`]: 'admin' });
+        }
+      }
+
+      transaction.update(homeRef, update);
+      return { homeId, outcome, successorId };
+    });
+
+    if (!result) continue;
+    if (result.outcome === 'needs-successor') {
+      return { status: 'needs-successor', homeIds: [homeId] };
+    }
+    if (result.outcome === 'delete') {
+      await deleteHomeData(db, homeId);
+    }
+    results.push(result);
+  }
+
+  await db.collection('users').doc(userId).delete();
+  return { status: 'deleted', homes: results };
+}
+
+module.exports = {
+  pickSuccessor,
+  planAccountDeletion,
+  exportUserData,
+  deleteUserAccountData
+};
@@ -0,0 +1,322 @@
+// weekPlanner.js - "Plan my week" generation across empty meal slots
+
+const { generateUnifiedRecipe } = require('./recipeAI');
+const { findAllergenViolations } = require('../utils/dietary');
+
+// --- Constants ---
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snacks'];
+const PLANNED_MEAL_TYPES = ['breakfast', 'lunch', 'dinner']; // Slots filled by week planning (snacks are left alone)
+const PANTRY_ITEMS_PER_SLOT = 3; // Maximum pantry items handed to a single meal
+const DEFAULT_PROTEINS = ['Chicken', 'Fish', 'Beans', 'Beef', 'Tofu', 'Pork', 'Shrimp'];
+const DEFAULT_CUISINES = ['Italian', 'Mexican', 'Asian', 'Mediterranean', 'American', 'Indian', 'Thai', 'French'];
+
+// Proteins ruled out by each diet (allergens are checked separately)
+const DIET_EXCLUDED_PROTEINS = {
+  vegetarian: ['Chicken', 'Fish', 'Beef', 'Pork', 'Shrimp'],
+  vegan: ['Chicken', 'Fish', 'Beef', 'Pork', 'Shrimp', 'Eggs'],
+  pescatarian: ['Chicken', 'Beef', 'Pork'],
+  halal: ['Pork'],
+  kosher: ['Pork', 'Shrimp']
+};
+
+/**
+ * Adds days to a YYYY-MM-DD date string
+ * @private
+ */
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Lists the breakfast/lunch/dinner slots in a week that have no meal planned yet
+ *
+ * @param {string} weekStart - First day of the week (YYYY-MM-DD)
+ * @param {Object[]} existingPlans - Meal plans in the week, with date as YYYY-MM-DD and mealType
+ * @returns {Object[]} Empty slots as { date, mealType }, ordered by date then meal type
+ */
+function findEmptySlots(weekStart, existingPlans) {
+  const occupied = new Set(existingPlans.map(plan => `${plan.date}|${plan.mealType}`));
+  const slots = [];
+
+  for (let i = 0; i < 7; i++) {
+    const date = addDays(weekStart, i);
+    for (const mealType of PLANNED_MEAL_TYPES) {
+      if (!occupied.has(`${date}|${mealType}`)) {
+        slots.push({ date, mealType });
+      }
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Distributes pantry items across slots so no item is handed to two meals
+ * Items expiring soonest are dealt first, round-robin from the earliest slot,
+ * so they land in meals early in the week. Items that expire before a slot's
+ * date are never assigned to it.
+ *
+ * @param {Object[]} slots - Slots ordered by date ({ date, mealType })
+ * @param {Object[]} pantryItems - Pantry items with id, name and daysUntilExpiry
+ * @param {string} today - Current date (YYYY-MM-DD), used to compare expiry with slot dates
+ * @param {string[]} [reservedIds=[]] - Pantry item IDs already promised to other meals
+ * @returns {Object[][]} Assigned pantry items per slot (same order as slots)
+ */
+function assignPantryItems(slots, pantryItems, today, reservedIds = []) {
+  const reserved = new Set(reservedIds);
+  const assignments = slots.map(() => []);
+  if (slots.length === 0) return assignments;
+
+  const available = pantryItems
+    .filter(item => !reserved.has(item.id))
+    .filter(item => item.daysUntilExpiry === null || item.daysUntilExpiry === undefined || item.daysUntilExpiry >= 0)
+    .sort((a, b) => {
+      const aDays = typeof a.daysUntilExpiry === 'number' ? a.daysUntilExpiry : Infinity;
+      const bDays = typeof b.daysUntilExpiry === 'number' ? b.daysUntilExpiry : Infinity;
+      return aDays - bDays;
+    });
+
+  let cursor = 0;
+  for (const item of available) {
+    const lastUsableDate = typeof item.daysUntilExpiry === 'number' ? addDays(today, item.daysUntilExpiry) : null;
+
+    // Find the next slot (round-robin) with room that is on or before the expiry date
+    for (let tried = 0; tried < slots.length; tried++) {
+      const index = (cursor + tried) % slots.length;
+      const fits = assignments[index].length < PANTRY_ITEMS_PER_SLOT &&
+        (!lastUsableDate || slots[index].date <= lastUsableDate);
+
+      if (fits) {
+        assignments[index].push(item);
+        cursor = index + 1;
+        break;
+      }
+    }
+  }
+
+  return assignments;
+}
+
+/**
+ * Removes proteins the household's diets or allergies rule out
+ * @private
+ */
+function filterProteinsForDiet(proteins, dietaryProfile) {
+  if (!dietaryProfile) return proteins;
+
+  const excluded = new Set(
+    (dietaryProfile.diets || []).flatMap(diet => DIET_EXCLUDED_PROTEINS[diet] || [])
+  );
+
+  return proteins.filter(protein =>
+    !excluded.has(protein) &&
+    findAllergenViolations({ ingredients: [protein] }, dietaryProfile).length === 0
+  );
+}
+
+/**
+ * Picks the first option in rotation order that is not in the avoid list
+ * Falls back to plain rotation when every option must be avoided.
+ * @private
+ */
+function pickFromRotation(options, startIndex, avoid) {
+  for (let i = 0; i < options.length; i++) {
+    const option = options[(startIndex + i) % options.length];
+    if (!avoid.has(option)) return option;
+  }
+  return options[startIndex % options.length];
+}
+
+/**
+ * Assigns a protein and cuisine to each slot so consecutive days don't repeat them
+ * Breakfast is left unconstrained. Lunch and dinner rotate through the given
+ * proteins/cuisines, avoiding anything used the previous day or earlier the same day.
+ *
+ * @param {Object[]} slots - Slots ordered by date ({ date, mealType })
+ * @param {Object} [options] - Variety options
+ * @param {string[]} [options.proteins] - Proteins to rotate through (defaults to a broad mix)
+ * @param {string[]} [options.cuisines] - Cuisines to rotate through (defaults to a broad mix)
+ * @param {Object[]} [options.existingPlans] - Already planned meals ({ date, protein, cuisine }) to keep apart from
+ * @param {Object} [options.dietaryProfile] - Household dietary profile; proteins it rules out are skipped
+ * @returns {Object[]} Slots with protein and cuisine (null for breakfast, or protein null if none is allowed)
+ */
+function assignVariety(slots, options = {}) {
+  const proteins = filterProteinsForDiet(
+    options.proteins?.length ? options.proteins : DEFAULT_PROTEINS,
+    options.dietaryProfile
+  );
+  const cuisines = options.cuisines?.length ? options.cuisines : DEFAULT_CUISINES;
+  const usedByDate = new Map();
+
+  const markUsed = (date, protein, cuisine) => {
+    const used = usedByDate.get(date) || { proteins: new Set(), cuisines: new Set() };
+    if (protein) used.proteins.add(protein);
+    if (cuisine) used.cuisines.add(cuisine);
+    usedByDate.set(date, used);
+  };
+
+  for (const plan of options.existingPlans || []) {
+    markUsed(plan.date, plan.protein, plan.cuisine);
+  }
+
+  let proteinIndex = 0;
+  let cuisineIndex = 0;
+
+  return slots.map(slot => {
+    if (slot.mealType === 'breakfast') {
+      return { ...slot, protein: null, cuisine: null };
+    }
+
+    const sameDay = usedByDate.get(slot.date) || { proteins: new Set(), cuisines: new Set() };
+    const previousDay = usedByDate.get(addDays(slot.date, -1)) || { proteins: new Set(), cuisines: new Set() };
+    const nextDay = usedByDate.get(addDays(slot.date, 1)) || { proteins: new Set(), cuisines: new Set() };
+
+    const protein = proteins.length === 0 ? null : pickFromRotation(
+      proteins,
+      proteinIndex,
+      new Set([...sameDay.proteins, ...previousDay.proteins, ...nextDay.proteins])
+    );
+    const cuisine = pickFromRotation(
+      cuisines,
+      cuisineIndex,
+      new Set([...sameDay.cuisines, ...previousDay.cuisines, ...nextDay.cuisines])
+    );
+
+    proteinIndex = proteins.indexOf(protein) + 1;
+    cuisineIndex = cuisines.indexOf(cuisine) + 1;
+    markUsed(slot.date, protein, cuisine);
+
+    return { ...slot, protein, cuisine };
+  });
+}
+
+/**
+ * Generates one recipe for a planned slot
+ * Only the slot's assigned pantry items are offered to the AI so items are not
+ * reused across meals.
+ *
+ * @param {Object} slot - Slot with date, mealType, protein, cuisine and pantryItems
+ * @param {Object} options - Generation options
+ * @param {number} [options.servingSize=2] - People to cook for
+ * @param {boolean} [options.quickMealsOnly=false] - Restrict to meals under 30 minutes
+ * @param {string[]} [options.preferences=[]] - Preference tags (Quick, Healthy...)
+ * @param {string[]} [options.avoidTitles=[]] - Dishes already planned, to avoid repeats
+ * @param {Object} [options.dietaryProfile] - Household dietary profile, enforced as hard constraints
+ * @param {Object} genAI - AI provider (see config/ai.js)
+ * @param {Object} logger - Pino logger instance
+ * @returns {Promise<Object>} Slot proposal { date, mealType, protein, cuisine, pantryItemIds, pantryItemNames, recipe, refusalReason }
+ */
+async function generateSlotRecipe(slot, options, genAI, logger) {
+  const { servingSize = 2, quickMealsOnly = false, preferences = [], avoidTitles = [], dietaryProfile = null } = options;
+  const pantryItems = slot.pantryItems || [];
+
+  let mainPrompt = `A ${slot.mealType} dish`;
+  if (avoidTitles.length > 0) {
+    mainPrompt += `. Must be clearly different from: ${avoidTitles.slice(-6).join('; ')}`;
+  }
+
+  const result = await generateUnifiedRecipe({
+    pantryItems,
+    pantryMode: 'pantry_plus_shopping',
+    numberOfMeals: 1,
+    quickMealsOnly,
+    prioritizeExpiring: true,
+    mainPrompt,
+    cuisines: slot.cuisine ? [slot.cuisine] : [],
+    proteins: slot.protein ? [slot.protein] : [],
+    preferences,
+    servingSize,
+    specificIngredients: [],
+    dietaryProfile
+  }, genAI, logger);
+
+  const proposal = {
+    date: slot.date,
+    mealType: slot.mealType,
+    protein: slot.protein || null,
+    cuisine: slot.cuisine || null,
+    pantryItemIds: pantryItems.map(item => item.id),
+    pantryItemNames: pantryItems.map(item => item.name),
+    recipe: null,
+    refusalReason: null
+  };
+
+  if (result.success === false) {
+    logger.info({ date: slot.date, mealType: slot.mealType, refusalReason: result.refusalReason }, 'Week plan slot refused');
+    return { ...proposal, refusalReason: result.refusalReason };
+  }
+
+  return { ...proposal, recipe: result };
+}
+
+/**
+ * Generates recipe proposals for every empty slot in a week
+ * Days are generated in order (meals within a day in parallel) so each day can
+ * steer away from dishes already proposed earlier in the week.
+ *
+ * @param {Object} options - Planning options
+ * @param {string} options.weekStart - First day of the week (YYYY-MM-DD)
+ * @param {string} options.today - Current date (YYYY-MM-DD)
+ * @param {Object[]} options.existingPlans - Meal plans already in the week ({ date, mealType, recipeName })
+ * @param {Object[]} options.pantryItems - Pantry items with id, name, quantity and daysUntilExpiry
+ * @param {string[]} [options.proteins] - Proteins to rotate through
+ * @param {string[]} [options.cuisines] - Cuisines to rotate through
+ * @param {number} [options.servingSize] - People to cook for
+ * @param {boolean} [options.quickMealsOnly] - Restrict to meals under 30 minutes
+ * @param {string[]} [options.preferences] - Preference tags
+ * @param {Object} [options.dietaryProfile] - Household dietary profile, enforced as hard constraints
+ * @param {Object} genAI - AI provider (see config/ai.js)
+ * @param {Object} logger - Pino logger instance
+ * @returns {Promise<Object[]>} Slot proposals ordered by date and meal type
+ */
+async function generateWeekPlan(options, genAI, logger) {
+  const { weekStart, today, existingPlans = [], pantryItems = [] } = options;
+  const startTime = Date.now();
+
+  const emptySlots = findEmptySlots(weekStart, existingPlans);
+  const pantryAssignments = assignPantryItems(emptySlots, pantryItems, today);
+  const slots = assignVariety(emptySlots, options).map((slot, index) => ({
+    ...slot,
+    pantryItems: pantryAssignments[index]
+  }));
+
+  const avoidTitles = existingPlans.map(plan => plan.recipeName).filter(Boolean);
+  const proposals = [];
+
+  for (let i = 0; i < 7; i++) {
+    const date = addDays(weekStart, i);
+    const daySlots = slots.filter(slot => slot.date === date);
+    if (daySlots.length === 0) continue;
+
+    const dayProposals = await Promise.all(
+      daySlots.map(slot => generateSlotRecipe(slot, { ...options, avoidTitles }, genAI, logger))
+    );
+
+    dayProposals.forEach(proposal => {
+      if (proposal.recipe) avoidTitles.push(proposal.recipe.title);
+    });
+    proposals.push(...dayProposals);
+  }
+
+  logger.info({
+    weekStart,
+    slotCount: slots.length,
+    generatedCount: proposals.filter(proposal => proposal.recipe).length,
+    pantryItemsAssigned: pantryAssignments.reduce((sum, items) => sum + items.length, 0),
+    aiResponseTime: Date.now() - startTime
+  }, 'Week plan generated');
+
+  return proposals;
+}
+
+module.exports = {
+  MEAL_TYPES,
+  PLANNED_MEAL_TYPES,
+  findEmptySlots,
+  assignPantryItems,
+  assignVariety,
+  generateSlotRecipe,
+  generateWeekPlan
+};
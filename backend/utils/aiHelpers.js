@@ -1,5 +1,29 @@
 // aiHelpers.js - Shared utilities for AI service functions
 
+const { validateSchema } = require('./schema');
+const { recordAIValidation } = require('./aiMetrics');
+
+// --- Constants ---
+const MAX_ECHOED_RESPONSE_LENGTH = 2000; // Previous response quoted back in a repair prompt
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Extracts and parses the JSON object or array in a model response
+ * @private
+ * @throws {Error} If no JSON can be found or parsed
+ */
+function extractJson(text) {
+  // Match JSON object or array
+  // Supports both objects {...} and arrays [...]
+  const jsonMatch = text.match(/[{[][\s\S]*[}\]]/s);
+
+  if (!jsonMatch) {
+    throw new Error('No valid JSON found in response');
+  }
+
+  return JSON.parse(jsonMatch[0]);
+}
+
 /**
  * Parses JSON from AI response text
  * Handles common patterns: JSON extraction from potentially messy responses,
@@ -13,16 +37,7 @@
  */
 function parseAIJsonResponse(text, logger, context = {}) {
   try {
-    // Match JSON object or array
-    // Supports both objects {...} and arrays [...]
-    const jsonMatch = text.match(/[{[][\s\S]*[}\]]/s);
-
-    if (!jsonMatch) {
-      throw new Error('No valid JSON found in response');
-    }
-
-    return JSON.parse(jsonMatch[0]);
-
+    return extractJson(text);
   } catch (err) {
     logger.error({
       err,
@@ -34,6 +49,91 @@ function parseAIJsonResponse(text, logger, context = {}) {
   }
 }
 
+/**
+ * Parses a response and checks it against its schema
+ * @private
+ * @returns {{data: *, errors: Array<{field: string, message: string}>}}
+ */
+function checkResponse(text, schema) {
+  let parsed;
+  try {
+    parsed = extractJson(text);
+  } catch (error) {
+    return { data: null, errors: [{ field: 'response', message: `response is not valid JSON (${error.message})` }] };
+  }
+
+  const resolvedSchema = typeof schema === 'function' ? schema(parsed) : schema;
+  const { value, errors } = validateSchema(resolvedSchema, parsed, 'response');
+  return { data: value, errors };
+}
+
+/**
+ * Appends the validation errors to the original request so the model can correct itself
+ * Image requests keep their image parts; only the text prompt is extended.
+ * @private
+ */
+function buildRepairRequest(request, text, errors) {
+  const repairNote = `
+
+Your previous response could not be used:
+${errors.slice(0, MAX_REPORTED_ERRORS).map(error => `- ${error.message}`).join('\n')}
+
+Previous response:
+${text.substring(0, MAX_ECHOED_RESPONSE_LENGTH)}
+
+Respond again with ONLY the corrected JSON, in exactly the format requested above.`;
+
+  if (Array.isArray(request)) {
+    return request.map(part => (typeof part === 'string' ? part + repairNote : part));
+  }
+  return request + repairNote;
+}
+
+/**
+ * Calls the AI provider and returns its JSON response validated against a schema
+ * Recoverable issues (numeric strings, missing optional arrays with defaults,
+ * undeclared fields) are fixed by the schema itself. If the response still
+ * doesn't parse or validate, the model is re-prompted once with the errors;
+ * a second failure throws. Every outcome is recorded in utils/aiMetrics.js.
+ *
+ * @param {Object} genAI - AI provider (see config/ai.js)
+ * @param {string|Array} request - Prompt string or content parts
+ * @param {Object} options - Call options
+ * @param {string} options.task - AI task name (see config/ai.js)
+ * @param {Object} [options.variables] - Values for the stub provider
+ * @param {Object|Function} options.schema - Response schema (see services/aiResponseSchemas.js), or a
+ *   function picking one from the parsed response (e.g. recipe vs. refusal)
+ * @param {Object} options.logger - Pino logger instance
+ * @returns {Promise<{data: *, text: string, attempts: number}>} Sanitized data, the raw text it came from, and calls made
+ * @throws {Error} If both responses fail validation (error.validationErrors lists the last errors)
+ */
+async function generateValidatedJson(genAI, request, { task, variables, schema, logger }) {
+  const text = await genAI.generateContent(request, { task, variables });
+  const first = checkResponse(text, schema);
+  if (first.errors.length === 0) {
+    recordAIValidation(task, 'valid', logger);
+    return { data: first.data, text, attempts: 1 };
+  }
+
+  logger.debug({ task, errors: first.errors, text: text.substring(0, 200) }, 'AI response failed validation, retrying with repair prompt');
+
+  const repairText = await genAI.generateContent(buildRepairRequest(request, text, first.errors), {
+    task,
+    variables: { ...variables, repairAttempt: true }
+  });
+  const repaired = checkResponse(repairText, schema);
+  if (repaired.errors.length === 0) {
+    recordAIValidation(task, 'repaired', logger, first.errors);
+    return { data: repaired.data, text: repairText, attempts: 2 };
+  }
+
+  recordAIValidation(task, 'failed', logger, repaired.errors);
+  const error = new Error(`AI response failed validation: ${repaired.errors[0].message}`);
+  error.validationErrors = repaired.errors;
+  throw error;
+}
+
 module.exports = {
-  parseAIJsonResponse
+  parseAIJsonResponse,
+  generateValidatedJson
 };
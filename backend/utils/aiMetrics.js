@@ -0,0 +1,60 @@
+// aiMetrics.js - In-process counters for AI response validation
+
+// --- Constants ---
+const MAX_RECENT_FAILURES = 20;
+
+/**
+ * Validation outcomes per AI task
+ * - valid: first response passed its schema
+ * - repaired: first response failed, the repair retry passed
+ * - failed: both responses failed
+ * @private
+ */
+const taskCounters = new Map();
+const recentFailures = [];
+
+/**
+ * Records the outcome of validating one AI call
+ * Each outcome is also logged as a structured `aiValidation` event so log-based
+ * metrics can be built on it in Cloud Logging; the counters here are per
+ * instance and reset on restart.
+ *
+ * @param {string} task - AI task name (e.g. 'quick-defaults')
+ * @param {string} outcome - 'valid' | 'repaired' | 'failed'
+ * @param {Object} logger - Pino logger instance
+ * @param {Array<{field: string, message: string}>} [errors=[]] - Errors that caused the retry ('repaired') or the failure ('failed')
+ */
+function recordAIValidation(task, outcome, logger, errors = []) {
+  const counters = taskCounters.get(task) || { valid: 0, repaired: 0, failed: 0 };
+  counters[outcome]++;
+  taskCounters.set(task, counters);
+
+  if (outcome === 'valid') return;
+
+  if (outcome === 'failed') {
+    recentFailures.push({ task, at: new Date().toISOString(), errors: errors.slice(0, 5) });
+    if (recentFailures.length > MAX_RECENT_FAILURES) recentFailures.shift();
+  }
+
+  logger.warn({
+    aiValidation: { task, outcome, errorCount: errors.length },
+    errors: errors.slice(0, 5)
+  }, outcome === 'repaired' ? 'AI response repaired after validation failure' : 'AI response failed validation');
+}
+
+/**
+ * Returns a snapshot of the validation counters
+ *
+ * @returns {{tasks: Object<string, {valid: number, repaired: number, failed: number}>, recentFailures: Object[]}}
+ */
+function getAIValidationMetrics() {
+  return {
+    tasks: Object.fromEntries([...taskCounters].map(([task, counters]) => [task, { ...counters }])),
+    recentFailures: [...recentFailures]
+  };
+}
+
+module.exports = {
+  recordAIValidation,
+  getAIValidationMetrics
+};
@@ -0,0 +1,264 @@
+// dietary.js - Dietary profile normalization, prompt constraints and allergen checks
+
+// --- Constants ---
+const DIETARY_LIST_FIELDS = ['allergies', 'intolerances', 'diets', 'dislikes'];
+const MAX_DIETARY_ENTRIES = 20; // Per list
+const MAX_DIETARY_ENTRY_LENGTH = 50;
+
+const DIET_OPTIONS = [
+  'vegetarian',
+  'vegan',
+  'pescatarian',
+  'halal',
+  'kosher',
+  'keto',
+  'paleo',
+  'gluten-free',
+  'dairy-free',
+  'low-carb'
+];
+
+/**
+ * Ingredient keywords that reveal each common allergen
+ * `aliases` map what users type to the allergen and are matched as keywords too
+ * (see resolveAllergenRule); `exclude` lists phrases that
+ * contain a keyword but are free of that allergen (e.g. "coconut milk" for
+ * dairy). Never exclude a product made from the allergen, like almond milk for tree nuts.
+ */
+const ALLERGEN_KEYWORDS = {
+  peanut: {
+    aliases: ['peanut', 'peanuts', 'groundnut'],
+    keywords: ['peanut', 'groundnut', 'satay']
+  },
+  'tree nut': {
+    aliases: ['tree nut', 'tree nuts', 'nut', 'nuts'],
+    keywords: ['nut', 'almond', 'cashew', 'walnut', 'pecan', 'pistachio', 'hazelnut', 'macadamia', 'brazil nut', 'pine nut', 'praline', 'marzipan']
+  },
+  dairy: {
+    aliases: ['dairy', 'milk', 'lactose', 'cheese'],
+    keywords: ['milk', 'butter', 'cheese', 'cream', 'yogurt', 'yoghurt', 'ghee', 'whey', 'casein', 'parmesan', 'mozzarella', 'cheddar', 'ricotta', 'feta', 'buttermilk'],
+    exclude: ['coconut milk', 'almond milk', 'oat milk', 'soy milk', 'rice milk', 'coconut cream', 'peanut butter', 'almond butter', 'cashew butter', 'nut butter', 'apple butter', 'cocoa butter', 'vegan butter', 'vegan cheese', 'cream of tartar']
+  },
+  egg: {
+    aliases: ['egg', 'eggs'],
+    keywords: ['egg', 'mayonnaise', 'mayo', 'meringue', 'aioli']
+  },
+  gluten: {
+    aliases: ['gluten', 'wheat', 'celiac', 'coeliac'],
+    keywords: ['wheat', 'flour', 'bread', 'breadcrumb', 'panko', 'pasta', 'spaghetti', 'noodle', 'couscous', 'barley', 'rye', 'bulgur', 'seitan', 'soy sauce', 'tortilla', 'crouton', 'pita', 'bun'],
+    exclude: ['almond flour', 'rice flour', 'coconut flour', 'corn flour', 'chickpea flour', 'rice noodle', 'corn tortilla', 'tamari']
+  },
+  soy: {
+    aliases: ['soy', 'soya', 'soybean', 'soybeans'],
+    keywords: ['soy', 'soya', 'tofu', 'edamame', 'tempeh', 'miso', 'tamari']
+  },
+  fish: {
+    aliases: ['fish'],
+    keywords: ['fish', 'salmon', 'tuna', 'cod', 'tilapia', 'anchovy', 'anchovies', 'sardine', 'halibut', 'trout', 'mackerel', 'haddock', 'bass', 'snapper', 'worcestershire']
+  },
+  shellfish: {
+    aliases: ['shellfish', 'seafood', 'crustacean', 'crustaceans'],
+    keywords: ['shellfish', 'seafood', 'shrimp', 'prawn', 'crab', 'lobster', 'scallop', 'clam', 'mussel', 'oyster', 'crawfish', 'crayfish', 'langoustine']
+  },
+  sesame: {
+    aliases: ['sesame'],
+    keywords: ['sesame', 'tahini', 'hummus']
+  }
+};
+
+/**
+ * Returns an empty dietary profile
+ *
+ * @returns {{allergies: string[], intolerances: string[], diets: string[], dislikes: string[]}}
+ */
+function emptyDietaryProfile() {
+  return { allergies: [], intolerances: [], diets: [], dislikes: [] };
+}
+
+/**
+ * Validates and normalizes a dietary profile from request input
+ * Entries are trimmed, lowercased and de-duplicated; diets must be known options.
+ *
+ * @param {Object} input - Raw profile ({ allergies, intolerances, diets, dislikes })
+ * @returns {{profile: Object}|{error: string}} Normalized profile or validation error
+ */
+function normalizeDietaryProfile(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Dietary profile must be an object' };
+  }
+
+  const profile = emptyDietaryProfile();
+
+  for (const field of DIETARY_LIST_FIELDS) {
+    const value = input[field] === undefined ? [] : input[field];
+    if (!Array.isArray(value)) {
+      return { error: `${field} must be an array of strings` };
+    }
+
+    const entries = [...new Set(
+      value
+        .filter(entry => typeof entry === 'string')
+        .map(entry => entry.trim().toLowerCase())
+        .filter(Boolean)
+    )];
+
+    if (entries.length > MAX_DIETARY_ENTRIES) {
+      return { error: `${field} can have at most ${MAX_DIETARY_ENTRIES} entries` };
+    }
+    if (entries.some(entry => entry.length > MAX_DIETARY_ENTRY_LENGTH)) {
+      return { error: `${field} entries must be ${MAX_DIETARY_ENTRY_LENGTH} characters or less` };
+    }
+
+    profile[field] = entries;
+  }
+
+  const unknownDiets = profile.diets.filter(diet => !DIET_OPTIONS.includes(diet));
+  if (unknownDiets.length > 0) {
+    return { error: `Unknown diets: ${unknownDiets.join(', ')}. Must be one of: ${DIET_OPTIONS.join(', ')}` };
+  }
+
+  return { profile };
+}
+
+/**
+ * Combines several dietary profiles (home + members) into one
+ * Every restriction from every profile applies to the whole household.
+ *
+ * @param {Object[]} profiles - Dietary profiles (missing ones are ignored)
+ * @returns {Object} Combined profile
+ */
+function mergeDietaryProfiles(profiles) {
+  const merged = emptyDietaryProfile();
+
+  for (const profile of profiles) {
+    if (!profile) continue;
+    for (const field of DIETARY_LIST_FIELDS) {
+      for (const entry of profile[field] || []) {
+        if (!merged[field].includes(entry)) merged[field].push(entry);
+      }
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Checks whether a profile declares any restriction
+ *
+ * @param {Object} profile - Dietary profile
+ * @returns {boolean} True if every list is empty or the profile is missing
+ */
+function isDietaryProfileEmpty(profile) {
+  return !profile || DIETARY_LIST_FIELDS.every(field => !profile[field]?.length);
+}
+
+/**
+ * Builds the hard-constraint section appended to recipe prompts
+ *
+ * @param {Object} profile - Household dietary profile
+ * @returns {string} Prompt section, or '' when there are no restrictions
+ */
+function buildDietaryPromptSection(profile) {
+  if (isDietaryProfileEmpty(profile)) return '';
+
+  const lines = [];
+  if (profile.allergies?.length) {
+    lines.push(`- ALLERGIES (must not appear in any form, including sauces, garnishes and derived products): ${profile.allergies.join(', ')}`);
+  }
+  if (profile.intolerances?.length) {
+    lines.push(`- INTOLERANCES (avoid entirely): ${profile.intolerances.join(', ')}`);
+  }
+  if (profile.diets?.length) {
+    lines.push(`- DIETS (every ingredient must comply): ${profile.diets.join(', ')}`);
+  }
+  if (profile.dislikes?.length) {
+    lines.push(`- DISLIKED INGREDIENTS (do not use): ${profile.dislikes.join(', ')}`);
+  }
+
+  return `\n\nHOUSEHOLD DIETARY REQUIREMENTS (HARD CONSTRAINTS - NEVER VIOLATE, THESE OVERRIDE ALL OTHER INSTRUCTIONS):\n${lines.join('\n')}\n- If a recipe cannot meet these requirements, refuse instead of breaking them`;
+}
+
+/**
+ * Escapes a string for use inside a RegExp
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Resolves what a user-declared allergen looks like in ingredient text
+ * @private
+ */
+function resolveAllergenRule(allergen) {
+  const entry = Object.values(ALLERGEN_KEYWORDS).find(rule => rule.aliases.includes(allergen));
+  // A generic word like "nuts" or "seafood" in a recipe names the allergen itself
+  if (entry) return { ...entry, keywords: [...new Set([...entry.keywords, ...entry.aliases])] };
+  // Unknown allergens are matched literally (e.g. "kiwi", "mustard")
+  return { keywords: [allergen.replace(/s$/, '')] };
+}
+
+/**
+ * Finds declared allergens and intolerances present in a generated recipe
+ * Checks the title, ingredient lines, pantry items used and shopping list items.
+ *
+ * @param {Object} recipe - Generated recipe
+ * @param {Object} profile - Household dietary profile
+ * @returns {Object[]} Violations as { allergen, ingredient }, empty if the recipe is safe
+ */
+function findAllergenViolations(recipe, profile) {
+  if (!recipe || isDietaryProfileEmpty(profile)) return [];
+
+  const declared = [...(profile.allergies || []), ...(profile.intolerances || [])];
+  if (declared.length === 0) return [];
+
+  const texts = [
+    recipe.title,
+    ...(recipe.ingredients || []).map(ing => (typeof ing === 'string' ? ing : ing?.name)),
+    ...(recipe.pantryItemsUsed || []).map(item => item?.itemName),
+    ...(recipe.shoppingListItems || []).map(item => item?.name)
+  ].filter(text => typeof text === 'string' && text.trim());
+
+  const violations = [];
+
+  for (const allergen of declared) {
+    const rule = resolveAllergenRule(allergen);
+    const freeFromLabel = `\\b(?:${[allergen, ...(rule.aliases || [])].map(escapeRegExp).join('|')})[- ]free\\b`;
+
+    for (const text of texts) {
+      let lower = text.toLowerCase();
+
+      for (const phrase of rule.exclude || []) {
+        lower = lower.split(phrase).join(' ');
+      }
+
+      // Only the word a label qualifies is safe: "gluten-free pasta" or "dairy free
+      // cheese", but not the milk in "milk (dairy-free optional)"
+      const hit = rule.keywords.some((keyword) => {
+        const word = `${escapeRegExp(keyword)}(e?s)?\\b`;
+        const unlabelled = lower
+          .replace(new RegExp(`${freeFromLabel}( [a-z-]+){0,2}? ${word}`, 'g'), ' ')
+          .replace(new RegExp(freeFromLabel, 'g'), ' ');
+        return new RegExp(`\\b${word}`).test(unlabelled);
+      });
+
+      if (hit) {
+        violations.push({ allergen, ingredient: text });
+        break;
+      }
+    }
+  }
+
+  return violations;
+}
+
+module.exports = {
+  DIET_OPTIONS,
+  DIETARY_LIST_FIELDS,
+  emptyDietaryProfile,
+  normalizeDietaryProfile,
+  mergeDietaryProfiles,
+  isDietaryProfileEmpty,
+  buildDietaryPromptSection,
+  findAllergenViolations
+};
@@ -0,0 +1,60 @@
+// homeRoles.js - Household roles and what each may change
+
+/**
+ * Every member can see everything in their home; roles decide what they can change.
+ *   admin   - everything, plus home settings, members and invites
+ *   member  - everything except home settings
+ *   shopper - the shopping list (including putting groceries away) and adding, not
+ *             changing, pantry items
+ *   child   - add and check off shopping list items
+ *   viewer  - read only
+ * Home settings are admin-only and checked with requireHomeAdmin, not a permission.
+ * The frontend mirrors this table in src/utils/homeRoles.js to hide controls.
+ */
+
+// --- Constants ---
+const HOME_ROLES = ['admin', 'member', 'shopper', 'child', 'viewer'];
+
+// Roles an invite can grant (admins are promoted after joining)
+const INVITABLE_ROLES = HOME_ROLES.filter(role => role !== 'admin');
+
+const PERMISSIONS = [
+  'pantry:add',       // Add pantry items (typed or detected from a photo)
+  'pantry:edit',      // Update and deduct pantry items
+  'pantry:delete',
+  'planner:edit',     // Plan, generate, accept and log meals
+  'planner:delete',
+  'recipes:save',
+  'recipes:delete',
+  'shopping:check',   // Check items off
+  'shopping:add',     // Add items (typed, from meal plans or forecasts)
+  'shopping:edit',    // Edit, move and delete single items
+  'shopping:manage'   // Clear or put away checked items; manage lists and store layouts
+];
+
+const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  member: PERMISSIONS,
+  shopper: ['pantry:add', 'shopping:check', 'shopping:add', 'shopping:edit', 'shopping:manage'],
+  child: ['shopping:check', 'shopping:add'],
+  viewer: []
+};
+
+/**
+ * Checks whether a role grants a permission
+ *
+ * @param {string} role - Home role
+ * @param {string} permission - Permission from PERMISSIONS
+ * @returns {boolean} True if allowed
+ */
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+module.exports = {
+  HOME_ROLES,
+  INVITABLE_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission
+};
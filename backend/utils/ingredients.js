@@ -0,0 +1,76 @@
+// ingredients.js - Parsing and normalization of free-text recipe ingredients
+
+const { parseQuantity, normalizeUnit } = require('./quantity');
+
+// Leading amount token: mixed number, fraction or decimal (mirrors parseQuantity)
+const LEADING_AMOUNT_PATTERN = /^(\d+\s+\d+\/\d+|\d+\/\d+|\d*\.?\d+)\s*/;
+
+/**
+ * Normalizes an ingredient name into a stable key for grouping and lookups
+ * Lowercases, drops punctuation and reduces simple plurals ("tomatoes" -> "tomato").
+ *
+ * @param {string} name - Ingredient name
+ * @returns {string} Normalized key ('' if name is empty)
+ */
+function normalizeIngredientName(name) {
+  if (!name || typeof name !== 'string') return '';
+
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => {
+      if (word.length <= 3) return word;
+      if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+      if (word.endsWith('oes')) return word.slice(0, -2);
+      if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+      return word;
+    })
+    .join(' ');
+}
+
+/**
+ * Splits a recipe ingredient line into a name and structured quantity
+ * Preparation notes after a comma and parenthetical remarks are dropped:
+ * "2 cups white rice, rinsed" -> { name: "white rice", amount: 2, unit: "cup" }
+ *
+ * @param {string} text - Ingredient line as written in a recipe
+ * @returns {{name: string, amount: number|null, unit: string|null}|null} Parsed ingredient, or null if empty
+ */
+function parseIngredient(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const lower = text.replace(/\(.*?\)/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+  if (!lower) return null;
+
+  const quantity = parseQuantity(lower);
+  let name = lower;
+
+  if (quantity) {
+    name = name.replace(/^(a\s+)?dozen\s+/, '').replace(LEADING_AMOUNT_PATTERN, '');
+    const [firstWord, ...rest] = name.split(/\s+/);
+    if (firstWord === 'dozen' || normalizeUnit(firstWord)) {
+      name = rest.join(' ');
+    }
+  }
+
+  name = name
+    .split(',')[0]
+    .replace(/^of\s+/, '')
+    .replace(/\s+(to taste|as needed|for serving|optional)$/, '')
+    .trim();
+
+  if (!name) return null;
+
+  return {
+    name,
+    amount: quantity ? quantity.amount : null,
+    unit: quantity ? quantity.unit : null
+  };
+}
+
+module.exports = {
+  normalizeIngredientName,
+  parseIngredient
+};
@@ -0,0 +1,336 @@
+// nutrients.js - Bundled nutrient table and per-ingredient nutrition lookup
+
+const { UNIT_CONVERSIONS } = require('./quantity');
+const { normalizeIngredientName, parseIngredient } = require('./ingredients');
+
+// --- Constants ---
+const NUTRIENT_KEYS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sodium'];
+
+// Upper bounds for daily targets (kcal, grams, mg) - rejects obvious typos
+const MAX_DAILY_TARGETS = {
+  calories: 10000,
+  protein: 1000,
+  carbs: 1000,
+  fat: 1000,
+  fiber: 1000,
+  sodium: 20000
+};
+
+/**
+ * Nutrients per 100g of common ingredients (approximate USDA values)
+ * Keys are normalized ingredient names (see normalizeIngredientName).
+ * Tuple order follows NUTRIENT_KEYS: kcal, protein g, carbs g, fat g, fiber g, sodium mg.
+ * `each` is the weight in grams of one typical piece/container and `cup` the
+ * weight of one cup; volumes without `cup` are treated as water density.
+ *
+ * @constant {Object<string, {per100g: number[], each?: number, cup?: number}>}
+ */
+const NUTRIENT_TABLE = {
+  // Proteins
+  'chicken breast': { per100g: [165, 31, 0, 3.6, 0, 74], each: 175 },
+  'chicken thigh': { per100g: [209, 26, 0, 10.9, 0, 84], each: 115 },
+  chicken: { per100g: [190, 29, 0, 7.4, 0, 82], cup: 140 },
+  'ground beef': { per100g: [254, 17, 0, 20, 0, 66] },
+  beef: { per100g: [250, 26, 0, 15, 0, 72] },
+  steak: { per100g: [271, 25, 0, 19, 0, 58], each: 225 },
+  pork: { per100g: [242, 27, 0, 14, 0, 62] },
+  'pork chop': { per100g: [231, 26, 0, 13, 0, 56], each: 170 },
+  bacon: { per100g: [541, 37, 1.4, 42, 0, 1717], each: 8 },
+  sausage: { per100g: [301, 12, 2, 27, 0, 749], each: 75 },
+  'ground turkey': { per100g: [203, 27, 0, 10, 0, 77] },
+  turkey: { per100g: [189, 29, 0, 7, 0, 70] },
+  lamb: { per100g: [294, 25, 0, 21, 0, 72] },
+  salmon: { per100g: [208, 20, 0, 13, 0, 59], each: 170 },
+  tuna: { per100g: [132, 28, 0, 1.3, 0, 47], each: 142 },
+  cod: { per100g: [82, 18, 0, 0.7, 0, 54], each: 170 },
+  tilapia: { per100g: [96, 20, 0, 1.7, 0, 52], each: 115 },
+  shrimp: { per100g: [99, 24, 0.2, 0.3, 0, 111], each: 12 },
+  egg: { per100g: [143, 12.6, 0.7, 9.5, 0, 142], each: 50 },
+  tofu: { per100g: [76, 8, 1.9, 4.8, 0.3, 7], each: 400, cup: 250 },
+  tempeh: { per100g: [192, 20, 7.6, 11, 0, 9] },
+
+  // Dairy
+  milk: { per100g: [61, 3.2, 4.8, 3.3, 0, 43], cup: 244 },
+  butter: { per100g: [717, 0.9, 0.1, 81, 0, 11], cup: 227 },
+  'heavy cream': { per100g: [340, 2.8, 2.7, 36, 0, 27], cup: 238 },
+  cream: { per100g: [340, 2.8, 2.7, 36, 0, 27], cup: 238 },
+  'sour cream': { per100g: [198, 2.4, 4.6, 19, 0, 31], cup: 230 },
+  yogurt: { per100g: [61, 3.5, 4.7, 3.3, 0, 46], cup: 245 },
+  'greek yogurt': { per100g: [97, 9, 3.9, 5, 0, 35], cup: 245 },
+  cheese: { per100g: [403, 25, 1.3, 33, 0, 621], cup: 113 },
+  cheddar: { per100g: [403, 25, 1.3, 33, 0, 621], cup: 113 },
+  mozzarella: { per100g: [280, 28, 3.1, 17, 0, 627], cup: 113 },
+  parmesan: { per100g: [431, 38, 4.1, 29, 0, 1529], cup: 100 },
+  feta: { per100g: [264, 14, 4.1, 21, 0, 917], cup: 150 },
+  'cream cheese': { per100g: [342, 6, 4.1, 34, 0, 321], cup: 232 },
+
+  // Grains and starches
+  rice: { per100g: [365, 7.1, 80, 0.7, 1.3, 5], cup: 185 },
+  'brown rice': { per100g: [370, 7.9, 77, 2.9, 3.5, 7], cup: 190 },
+  pasta: { per100g: [371, 13, 75, 1.5, 3.2, 6], cup: 100 },
+  spaghetti: { per100g: [371, 13, 75, 1.5, 3.2, 6] },
+  noodle: { per100g: [384, 14, 71, 4.4, 3.3, 21], cup: 40 },
+  'rice noodle': { per100g: [364, 6, 80, 0.6, 1.6, 182] },
+  bread: { per100g: [265, 9, 49, 3.2, 2.7, 491], each: 30 },
+  tortilla: { per100g: [306, 8, 50, 8, 3.5, 736], each: 45 },
+  'corn tortilla': { per100g: [218, 5.7, 45, 2.9, 6.3, 45], each: 26 },
+  flour: { per100g: [364, 10, 76, 1, 2.7, 2], cup: 125 },
+  oat: { per100g: [389, 17, 66, 6.9, 10.6, 2], cup: 81 },
+  quinoa: { per100g: [368, 14, 64, 6.1, 7, 5], cup: 170 },
+  couscous: { per100g: [376, 13, 77, 0.6, 5, 10], cup: 173 },
+  potato: { per100g: [77, 2, 17, 0.1, 2.2, 6], each: 213, cup: 150 },
+  'sweet potato': { per100g: [86, 1.6, 20, 0.1, 3, 55], each: 130, cup: 133 },
+  breadcrumb: { per100g: [395, 13, 72, 5.3, 4.5, 732], cup: 108 },
+
+  // Legumes and nuts
+  'black bean': { per100g: [91, 6, 16, 0.3, 6.9, 237], each: 425, cup: 172 },
+  chickpea: { per100g: [139, 7, 23, 2.6, 6.3, 246], each: 425, cup: 164 },
+  'kidney bean': { per100g: [84, 5.2, 15, 0.5, 6.4, 258], each: 425, cup: 177 },
+  lentil: { per100g: [353, 25, 60, 1.1, 10.7, 6], cup: 192 },
+  bean: { per100g: [91, 6, 16, 0.4, 6.4, 240], each: 425, cup: 172 },
+  'peanut butter': { per100g: [588, 25, 20, 50, 6, 459], cup: 258 },
+  almond: { per100g: [579, 21, 22, 50, 12.5, 1], cup: 143 },
+  walnut: { per100g: [654, 15, 14, 65, 6.7, 2], cup: 117 },
+
+  // Vegetables
+  onion: { per100g: [40, 1.1, 9.3, 0.1, 1.7, 4], each: 110, cup: 160 },
+  'green onion': { per100g: [32, 1.8, 7.3, 0.2, 2.6, 16], each: 15, cup: 100 },
+  garlic: { per100g: [149, 6.4, 33, 0.5, 2.1, 17], each: 3 },
+  tomato: { per100g: [18, 0.9, 3.9, 0.2, 1.2, 5], each: 123, cup: 180 },
+  'canned tomato': { per100g: [32, 1.6, 7.3, 0.3, 1.9, 132], each: 400, cup: 240 },
+  'tomato paste': { per100g: [82, 4.3, 19, 0.5, 4.1, 59], cup: 262 },
+  'tomato sauce': { per100g: [24, 1.2, 5.3, 0.3, 1.5, 474], cup: 245 },
+  carrot: { per100g: [41, 0.9, 9.6, 0.2, 2.8, 69], each: 61, cup: 128 },
+  celery: { per100g: [14, 0.7, 3, 0.2, 1.6, 80], each: 40, cup: 101 },
+  'bell pepper': { per100g: [26, 1, 6, 0.3, 2.1, 4], each: 120, cup: 149 },
+  pepper: { per100g: [26, 1, 6, 0.3, 2.1, 4], each: 120, cup: 149 },
+  broccoli: { per100g: [34, 2.8, 6.6, 0.4, 2.6, 33], each: 300, cup: 91 },
+  cauliflower: { per100g: [25, 1.9, 5, 0.3, 2, 30], each: 575, cup: 107 },
+  spinach: { per100g: [23, 2.9, 3.6, 0.4, 2.2, 79], cup: 30 },
+  kale: { per100g: [49, 4.3, 8.8, 0.9, 3.6, 38], cup: 67 },
+  lettuce: { per100g: [15, 1.4, 2.9, 0.2, 1.3, 28], each: 360, cup: 47 },
+  cabbage: { per100g: [25, 1.3, 5.8, 0.1, 2.5, 18], each: 900, cup: 89 },
+  zucchini: { per100g: [17, 1.2, 3.1, 0.3, 1, 8], each: 196, cup: 124 },
+  cucumber: { per100g: [15, 0.7, 3.6, 0.1, 0.5, 2], each: 300, cup: 119 },
+  mushroom: { per100g: [22, 3.1, 3.3, 0.3, 1, 5], each: 18, cup: 70 },
+  corn: { per100g: [86, 3.3, 19, 1.4, 2, 15], each: 90, cup: 154 },
+  pea: { per100g: [81, 5.4, 14, 0.4, 5.1, 5], cup: 145 },
+  'green bean': { per100g: [31, 1.8, 7, 0.2, 2.7, 6], cup: 110 },
+  asparagus: { per100g: [20, 2.2, 3.9, 0.1, 2.1, 2], each: 16 },
+  eggplant: { per100g: [25, 1, 6, 0.2, 3, 2], each: 458, cup: 82 },
+  avocado: { per100g: [160, 2, 8.5, 14.7, 6.7, 7], each: 150 },
+  ginger: { per100g: [80, 1.8, 18, 0.8, 2, 13], cup: 96 },
+
+  // Fruit
+  lemon: { per100g: [29, 1.1, 9.3, 0.3, 2.8, 2], each: 84 },
+  lime: { per100g: [30, 0.7, 10.5, 0.2, 2.8, 2], each: 67 },
+  'lemon juice': { per100g: [22, 0.4, 6.9, 0.2, 0.3, 1], cup: 244 },
+  apple: { per100g: [52, 0.3, 14, 0.2, 2.4, 1], each: 182 },
+  banana: { per100g: [89, 1.1, 23, 0.3, 2.6, 1], each: 118 },
+  berry: { per100g: [57, 0.7, 14, 0.3, 2.4, 1], cup: 148 },
+
+  // Oils, condiments and baking
+  'olive oil': { per100g: [884, 0, 0, 100, 0, 2], cup: 216 },
+  oil: { per100g: [884, 0, 0, 100, 0, 0], cup: 218 },
+  sugar: { per100g: [387, 0, 100, 0, 0, 1], cup: 200 },
+  'brown sugar': { per100g: [380, 0.1, 98, 0, 0, 28], cup: 220 },
+  honey: { per100g: [304, 0.3, 82, 0, 0.2, 4], cup: 339 },
+  'maple syrup': { per100g: [260, 0, 67, 0.1, 0, 12], cup: 315 },
+  'soy sauce': { per100g: [53, 8.1, 4.9, 0.6, 0.8, 5493], cup: 255 },
+  mayonnaise: { per100g: [680, 1, 0.6, 75, 0, 635], cup: 220 },
+  ketchup: { per100g: [112, 1.7, 26, 0.1, 0.3, 907], cup: 240 },
+  mustard: { per100g: [60, 3.7, 5.8, 3.3, 4, 1104], cup: 250 },
+  vinegar: { per100g: [18, 0, 0.04, 0, 0, 2], cup: 238 },
+  broth: { per100g: [6, 0.6, 0.4, 0.2, 0, 343], cup: 240 },
+  stock: { per100g: [6, 0.6, 0.4, 0.2, 0, 343], cup: 240 },
+  'coconut milk': { per100g: [197, 2, 2.8, 21, 0, 13], each: 400, cup: 240 },
+  salt: { per100g: [0, 0, 0, 0, 0, 38758], cup: 292 },
+  water: { per100g: [0, 0, 0, 0, 0, 0], cup: 237 }
+};
+
+// Ingredient spellings that should resolve to a different table entry
+const NUTRIENT_ALIASES = {
+  'scallion': 'green onion',
+  'spring onion': 'green onion',
+  'garbanzo bean': 'chickpea',
+  'chicken stock': 'stock',
+  'chicken broth': 'broth',
+  'vegetable broth': 'broth',
+  'vegetable stock': 'stock',
+  'ground pork': 'pork',
+  'bread crumb': 'breadcrumb',
+  'panko': 'breadcrumb',
+  'diced tomato': 'canned tomato',
+  'crushed tomato': 'canned tomato',
+  'parmigiano': 'parmesan',
+  'extra virgin olive oil': 'olive oil',
+  'vegetable oil': 'oil',
+  'canola oil': 'oil',
+  'sesame oil': 'oil',
+  'all-purpose flour': 'flour',
+  'all purpose flour': 'flour',
+  'egg yolk': 'egg',
+  'blueberry': 'berry',
+  'strawberry': 'berry',
+  'raspberry': 'berry'
+};
+
+/**
+ * Finds the nutrient table entry for an ingredient name
+ * Tries the full normalized name, then any known name contained in it
+ * ("boneless skinless chicken breast" -> "chicken breast"), longest first.
+ *
+ * @param {string} name - Ingredient name
+ * @returns {{key: string, entry: Object}|null} Matching entry, or null if unknown
+ */
+function lookupNutrients(name) {
+  const normalized = normalizeIngredientName(name);
+  if (!normalized) return null;
+
+  const resolve = (key) => {
+    const target = NUTRIENT_ALIASES[key] || key;
+    return NUTRIENT_TABLE[target] ? { key: target, entry: NUTRIENT_TABLE[target] } : null;
+  };
+
+  const exact = resolve(normalized);
+  if (exact) return exact;
+
+  const padded = ` ${normalized} `;
+  const candidates = [...Object.keys(NUTRIENT_ALIASES), ...Object.keys(NUTRIENT_TABLE)]
+    .filter(key => padded.includes(` ${key} `))
+    .sort((a, b) => b.length - a.length);
+
+  return candidates.length > 0 ? resolve(candidates[0]) : null;
+}
+
+/**
+ * Converts an ingredient amount to grams using the entry's piece and cup weights
+ * @private
+ */
+function amountToGrams(amount, unit, entry) {
+  const conversion = UNIT_CONVERSIONS[unit];
+  if (!conversion) return null;
+
+  if (conversion.dimension === 'mass') {
+    return amount * conversion.factor;
+  }
+  if (conversion.dimension === 'volume') {
+    const millilitres = amount * conversion.factor;
+    const gramsPerMl = entry.cup ? entry.cup / UNIT_CONVERSIONS.cup.factor : 1;
+    return millilitres * gramsPerMl;
+  }
+  // Counted items need a known piece weight
+  return entry.each ? amount * entry.each : null;
+}
+
+/**
+ * Estimates the nutrients in one recipe ingredient line from the bundled table
+ * Lines without an amount ("salt to taste") count as negligible.
+ *
+ * @param {string} text - Ingredient line (e.g. "2 cups white rice")
+ * @returns {{status: 'matched', nutrients: Object}|{status: 'negligible'}|{status: 'unknown'}} Lookup result
+ */
+function estimateIngredientNutrients(text) {
+  const parsed = parseIngredient(text);
+  if (!parsed) return { status: 'negligible' };
+  if (parsed.amount === null) return { status: 'negligible' };
+
+  const match = lookupNutrients(parsed.name);
+  if (!match) return { status: 'unknown' };
+
+  const grams = amountToGrams(parsed.amount, parsed.unit || 'each', match.entry);
+  if (grams === null) return { status: 'unknown' };
+
+  const nutrients = {};
+  NUTRIENT_KEYS.forEach((key, index) => {
+    nutrients[key] = match.entry.per100g[index] * grams / 100;
+  });
+
+  return { status: 'matched', nutrients };
+}
+
+/**
+ * Returns a nutrient object with every value set to zero
+ *
+ * @returns {Object} { calories, protein, carbs, fat, fiber, sodium }
+ */
+function emptyNutrients() {
+  return NUTRIENT_KEYS.reduce((acc, key) => ({ ...acc, [key]: 0 }), {});
+}
+
+/**
+ * Adds nutrient objects together (missing values count as zero)
+ *
+ * @param {Object[]} list - Nutrient objects
+ * @returns {Object} Summed nutrients
+ */
+function sumNutrients(list) {
+  const total = emptyNutrients();
+  for (const nutrients of list) {
+    if (!nutrients) continue;
+    NUTRIENT_KEYS.forEach(key => {
+      total[key] += Number(nutrients[key]) || 0;
+    });
+  }
+  return total;
+}
+
+/**
+ * Divides nutrients across servings and rounds for display
+ * Calories and sodium are whole numbers; macros keep one decimal.
+ *
+ * @param {Object} totals - Nutrients for the whole recipe
+ * @param {number} servings - Number of servings (defaults to 1)
+ * @returns {Object} Per-serving nutrients
+ */
+function toPerServing(totals, servings) {
+  const divisor = servings > 0 ? servings : 1;
+  const perServing = {};
+  NUTRIENT_KEYS.forEach(key => {
+    const value = (Number(totals[key]) || 0) / divisor;
+    perServing[key] = key === 'calories' || key === 'sodium'
+      ? Math.round(value)
+      : Math.round(value * 10) / 10;
+  });
+  return perServing;
+}
+
+/**
+ * Validates daily nutrition targets from request input
+ * Every nutrient is optional; empty values are stored as null (no target).
+ *
+ * @param {Object} input - Raw targets ({ calories, protein, carbs, fat, fiber, sodium })
+ * @returns {{targets: Object}|{error: string}} Normalized targets or validation error
+ */
+function normalizeNutritionTargets(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Nutrition targets must be an object' };
+  }
+
+  const targets = {};
+  for (const key of NUTRIENT_KEYS) {
+    const raw = input[key];
+    if (raw === undefined || raw === null || raw === '') {
+      targets[key] = null;
+      continue;
+    }
+
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value <= 0 || value > MAX_DAILY_TARGETS[key]) {
+      return { error: `${key} target must be a number between 0 and ${MAX_DAILY_TARGETS[key]}` };
+    }
+    targets[key] = Math.round(value);
+  }
+
+  return { targets };
+}
+
+module.exports = {
+  NUTRIENT_KEYS,
+  lookupNutrients,
+  estimateIngredientNutrients,
+  emptyNutrients,
+  sumNutrients,
+  toPerServing,
+  normalizeNutritionTargets
+};
@@ -0,0 +1,246 @@
+// quantity.js - Structured quantity parsing and unit conversion for pantry items
+
+/**
+ * Unit conversion table
+ * Every canonical unit belongs to a dimension and carries a factor relative to
+ * the dimension's base unit (grams for mass, millilitres for volume, items for count).
+ * Amounts can only be converted between units of the same dimension.
+ *
+ * @constant {Object<string, {dimension: string, factor: number}>}
+ */
+const UNIT_CONVERSIONS = {
+  g: { dimension: 'mass', factor: 1 },
+  kg: { dimension: 'mass', factor: 1000 },
+  oz: { dimension: 'mass', factor: 28.3495 },
+  lb: { dimension: 'mass', factor: 453.592 },
+  ml: { dimension: 'volume', factor: 1 },
+  l: { dimension: 'volume', factor: 1000 },
+  cup: { dimension: 'volume', factor: 236.588 },
+  tbsp: { dimension: 'volume', factor: 14.7868 },
+  tsp: { dimension: 'volume', factor: 4.92892 },
+  each: { dimension: 'count', factor: 1 }
+};
+
+// Free-text spellings mapped to canonical units.
+// Containers (cans, bottles, loaves...) are counted as individual items.
+const UNIT_ALIASES = {
+  g: 'g', gr: 'g', gram: 'g', grams: 'g',
+  kg: 'kg', kgs: 'kg', kilo: 'kg', kilos: 'kg', kilogram: 'kg', kilograms: 'kg',
+  oz: 'oz', ounce: 'oz', ounces: 'oz',
+  lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb',
+  ml: 'ml', milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+  l: 'l', ltr: 'l', ltrs: 'l', liter: 'l', liters: 'l', litre: 'l', litres: 'l',
+  c: 'cup', cup: 'cup', cups: 'cup',
+  tbsp: 'tbsp', tbs: 'tbsp', tbl: 'tbsp', tablespoon: 'tbsp', tablespoons: 'tbsp',
+  tsp: 'tsp', teaspoon: 'tsp', teaspoons: 'tsp',
+  each: 'each', ea: 'each', item: 'each', items: 'each', piece: 'each', pieces: 'each', pc: 'each', pcs: 'each',
+  ct: 'each', count: 'each', can: 'each', cans: 'each', bottle: 'each', bottles: 'each',
+  jar: 'each', jars: 'each', bag: 'each', bags: 'each', box: 'each', boxes: 'each',
+  pack: 'each', packs: 'each', packet: 'each', packets: 'each', carton: 'each', cartons: 'each',
+  loaf: 'each', loaves: 'each', bunch: 'each', bunches: 'each', head: 'each', heads: 'each',
+  clove: 'each', cloves: 'each'
+};
+
+// Portion presets accepted by the deduct endpoint, as a fraction of what is on hand
+const PORTION_FRACTIONS = {
+  all: 1,
+  half: 0.5,
+  quarter: 0.25
+};
+
+// Amounts at or below this are treated as used up (avoids floating point leftovers)
+const AMOUNT_EPSILON = 0.001;
+
+/**
+ * Normalizes a free-text unit to its canonical key
+ *
+ * @param {string} unit - Unit as typed or returned by AI (e.g. "Lbs", "tablespoons")
+ * @returns {string|null} Canonical unit key, or null if unrecognized
+ */
+function normalizeUnit(unit) {
+  if (!unit || typeof unit !== 'string') return null;
+  const key = unit.trim().toLowerCase().replace(/\.$/, '');
+  return UNIT_ALIASES[key] || null;
+}
+
+/**
+ * Parses a numeric token that may be a decimal, simple fraction or mixed number
+ * Returns null for a zero denominator ("1/0").
+ * @private
+ */
+function parseNumberToken(token) {
+  const mixed = token.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) {
+    const denominator = parseInt(mixed[3], 10);
+    return denominator ? parseInt(mixed[1], 10) + parseInt(mixed[2], 10) / denominator : null;
+  }
+  const fraction = token.match(/^(\d+)\/(\d+)$/);
+  if (fraction) {
+    const denominator = parseInt(fraction[2], 10);
+    return denominator ? parseInt(fraction[1], 10) / denominator : null;
+  }
+  const value = parseFloat(token);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Parses a free-text quantity string into a numeric amount and canonical unit
+ * Unrecognized units (e.g. "3 apples") are counted as items.
+ *
+ * @param {string} text - Quantity text (e.g. "2 lbs", "1 1/2 cups", "500g", "dozen")
+ * @returns {{amount: number, unit: string}|null} Parsed quantity, or null if text has no amount
+ */
+function parseQuantity(text) {
+  if (text === undefined || text === null) return null;
+  if (typeof text === 'number') {
+    return Number.isFinite(text) ? { amount: text, unit: 'each' } : null;
+  }
+
+  const cleaned = String(text).trim().toLowerCase();
+  if (!cleaned) return null;
+
+  if (/^(a\s+)?dozen\b/.test(cleaned)) {
+    return { amount: 12, unit: 'each' };
+  }
+
+  // Percentages describe the product ("2% milk"), not how much of it there is
+  if (/^\d*\.?\d+\s*%/.test(cleaned)) return null;
+
+  const match = cleaned.match(/^(\d+\s+\d+\/\d+|\d+\/\d+|\d*\.?\d+)\s*([a-z.]+)?/);
+  if (!match) {
+    // Bare unit without a number ("bag", "loaf") means one of it
+    const unit = normalizeUnit(cleaned.split(/\s+/)[0]);
+    return unit ? { amount: 1, unit } : null;
+  }
+
+  const amount = parseNumberToken(match[1]);
+  if (amount === null) return null;
+
+  if (match[2] === 'dozen') {
+    return { amount: amount * 12, unit: 'each' };
+  }
+
+  return {
+    amount,
+    unit: normalizeUnit(match[2]) || 'each'
+  };
+}
+
+/**
+ * Converts an amount between two canonical units
+ *
+ * @param {number} amount - Amount in the source unit
+ * @param {string} fromUnit - Source unit (canonical or alias)
+ * @param {string} toUnit - Target unit (canonical or alias)
+ * @returns {number|null} Converted amount, or null if the units are incompatible
+ */
+function convertAmount(amount, fromUnit, toUnit) {
+  const from = UNIT_CONVERSIONS[normalizeUnit(fromUnit)];
+  const to = UNIT_CONVERSIONS[normalizeUnit(toUnit)];
+  if (!from || !to || from.dimension !== to.dimension) return null;
+  return (amount * from.factor) / to.factor;
+}
+
+/**
+ * Checks whether two units can be converted into each other
+ *
+ * @param {string} unitA - First unit
+ * @param {string} unitB - Second unit
+ * @returns {boolean} True if both units share a dimension
+ */
+function areUnitsCompatible(unitA, unitB) {
+  const a = UNIT_CONVERSIONS[normalizeUnit(unitA)];
+  const b = UNIT_CONVERSIONS[normalizeUnit(unitB)];
+  return !!(a && b && a.dimension === b.dimension);
+}
+
+/**
+ * Rounds an amount for storage and display (max 2 decimal places)
+ *
+ * @param {number} amount - Raw amount
+ * @returns {number} Rounded amount
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Formats an amount and unit back into the display string stored in `quantity`
+ *
+ * @param {number} amount - Numeric amount
+ * @param {string} unit - Canonical unit
+ * @returns {string} Display quantity (e.g. "1.5 kg", "2 cups", "1 item")
+ */
+function formatQuantity(amount, unit) {
+  const rounded = roundAmount(amount);
+  const canonical = normalizeUnit(unit) || 'each';
+
+  if (canonical === 'each') {
+    return `${rounded} ${rounded === 1 ? 'item' : 'items'}`;
+  }
+  if (canonical === 'cup') {
+    return `${rounded} ${rounded === 1 ? 'cup' : 'cups'}`;
+  }
+  return `${rounded} ${canonical}`;
+}
+
+/**
+ * Resolves the structured quantity of a stored pantry item
+ * Prefers the stored numeric fields and falls back to parsing the legacy
+ * free-text `quantity`; items with no usable quantity count as one item.
+ *
+ * @param {Object} item - Pantry item data
+ * @returns {{amount: number, unit: string}} Structured quantity
+ */
+function getItemQuantity(item) {
+  if (typeof item?.amount === 'number' && normalizeUnit(item.unit)) {
+    return { amount: item.amount, unit: normalizeUnit(item.unit) };
+  }
+  return parseQuantity(item?.quantity) || { amount: 1, unit: 'each' };
+}
+
+/**
+ * Builds the quantity fields to persist on a pantry item from request input
+ * A `quantity` string takes precedence; otherwise a numeric `amount` (and
+ * optional `unit`) is formatted into the display string.
+ *
+ * @param {Object} input - Request body fields
+ * @param {string} [input.quantity] - Free-text quantity
+ * @param {number} [input.amount] - Numeric amount
+ * @param {string} [input.unit] - Unit for `amount`
+ * @returns {Object} `{ quantity, amount, unit }` subset, empty if nothing usable was given
+ */
+function buildQuantityFields({ quantity, amount, unit } = {}) {
+  if (quantity) {
+    const parsed = parseQuantity(quantity);
+    // Unparseable text clears any previously stored amount so it cannot go stale
+    return parsed
+      ? { quantity, amount: roundAmount(parsed.amount), unit: parsed.unit }
+      : { quantity, amount: null, unit: null };
+  }
+
+  if (typeof amount === 'number' && Number.isFinite(amount) && amount >= 0) {
+    const canonical = normalizeUnit(unit) || 'each';
+    return {
+      quantity: formatQuantity(amount, canonical),
+      amount: roundAmount(amount),
+      unit: canonical
+    };
+  }
+
+  return {};
+}
+
+module.exports = {
+  UNIT_CONVERSIONS,
+  PORTION_FRACTIONS,
+  AMOUNT_EPSILON,
+  normalizeUnit,
+  parseQuantity,
+  convertAmount,
+  areUnitsCompatible,
+  roundAmount,
+  formatQuantity,
+  getItemQuantity,
+  buildQuantityFields
+};
@@ -0,0 +1,264 @@
+// schema.js - Declarative schemas for validating requests and AI responses
+
+/**
+ * Schemas are plain descriptors built with the helpers exported below:
+ *
+ *   const addItemSchema = object({
+ *     name: string({ required: true, max: 100 }),
+ *     location: string({ enum: ['pantry', 'fridge', 'freezer'], default: 'pantry' })
+ *   });
+ *
+ * Every field is optional unless marked `required`. Missing fields take their
+ * `default` (if any) and are otherwise left out of the result. `null` is only
+ * kept for `nullable` fields; elsewhere it counts as missing, as does a blank
+ * string given for a number. Objects drop keys their schema doesn't declare
+ * unless created with `unknown: 'keep'`.
+ */
+
+// --- Constants ---
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Firestore document ids: no slashes, not "." or "..", at most 1500 bytes (we allow far less)
+const ID_PATTERN = /^(?!\.\.?$)[^/]{1,128}$/;
+
+/**
+ * Checks a YYYY-MM-DD string names a real calendar day (rejects 2024-02-30)
+ * @private
+ */
+function isCalendarDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Builds a field path for error messages: "ingredients[0].portion"
+ * @private
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validates a string value
+ * @private
+ */
+function checkString(schema, value, path) {
+  if (schema.coerce && typeof value === 'number' && Number.isFinite(value)) value = String(value);
+  if (typeof value !== 'string') return { error: `${path} must be a string` };
+
+  let text = schema.trim === false ? value : value.trim();
+  if (schema.lowercase) text = text.toLowerCase();
+  if (schema.required && text.length === 0) return { error: `${path} is required` };
+  if (schema.min !== undefined && text.length < schema.min) {
+    return { error: schema.min === 1 ? `${path} must not be empty` : `${path} must be at least ${schema.min} characters` };
+  }
+  if (schema.max !== undefined && text.length > schema.max) {
+    return { error: `${path} must be ${schema.max} characters or less` };
+  }
+  if (schema.enum && !schema.enum.includes(text)) {
+    return { error: `${path} must be one of: ${schema.enum.join(', ')}` };
+  }
+  if (schema.format === 'date' && !isCalendarDate(text)) {
+    return { error: `${path} must be a valid date (YYYY-MM-DD)` };
+  }
+  if (schema.format === 'datetime' && Number.isNaN(Date.parse(text))) {
+    return { error: `${path} must be a valid date` };
+  }
+  if (schema.format === 'email' && !EMAIL_PATTERN.test(text)) {
+    return { error: `${path} must be a valid email address` };
+  }
+  if (schema.pattern && !schema.pattern.test(text)) {
+    return { error: schema.patternMessage ? `${path} ${schema.patternMessage}` : `${path} is not valid` };
+  }
+  return { value: text };
+}
+
+/**
+ * Validates a number value; numeric strings (query parameters, form fields) are converted
+ * @private
+ */
+function checkNumber(schema, value, path) {
+  const number = typeof value === 'string' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) return { error: `${path} must be a number` };
+
+  if (schema.integer && !Number.isInteger(number)) return { error: `${path} must be a whole number` };
+  if (schema.min !== undefined && number < schema.min) return { error: `${path} must be at least ${schema.min}` };
+  if (schema.max !== undefined && number > schema.max) return { error: `${path} must be at most ${schema.max}` };
+  return { value: number };
+}
+
+/**
+ * Validates a boolean value; "true"/"false" strings are converted
+ * @private
+ */
+function checkBoolean(schema, value, path) {
+  if (value === 'true') return { value: true };
+  if (value === 'false') return { value: false };
+  if (typeof value !== 'boolean') return { error: `${path} must be true or false` };
+  return { value };
+}
+
+/**
+ * Validates an array and each of its entries
+ * @private
+ */
+function checkArray(schema, value, path, errors) {
+  if (!Array.isArray(value)) return { error: `${path} must be an array` };
+
+  if (schema.required && value.length === 0) return { error: `${path} must not be empty` };
+  if (schema.min !== undefined && value.length < schema.min) {
+    return { error: `${path} must have at least ${schema.min} entries` };
+  }
+  if (schema.max !== undefined && value.length > schema.max) {
+    return { error: `${path} can have at most ${schema.max} entries` };
+  }
+
+  const result = [];
+  value.forEach((entry, index) => {
+    const checked = validateField(schema.items, entry, joinPath(path, index), errors);
+    if (checked !== undefined) result.push(checked);
+  });
+  return { value: result };
+}
+
+/**
+ * Validates an object field by field, dropping undeclared keys unless told to keep them
+ * @private
+ */
+function checkObject(schema, value, path, errors) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { error: `${path || 'Request body'} must be an object` };
+  }
+
+  const result = schema.unknown === 'keep' ? { ...value } : {};
+  for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+    const checked = validateField(fieldSchema, value[key], joinPath(path, key), errors);
+    if (checked === undefined) {
+      delete result[key];
+    } else {
+      result[key] = checked;
+    }
+  }
+  return { value: result };
+}
+
+const CHECKS = {
+  string: checkString,
+  number: checkNumber,
+  boolean: checkBoolean,
+  array: checkArray,
+  object: checkObject,
+  any: (schema, value) => ({ value })
+};
+
+/**
+ * Validates one value against its schema, collecting errors
+ * @private
+ * @returns {*} Sanitized value, or undefined when missing or invalid
+ */
+function validateField(schema, value, path, errors) {
+  // Empty form inputs arrive as blank strings
+  if (schema.type === 'number' && typeof value === 'string' && value.trim() === '') {
+    value = schema.nullable ? null : undefined;
+  }
+  if (value === null && schema.nullable) return null;
+
+  if (value === undefined || value === null) {
+    if (schema.required) {
+      errors.push({ field: path, message: `${path} is required` });
+      return undefined;
+    }
+    if (schema.default !== undefined) {
+      return typeof schema.default === 'function' ? schema.default() : schema.default;
+    }
+    return undefined;
+  }
+
+  const { value: checked, error } = CHECKS[schema.type](schema, value, path, errors);
+  if (error) {
+    errors.push({ field: path, message: error });
+    return undefined;
+  }
+  return checked;
+}
+
+/**
+ * Validates a value against a schema
+ *
+ * @param {Object} schema - Descriptor built with the schema helpers
+ * @param {*} value - Untrusted input
+ * @param {string} [path=''] - Field path used in error messages
+ * @returns {{value: *, errors: Array<{field: string, message: string}>}} Sanitized value and any errors
+ */
+function validateSchema(schema, value, path = '') {
+  const errors = [];
+  const sanitized = validateField(schema, value, path, errors);
+  return { value: sanitized, errors };
+}
+
+// --- Schema Builders ---
+// Options shared by every type: required, nullable, default (a value, or a function for fresh arrays/objects)
+
+/**
+ * String field
+ * Values are trimmed unless `trim: false`; a required string must not be blank.
+ * `coerce` accepts numbers as their text, `lowercase` lowercases before any other check.
+ * @param {Object} [options] - min/max (length), enum, format ('date' | 'datetime' | 'email'), pattern, patternMessage, coerce, lowercase
+ */
+const string = (options = {}) => ({ type: 'string', ...options });
+
+/**
+ * Number field
+ * @param {Object} [options] - min, max, integer
+ */
+const number = (options = {}) => ({ type: 'number', ...options });
+
+/**
+ * Boolean field
+ * @param {Object} [options] - Shared options only
+ */
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+
+/**
+ * Array field
+ * A required array must not be empty.
+ * @param {Object} items - Schema for every entry
+ * @param {Object} [options] - min/max (entry count)
+ */
+const array = (items, options = {}) => ({ type: 'array', items, ...options });
+
+/**
+ * Object field
+ * @param {Object<string, Object>} fields - Schema per key
+ * @param {Object} [options] - unknown: 'strip' (default) | 'keep'
+ */
+const object = (fields, options = {}) => ({ type: 'object', fields, ...options });
+
+/**
+ * Field of any type, passed through unchanged
+ * @param {Object} [options] - Shared options only
+ */
+const any = (options = {}) => ({ type: 'any', ...options });
+
+/**
+ * Firestore document id (path parameters and id references)
+ * @param {Object} [options] - Shared options only
+ */
+const id = (options = {}) => string({
+  pattern: ID_PATTERN,
+  patternMessage: 'must be a valid id',
+  ...options
+});
+
+module.exports = {
+  validateSchema,
+  string,
+  number,
+  boolean,
+  array,
+  object,
+  any,
+  id
+};
@@ -10,6 +10,8 @@
 
 const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
 const logger = require('./logger');
+const { getAIProviderName } = require('../config/ai');
+const { getDataBackendName } = require('../config/data');
 
 // Cache for loaded secrets (in-memory, per instance)
 const secretsCache = {};
@@ -106,9 +108,13 @@ async function loadAllSecrets() {
   logger.info({ environment }, 'Loading secrets');
 
   try {
+    // The offline stub AI provider needs no Gemini key, and the in-memory data layer no service account
+    const needsGeminiKey = getAIProviderName() === 'gemini';
+    const needsServiceAccount = getDataBackendName() === 'firestore';
+
     const [firebaseServiceAccount, geminiApiKey, frontendUrl] = await Promise.all([
-      loadSecret('FIREBASE_SERVICE_ACCOUNT', 'FIREBASE_SERVICE_ACCOUNT'),
-      loadSecret('GEMINI_API_KEY', 'GEMINI_API_KEY'),
+      needsServiceAccount ? loadSecret('FIREBASE_SERVICE_ACCOUNT', 'FIREBASE_SERVICE_ACCOUNT') : null,
+      needsGeminiKey ? loadSecret('GEMINI_API_KEY', 'GEMINI_API_KEY') : null,
       loadSecret('FRONTEND_URL', 'FRONTEND_URL')
     ]);
 
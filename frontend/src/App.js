@@ -10,8 +10,10 @@ import SharedLayout from './components/SharedLayout';
 import HomePage from './pages/HomePage';
 import RecipeGenerator from './pages/RecipeGenerator';
 import ManagePage from './pages/ManagePage';
+import AccountPage from './pages/AccountPage';
 import PantryPage from './pages/PantryPage';
 import PlannerPage from './pages/PlannerPage';
+import PlannerAnalyticsPage from './pages/PlannerAnalyticsPage';
 import ShoppingList from './pages/ShoppingList';
 import logger from './utils/logger';
 
@@ -288,8 +290,10 @@ export default function App() {
                 <Route index element={<HomePage />} />
                 <Route path="recipe-generator" element={<RecipeGenerator />} />
                 <Route path="manage" element={<ManagePage />} />
+                <Route path="account" element={<AccountPage />} />
                 <Route path="/pantry" element={<PantryPage />} />
                 <Route path="/planner" element={<PlannerPage />} />
+                <Route path="/planner/analytics" element={<PlannerAnalyticsPage />} />
                 <Route path="/shopping-list" element={<ShoppingList />} />
                 <Route path="*" element={<Navigate to="/" replace />} />
               </Route>
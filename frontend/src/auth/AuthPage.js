@@ -1,6 +1,7 @@
 import { useState, useEffect, useRef } from 'react';
 import { auth } from '../firebase';
-import { signInWithEmailAndPassword } from 'firebase/auth';
+import { signInWithEmailAndPassword, sendEmailVerification } from 'firebase/auth';
+import { captureInviteCode, clearPendingInviteCode } from '../utils/homeInvites';
 
 // ===== ROSCOE LOGO COMPONENT =====
 const RoscoeLogo = ({ size = "large" }) => {
@@ -14,7 +15,11 @@ const RoscoeLogo = ({ size = "large" }) => {
 };
 
 export default function AuthPage() {
-  const [isLogin, setIsLogin] = useState(true);
+  // Arriving from an invite link defaults to signing up
+  const [inviteCode, setInviteCode] = useState(() => captureInviteCode());
+  const [invite, setInvite] = useState(null);
+  const [inviteError, setInviteError] = useState('');
+  const [isLogin, setIsLogin] = useState(!inviteCode);
   const [name, setName] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
@@ -23,6 +28,29 @@ export default function AuthPage() {
   const [loading, setLoading] = useState(false);
   const timeoutRef = useRef(null);
 
+  // Show who the invite is from
+  useEffect(() => {
+    if (!inviteCode) return;
+
+    const fetchInvite = async () => {
+      try {
+        const response = await fetch(`/api/invites/code/${encodeURIComponent(inviteCode)}`);
+        const data = await response.json();
+        if (response.ok) {
+          setInvite(data.invite);
+        } else if (response.status === 404 || response.status === 410) {
+          setInviteError(data.error || 'This invite is no longer valid');
+          clearPendingInviteCode();
+          setInviteCode(null);
+        }
+      } catch (err) {
+        // The invite is checked again on sign up
+      }
+    };
+
+    fetchInvite();
+  }, [inviteCode]);
+
   // Cleanup timeout on unmount
   useEffect(() => {
     return () => {
@@ -74,13 +102,17 @@ export default function AuthPage() {
         const response = await fetch('/api/register', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ name, email, password }),
+          body: JSON.stringify(inviteCode ? { name, email, password, inviteCode } : { name, email, password }),
         });
         const data = await response.json();
         if (!response.ok) {
           throw new Error(data.error || 'An unknown error occurred.');
         }
-        await signInWithEmailAndPassword(auth, email, password);
+        // Signing up with the invite already joined its home, unless it was sent to this
+        // address: then it stays pending until the user follows the verification link
+        if (!data.inviteDeferred) clearPendingInviteCode();
+        const credential = await signInWithEmailAndPassword(auth, email, password);
+        if (data.inviteDeferred) await sendEmailVerification(credential.user);
         // Keep loading state active - App.js will take over after auth succeeds
       } catch (err) {
         setError(err.message);
@@ -111,6 +143,21 @@ export default function AuthPage() {
             </p>
           </div>
 
+          {invite && (
+            <div className="alert alert-info mb-4 animate-fade-in">
+              <span>
+                {invite.createdByName || 'Someone'} invited you to join <strong>{invite.homeName}</strong>.
+                {' '}{isLogin ? 'Log in to accept.' : 'Sign up to join, or log in if you already have an account.'}
+              </span>
+            </div>
+          )}
+
+          {inviteError && (
+            <div className="alert alert-error mb-4 animate-fade-in">
+              <span>{inviteError}</span>
+            </div>
+          )}
+
           <form onSubmit={handleAuth} className="space-y-4">
             {!isLogin && (
               <div className="animate-slide-up">
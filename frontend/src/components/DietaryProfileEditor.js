@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+
+const XIcon = () => <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>;
+
+const EMPTY_PROFILE = { allergies: [], intolerances: [], diets: [], dislikes: [] };
+
+const TAG_FIELDS = [
+  { key: 'allergies', label: 'Allergies', placeholder: 'e.g. peanuts, shellfish' },
+  { key: 'intolerances', label: 'Intolerances', placeholder: 'e.g. lactose' },
+  { key: 'dislikes', label: 'Disliked ingredients', placeholder: 'e.g. cilantro' }
+];
+
+/**
+ * Free-text tag list with add-on-enter and removable chips
+ */
+function TagInput({ label, placeholder, values, onChange, disabled }) {
+  const [draft, setDraft] = useState('');
+
+  const addTag = () => {
+    const value = draft.trim().toLowerCase();
+    if (value && !values.includes(value)) {
+      onChange([...values, value]);
+    }
+    setDraft('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag();
+    }
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium mb-2 text-color-primary">{label}</label>
+      {values.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-2">
+          {values.map(value => (
+            <span
+              key={value}
+              className="flex items-center gap-1 text-sm px-3 py-1 rounded-full"
+              style={{ backgroundColor: 'var(--color-primary-light)', color: 'var(--color-primary)' }}
+            >
+              {value}
+              {!disabled && (
+                <button
+                  type="button"
+                  onClick={() => onChange(values.filter(v => v !== value))}
+                  aria-label={`Remove ${value}`}
+                >
+                  <XIcon />
+                </button>
+              )}
+            </span>
+          ))}
+        </div>
+      )}
+      {!disabled && (
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={addTag}
+          className="input-base focus-ring w-full"
+          placeholder={placeholder}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Editor for a dietary profile (allergies, intolerances, diets, dislikes)
+ * Read-only when `disabled`; calls onSave with the edited profile.
+ */
+export default function DietaryProfileEditor({ profile, dietOptions = [], onSave, isSaving = false, disabled = false }) {
+  const [draft, setDraft] = useState(profile || EMPTY_PROFILE);
+
+  useEffect(() => {
+    setDraft(profile || EMPTY_PROFILE);
+  }, [profile]);
+
+  const updateField = (field, values) => {
+    setDraft(prev => ({ ...prev, [field]: values }));
+  };
+
+  const toggleDiet = (diet) => {
+    const diets = draft.diets.includes(diet)
+      ? draft.diets.filter(d => d !== diet)
+      : [...draft.diets, diet];
+    updateField('diets', diets);
+  };
+
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(profile || EMPTY_PROFILE);
+
+  return (
+    <div className="space-y-4">
+      {TAG_FIELDS.map(({ key, label, placeholder }) => (
+        <TagInput
+          key={key}
+          label={label}
+          placeholder={placeholder}
+          values={draft[key] || []}
+          onChange={(values) => updateField(key, values)}
+          disabled={disabled}
+        />
+      ))}
+
+      <div>
+        <label className="block text-sm font-medium mb-2 text-color-primary">Diets</label>
+        <div className="flex flex-wrap gap-2">
+          {dietOptions.map(diet => {
+            const isSelected = draft.diets.includes(diet);
+            return (
+              <button
+                key={diet}
+                type="button"
+                onClick={() => toggleDiet(diet)}
+                disabled={disabled}
+                className="text-sm px-3 py-1 rounded-full transition-colors"
+                style={{
+                  backgroundColor: isSelected ? 'var(--color-primary)' : 'var(--bg-tertiary)',
+                  color: isSelected ? 'white' : 'var(--text-secondary)'
+                }}
+              >
+                {diet}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {!disabled && (
+        <div className="flex gap-2">
+          <button
+            onClick={() => onSave(draft)}
+            disabled={isSaving || !isDirty}
+            className="btn-base btn-primary flex-1"
+          >
+            {isSaving ? 'Saving...' : 'Save'}
+          </button>
+          <button
+            onClick={() => setDraft(profile || EMPTY_PROFILE)}
+            disabled={isSaving || !isDirty}
+            className="btn-base btn-secondary flex-1"
+          >
+            Reset
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
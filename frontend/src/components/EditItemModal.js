@@ -186,17 +186,19 @@ const EditItemModal = ({
           </div>
 
           {/* Footer */}
-          <div className="modal-footer" style={{ justifyContent: 'space-between' }}>
-            <button
-              type="button"
-              onClick={handleDelete}
-              disabled={isLoading}
-              className="btn-icon-delete"
-              aria-label={`Delete ${item.name}`}
-              title="Delete item"
-            >
-              <Trash2 size={20} />
-            </button>
+          <div className="modal-footer" style={{ justifyContent: onDelete ? 'space-between' : 'flex-end' }}>
+            {onDelete && (
+              <button
+                type="button"
+                onClick={handleDelete}
+                disabled={isLoading}
+                className="btn-icon-delete"
+                aria-label={`Delete ${item.name}`}
+                title="Delete item"
+              >
+                <Trash2 size={20} />
+              </button>
+            )}
 
             <div className="flex gap-3">
               <button
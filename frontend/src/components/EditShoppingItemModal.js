@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { X, AlertCircle, Trash2 } from 'lucide-react';
+import { SHOPPING_CATEGORIES } from '../utils/shoppingCategories';
 
 const CategorySelect = ({ value, onChange, disabled }) => (
   <select
@@ -8,12 +9,9 @@ const CategorySelect = ({ value, onChange, disabled }) => (
     className="input-base focus-ring"
     disabled={disabled}
   >
-    <option value="produce">🥬 Produce</option>
-    <option value="dairy">🥛 Dairy</option>
-    <option value="meat">🥩 Meat</option>
-    <option value="pantry">🏺 Pantry</option>
-    <option value="frozen">❄️ Frozen</option>
-    <option value="other">📦 Other</option>
+    {SHOPPING_CATEGORIES.map(category => (
+      <option key={category.id} value={category.id}>{category.emoji} {category.label}</option>
+    ))}
   </select>
 );
 
@@ -22,13 +20,16 @@ const EditShoppingItemModal = ({
   item,
   onClose,
   onSave,
-  onDelete
+  onDelete,
+  lists = [],
+  onMove
 }) => {
   const [formData, setFormData] = useState({
     name: '',
     quantity: '',
     unit: '',
-    category: 'other'
+    category: 'other',
+    listId: 'default'
   });
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
@@ -56,7 +57,8 @@ const EditShoppingItemModal = ({
         name: item.name || '',
         quantity: item.quantity || '',
         unit: item.unit || '',
-        category: item.category || 'other'
+        category: item.category || 'other',
+        listId: item.listId || 'default'
       });
       setError('');
     }
@@ -78,6 +80,9 @@ const EditShoppingItemModal = ({
       };
 
       await onSave(item.id, updates);
+      if (formData.listId !== (item.listId || 'default')) {
+        await onMove(item.id, formData.listId);
+      }
       onClose();
     } catch (err) {
       setError(err.message);
@@ -188,6 +193,27 @@ const EditShoppingItemModal = ({
                 disabled={isLoading}
               />
             </div>
+
+            {lists.length > 1 && onMove && (
+              <div>
+                <label htmlFor="editList" className="block text-sm font-medium mb-2 text-color-secondary">
+                  List
+                </label>
+                <select
+                  id="editList"
+                  value={formData.listId}
+                  onChange={e => setFormData(prev => ({ ...prev, listId: e.target.value }))}
+                  className="input-base focus-ring w-full"
+                  disabled={isLoading}
+                >
+                  {lists.map(list => (
+                    <option key={list.id} value={list.id}>
+                      {list.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
           </div>
 
           {/* Footer */}
@@ -4,8 +4,8 @@ import { getExpiryInfo, daysToExpiryDate, calculateRemainingDays } from '../util
 
 const ItemListItem = ({ item, onEdit, onDelete, onApplyEnhancement, onDismissEnhancement, processingEnhancement = false }) => {
   const handleRowClick = (e) => {
-    // Don't trigger edit if clicking delete button or enhancement actions
-    if (e.target.closest('.list-item-actions') || e.target.closest('.pantry-item-enhancement')) {
+    // Don't trigger edit if clicking delete button or enhancement actions (or the user can't edit)
+    if (!onEdit || e.target.closest('.list-item-actions') || e.target.closest('.pantry-item-enhancement')) {
       return;
     }
     onEdit(item);
@@ -77,16 +77,18 @@ const ItemListItem = ({ item, onEdit, onDelete, onApplyEnhancement, onDismissEnh
       </div>
 
       {/* Delete button */}
-      <div className="list-item-actions">
-        <button
-          onClick={handleDelete}
-          className="btn-icon-delete"
-          aria-label={`Delete ${item.name}`}
-          title="Delete item"
-        >
-          <Trash2 size={16} />
-        </button>
-      </div>
+      {onDelete && (
+        <div className="list-item-actions">
+          <button
+            onClick={handleDelete}
+            className="btn-icon-delete"
+            aria-label={`Delete ${item.name}`}
+            title="Delete item"
+          >
+            <Trash2 size={16} />
+          </button>
+        </div>
+      )}
       </div>
       
       {/* AI Enhancement Overlay */}
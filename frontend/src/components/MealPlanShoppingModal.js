@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from 'react';
+import { ShoppingCart } from 'lucide-react';
+import logger from '../utils/logger';
+import { formatDateForAPI } from '../utils/dateUtils';
+
+// Icons
+const XIcon = () => <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>;
+
+/**
+ * MealPlanShoppingModal - Adds ingredients for planned meals in a date range to the shopping list
+ * Ingredients already in the pantry are skipped and duplicates across meals are merged server-side.
+ *
+ * @param {boolean} isOpen - Whether the modal is visible
+ * @param {Function} onClose - Callback to close the modal
+ * @param {Function} onGenerated - Callback with the API result ({ items, covered, mealPlanCount, alreadyListedCount })
+ * @param {Date} weekStart - Week used for the default date range
+ * @param {Function} getAuthHeaders - Returns auth headers for API calls
+ * @param {string} activeHomeId - Current home ID
+ */
+export default function MealPlanShoppingModal({
+  isOpen,
+  onClose,
+  onGenerated,
+  weekStart,
+  getAuthHeaders,
+  activeHomeId
+}) {
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [error, setError] = useState('');
+
+  // Default to the week currently shown in the planner
+  useEffect(() => {
+    if (isOpen) {
+      const start = weekStart ? new Date(weekStart) : new Date();
+      const end = new Date(start);
+      end.setDate(start.getDate() + 6);
+      setStartDate(formatDateForAPI(start));
+      setEndDate(formatDateForAPI(end));
+      setError('');
+    }
+  }, [isOpen, weekStart]);
+
+  const handleGenerate = async () => {
+    if (!getAuthHeaders || !activeHomeId) return;
+
+    if (startDate > endDate) {
+      setError('Start date must be on or before end date');
+      return;
+    }
+
+    setIsGenerating(true);
+    setError('');
+
+    try {
+      const response = await fetch(`/api/shopping-list/${activeHomeId}/from-meal-plan`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ startDate, endDate })
+      });
+
+      if (response.ok) {
+        const result = await response.json();
+        logger.debug('🛒 Shopping list generated from meal plan:', result);
+        onGenerated(result);
+        onClose();
+      } else {
+        let errorMessage = 'Failed to add ingredients to shopping list';
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.error || errorMessage;
+        } catch (parseError) {
+          logger.error('❌ Failed to parse error response:', parseError);
+        }
+        setError(errorMessage);
+      }
+    } catch (err) {
+      logger.error('❌ Error generating shopping list from meal plan:', err);
+      setError('Failed to add ingredients. Please try again.');
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const inputStyle = {
+    backgroundColor: 'var(--bg-tertiary)',
+    borderColor: 'var(--border-medium)',
+    color: 'var(--text-primary)',
+    '--tw-ring-color': 'var(--color-primary)'
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-end lg:items-center justify-center">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0"
+        style={{ backgroundColor: 'rgba(0, 0, 0, 0.5)' }}
+        onClick={onClose}
+      />
+
+      {/* Modal */}
+      <div
+        className="relative w-full max-w-lg bg-white rounded-t-2xl lg:rounded-2xl shadow-xl max-h-[90vh] flex flex-col"
+        style={{ backgroundColor: 'var(--bg-card)' }}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b" style={{ borderColor: 'var(--border-light)' }}>
+          <h2 className="text-lg font-semibold" style={{ color: 'var(--text-primary)' }}>
+            Shop for Planned Meals
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-full hover:bg-opacity-80 transition-colors"
+            style={{ backgroundColor: 'var(--bg-tertiary)' }}
+          >
+            <XIcon />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto p-4">
+          {error && (
+            <div className="mb-4 p-3 rounded-lg" style={{ backgroundColor: 'var(--color-error-light)', color: 'var(--color-error)' }}>
+              {error}
+            </div>
+          )}
+
+          <div className="space-y-4">
+            <p className="text-sm" style={{ color: 'var(--text-secondary)' }}>
+              Ingredients for meals planned in this range are added to your shopping list.
+              Anything already in your pantry is skipped.
+            </p>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium mb-2" style={{ color: 'var(--text-primary)' }}>
+                  From
+                </label>
+                <input
+                  type="date"
+                  value={startDate}
+                  onChange={(e) => setStartDate(e.target.value)}
+                  className="w-full p-3 rounded-lg border transition-colors focus:outline-none focus:ring-2"
+                  style={inputStyle}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-2" style={{ color: 'var(--text-primary)' }}>
+                  To
+                </label>
+                <input
+                  type="date"
+                  value={endDate}
+                  onChange={(e) => setEndDate(e.target.value)}
+                  className="w-full p-3 rounded-lg border transition-colors focus:outline-none focus:ring-2"
+                  style={inputStyle}
+                  required
+                />
+              </div>
+            </div>
+
+            {/* Actions */}
+            <div className="flex gap-3 pt-4">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 px-4 py-3 rounded-lg font-medium transition-colors"
+                style={{ backgroundColor: 'var(--bg-tertiary)', color: 'var(--text-primary)' }}
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleGenerate}
+                disabled={isGenerating || !startDate || !endDate}
+                className="flex-1 flex items-center justify-center gap-2 px-4 py-3 rounded-lg font-medium transition-colors disabled:opacity-50"
+                style={{ backgroundColor: 'var(--color-primary)', color: 'white' }}
+              >
+                {isGenerating ? (
+                  <div className="w-4 h-4 border-2 border-t-transparent rounded-full animate-spin" />
+                ) : (
+                  <ShoppingCart size={16} />
+                )}
+                Add to List
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
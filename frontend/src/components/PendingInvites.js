@@ -0,0 +1,184 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Mail } from 'lucide-react';
+import { sendEmailVerification } from 'firebase/auth';
+import { auth } from '../firebase';
+import { useToast } from '../contexts/ToastContext';
+import { captureInviteCode, clearPendingInviteCode } from '../utils/homeInvites';
+import { getHomeRole } from '../utils/homeRoles';
+import logger from '../utils/logger';
+
+/**
+ * PendingInvites - Offers the invites waiting for the signed-in user
+ * Shows invites sent to the user's email address and the invite link they
+ * arrived with (if any). Email invites can be declined; a link is just dismissed.
+ * An invite sent to an address can only be answered once that address is
+ * verified, so the user is sent a verification link first if needed.
+ *
+ * @param {string} userToken - Auth token
+ * @param {Function} onJoined - Called with the joined home ({ id, name, role }) after accepting
+ */
+const PendingInvites = ({ userToken, onJoined }) => {
+  const { showSuccess, showError, showInfo } = useToast();
+  const [invites, setInvites] = useState([]);
+  const [busyCode, setBusyCode] = useState(null);
+
+  const getAuthHeaders = useCallback(() => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${userToken}`,
+  }), [userToken]);
+
+  useEffect(() => {
+    if (!userToken) return;
+
+    const fetchInvites = async () => {
+      try {
+        const response = await fetch('/api/invites', { headers: getAuthHeaders() });
+        if (!response.ok) throw new Error('Failed to fetch invites.');
+        const data = await response.json();
+        const emailInvites = data.invites.map(invite => ({ ...invite, isEmailInvite: true }));
+
+        const linkCode = captureInviteCode();
+        if (linkCode && !emailInvites.some(invite => invite.code === linkCode.toUpperCase())) {
+          const linkResponse = await fetch(`/api/invites/code/${encodeURIComponent(linkCode)}`);
+          const linkData = await linkResponse.json();
+          if (linkResponse.ok) {
+            emailInvites.push({ ...linkData.invite, fromLink: true });
+          } else {
+            clearPendingInviteCode();
+            showError(linkData.error || 'This invite is no longer valid');
+          }
+        }
+
+        setInvites(emailInvites);
+      } catch (err) {
+        logger.error('Error fetching invites:', err);
+      }
+    };
+
+    fetchInvites();
+  }, [userToken, getAuthHeaders, showError]);
+
+  // Headers with a fresh token once the user's address is verified, or null after
+  // sending them a verification link
+  const getVerifiedHeaders = async () => {
+    const user = auth.currentUser;
+    await user.reload();
+    if (!user.emailVerified) {
+      await sendEmailVerification(user);
+      showInfo(`We sent a verification link to ${user.email}. Open it, then try again.`);
+      return null;
+    }
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${await user.getIdToken(true)}`,
+    };
+  };
+
+  const removeInvite = (code) => {
+    setInvites(prev => prev.filter(invite => invite.code !== code));
+    clearPendingInviteCode();
+  };
+
+  const handleAccept = async (invite) => {
+    setBusyCode(invite.code);
+    try {
+      const headers = invite.needsEmailVerification ? await getVerifiedHeaders() : getAuthHeaders();
+      if (!headers) return;
+
+      const response = await fetch(`/api/invites/${invite.code}/accept`, {
+        method: 'POST',
+        headers,
+      });
+      const data = await response.json();
+
+      // A link to an invite sent to this address: keep it until the address is verified
+      if (data.reason === 'unverified') {
+        setInvites(prev => prev.map(item => (
+          item.code === invite.code ? { ...item, needsEmailVerification: true } : item
+        )));
+        if (await getVerifiedHeaders()) showInfo('Your email address is verified. Press Join again.');
+        return;
+      }
+
+      if (!response.ok) {
+        removeInvite(invite.code);
+        showError(data.error || 'Failed to accept invite');
+        return;
+      }
+
+      removeInvite(invite.code);
+      showSuccess(`You joined ${data.home.name}`);
+      await onJoined(data.home);
+    } catch (err) {
+      logger.error('Error accepting invite:', err);
+      showError('An unexpected error occurred');
+    } finally {
+      setBusyCode(null);
+    }
+  };
+
+  const handleDecline = async (invite) => {
+    if (invite.fromLink) {
+      removeInvite(invite.code);
+      return;
+    }
+
+    setBusyCode(invite.code);
+    try {
+      const headers = invite.needsEmailVerification ? await getVerifiedHeaders() : getAuthHeaders();
+      if (!headers) return;
+
+      const response = await fetch(`/api/invites/${invite.code}/decline`, {
+        method: 'POST',
+        headers,
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to decline invite');
+      }
+
+      removeInvite(invite.code);
+      showInfo(`Declined the invite to ${invite.homeName}`);
+    } catch (err) {
+      logger.error('Error declining invite:', err);
+      showError(err.message);
+    } finally {
+      setBusyCode(null);
+    }
+  };
+
+  if (invites.length === 0) return null;
+
+  return (
+    <div className="section-padding pb-0 space-y-3">
+      {invites.map(invite => (
+        <div key={invite.code} className="alert alert-info flex-wrap">
+          <Mail className="w-5 h-5 flex-shrink-0" />
+          <span className="flex-1">
+            {invite.createdByName || 'Someone'} invited you to join <strong>{invite.homeName}</strong>
+            {invite.role && invite.role !== 'member' && ` as a ${getHomeRole(invite.role).label.toLowerCase()}`}
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => handleAccept(invite)}
+              disabled={busyCode === invite.code}
+              className="btn-base btn-primary text-sm px-4 py-1"
+            >
+              Join
+            </button>
+            <button
+              onClick={() => handleDecline(invite)}
+              disabled={busyCode === invite.code}
+              className="btn-base btn-ghost text-sm px-4 py-1"
+            >
+              {invite.fromLink ? 'Dismiss' : 'Decline'}
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PendingInvites;
@@ -1,4 +1,5 @@
 import React from 'react';
+import NutritionSummary from './recipe/NutritionSummary';
 
 // Icons
 const ClockIcon = () => <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="10"></circle><polyline points="12,6 12,12 16,14"></polyline></svg>;
@@ -27,6 +28,9 @@ export default function PlannerRecipeCard({
   // Get cooking time if available
   const cookingTime = recipe?.cookingTime || recipe?.time || null;
 
+  // Per-serving nutrition stored on the plan, falling back to the recipe's own estimate
+  const nutrition = plannedData?.nutrition || recipe?.nutrition || null;
+
   if (isCompact) {
     return (
       <div
@@ -52,6 +56,11 @@ export default function PlannerRecipeCard({
                 </span>
               </div>
             )}
+            {nutrition && (
+              <div className="mt-1">
+                <NutritionSummary nutrition={nutrition} compact />
+              </div>
+            )}
           </div>
           {servings && (
             <div className="flex items-center gap-1 text-xs ml-2 text-color-muted">
@@ -97,6 +106,7 @@ export default function PlannerRecipeCard({
             <span>{cookingTime}</span>
           </div>
         )}
+        {nutrition && <NutritionSummary nutrition={nutrition} compact />}
       </div>
 
       {/* Ingredient Status */}
@@ -1,5 +1,5 @@
 import React, { useMemo } from 'react';
-import { Plus } from 'lucide-react';
+import { Plus, ShoppingCart, Sparkles } from 'lucide-react';
 import WeekView from './WeekView';
 import { formatDateForAPI } from '../utils/dateUtils';
 
@@ -10,6 +10,8 @@ import { formatDateForAPI } from '../utils/dateUtils';
  * @param {Date} currentWeekStart - Start of current week (for feed display)
  * @param {Date} calendarWeekStart - Start of week calendar is currently showing
  * @param {Function} onAddMeal - Callback to add a new meal
+ * @param {Function} onPlanWeek - Callback to generate meals for the empty slots of the calendar's week
+ * @param {Function} onGenerateShoppingList - Callback to add planned meal ingredients to the shopping list
  * @param {Function} onDayClick - Callback when calendar day is clicked
  * @param {Function} onCalendarWeekChange - Callback when calendar navigates to different week
  * @param {Function} onEditMeal - Callback when editing a meal
@@ -19,6 +21,8 @@ const PlannerSidebar = ({
   currentWeekStart,
   calendarWeekStart,
   onAddMeal,
+  onPlanWeek,
+  onGenerateShoppingList,
   onDayClick,
   onCalendarWeekChange,
   onEditMeal
@@ -204,6 +208,26 @@ const PlannerSidebar = ({
           <Plus size={20} />
           Add Meal
         </button>
+        {onPlanWeek && (
+          <button
+            className="btn-base btn-secondary"
+            onClick={onPlanWeek}
+            style={{ width: '100%', marginTop: '8px' }}
+          >
+            <Sparkles size={20} />
+            Plan Week
+          </button>
+        )}
+        {onGenerateShoppingList && (
+          <button
+            className="btn-base btn-secondary"
+            onClick={onGenerateShoppingList}
+            style={{ width: '100%', marginTop: '8px' }}
+          >
+            <ShoppingCart size={20} />
+            Shop for Meals
+          </button>
+        )}
       </div>
 
       {/* Upcoming Meals - Fourth */}
@@ -58,7 +58,8 @@ export default function RecipeSchedulingModal({
         ingredients: recipe.ingredients || [],
         servings: parseInt(servings) || recipe.servings || 4,
         cookingTime: recipe.cookingTime || recipe.cookTime || recipe.time,
-        description: recipe.description
+        description: recipe.description,
+        nutrition: recipe.nutrition
       };
 
       logger.debug('📝 Planned data being sent:', plannedData);
@@ -168,7 +168,8 @@ export default function RecipeSelector({
         ingredients: selectedRecipe.ingredients || [],
         servings: parseInt(servings) || selectedRecipe.servings || 4,
         cookingTime: selectedRecipe.cookingTime || selectedRecipe.cookTime || selectedRecipe.time,
-        description: selectedRecipe.description
+        description: selectedRecipe.description,
+        nutrition: selectedRecipe.nutrition
       };
 
       logger.debug('📝 Planned data being sent:', plannedData);
@@ -1,8 +1,14 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { Link, NavLink, Outlet, useLocation, useNavigate } from 'react-router-dom';
 import VersionDisplay from './VersionDisplay';
+import PendingInvites from './PendingInvites';
+import { useToast } from '../contexts/ToastContext';
+import { roleCan, getHomeRole } from '../utils/homeRoles';
 import logger from '../utils/logger';
 
+// Last home picked in the switcher on this device
+const ACTIVE_HOME_KEY = 'activeHomeId';
+
 // ===== ICONS =====
 // Navigation icons are now emojis - only keeping utility icons for dropdowns and checkmarks
 const ChevronDownIcon = () => <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="6 9 12 15 18 9"></polyline></svg>;
@@ -12,13 +18,17 @@ const CheckIcon = () => <svg xmlns="http://www.w3.org/2000/svg" width="16" heigh
 export default function SharedLayout({ profile, onLogout, userToken, refreshProfile }) {
   logger.debug('SharedLayout render - profile:', !!profile, 'userToken:', !!userToken);
   const [showHomeDropdown, setShowHomeDropdown] = useState(false);
-  const [selectedHomeId, setSelectedHomeId] = useState(profile?.primaryHomeId);
+  const [selectedHomeId, setSelectedHomeId] = useState(() => localStorage.getItem(ACTIVE_HOME_KEY) || profile?.primaryHomeId);
   const dropdownRef = useRef(null);
   const location = useLocation();
   const navigate = useNavigate();
+  const { showSuccess, showError } = useToast();
 
-  // Get current home
-  const currentHome = profile?.homes?.find(h => h.id === selectedHomeId) || profile?.homes?.[0];
+  // Get current home (falls back to the primary home when the selected one was left or deleted)
+  const currentHome = profile?.homes?.find(h => h.id === selectedHomeId)
+    || profile?.homes?.find(h => h.id === profile.primaryHomeId)
+    || profile?.homes?.[0];
+  const activeHomeId = currentHome?.id;
   
   // Handle clicking outside dropdown
   useEffect(() => {
@@ -31,18 +41,56 @@ export default function SharedLayout({ profile, onLogout, userToken, refreshProf
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, []);
   
-  const handleHomeChange = async (homeId) => {
+  const handleHomeChange = (homeId) => {
     setSelectedHomeId(homeId);
+    localStorage.setItem(ACTIVE_HOME_KEY, homeId);
     setShowHomeDropdown(false);
-    // TODO: Update user's primaryHomeId in backend if needed
+  };
+
+  // Switch to a home right after joining or creating it
+  const handleJoinedHome = async (home) => {
+    if (refreshProfile) {
+      await refreshProfile(userToken);
+    }
+    handleHomeChange(home.id);
+  };
+
+  const handleCreateHome = async () => {
+    setShowHomeDropdown(false);
+    const name = window.prompt('Name of the new home:');
+    if (!name?.trim()) return;
+
+    try {
+      const response = await fetch('/api/homes', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${userToken}`,
+        },
+        body: JSON.stringify({ name: name.trim() })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create home');
+      }
+
+      await handleJoinedHome(data);
+      showSuccess(`Created ${data.name}`);
+    } catch (err) {
+      logger.error('Error creating home:', err);
+      showError(err.message);
+    }
   };
 
   const outletContext = {
     userToken,
-    activeHomeId: selectedHomeId,
+    activeHomeId,
     profile,
     refreshProfile: refreshProfile || (() => {}),
-    currentHome
+    currentHome,
+    switchHome: handleHomeChange,
+    // Whether the user's role in the active home allows an action (see utils/homeRoles.js)
+    can: (permission) => roleCan(currentHome?.role, permission)
   };
 
   const navigation = [
@@ -140,16 +188,22 @@ export default function SharedLayout({ profile, onLogout, userToken, refreshProf
                           key={home.id}
                           onClick={() => handleHomeChange(home.id)}
                           className={`w-full text-left px-4 py-3 hover:bg-opacity-80 flex items-center justify-between transition-colors ${
-                            selectedHomeId === home.id ? 'bg-tertiary' : ''
+                            activeHomeId === home.id ? 'bg-tertiary' : ''
                           }`}
                         >
                           <div>
                             <div className="font-medium text-color-primary">{home.name}</div>
-                            <div className="text-xs text-color-muted">Role: {home.role}</div>
+                            <div className="text-xs text-color-muted">Role: {getHomeRole(home.role).label}</div>
                           </div>
-                          {selectedHomeId === home.id && <CheckIcon />}
+                          {activeHomeId === home.id && <CheckIcon />}
                         </button>
                       ))}
+                      <button
+                        onClick={handleCreateHome}
+                        className="w-full text-left px-4 py-3 hover:bg-opacity-80 transition-colors font-medium text-color-primary border-t border-color-light"
+                      >
+                        + New Home
+                      </button>
                     </div>
                   </div>
                 )}
@@ -169,7 +223,7 @@ export default function SharedLayout({ profile, onLogout, userToken, refreshProf
                       ? 'bg-color-primary text-white shadow-sm'
                       : 'text-color-primary hover:bg-tertiary'
                   }`}
-                  end
+                  end={path === '/'}
                 >
                   <span className="text-xl">{emoji}</span>
                   <span>{name}</span>
@@ -201,12 +255,29 @@ export default function SharedLayout({ profile, onLogout, userToken, refreshProf
               </div>
             </div>
           </div>
+
+          {/* Mobile Home Switcher */}
+          {profile?.homes?.length > 1 && (
+            <select
+              value={activeHomeId}
+              onChange={(e) => handleHomeChange(e.target.value)}
+              className="input-base focus-ring text-sm"
+              style={{ maxWidth: '50%' }}
+              aria-label="Active home"
+            >
+              {profile.homes.map(home => (
+                <option key={home.id} value={home.id}>{home.name}</option>
+              ))}
+            </select>
+          )}
         </div>
       </header>
 
       {/* ===== MAIN CONTENT ===== */}
       <main className="mobile-nav-space lg:pl-[var(--sidebar-width)]">
-        <Outlet context={outletContext} />
+        <PendingInvites userToken={userToken} onJoined={handleJoinedHome} />
+        {/* Keyed by home so switching homes starts every page fresh */}
+        <Outlet key={activeHomeId} context={outletContext} />
       </main>
 
       {/* ===== MOBILE BOTTOM NAVIGATION ===== */}
@@ -221,7 +292,7 @@ export default function SharedLayout({ profile, onLogout, userToken, refreshProf
               className={({ isActive }) => `flex flex-col items-center justify-center gap-1 py-2 px-3 rounded-lg transition-all min-w-0 flex-1 ${
                 isActive ? 'bg-color-primary text-white' : 'text-color-muted'
               }`}
-              end
+              end={path === '/'}
             >
               <span className="text-xl">{emoji}</span>
               <span className="text-xs font-medium truncate">{mobileLabel}</span>
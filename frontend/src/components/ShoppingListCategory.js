@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { ChevronDown } from 'lucide-react';
 import ShoppingListItem from './ShoppingListItem';
+import { SHOPPING_CATEGORIES } from '../utils/shoppingCategories';
 
 /**
  * Category section for shopping list items
@@ -10,12 +11,7 @@ import ShoppingListItem from './ShoppingListItem';
 // Display metadata for different group types
 const GROUP_META = {
   // Categories
-  produce: { emoji: '🥬', name: 'Produce' },
-  dairy: { emoji: '🥛', name: 'Dairy' },
-  meat: { emoji: '🍖', name: 'Meat' },
-  pantry: { emoji: '🥫', name: 'Pantry' },
-  frozen: { emoji: '❄️', name: 'Frozen' },
-  other: { emoji: '📦', name: 'Other' },
+  ...Object.fromEntries(SHOPPING_CATEGORIES.map(({ id, label, emoji }) => [id, { emoji, name: label }])),
   // Date groups
   today: { emoji: '📅', name: 'Today' },
   yesterday: { emoji: '📅', name: 'Yesterday' },
@@ -28,11 +24,11 @@ const GROUP_META = {
   all: { emoji: '📋', name: 'All Items' }
 };
 
-const ShoppingListCategory = ({ category, items, onCheck, onEdit, onDelete, homeMembers = [] }) => {
+const ShoppingListCategory = ({ category, label, items, onCheck, onEdit, onDelete, homeMembers = [] }) => {
   const [expanded, setExpanded] = useState(true);
 
-  // Get display metadata - support user IDs by finding user name
-  let meta = GROUP_META[category];
+  // Get display metadata - an explicit label (store aisles) wins, then known groups and user IDs
+  let meta = label || GROUP_META[category];
   if (!meta && homeMembers.length > 0) {
     // Check if category is a userId
     const member = homeMembers.find(m => m.id === category);
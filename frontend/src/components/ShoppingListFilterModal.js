@@ -1,5 +1,6 @@
 import React, { useEffect } from 'react';
 import { X, RotateCcw } from 'lucide-react';
+import { SHOPPING_CATEGORIES, SHOPPING_CATEGORY_IDS } from '../utils/shoppingCategories';
 
 /**
  * Filter modal for shopping list
@@ -70,7 +71,7 @@ const ShoppingListFilterModal = ({
 
   const isFilterActive = () => {
     const defaultFilters = {
-      categories: ['produce', 'dairy', 'meat', 'pantry', 'frozen', 'other'],
+      categories: SHOPPING_CATEGORY_IDS,
       status: 'all',
       users: [],
       dateAdded: 'all'
@@ -114,14 +115,7 @@ const ShoppingListFilterModal = ({
               Category
             </h3>
             <div className="space-y-2">
-              {[
-                { id: 'produce', label: '🥬 Produce' },
-                { id: 'dairy', label: '🥛 Dairy' },
-                { id: 'meat', label: '🍖 Meat' },
-                { id: 'pantry', label: '🥫 Pantry' },
-                { id: 'frozen', label: '❄️ Frozen' },
-                { id: 'other', label: '📦 Other' }
-              ].map(({ id, label }) => (
+              {SHOPPING_CATEGORIES.map(({ id, label, emoji }) => (
                 <label key={id} className="flex items-center space-x-3 cursor-pointer">
                   <input
                     type="checkbox"
@@ -133,7 +127,7 @@ const ShoppingListFilterModal = ({
                       color: 'var(--color-primary)'
                     }}
                   />
-                  <span className="text-color-secondary">{label}</span>
+                  <span className="text-color-secondary">{emoji} {label}</span>
                 </label>
               ))}
             </div>
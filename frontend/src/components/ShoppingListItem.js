@@ -1,15 +1,17 @@
 import React from 'react';
 import { Trash2, Check } from 'lucide-react';
 import { formatRelativeTime } from '../utils/dateUtils';
+import { getShoppingCategory } from '../utils/shoppingCategories';
 
 /**
  * Shopping list item component - matches pantry design
  * Features checkbox, plain text display, click-to-edit modal pattern
+ * Leave out onCheck, onEdit or onDelete to hide that action (the user's role can't do it).
  */
 const ShoppingListItem = ({ item, onCheck, onEdit, onDelete, homeMembers = [] }) => {
   const handleRowClick = (e) => {
     // Don't trigger edit if clicking checkbox or delete button
-    if (e.target.closest('.shopping-list-checkbox') || e.target.closest('.list-item-actions')) {
+    if (!onEdit || e.target.closest('.shopping-list-checkbox') || e.target.closest('.list-item-actions')) {
       return;
     }
     onEdit(item);
@@ -37,6 +39,11 @@ const ShoppingListItem = ({ item, onCheck, onEdit, onDelete, homeMembers = [] })
     const timeText = formatRelativeTime(item.addedAt);
     const userName = getUserName(item.addedBy);
 
+    // Changed offline and not on the server yet
+    if (item.pendingSync) {
+      return `${timeText} • Waiting to sync`;
+    }
+
     // Only show user name if there are multiple members
     if (homeMembers.length > 1 && userName) {
       return `${timeText} • ${userName}`;
@@ -45,17 +52,7 @@ const ShoppingListItem = ({ item, onCheck, onEdit, onDelete, homeMembers = [] })
   };
 
   // Get category emoji
-  const getCategoryEmoji = (category) => {
-    const emojiMap = {
-      produce: '🥬',
-      dairy: '🥛',
-      meat: '🥩',
-      pantry: '🏺',
-      frozen: '❄️',
-      other: '📦'
-    };
-    return emojiMap[category] || '📦';
-  };
+  const getCategoryEmoji = (category) => getShoppingCategory(category).emoji;
 
   return (
     <div className="relative">
@@ -71,6 +68,7 @@ const ShoppingListItem = ({ item, onCheck, onEdit, onDelete, homeMembers = [] })
           <button
             className="shopping-list-checkbox"
             onClick={handleCheckboxClick}
+            disabled={!onCheck}
             aria-label={`Check ${item.name}`}
             style={{
               backgroundColor: item.checked ? 'var(--color-success)' : 'transparent',
@@ -112,16 +110,18 @@ const ShoppingListItem = ({ item, onCheck, onEdit, onDelete, homeMembers = [] })
         </div>
 
         {/* Delete button (fade in on hover like pantry) */}
-        <div className="list-item-actions">
-          <button
-            onClick={handleDelete}
-            className="btn-icon-delete"
-            aria-label={`Delete ${item.name}`}
-            title="Delete item"
-          >
-            <Trash2 size={16} />
-          </button>
-        </div>
+        {onDelete && (
+          <div className="list-item-actions">
+            <button
+              onClick={handleDelete}
+              className="btn-icon-delete"
+              aria-label={`Delete ${item.name}`}
+              title="Delete item"
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,10 +1,17 @@
 import React from 'react';
-import { Search, Filter, Trash2, ChevronDown } from 'lucide-react';
+import { Search, Filter, Trash2, ChevronDown, PackageCheck, Plus, Edit2, Store } from 'lucide-react';
 
 /**
- * Toolbar for shopping list with search, filters, grouping, and actions
+ * Toolbar for shopping list with list switcher, search, filters, grouping, and actions
+ * Actions whose handler is left out are hidden (the user's role can't do them).
  */
 const ShoppingListToolbar = ({
+  lists = [],
+  activeListId,
+  onListChange,
+  onCreateList,
+  onRenameList,
+  onDeleteList,
   searchQuery,
   onSearchChange,
   onOpenFilter,
@@ -14,10 +21,16 @@ const ShoppingListToolbar = ({
   totalItems = 0,
   checkedItems = 0,
   onClearChecked,
-  homeMembers = []
+  onPutAway,
+  homeMembers = [],
+  storeLayouts = [],
+  activeStoreLayoutId,
+  onStoreLayoutChange,
+  onManageStores
 }) => {
   // Group by options (conditional on home members count)
   const groupByOptions = [
+    ...(storeLayouts.length > 0 ? [{ value: 'aisle', label: 'Store Aisles' }] : []),
     { value: 'category', label: 'Category' },
     { value: 'date', label: 'Date Added' },
     ...(homeMembers.length > 1 ? [{ value: 'user', label: 'User' }] : []),
@@ -25,10 +38,85 @@ const ShoppingListToolbar = ({
     { value: 'none', label: 'No Grouping' }
   ];
 
+  const activeList = lists.find(list => list.id === activeListId);
+
+  const handleCreateList = () => {
+    const name = window.prompt('Name for the new list (e.g. the store you shop at):');
+    if (name?.trim()) {
+      onCreateList(name);
+    }
+  };
+
+  const handleRenameList = () => {
+    const name = window.prompt('Rename list:', activeList.name);
+    if (name?.trim() && name.trim() !== activeList.name) {
+      onRenameList(activeList.id, name);
+    }
+  };
+
+  const handleDeleteList = () => {
+    if (window.confirm(`Delete "${activeList.name}" and all of its items?`)) {
+      onDeleteList(activeList.id);
+    }
+  };
+
   return (
     <div className="card p-4 mb-6">
       <div className="flex flex-col gap-4">
-        {/* Top Row: Search + Item Count */}
+        {/* List Switcher */}
+        <div className="flex flex-wrap gap-2 items-center">
+          <div className="relative flex-1">
+            <select
+              value={activeListId}
+              onChange={(e) => onListChange(e.target.value)}
+              className="btn-base btn-ghost px-4 py-2.5 appearance-none cursor-pointer w-full"
+              style={{
+                backgroundImage: 'none',
+                lineHeight: '1.5',
+                paddingRight: '2.5rem'
+              }}
+              aria-label="Shopping list"
+            >
+              {lists.map(list => (
+                <option key={list.id} value={list.id}>
+                  {list.name}
+                </option>
+              ))}
+            </select>
+            <ChevronDown
+              className="w-4 h-4 icon-color-muted absolute right-2 top-1/2 transform -translate-y-1/2 pointer-events-none"
+            />
+          </div>
+          {onCreateList && (
+            <button
+              onClick={handleCreateList}
+              className="btn-base btn-ghost px-4 py-2 flex items-center gap-2"
+            >
+              <Plus className="w-4 h-4" />
+              New List
+            </button>
+          )}
+          {activeList && !activeList.isDefault && onRenameList && onDeleteList && (
+            <>
+              <button
+                onClick={handleRenameList}
+                className="btn-base btn-ghost px-3 py-2 flex items-center"
+                title="Rename list"
+              >
+                <Edit2 className="w-4 h-4" />
+              </button>
+              <button
+                onClick={handleDeleteList}
+                className="btn-base btn-ghost px-3 py-2 flex items-center"
+                title="Delete list"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </>
+          )}
+        </div>
+
+        {/* Search + Item Count */}
         <div className="flex flex-col sm:flex-row gap-4 items-stretch sm:items-center">
           {/* Search Bar */}
           <div className="flex-1 relative">
@@ -93,16 +181,63 @@ const ShoppingListToolbar = ({
             />
           </div>
 
-          {/* Clear Checked Button */}
-          {checkedItems > 0 && (
+          {/* Store Selector (aisle order) */}
+          {groupBy === 'aisle' && storeLayouts.length > 0 && (
+            <div className="relative">
+              <select
+                value={activeStoreLayoutId || ''}
+                onChange={(e) => onStoreLayoutChange(e.target.value)}
+                className="btn-base btn-ghost px-4 py-2.5 appearance-none cursor-pointer"
+                style={{
+                  backgroundImage: 'none',
+                  lineHeight: '1.5',
+                  paddingRight: '2.5rem',
+                  minWidth: '160px'
+                }}
+                aria-label="Store"
+              >
+                {storeLayouts.map(layout => (
+                  <option key={layout.id} value={layout.id}>
+                    {layout.name}
+                  </option>
+                ))}
+              </select>
+              <ChevronDown
+                className="w-4 h-4 icon-color-muted absolute right-2 top-1/2 transform -translate-y-1/2 pointer-events-none"
+              />
+            </div>
+          )}
+
+          {/* Store Layouts Button */}
+          {onManageStores && (
             <button
-              onClick={onClearChecked}
-              className="btn-base btn-error px-4 py-2 text-sm font-medium flex items-center gap-2 transition-all ml-auto"
+              onClick={onManageStores}
+              className="btn-base btn-ghost px-4 py-2 flex items-center gap-2"
             >
-              <Trash2 size={16} />
-              Clear {checkedItems} Checked
+              <Store className="w-4 h-4" />
+              Stores
             </button>
           )}
+
+          {/* Put Away / Clear Checked Buttons */}
+          {checkedItems > 0 && onPutAway && onClearChecked && (
+            <div className="flex items-center gap-2 ml-auto">
+              <button
+                onClick={onPutAway}
+                className="btn-base btn-primary px-4 py-2 text-sm font-medium flex items-center gap-2 transition-all"
+              >
+                <PackageCheck size={16} />
+                Put Away {checkedItems}
+              </button>
+              <button
+                onClick={onClearChecked}
+                className="btn-base btn-error px-4 py-2 text-sm font-medium flex items-center gap-2 transition-all"
+              >
+                <Trash2 size={16} />
+                Clear {checkedItems} Checked
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </div>
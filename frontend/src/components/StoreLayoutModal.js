@@ -0,0 +1,337 @@
+import React, { useState, useEffect } from 'react';
+import { X, AlertCircle, Trash2, ChevronUp, ChevronDown, Plus } from 'lucide-react';
+import { SHOPPING_CATEGORIES, createDefaultStoreLayout } from '../utils/shoppingCategories';
+
+const NEW_LAYOUT = 'new';
+
+/**
+ * StoreLayoutModal - Edits the aisle order of the stores a household shops at
+ * Each aisle holds any number of categories; a category can only be in one aisle.
+ * New stores start with one aisle per category in the default order.
+ *
+ * @param {boolean} isOpen - Whether the modal is visible
+ * @param {Function} onClose - Callback to close the modal
+ * @param {Object[]} layouts - Saved store layouts
+ * @param {string|null} activeLayoutId - Store shown first
+ * @param {Function} onSave - Saves a layout ({ id?, name, aisles }); resolves to the saved layout or null
+ * @param {Function} onDelete - Deletes a layout by id
+ */
+const StoreLayoutModal = ({
+  isOpen,
+  onClose,
+  layouts = [],
+  activeLayoutId,
+  onSave,
+  onDelete
+}) => {
+  const [selectedId, setSelectedId] = useState(NEW_LAYOUT);
+  const [draft, setDraft] = useState(createDefaultStoreLayout());
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  // ESC key handler
+  useEffect(() => {
+    const handleEscapeKey = (event) => {
+      if (event.key === 'Escape' && isOpen) {
+        onClose();
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscapeKey);
+    }
+
+    return () => {
+      document.removeEventListener('keydown', handleEscapeKey);
+    };
+  }, [isOpen, onClose]);
+
+  // Start with the chosen store each time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setSelectedId(activeLayoutId || NEW_LAYOUT);
+    }
+  }, [isOpen, activeLayoutId]);
+
+  useEffect(() => {
+    const layout = layouts.find(saved => saved.id === selectedId);
+    setDraft(layout
+      ? { id: layout.id, name: layout.name, aisles: layout.aisles.map(aisle => ({ ...aisle })) }
+      : createDefaultStoreLayout());
+    setError('');
+  }, [selectedId, layouts]);
+
+  const updateAisle = (index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      aisles: prev.aisles.map((aisle, i) => (i === index ? { ...aisle, ...changes } : aisle))
+    }));
+  };
+
+  // Adding a category to an aisle takes it out of whichever aisle had it
+  const toggleCategory = (index, categoryId) => {
+    setDraft(prev => ({
+      ...prev,
+      aisles: prev.aisles.map((aisle, i) => {
+        const hasCategory = aisle.categories.includes(categoryId);
+        if (i === index) {
+          return {
+            ...aisle,
+            categories: hasCategory
+              ? aisle.categories.filter(id => id !== categoryId)
+              : [...aisle.categories, categoryId]
+          };
+        }
+        return hasCategory ? { ...aisle, categories: aisle.categories.filter(id => id !== categoryId) } : aisle;
+      })
+    }));
+  };
+
+  const moveAisle = (index, direction) => {
+    setDraft(prev => {
+      const target = index + direction;
+      if (target < 0 || target >= prev.aisles.length) return prev;
+
+      const aisles = [...prev.aisles];
+      [aisles[index], aisles[target]] = [aisles[target], aisles[index]];
+      return { ...prev, aisles };
+    });
+  };
+
+  const removeAisle = (index) => {
+    setDraft(prev => ({ ...prev, aisles: prev.aisles.filter((aisle, i) => i !== index) }));
+  };
+
+  const addAisle = () => {
+    setDraft(prev => ({
+      ...prev,
+      aisles: [...prev.aisles, { name: `Aisle ${prev.aisles.length + 1}`, categories: [] }]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!draft.name.trim()) {
+      setError('Please enter a store name');
+      return;
+    }
+    if (draft.aisles.length === 0) {
+      setError('Add at least one aisle');
+      return;
+    }
+    if (draft.aisles.some(aisle => !aisle.name.trim())) {
+      setError('Every aisle needs a name');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const saved = await onSave({ ...draft, name: draft.name.trim() });
+      if (saved) onClose();
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (window.confirm(`Delete the layout for "${draft.name}"?`)) {
+      setIsLoading(true);
+      try {
+        await onDelete(draft.id);
+        setSelectedId(NEW_LAYOUT);
+      } finally {
+        setIsLoading(false);
+      }
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const assignedCategories = new Set(draft.aisles.flatMap(aisle => aisle.categories));
+  const unassigned = SHOPPING_CATEGORIES.filter(category => !assignedCategories.has(category.id));
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal-container" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="modal-header">
+          <h2 className="modal-title">
+            Store Layouts
+          </h2>
+          <button
+            onClick={onClose}
+            className="modal-close"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <form onSubmit={handleSubmit}>
+          <div className="modal-body space-y-4">
+            {error && (
+              <div className="alert alert-error">
+                <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                <span>{error}</span>
+              </div>
+            )}
+
+            <div>
+              <label htmlFor="storeLayoutSelect" className="block text-sm font-medium mb-2 text-color-secondary">
+                Store
+              </label>
+              <select
+                id="storeLayoutSelect"
+                value={selectedId}
+                onChange={e => setSelectedId(e.target.value)}
+                className="input-base focus-ring w-full"
+                disabled={isLoading}
+              >
+                {layouts.map(layout => (
+                  <option key={layout.id} value={layout.id}>{layout.name}</option>
+                ))}
+                <option value={NEW_LAYOUT}>+ New store</option>
+              </select>
+            </div>
+
+            <div>
+              <label htmlFor="storeLayoutName" className="block text-sm font-medium mb-2 text-color-secondary">
+                Store Name *
+              </label>
+              <input
+                type="text"
+                id="storeLayoutName"
+                value={draft.name}
+                onChange={e => setDraft(prev => ({ ...prev, name: e.target.value }))}
+                className="input-base focus-ring w-full"
+                placeholder="e.g., 'Trader Joe's on Main St'"
+                maxLength={50}
+                disabled={isLoading}
+              />
+            </div>
+
+            {/* Aisles in walking order */}
+            <div className="space-y-3">
+              <h3 className="font-medium text-color-primary">
+                Aisles (in walking order)
+              </h3>
+
+              {draft.aisles.map((aisle, index) => (
+                <div key={index} className="card p-3 space-y-2">
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="text"
+                      value={aisle.name}
+                      onChange={e => updateAisle(index, { name: e.target.value })}
+                      className="input-base focus-ring flex-1"
+                      aria-label={`Aisle ${index + 1} name`}
+                      maxLength={50}
+                      disabled={isLoading}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => moveAisle(index, -1)}
+                      disabled={isLoading || index === 0}
+                      className="btn-base btn-ghost px-2 py-2"
+                      title="Move up"
+                    >
+                      <ChevronUp className="w-4 h-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => moveAisle(index, 1)}
+                      disabled={isLoading || index === draft.aisles.length - 1}
+                      className="btn-base btn-ghost px-2 py-2"
+                      title="Move down"
+                    >
+                      <ChevronDown className="w-4 h-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => removeAisle(index)}
+                      disabled={isLoading}
+                      className="btn-base btn-ghost px-2 py-2"
+                      title="Remove aisle"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+
+                  <div className="flex flex-wrap gap-2">
+                    {SHOPPING_CATEGORIES.map(category => (
+                      <button
+                        key={category.id}
+                        type="button"
+                        onClick={() => toggleCategory(index, category.id)}
+                        disabled={isLoading}
+                        className={`btn-base px-3 py-1 text-sm ${aisle.categories.includes(category.id) ? 'btn-primary' : 'btn-ghost'}`}
+                        aria-pressed={aisle.categories.includes(category.id)}
+                      >
+                        {category.emoji} {category.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ))}
+
+              <button
+                type="button"
+                onClick={addAisle}
+                disabled={isLoading}
+                className="btn-base btn-ghost px-4 py-2 flex items-center gap-2"
+              >
+                <Plus className="w-4 h-4" />
+                Add Aisle
+              </button>
+
+              {unassigned.length > 0 && (
+                <p className="text-sm text-color-muted">
+                  Not in any aisle (shown last): {unassigned.map(category => category.label).join(', ')}
+                </p>
+              )}
+            </div>
+          </div>
+
+          {/* Footer */}
+          <div className="modal-footer" style={{ justifyContent: draft.id ? 'space-between' : 'flex-end' }}>
+            {draft.id && (
+              <button
+                type="button"
+                onClick={handleDelete}
+                disabled={isLoading}
+                className="btn-icon-delete"
+                aria-label={`Delete ${draft.name}`}
+                title="Delete store layout"
+              >
+                <Trash2 size={20} />
+              </button>
+            )}
+
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={onClose}
+                disabled={isLoading}
+                className="btn-base btn-ghost"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="btn-base btn-primary"
+              >
+                {isLoading ? 'Saving...' : 'Save Store'}
+              </button>
+            </div>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default StoreLayoutModal;
@@ -50,9 +50,10 @@ function UnifiedMealModal({
   const [showRecipeSelector, setShowRecipeSelector] = useState(false);
 
   // Completion workflow state
-  const [completionStage, setCompletionStage] = useState('intent'); // 'intent', 'custom-meal', 'edit-mode'
+  const [completionStage, setCompletionStage] = useState('intent'); // 'intent', 'deduction', 'custom-meal', 'edit-mode'
   const [customMealDescription, setCustomMealDescription] = useState('');
   const [customMealNotes, setCustomMealNotes] = useState('');
+  const [deductionPreview, setDeductionPreview] = useState([]);
 
   // Meal type options - memoized to prevent recreation on every render
   const mealTypeOptions = useMemo(() => [
@@ -92,6 +93,7 @@ function UnifiedMealModal({
       setCompletionStage('intent');
       setCustomMealDescription('');
       setCustomMealNotes('');
+      setDeductionPreview([]);
 
       // Set completion mode if needed
       if (currentModalMode === 'complete') {
@@ -299,7 +301,7 @@ function UnifiedMealModal({
   };
 
   // Completion workflow handlers
-  const handleCompleteAsPlanned = async () => {
+  const submitCompletionAsPlanned = async (pantryDeductions = []) => {
     if (!meal) return;
 
     setIsLoading(true);
@@ -314,7 +316,8 @@ function UnifiedMealModal({
         actual: {
           recipeName: meal.planned?.recipeName,
           description: meal.planned?.description || meal.planned?.recipeName
-        }
+        },
+        pantryDeductions
       };
 
       const response = await fetch(`/api/planner/${activeHomeId}/${meal.id}`, {
@@ -337,6 +340,61 @@ function UnifiedMealModal({
     }
   };
 
+  // Ask the backend which pantry items this meal used before completing it
+  const handleCompleteAsPlanned = async () => {
+    if (!meal) return;
+
+    const hasIngredients = meal.planned?.recipeId || meal.planned?.ingredients?.length > 0;
+    if (!hasIngredients || meal.pantryDeducted) {
+      await submitCompletionAsPlanned();
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch(`/api/planner/${activeHomeId}/${meal.id}/deduction-preview`, {
+        method: 'POST',
+        headers: getAuthHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        if (data.deductions?.length > 0) {
+          setDeductionPreview(data.deductions);
+          setCompletionStage('deduction');
+          setIsLoading(false);
+          return;
+        }
+      } else {
+        logger.warn('Deduction preview failed:', response.status);
+      }
+    } catch (err) {
+      logger.warn('Deduction preview error:', err);
+    }
+
+    // No pantry matches (or preview unavailable) - complete without deducting
+    await submitCompletionAsPlanned();
+  };
+
+  const updateDeduction = (index, changes) => {
+    setDeductionPreview(prev => prev.map((entry, i) => (
+      i === index ? { ...entry, ...changes } : entry
+    )));
+  };
+
+  const handleConfirmDeductions = () => {
+    const pantryDeductions = deductionPreview
+      .filter(entry => entry.selected)
+      .map(({ pantryItemId, portion, amount, unit }) => ({
+        pantryItemId,
+        portion,
+        ...(portion === 'custom' && { amount: parseFloat(amount), unit })
+      }));
+    submitCompletionAsPlanned(pantryDeductions);
+  };
+
   const handleCompleteCustom = () => {
     setCompletionStage('custom-meal');
   };
@@ -528,6 +586,97 @@ function UnifiedMealModal({
                 </div>
               )}
 
+              {completionStage === 'deduction' && (
+                <div className="space-y-4">
+                  <div className="section-info-box">
+                    <span className="text-sm text-color-secondary">
+                      Update your pantry for {meal?.planned?.recipeName || meal?.planned?.description}
+                    </span>
+                  </div>
+
+                  <div className="space-y-2">
+                    {deductionPreview.map((entry, index) => (
+                      <div
+                        key={`${entry.pantryItemId}-${index}`}
+                        className="p-3 rounded-lg border border-color-light"
+                      >
+                        <label className="flex items-start gap-2">
+                          <input
+                            type="checkbox"
+                            checked={entry.selected}
+                            onChange={(e) => updateDeduction(index, { selected: e.target.checked })}
+                            className="mt-1"
+                            aria-label={`Deduct ${entry.pantryItemName}`}
+                          />
+                          <div className="flex-1 min-w-0">
+                            <div className="text-sm font-medium text-color-primary">
+                              {entry.pantryItemName}
+                              {entry.needsReview && (
+                                <span className="ml-2 text-xs" style={{ color: 'var(--color-warning)' }}>
+                                  check amount
+                                </span>
+                              )}
+                            </div>
+                            <div className="text-xs text-color-muted truncate">
+                              For: {entry.recipeIngredient} • Have: {entry.currentQuantity}
+                            </div>
+                          </div>
+                        </label>
+
+                        {entry.selected && (
+                          <div className="flex items-center gap-2 mt-2 pl-6">
+                            <select
+                              value={entry.portion}
+                              onChange={(e) => updateDeduction(index, { portion: e.target.value })}
+                              className="form-select text-sm"
+                              aria-label={`Portion of ${entry.pantryItemName} used`}
+                            >
+                              <option value="all">All of it</option>
+                              <option value="half">Half</option>
+                              <option value="quarter">A quarter</option>
+                              <option value="custom">Amount…</option>
+                            </select>
+                            {entry.portion === 'custom' && (
+                              <>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="any"
+                                  value={entry.amount}
+                                  onChange={(e) => updateDeduction(index, { amount: e.target.value })}
+                                  className="form-input text-sm w-20"
+                                  aria-label={`Amount of ${entry.pantryItemName} used`}
+                                />
+                                <span className="text-sm text-color-secondary">{entry.unit}</span>
+                              </>
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+
+                  <div className="flex gap-3">
+                    <button
+                      onClick={() => submitCompletionAsPlanned()}
+                      disabled={isLoading}
+                      className="flex-1 px-4 py-3 rounded-lg font-medium transition-colors bg-tertiary text-color-primary"
+                      aria-label="Complete meal without updating pantry"
+                    >
+                      Skip pantry
+                    </button>
+                    <button
+                      onClick={handleConfirmDeductions}
+                      disabled={isLoading}
+                      className="btn-base btn-primary flex-1 disabled:opacity-50"
+                      aria-label="Update pantry and complete meal"
+                    >
+                      {isLoading ? 'Saving...' : 'Update Pantry'}
+                    </button>
+                  </div>
+                </div>
+              )}
+
               {completionStage === 'custom-meal' && (
                 <div className="space-y-4">
                   {/* Show original plan */}
@@ -0,0 +1,456 @@
+import React, { useState, useEffect } from 'react';
+import { Sparkles, RefreshCw, Repeat, Check } from 'lucide-react';
+import RecipeSelector from './RecipeSelector';
+import logger from '../utils/logger';
+import { formatDateForAPI } from '../utils/dateUtils';
+
+// Icons
+const XIcon = () => <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>;
+
+const MEAL_TYPE_ICONS = {
+  breakfast: '🍳',
+  lunch: '🥗',
+  dinner: '🍽️'
+};
+
+/**
+ * Returns the YYYY-MM-DD string for a date offset by a number of days
+ */
+const shiftDate = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return formatDateForAPI(date);
+};
+
+/**
+ * WeekPlanModal - Generates meals for every empty slot in a week and lets the user review them
+ * Each proposal can be accepted, swapped for a saved recipe or regenerated before
+ * the accepted ones are written to the planner.
+ *
+ * @param {boolean} isOpen - Whether the modal is visible
+ * @param {Function} onClose - Callback to close the modal
+ * @param {Function} onAccepted - Callback with the API result ({ mealPlans, conflicts })
+ * @param {Date} weekStart - First day of the week to plan
+ * @param {Function} getAuthHeaders - Returns auth headers for API calls
+ * @param {string} activeHomeId - Current home ID
+ * @param {Array} pantryItems - Pantry items (passed through to RecipeSelector)
+ */
+export default function WeekPlanModal({
+  isOpen,
+  onClose,
+  onAccepted,
+  weekStart,
+  getAuthHeaders,
+  activeHomeId,
+  pantryItems = []
+}) {
+  const [stage, setStage] = useState('options'); // 'options' | 'generating' | 'review'
+  const [servingSize, setServingSize] = useState('2');
+  const [quickMealsOnly, setQuickMealsOnly] = useState(false);
+  const [slots, setSlots] = useState([]);
+  const [swapSlotKey, setSwapSlotKey] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const weekStartStr = weekStart ? formatDateForAPI(weekStart) : null;
+  const slotKey = (slot) => `${slot.date}|${slot.mealType}`;
+
+  // Reset when modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setStage('options');
+      setSlots([]);
+      setSwapSlotKey(null);
+      setError('');
+    }
+  }, [isOpen]);
+
+  const generationOptions = () => ({
+    servingSize: parseInt(servingSize) || 2,
+    quickMealsOnly,
+    preferences: quickMealsOnly ? ['Quick'] : []
+  });
+
+  const handleGenerate = async () => {
+    if (!getAuthHeaders || !activeHomeId || !weekStartStr) return;
+
+    setStage('generating');
+    setError('');
+
+    try {
+      const response = await fetch(`/api/planner/${activeHomeId}/week-plan`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ weekStart: weekStartStr, ...generationOptions() })
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        logger.debug('📅 Week plan generated:', data);
+        setSlots(data.slots.map(slot => ({ ...slot, accepted: !!slot.recipe, isRegenerating: false })));
+        setStage('review');
+      } else {
+        const errorData = await response.json().catch(() => ({}));
+        setError(errorData.error || 'Failed to generate week plan');
+        setStage('options');
+      }
+    } catch (err) {
+      logger.error('❌ Error generating week plan:', err);
+      setError('Failed to generate week plan. Please try again.');
+      setStage('options');
+    }
+  };
+
+  const updateSlot = (key, changes) => {
+    setSlots(prev => prev.map(slot => (slotKey(slot) === key ? { ...slot, ...changes } : slot)));
+  };
+
+  const handleRegenerateSlot = async (slot) => {
+    const key = slotKey(slot);
+    const others = slots.filter(other => slotKey(other) !== key);
+
+    // Keep variety relative to the surrounding days and don't reuse other meals' pantry items
+    const nearbyDates = [shiftDate(slot.date, -1), slot.date, shiftDate(slot.date, 1)];
+    const neighbors = [...others, slot]
+      .filter(other => nearbyDates.includes(other.date))
+      .map(other => ({ date: other.date, protein: other.protein, cuisine: other.cuisine }));
+
+    updateSlot(key, { isRegenerating: true });
+
+    try {
+      const response = await fetch(`/api/planner/${activeHomeId}/week-plan/slot`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({
+          date: slot.date,
+          mealType: slot.mealType,
+          neighbors,
+          avoidTitles: slots.map(other => other.recipe?.title).filter(Boolean),
+          reservedPantryItemIds: others.flatMap(other => other.pantryItemIds || []),
+          ...generationOptions()
+        })
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        updateSlot(key, {
+          ...data.slot,
+          savedRecipeId: null,
+          accepted: !!data.slot.recipe,
+          isRegenerating: false
+        });
+      } else {
+        const errorData = await response.json().catch(() => ({}));
+        setError(errorData.error || 'Failed to regenerate meal');
+        updateSlot(key, { isRegenerating: false });
+      }
+    } catch (err) {
+      logger.error('❌ Error regenerating week plan slot:', err);
+      setError('Failed to regenerate meal. Please try again.');
+      updateSlot(key, { isRegenerating: false });
+    }
+  };
+
+  const handleSwapSelected = (recipe) => {
+    updateSlot(swapSlotKey, {
+      recipe,
+      savedRecipeId: recipe.id,
+      protein: null,
+      cuisine: null,
+      pantryItemIds: [],
+      pantryItemNames: [],
+      refusalReason: null,
+      accepted: true
+    });
+    setSwapSlotKey(null);
+  };
+
+  const acceptedSlots = slots.filter(slot => slot.accepted && slot.recipe);
+
+  const handleSave = async () => {
+    if (acceptedSlots.length === 0) return;
+
+    setIsSaving(true);
+    setError('');
+
+    try {
+      const response = await fetch(`/api/planner/${activeHomeId}/week-plan/accept`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({
+          servingSize: parseInt(servingSize) || 2,
+          slots: acceptedSlots.map(slot => ({
+            date: slot.date,
+            mealType: slot.mealType,
+            recipe: slot.recipe,
+            savedRecipeId: slot.savedRecipeId || null,
+            // Swapped-in saved recipes weren't generated for the slot's protein/cuisine
+            protein: slot.savedRecipeId ? null : slot.protein,
+            cuisine: slot.savedRecipeId ? null : slot.cuisine
+          }))
+        })
+      });
+
+      if (response.ok) {
+        const result = await response.json();
+        onAccepted(result);
+        onClose();
+      } else {
+        const errorData = await response.json().catch(() => ({}));
+        setError(errorData.error || 'Failed to save week plan');
+      }
+    } catch (err) {
+      logger.error('❌ Error saving week plan:', err);
+      setError('Failed to save week plan. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const inputStyle = {
+    backgroundColor: 'var(--bg-tertiary)',
+    borderColor: 'var(--border-medium)',
+    color: 'var(--text-primary)',
+    '--tw-ring-color': 'var(--color-primary)'
+  };
+
+  const slotsByDate = slots.reduce((groups, slot) => {
+    (groups[slot.date] = groups[slot.date] || []).push(slot);
+    return groups;
+  }, {});
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-end lg:items-center justify-center">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0"
+        style={{ backgroundColor: 'rgba(0, 0, 0, 0.5)' }}
+        onClick={stage === 'generating' ? undefined : onClose}
+      />
+
+      {/* Modal */}
+      <div
+        className="relative w-full max-w-2xl bg-white rounded-t-2xl lg:rounded-2xl shadow-xl max-h-[90vh] flex flex-col"
+        style={{ backgroundColor: 'var(--bg-card)' }}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b" style={{ borderColor: 'var(--border-light)' }}>
+          <h2 className="text-lg font-semibold" style={{ color: 'var(--text-primary)' }}>
+            Plan My Week
+          </h2>
+          <button
+            onClick={onClose}
+            disabled={stage === 'generating'}
+            className="p-2 rounded-full hover:bg-opacity-80 transition-colors disabled:opacity-50"
+            style={{ backgroundColor: 'var(--bg-tertiary)' }}
+          >
+            <XIcon />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto p-4">
+          {error && (
+            <div className="mb-4 p-3 rounded-lg" style={{ backgroundColor: 'var(--color-error-light)', color: 'var(--color-error)' }}>
+              {error}
+            </div>
+          )}
+
+          {stage === 'options' && (
+            <div className="space-y-4">
+              <p className="text-sm" style={{ color: 'var(--text-secondary)' }}>
+                Roscoe fills every empty breakfast, lunch and dinner this week, spreading your pantry
+                items (soonest-expiring first) across the days and mixing up proteins and cuisines.
+              </p>
+
+              <div>
+                <label className="block text-sm font-medium mb-2" style={{ color: 'var(--text-primary)' }}>
+                  Servings per meal
+                </label>
+                <input
+                  type="number"
+                  value={servingSize}
+                  onChange={(e) => setServingSize(e.target.value)}
+                  min="1"
+                  max="20"
+                  className="w-full p-3 rounded-lg border transition-colors focus:outline-none focus:ring-2"
+                  style={inputStyle}
+                />
+              </div>
+
+              <label className="flex items-center gap-2 text-sm" style={{ color: 'var(--text-primary)' }}>
+                <input
+                  type="checkbox"
+                  checked={quickMealsOnly}
+                  onChange={(e) => setQuickMealsOnly(e.target.checked)}
+                />
+                Quick meals only (under 30 minutes)
+              </label>
+
+              <div className="flex gap-3 pt-4">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="flex-1 px-4 py-3 rounded-lg font-medium transition-colors"
+                  style={{ backgroundColor: 'var(--bg-tertiary)', color: 'var(--text-primary)' }}
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleGenerate}
+                  className="flex-1 flex items-center justify-center gap-2 px-4 py-3 rounded-lg font-medium transition-colors"
+                  style={{ backgroundColor: 'var(--color-primary)', color: 'white' }}
+                >
+                  <Sparkles size={16} />
+                  Plan Week
+                </button>
+              </div>
+            </div>
+          )}
+
+          {stage === 'generating' && (
+            <div className="text-center py-12">
+              <div className="w-8 h-8 border-2 border-t-transparent rounded-full animate-spin mx-auto mb-4" style={{ borderColor: 'var(--color-primary)' }} />
+              <p style={{ color: 'var(--text-secondary)' }}>Planning your week... this can take a minute.</p>
+            </div>
+          )}
+
+          {stage === 'review' && (
+            <div className="space-y-4">
+              {slots.length === 0 && (
+                <p className="text-sm text-center py-8" style={{ color: 'var(--text-secondary)' }}>
+                  Every breakfast, lunch and dinner this week is already planned.
+                </p>
+              )}
+
+              {Object.entries(slotsByDate).map(([date, daySlots]) => (
+                <div key={date}>
+                  <h3 className="text-sm font-semibold mb-2" style={{ color: 'var(--text-primary)' }}>
+                    {new Date(`${date}T00:00:00`).toLocaleDateString([], { weekday: 'long', month: 'short', day: 'numeric' })}
+                  </h3>
+                  <div className="space-y-2">
+                    {daySlots.map(slot => {
+                      const key = slotKey(slot);
+                      return (
+                        <div
+                          key={key}
+                          className="p-3 rounded-lg border"
+                          style={{
+                            backgroundColor: 'var(--bg-tertiary)',
+                            borderColor: slot.accepted ? 'var(--color-primary)' : 'var(--border-light)'
+                          }}
+                        >
+                          <div className="flex items-start gap-3">
+                            <input
+                              type="checkbox"
+                              checked={slot.accepted}
+                              disabled={!slot.recipe || slot.isRegenerating}
+                              onChange={(e) => updateSlot(key, { accepted: e.target.checked })}
+                              className="mt-1"
+                              aria-label={`Accept ${slot.mealType}`}
+                            />
+                            <div className="flex-1 min-w-0">
+                              <div className="text-xs uppercase mb-1" style={{ color: 'var(--text-muted)' }}>
+                                {MEAL_TYPE_ICONS[slot.mealType]} {slot.mealType}
+                              </div>
+                              {slot.isRegenerating ? (
+                                <div className="text-sm" style={{ color: 'var(--text-secondary)' }}>Regenerating...</div>
+                              ) : slot.recipe ? (
+                                <>
+                                  <div className="font-medium text-sm" style={{ color: 'var(--text-primary)' }}>
+                                    {slot.recipe.title}
+                                  </div>
+                                  {(slot.protein || slot.cuisine) && (
+                                    <div className="text-xs mt-1" style={{ color: 'var(--text-secondary)' }}>
+                                      {[slot.protein, slot.cuisine].filter(Boolean).join(' · ')}
+                                    </div>
+                                  )}
+                                  {slot.pantryItemNames?.length > 0 && (
+                                    <div className="text-xs mt-1" style={{ color: 'var(--text-muted)' }}>
+                                      Uses: {slot.pantryItemNames.join(', ')}
+                                    </div>
+                                  )}
+                                </>
+                              ) : (
+                                <div className="text-sm" style={{ color: 'var(--color-error)' }}>
+                                  {slot.refusalReason || 'No recipe generated'}
+                                </div>
+                              )}
+                            </div>
+                            <div className="flex gap-1">
+                              <button
+                                onClick={() => setSwapSlotKey(key)}
+                                disabled={slot.isRegenerating}
+                                className="p-2 rounded-lg transition-colors disabled:opacity-50"
+                                style={{ backgroundColor: 'var(--bg-card)', color: 'var(--text-primary)' }}
+                                aria-label="Swap for a saved recipe"
+                                title="Swap for a saved recipe"
+                              >
+                                <Repeat size={16} />
+                              </button>
+                              <button
+                                onClick={() => handleRegenerateSlot(slot)}
+                                disabled={slot.isRegenerating}
+                                className="p-2 rounded-lg transition-colors disabled:opacity-50"
+                                style={{ backgroundColor: 'var(--bg-card)', color: 'var(--text-primary)' }}
+                                aria-label="Regenerate"
+                                title="Regenerate"
+                              >
+                                <RefreshCw size={16} />
+                              </button>
+                            </div>
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+
+              <div className="flex gap-3 pt-4">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="flex-1 px-4 py-3 rounded-lg font-medium transition-colors"
+                  style={{ backgroundColor: 'var(--bg-tertiary)', color: 'var(--text-primary)' }}
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSave}
+                  disabled={isSaving || acceptedSlots.length === 0 || slots.some(slot => slot.isRegenerating)}
+                  className="flex-1 flex items-center justify-center gap-2 px-4 py-3 rounded-lg font-medium transition-colors disabled:opacity-50"
+                  style={{ backgroundColor: 'var(--color-primary)', color: 'white' }}
+                >
+                  {isSaving ? (
+                    <div className="w-4 h-4 border-2 border-t-transparent rounded-full animate-spin" />
+                  ) : (
+                    <Check size={16} />
+                  )}
+                  Add {acceptedSlots.length} Meal{acceptedSlots.length !== 1 ? 's' : ''}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Swap with a saved recipe */}
+      {swapSlotKey && (
+        <RecipeSelector
+          isOpen={!!swapSlotKey}
+          onClose={() => setSwapSlotKey(null)}
+          onRecipeSelected={handleSwapSelected}
+          selectedDate={swapSlotKey.split('|')[0]}
+          selectedMealType={swapSlotKey.split('|')[1]}
+          getAuthHeaders={getAuthHeaders}
+          activeHomeId={activeHomeId}
+          pantryItems={pantryItems}
+          mode="select-only"
+        />
+      )}
+    </div>
+  );
+}
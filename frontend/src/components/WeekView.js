@@ -1,5 +1,5 @@
 import React, { useMemo, useState } from 'react';
-import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { ChevronLeft, ChevronRight, ShoppingCart, Sparkles } from 'lucide-react';
 import { formatDateForAPI } from '../utils/dateUtils';
 import { MAX_MEAL_DOTS } from '../constants/plannerConstants';
 
@@ -11,8 +11,10 @@ import { MAX_MEAL_DOTS } from '../constants/plannerConstants';
  * @param {Date} initialWeekStart - Initial week to display (defaults to current week)
  * @param {Function} onDayClick - Callback when a day is clicked, receives Date object
  * @param {Function} onWeekChange - Callback when week navigation changes, receives new week start Date
+ * @param {Function} onPlanWeek - Optional callback to plan the displayed week, receives week start Date
+ * @param {Function} onGenerateShoppingList - Optional callback to shop for the displayed week, receives week start Date
  */
-const WeekView = ({ mealPlans = [], initialWeekStart, onDayClick, onWeekChange }) => {
+const WeekView = ({ mealPlans = [], initialWeekStart, onDayClick, onWeekChange, onPlanWeek, onGenerateShoppingList }) => {
   // Internal state for which week to display in the calendar
   const [displayWeekStart, setDisplayWeekStart] = useState(() => {
     if (initialWeekStart) return initialWeekStart;
@@ -112,6 +114,22 @@ const WeekView = ({ mealPlans = [], initialWeekStart, onDayClick, onWeekChange }
           {getWeekRangeDisplay()}
         </div>
         <div className="week-view-nav">
+          {onPlanWeek && (
+            <button
+              onClick={() => onPlanWeek(displayWeekStart)}
+              aria-label="Plan this week"
+            >
+              <Sparkles size={18} />
+            </button>
+          )}
+          {onGenerateShoppingList && (
+            <button
+              onClick={() => onGenerateShoppingList(displayWeekStart)}
+              aria-label="Add this week's ingredients to shopping list"
+            >
+              <ShoppingCart size={18} />
+            </button>
+          )}
           <button
             onClick={handlePrevWeek}
             aria-label="Previous week"
@@ -0,0 +1,134 @@
+// AdherenceReport.js - Planned-vs-actual meal analytics for the planner analytics page
+import React from 'react';
+
+const OUTCOMES = [
+  { key: 'asPlanned', rateKey: 'asPlannedRate', label: 'Made as planned', color: 'var(--color-success)' },
+  { key: 'substituted', rateKey: 'substitutedRate', label: 'Substituted', color: 'var(--color-warning)' },
+  { key: 'skipped', rateKey: 'skippedRate', label: 'Skipped', color: 'var(--color-error)' }
+];
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const formatPeriodLabel = (startDate) => {
+  // Parse as local date so the label matches the planner's day
+  const [year, month, day] = startDate.split('-').map(Number);
+  return `Week of ${new Date(year, month - 1, day).toLocaleDateString([], { month: 'short', day: 'numeric' })}`;
+};
+
+/**
+ * Planned-vs-actual report
+ * Shows the adherence breakdown, most-skipped recipes, meal types most often
+ * left empty and protein/cuisine variety per week.
+ *
+ * @param {Object} analytics - Response from GET /api/planner/:homeId/analytics
+ */
+const AdherenceReport = ({ analytics }) => {
+  if (!analytics) return null;
+
+  const { adherence, mostSkippedRecipes, emptyMealTypes, variety } = analytics;
+
+  return (
+    <div className="space-y-6">
+      {/* Adherence */}
+      <div className="card p-6">
+        <div className="flex items-baseline justify-between mb-4">
+          <h3 className="font-semibold text-color-primary">Adherence</h3>
+          <span className="text-sm text-color-muted">{adherence.planned} planned meals so far</span>
+        </div>
+
+        {adherence.planned === 0 ? (
+          <p className="text-sm text-color-muted">No planned meals in this range yet.</p>
+        ) : (
+          <>
+            {/* Stacked bar */}
+            <div className="flex w-full h-3 rounded-full overflow-hidden bg-tertiary mb-4">
+              {OUTCOMES.map(({ key, rateKey, color }) => (
+                <div key={key} style={{ width: `${adherence[rateKey]}%`, backgroundColor: color }} />
+              ))}
+            </div>
+            <div className="grid grid-cols-3 gap-3">
+              {OUTCOMES.map(({ key, rateKey, label, color }) => (
+                <div key={key} className="text-center">
+                  <div className="text-2xl font-bold" style={{ color }}>{adherence[rateKey]}%</div>
+                  <div className="text-xs text-color-muted">{label} ({adherence[key]})</div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        {adherence.unplanned > 0 && (
+          <p className="text-xs mt-4 text-color-muted">
+            Plus {adherence.unplanned} meal{adherence.unplanned === 1 ? '' : 's'} logged without a plan
+          </p>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {/* Most skipped recipes */}
+        <div className="card p-6">
+          <h3 className="font-semibold mb-4 text-color-primary">Most Skipped Recipes</h3>
+          {mostSkippedRecipes.length === 0 ? (
+            <p className="text-sm text-color-muted">Nothing skipped - nice!</p>
+          ) : (
+            <ul className="space-y-2">
+              {mostSkippedRecipes.map(recipe => (
+                <li key={recipe.recipeId || recipe.recipeName} className="flex items-center justify-between gap-3 text-sm">
+                  <span className="truncate text-color-primary">{recipe.recipeName}</span>
+                  <span className="flex-shrink-0 text-color-muted">
+                    skipped {recipe.skipped} of {recipe.planned}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Empty meal types */}
+        <div className="card p-6">
+          <h3 className="font-semibold mb-4 text-color-primary">Meals Left Unplanned</h3>
+          <ul className="space-y-3">
+            {emptyMealTypes.map(({ mealType, emptyDays, emptyRate }) => (
+              <li key={mealType}>
+                <div className="flex items-center justify-between text-sm mb-1">
+                  <span className="text-color-primary">{capitalize(mealType)}</span>
+                  <span className="text-color-muted">{emptyDays} days ({emptyRate}%)</span>
+                </div>
+                <div className="w-full h-1.5 rounded-full overflow-hidden bg-tertiary">
+                  <div className="h-full" style={{ width: `${emptyRate}%`, backgroundColor: 'var(--color-warning)' }} />
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+
+      {/* Variety over time */}
+      <div className="card p-6">
+        <h3 className="font-semibold mb-1 text-color-primary">Variety</h3>
+        <p className="text-sm mb-4 text-color-muted">Distinct proteins and cuisines eaten each week</p>
+        <ul className="space-y-4">
+          {variety.map(period => (
+            <li key={period.startDate}>
+              <div className="flex items-center justify-between text-sm mb-1">
+                <span className="font-medium text-color-primary">{formatPeriodLabel(period.startDate)}</span>
+                <span className="text-color-muted">
+                  {period.distinctProteins} proteins · {period.distinctCuisines} cuisines · {period.mealCount} meals
+                </span>
+              </div>
+              <div className="flex flex-wrap gap-1">
+                {[...Object.entries(period.proteins), ...Object.entries(period.cuisines)].map(([name, count]) => (
+                  <span key={name} className="text-xs px-2 py-0.5 rounded-full bg-tertiary text-color-secondary">
+                    {name}{count > 1 ? ` ×${count}` : ''}
+                  </span>
+                ))}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default AdherenceReport;
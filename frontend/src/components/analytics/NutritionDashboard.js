@@ -0,0 +1,156 @@
+// NutritionDashboard.js - Daily and per-member nutrition totals for the planner analytics page
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+const MACROS = [
+  { key: 'calories', label: 'Calories', unit: 'kcal' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'carbs', label: 'Carbs', unit: 'g' },
+  { key: 'fat', label: 'Fat', unit: 'g' },
+  { key: 'fiber', label: 'Fiber', unit: 'g' },
+  { key: 'sodium', label: 'Sodium', unit: 'mg' }
+];
+
+const formatDayLabel = (dateStr) => {
+  // Parse as local date so the label matches the planner's day
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+};
+
+/**
+ * Progress bar comparing an average against a target
+ * Turns to the warning color once the target is exceeded
+ */
+const TargetBar = ({ value, target }) => {
+  const percent = target ? Math.min((value / target) * 100, 100) : 0;
+  const isOver = target && value > target;
+
+  return (
+    <div className="w-full h-1.5 rounded-full overflow-hidden bg-tertiary">
+      <div
+        className="h-full transition-all"
+        style={{
+          width: `${percent}%`,
+          backgroundColor: isOver ? 'var(--color-warning)' : 'var(--color-success)'
+        }}
+      />
+    </div>
+  );
+};
+
+/**
+ * Nutrition dashboard section
+ * Shows per-member daily averages against their targets and a day-by-day table
+ * with days missing meal logs highlighted.
+ *
+ * @param {Object} dashboard - Response from GET /api/planner/:homeId/nutrition
+ */
+const NutritionDashboard = ({ dashboard }) => {
+  if (!dashboard) return null;
+
+  const { days, members, summary } = dashboard;
+  const pastDays = days.filter(day => !day.isFuture).reverse();
+
+  return (
+    <div className="space-y-6">
+      {/* Summary */}
+      <div className="grid grid-cols-3 gap-3">
+        <div className="card p-4 text-center">
+          <div className="text-2xl font-bold text-color-primary">{summary.loggedDays}</div>
+          <div className="text-xs text-color-muted">Days logged</div>
+        </div>
+        <div className="card p-4 text-center">
+          <div className="text-2xl font-bold" style={{ color: summary.daysWithMissingLogs > 0 ? 'var(--color-warning)' : 'var(--text-primary)' }}>
+            {summary.daysWithMissingLogs}
+          </div>
+          <div className="text-xs text-color-muted">Days missing logs</div>
+        </div>
+        <div className="card p-4 text-center">
+          <div className="text-2xl font-bold text-color-primary">{summary.unestimatedMeals}</div>
+          <div className="text-xs text-color-muted">Meals without estimate</div>
+        </div>
+      </div>
+
+      {/* Per-member averages vs targets */}
+      <div className="card">
+        <div className="p-6 border-b border-color-light">
+          <h3 className="font-semibold text-color-primary">Daily Average per Member</h3>
+          <p className="text-sm text-color-muted">
+            One serving of every eaten meal per member, averaged over logged days
+          </p>
+        </div>
+        <div className="divide-y" style={{ borderColor: 'var(--border-light)' }}>
+          {members.map(member => (
+            <div key={member.id} className="p-6">
+              <div className="flex items-center justify-between mb-3">
+                <span className="font-medium text-color-primary">{member.name}</span>
+                {member.daysOverCalories > 0 && (
+                  <span className="text-xs px-2 py-0.5 rounded-full" style={{ backgroundColor: 'var(--color-warning-light)', color: 'var(--color-warning)' }}>
+                    Over calories on {member.daysOverCalories} day{member.daysOverCalories === 1 ? '' : 's'}
+                  </span>
+                )}
+              </div>
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+                {MACROS.map(({ key, label, unit }) => {
+                  const target = member.targets?.[key];
+                  return (
+                    <div key={key}>
+                      <div className="flex items-baseline justify-between text-xs mb-1">
+                        <span className="text-color-secondary">{label}</span>
+                        <span className="text-color-muted">
+                          {member.dailyAverage[key]}{target ? ` / ${target}` : ''} {unit}
+                        </span>
+                      </div>
+                      {target ? (
+                        <TargetBar value={member.dailyAverage[key]} target={target} />
+                      ) : (
+                        <div className="text-xs text-color-muted">No target</div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Day-by-day totals */}
+      <div className="card">
+        <div className="p-6 border-b border-color-light">
+          <h3 className="font-semibold text-color-primary">Daily Totals</h3>
+          <p className="text-sm text-color-muted">Per member, with the household total in calories</p>
+        </div>
+        <ul>
+          {pastDays.map(day => (
+            <li
+              key={day.date}
+              className="px-6 py-3 border-b border-color-light"
+              style={day.hasMissingLogs ? { backgroundColor: 'var(--color-warning-light)' } : undefined}
+            >
+              <div className="flex items-center justify-between gap-3">
+                <span className="font-medium text-sm text-color-primary">{formatDayLabel(day.date)}</span>
+                <span className="text-sm text-color-secondary">
+                  {day.perMember.calories} kcal · {day.perMember.protein}g P · {day.perMember.carbs}g C · {day.perMember.fat}g F
+                </span>
+              </div>
+              <div className="flex items-center justify-between gap-3 mt-1 text-xs text-color-muted">
+                {day.hasMissingLogs ? (
+                  <span className="flex items-center gap-1" style={{ color: 'var(--color-warning)' }}>
+                    <AlertTriangle size={12} />
+                    Missing: {day.missingMealTypes.join(', ')}
+                  </span>
+                ) : (
+                  <span>{day.mealsLogged} meals logged</span>
+                )}
+                <span>Household: {day.household.calories} kcal</span>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default NutritionDashboard;
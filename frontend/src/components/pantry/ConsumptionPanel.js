@@ -0,0 +1,264 @@
+// ConsumptionPanel.js - Pantry usage history and run-out forecast
+import React, { useState, useEffect, useCallback } from 'react';
+import { ChevronDown, RefreshCw, ShoppingCart, TrendingDown } from 'lucide-react';
+import { useToast } from '../../contexts/ToastContext';
+import logger from '../../utils/logger';
+
+const HISTORY_RANGE_OPTIONS = [
+  { days: 14, label: '2 weeks' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' }
+];
+
+const formatRunOut = (daysUntilRunOut) => {
+  if (daysUntilRunOut === 0) return 'Runs out today';
+  if (daysUntilRunOut === 1) return 'Runs out tomorrow';
+  return `Runs out in ${daysUntilRunOut} days`;
+};
+
+const formatEventDate = (isoString) =>
+  new Date(isoString).toLocaleDateString([], { month: 'short', day: 'numeric' });
+
+const formatAmount = (amount, unit) => `${amount} ${unit === 'each' ? (amount === 1 ? 'item' : 'items') : unit}`;
+
+/**
+ * Pantry consumption panel
+ * Collapsed by default; once opened it loads consumption history per item and
+ * run-out forecasts, and lets the user push items likely to run out this week
+ * onto the shopping list.
+ *
+ * @param {Function} getAuthHeaders - Returns auth headers for API calls
+ * @param {string} activeHomeId - Current home ID
+ */
+const ConsumptionPanel = ({ getAuthHeaders, activeHomeId }) => {
+  const { showSuccess, showError } = useToast();
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [historyDays, setHistoryDays] = useState(HISTORY_RANGE_OPTIONS[1].days);
+  const [data, setData] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [expandedHistory, setExpandedHistory] = useState(null);
+  const [isAdding, setIsAdding] = useState(false);
+
+  const fetchConsumption = useCallback(async () => {
+    if (!activeHomeId) return;
+
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await fetch(`/api/pantry/${activeHomeId}/consumption?days=${historyDays}`, {
+        headers: getAuthHeaders()
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to load pantry usage');
+
+      setData(result);
+      setSelectedIds(result.runningOutThisWeek.map(entry => entry.pantryItemId));
+    } catch (err) {
+      logger.error('Error fetching pantry consumption:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [activeHomeId, historyDays, getAuthHeaders]);
+
+  useEffect(() => {
+    if (isExpanded) fetchConsumption();
+  }, [isExpanded, fetchConsumption]);
+
+  const toggleSelected = (pantryItemId) => {
+    setSelectedIds(prev => (prev.includes(pantryItemId)
+      ? prev.filter(id => id !== pantryItemId)
+      : [...prev, pantryItemId]));
+  };
+
+  const handleAddToShoppingList = async () => {
+    if (selectedIds.length === 0) return;
+
+    setIsAdding(true);
+    try {
+      const response = await fetch(`/api/shopping-list/${activeHomeId}/from-forecast`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ pantryItemIds: selectedIds })
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to add items to shopping list');
+
+      const added = result.items.length;
+      const skippedText = result.skippedCount > 0 ? ` (${result.skippedCount} already on the list)` : '';
+      showSuccess(`Added ${added} item${added === 1 ? '' : 's'} to the shopping list${skippedText}`);
+      setSelectedIds([]);
+    } catch (err) {
+      logger.error('Error adding forecast items to shopping list:', err);
+      showError(err.message);
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  const runningOut = data?.runningOutThisWeek || [];
+  const history = data?.history || [];
+
+  return (
+    <div className="card mb-8">
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center justify-between p-6 text-left"
+        aria-expanded={isExpanded}
+      >
+        <div className="flex items-center gap-3">
+          <TrendingDown size={20} style={{ color: 'var(--color-primary)' }} />
+          <div>
+            <h2 className="text-lg font-semibold text-color-primary">Usage & Forecast</h2>
+            <p className="text-sm text-color-muted">What you use and what will run out soon</p>
+          </div>
+        </div>
+        <ChevronDown
+          size={20}
+          className="text-color-muted transition-transform"
+          style={{ transform: isExpanded ? 'rotate(180deg)' : 'none' }}
+        />
+      </button>
+
+      {isExpanded && (
+        <div className="px-6 pb-6 space-y-6">
+          {/* Range selector */}
+          <div className="flex items-center gap-2">
+            {HISTORY_RANGE_OPTIONS.map(option => (
+              <button
+                key={option.days}
+                onClick={() => setHistoryDays(option.days)}
+                className="px-3 py-1 rounded-lg text-sm font-medium transition-colors"
+                style={{
+                  backgroundColor: historyDays === option.days ? 'var(--color-primary)' : 'var(--bg-tertiary)',
+                  color: historyDays === option.days ? 'white' : 'var(--text-secondary)'
+                }}
+              >
+                {option.label}
+              </button>
+            ))}
+            <button
+              onClick={fetchConsumption}
+              disabled={isLoading}
+              className="ml-auto p-2 rounded-lg text-color-muted hover:text-color-primary"
+              aria-label="Refresh forecast"
+            >
+              <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
+            </button>
+          </div>
+
+          {error && (
+            <div className="p-3 rounded-lg text-sm" style={{ backgroundColor: 'var(--color-error-light)', color: 'var(--color-error)' }}>
+              {error}
+            </div>
+          )}
+
+          {isLoading && !data ? (
+            <p className="text-sm text-color-muted">Loading usage...</p>
+          ) : data && (
+            <>
+              {/* Running out this week */}
+              <div>
+                <h3 className="font-semibold mb-3 text-color-primary">Likely to Run Out This Week</h3>
+                {runningOut.length === 0 ? (
+                  <p className="text-sm text-color-muted">
+                    Nothing is projected to run out in the next 7 days.
+                  </p>
+                ) : (
+                  <>
+                    <ul className="space-y-2 mb-4">
+                      {runningOut.map(entry => (
+                        <li key={entry.pantryItemId}>
+                          <label className="flex items-start gap-3 p-3 rounded-lg bg-tertiary cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={selectedIds.includes(entry.pantryItemId)}
+                              onChange={() => toggleSelected(entry.pantryItemId)}
+                              className="mt-1"
+                            />
+                            <div className="flex-1 min-w-0">
+                              <div className="flex items-center justify-between gap-3">
+                                <span className="font-medium text-color-primary truncate">{entry.name}</span>
+                                <span className="text-xs flex-shrink-0" style={{ color: 'var(--color-warning)' }}>
+                                  {formatRunOut(entry.daysUntilRunOut)}
+                                </span>
+                              </div>
+                              <div className="text-xs text-color-muted">
+                                {entry.quantity} left
+                                {entry.dailyRate > 0 && ` · ~${formatAmount(entry.dailyRate, entry.unit)}/day`}
+                                {entry.plannedMealCount > 0 &&
+                                  ` · in ${entry.plannedMealCount} planned meal${entry.plannedMealCount === 1 ? '' : 's'}`}
+                              </div>
+                            </div>
+                          </label>
+                        </li>
+                      ))}
+                    </ul>
+                    <button
+                      onClick={handleAddToShoppingList}
+                      disabled={isAdding || selectedIds.length === 0}
+                      className="btn-base btn-primary flex items-center gap-2 disabled:opacity-50"
+                    >
+                      <ShoppingCart size={16} />
+                      {isAdding ? 'Adding...' : `Add ${selectedIds.length} to Shopping List`}
+                    </button>
+                  </>
+                )}
+              </div>
+
+              {/* Consumption history */}
+              <div>
+                <h3 className="font-semibold mb-3 text-color-primary">Consumption History</h3>
+                {history.length === 0 ? (
+                  <p className="text-sm text-color-muted">
+                    No pantry items used in this period. Deduct ingredients after cooking to build up history.
+                  </p>
+                ) : (
+                  <ul className="divide-y" style={{ borderColor: 'var(--border-light)' }}>
+                    {history.map(entry => {
+                      const key = entry.pantryItemId || entry.name;
+                      const isOpen = expandedHistory === key;
+                      return (
+                        <li key={key} className="py-3">
+                          <button
+                            onClick={() => setExpandedHistory(isOpen ? null : key)}
+                            className="w-full flex items-center justify-between gap-3 text-left"
+                          >
+                            <span className="text-sm font-medium text-color-primary truncate">
+                              {entry.name}
+                              {!entry.pantryItemId && <span className="ml-2 text-xs text-color-muted">(used up)</span>}
+                            </span>
+                            <span className="text-xs flex-shrink-0 text-color-muted">
+                              {formatAmount(entry.totalUsed, entry.unit)} over {entry.useCount} use{entry.useCount === 1 ? '' : 's'}
+                            </span>
+                          </button>
+                          {isOpen && (
+                            <ul className="mt-2 space-y-1">
+                              {entry.events.map(event => (
+                                <li key={event.id} className="flex items-center justify-between text-xs text-color-secondary">
+                                  <span>{formatEventDate(event.consumedAt)}{event.mealPlanId ? ' · planned meal' : ''}</span>
+                                  <span>
+                                    {formatAmount(event.amountUsed, event.unit)}
+                                    {event.itemRemoved ? ' (finished)' : ''}
+                                  </span>
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConsumptionPanel;
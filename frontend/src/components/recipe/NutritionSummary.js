@@ -0,0 +1,48 @@
+// NutritionSummary.js - Per-serving nutrition facts for recipes and meals
+import React from 'react';
+
+const NUTRIENTS = [
+  { key: 'calories', label: 'Calories', unit: '' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'carbs', label: 'Carbs', unit: 'g' },
+  { key: 'fat', label: 'Fat', unit: 'g' },
+  { key: 'fiber', label: 'Fiber', unit: 'g' },
+  { key: 'sodium', label: 'Sodium', unit: 'mg' }
+];
+
+/**
+ * Nutrition summary component
+ * Shows a grid of per-serving values, or a one-line summary when compact
+ */
+const NutritionSummary = ({ nutrition, compact = false }) => {
+  const perServing = nutrition?.perServing;
+  if (!perServing) return null;
+
+  if (compact) {
+    return (
+      <span className="text-xs text-color-muted">
+        {perServing.calories} kcal · {perServing.protein}g protein
+      </span>
+    );
+  }
+
+  return (
+    <div>
+      <div className="grid grid-cols-3 sm:grid-cols-6 gap-2">
+        {NUTRIENTS.map(({ key, label, unit }) => (
+          <div key={key} className="p-2 rounded-lg text-center bg-tertiary">
+            <div className="font-semibold text-sm text-color-primary">
+              {perServing[key]}{unit}
+            </div>
+            <div className="text-xs text-color-muted">{label}</div>
+          </div>
+        ))}
+      </div>
+      <p className="text-xs mt-2 text-color-muted">
+        Estimated per serving{nutrition.unmatched?.length > 0 && ` (excludes ${nutrition.unmatched.length} unrecognized ingredient${nutrition.unmatched.length === 1 ? '' : 's'})`}
+      </p>
+    </div>
+  );
+};
+
+export default NutritionSummary;
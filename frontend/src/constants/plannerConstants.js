@@ -26,3 +26,14 @@ export const MEAL_TIME_BOUNDARIES = {
   LUNCH_CUTOFF: 15,      // 10am-3pm = lunch
   DINNER_CUTOFF: 21      // 3pm-9pm = dinner, after 9pm = snacks
 };
+
+/**
+ * Date ranges offered on the planner analytics page (days ending today)
+ * The backend caps nutrition dashboards at 62 days
+ */
+export const ANALYTICS_RANGE_OPTIONS = [
+  { days: 7, label: '7 days' },
+  { days: 14, label: '14 days' },
+  { days: 30, label: '30 days' },
+  { days: 60, label: '60 days' }
+];
@@ -0,0 +1,144 @@
+import { useEffect, useRef } from 'react';
+import logger from '../utils/logger';
+
+// Reconnect delays after a dropped stream (last value repeats)
+const RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000, 30000];
+
+/**
+ * Parse one server-sent event block ("event: change\nid: 3\ndata: {...}")
+ * @param {string} block - Raw event text without the trailing blank line
+ * @returns {Object|null} - { event, data } or null for comments/heartbeats
+ */
+const parseEventBlock = (block) => {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+  });
+
+  if (dataLines.length === 0) return null;
+  return { event, data: JSON.parse(dataLines.join('\n')) };
+};
+
+/**
+ * Custom hook for following live changes to a home's pantry, planner and shopping list
+ *
+ * Opens the home's event stream (`/api/homes/:homeId/events`) with the user's auth
+ * headers and calls `onChange` for every change; callers pick the collections they
+ * show by `change.collection`. Changes made by this user arrive too, so merges
+ * must be idempotent (see utils/liveChanges.js).
+ * The stream is closed while the tab is hidden. Each time it (re)connects after the
+ * first connection `onResync` is called, so the caller can refetch whatever changed
+ * while it was disconnected; the server asks for the same after replacing a home's
+ * data wholesale (restoring an archive). Once the user is removed from the home
+ * the server closes the stream for good and it isn't reopened.
+ *
+ * @param {Function} getAuthHeaders - Function that returns auth headers
+ * @param {string} activeHomeId - The active home ID
+ * @param {Object} handlers - Event handlers
+ * @param {Function} handlers.onChange - Called with each change event ({ collection, upserted, deleted, actorId }),
+ *   where collection is 'pantry' | 'planner' | 'shopping' | 'shoppingLists' | 'storeLayouts'
+ * @param {Function} [handlers.onResync] - Called after reconnecting or when the server asks for a refetch
+ */
+const useHomeEvents = (getAuthHeaders, activeHomeId, { onChange, onResync }) => {
+  // Handlers change on every render; keep the latest without reopening the stream
+  const handlersRef = useRef({ onChange, onResync, getAuthHeaders });
+  handlersRef.current = { onChange, onResync, getAuthHeaders };
+
+  useEffect(() => {
+    if (!activeHomeId) return undefined;
+
+    let controller = null;
+    let reconnectTimer = null;
+    let attempt = 0;
+    let hasConnected = false;
+    let stopped = false;
+
+    const scheduleReconnect = () => {
+      if (stopped || document.hidden) return;
+      const delay = RECONNECT_DELAYS_MS[Math.min(attempt, RECONNECT_DELAYS_MS.length - 1)];
+      attempt++;
+      reconnectTimer = setTimeout(connect, delay);
+    };
+
+    const handleBlock = (block) => {
+      const parsed = parseEventBlock(block);
+      if (!parsed) return;
+
+      if (parsed.event === 'ready') {
+        attempt = 0;
+        if (hasConnected) handlersRef.current.onResync?.();
+        hasConnected = true;
+      } else if (parsed.event === 'change') {
+        handlersRef.current.onChange(parsed.data);
+      } else if (parsed.event === 'resync') {
+        handlersRef.current.onResync?.();
+      } else if (parsed.event === 'removed') {
+        stopped = true;
+      }
+    };
+
+    async function connect() {
+      controller = new AbortController();
+
+      try {
+        const response = await fetch(`/api/homes/${activeHomeId}/events`, {
+          headers: handlersRef.current.getAuthHeaders(),
+          signal: controller.signal
+        });
+
+        if (!response.ok || !response.body) {
+          throw new Error(`Event stream failed (${response.status})`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+          blocks.forEach(handleBlock);
+        }
+
+        logger.debug('Home event stream ended', { homeId: activeHomeId });
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        logger.warn('Home event stream error:', err.message);
+      }
+
+      scheduleReconnect();
+    }
+
+    const disconnect = () => {
+      clearTimeout(reconnectTimer);
+      controller?.abort();
+    };
+
+    // Don't hold a connection open for a tab nobody is looking at
+    const handleVisibilityChange = () => {
+      disconnect();
+      if (!document.hidden && !stopped) {
+        attempt = 0;
+        connect();
+      }
+    };
+
+    connect();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      stopped = true;
+      disconnect();
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [activeHomeId]);
+};
+
+export default useHomeEvents;
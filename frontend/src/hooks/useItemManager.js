@@ -1,5 +1,6 @@
 import { useState, useCallback } from 'react';
 import { useToast } from '../contexts/ToastContext';
+import { upsertItems } from '../utils/liveChanges';
 
 const useItemManager = (getAuthHeaders, activeHomeId) => {
   const { showSuccess, showError } = useToast();
@@ -24,7 +25,8 @@ const useItemManager = (getAuthHeaders, activeHomeId) => {
         ...newItem,
         createdAt: new Date().toISOString() // Add current timestamp for expiry calculations
       };
-      setItems(prev => [displayItem, ...prev]);
+      // The live update for this item may have arrived first
+      setItems(prev => upsertItems(prev, [displayItem], { prepend: true }));
 
       // Show success toast with undo option
       showSuccess(`✓ Added "${itemToAdd.name}" to ${itemToAdd.location}`, {
@@ -151,7 +153,7 @@ const useItemManager = (getAuthHeaders, activeHomeId) => {
         id: newItemsData[index].id,
       }));
       
-      setItems(prev => [...displayItems, ...prev]);
+      setItems(prev => upsertItems(prev, displayItems, { prepend: true }));
       
       // Show success toast for bulk AI detection
       showSuccess(`✓ Added ${detectedItems.length} items to pantry`, {
@@ -0,0 +1,28 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Custom hook for tracking whether the browser has a network connection
+ * Follows the browser's online/offline events; a weak connection can still
+ * report online, so callers should also treat failed requests as offline.
+ * @returns {boolean} - True while online
+ */
+const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return isOnline;
+};
+
+export default useOnlineStatus;
@@ -1,72 +1,385 @@
-import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useToast } from '../contexts/ToastContext';
+import useHomeEvents from './useHomeEvents';
+import useOnlineStatus from './useOnlineStatus';
+import { applyItemChanges, upsertItems } from '../utils/liveChanges';
+import { hasOfflineCache, readOfflineCache, writeOfflineCache, isNetworkError } from '../utils/offlineCache';
+import {
+  DEFAULT_SHOPPING_LIST_ID,
+  getShoppingListUrl,
+  createShoppingMutation,
+  enqueueShoppingMutation,
+  applyShoppingMutation,
+  sendShoppingMutation
+} from '../utils/shoppingQueue';
+import { SHOPPING_CATEGORY_IDS, groupItemsByAisle } from '../utils/shoppingCategories';
 import logger from '../utils/logger';
 
+// Responses that mean "try this queued change again later" rather than "drop it"
+const RETRY_LATER_STATUSES = [401, 429];
+
+// Wait before replaying deferred changes again, growing with each failed attempt
+const RETRY_DELAYS_MS = [2000, 5000, 15000, 30000, 60000];
+
+// Shown until the home's lists have loaded; the default list always exists
+const DEFAULT_LIST = { id: DEFAULT_SHOPPING_LIST_ID, name: 'Shopping List', isDefault: true };
+
+const OFFLINE_ACTION_MESSAGE = 'This needs a connection - try again once you\'re back online';
+
+/**
+ * Keep only the items that belong to a list
+ * @param {Object[]} items - Items from any of the home's lists
+ * @param {string} listId - List to keep
+ * @returns {Object[]} - Items in the list
+ */
+const inList = (items, listId) => items.filter(item => (item.listId || DEFAULT_SHOPPING_LIST_ID) === listId);
+
 /**
  * Custom hook for managing shopping list state and operations
+ *
+ * The list is cached on the device and works offline: add, check, edit and delete
+ * are applied locally and queued (see utils/shoppingQueue.js), then replayed in
+ * order when the connection comes back.
+ *
+ * A home can have several named lists (one per store, say). Items are shown for
+ * the active list only; creating, renaming and deleting lists and moving items
+ * between them need a connection. Saved store layouts let the list be grouped by
+ * aisle in a chosen store's walking order (groupBy 'aisle').
  * @param {Function} getAuthHeaders - Function that returns auth headers
  * @param {string} activeHomeId - The active home ID
  * @returns {Object} Shopping list state and operations
  */
 const useShoppingList = (getAuthHeaders, activeHomeId) => {
-  const { showSuccess, showError } = useToast();
+  const { showSuccess, showError, showInfo } = useToast();
+  const isOnline = useOnlineStatus();
   const [items, setItems] = useState([]);
+  const [lists, setLists] = useState(null);
+  const [activeListId, setActiveListId] = useState(() => {
+    const saved = localStorage.getItem('shoppingListActiveList');
+    return saved || DEFAULT_SHOPPING_LIST_ID;
+  });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [pendingChanges, setPendingChanges] = useState(0);
+  const [syncRetries, setSyncRetries] = useState(0);
   const [searchQuery, setSearchQuery] = useState('');
   const [groupBy, setGroupBy] = useState(() => {
     const saved = localStorage.getItem('shoppingListGroupBy');
     return saved || 'none';
   });
+  const [storeLayouts, setStoreLayouts] = useState([]);
+  const [activeStoreLayoutId, setActiveStoreLayoutId] = useState(() => {
+    return localStorage.getItem('shoppingListStoreLayout') || null;
+  });
   const [filters, setFilters] = useState({
-    categories: ['produce', 'dairy', 'meat', 'pantry', 'frozen', 'other'],
+    categories: SHOPPING_CATEGORY_IDS,
     status: 'all', // all, checked, unchecked
     users: [], // empty = all users
     dateAdded: 'all' // all, today, this-week, older
   });
 
+  // Offline queue lives in a ref so a running sync sees changes queued meanwhile
+  const queueRef = useRef([]);
+  const cachedListRef = useRef(null);
+  const isSyncingRef = useRef(false);
+  const retryTimerRef = useRef(null);
+  const retryAttemptRef = useRef(0);
+
   // Persist groupBy preference to localStorage
   useEffect(() => {
     localStorage.setItem('shoppingListGroupBy', groupBy);
   }, [groupBy]);
 
-  // Fetch shopping list on mount
-  const fetchShoppingList = useCallback(async () => {
+  // Persist the chosen store to localStorage
+  useEffect(() => {
+    if (activeStoreLayoutId) {
+      localStorage.setItem('shoppingListStoreLayout', activeStoreLayoutId);
+    } else {
+      localStorage.removeItem('shoppingListStoreLayout');
+    }
+  }, [activeStoreLayoutId]);
+
+  // Persist the active list to localStorage
+  useEffect(() => {
+    localStorage.setItem('shoppingListActiveList', activeListId);
+  }, [activeListId]);
+
+  // Fall back to the default list when the active one is gone (deleted, or from another home)
+  useEffect(() => {
+    if (lists && !lists.some(list => list.id === activeListId)) {
+      setActiveListId(DEFAULT_SHOPPING_LIST_ID);
+    }
+  }, [lists, activeListId]);
+
+  // Keep a copy of the list on the device (declared before the cache load below so
+  // a home or list switch never writes the previous list's items under the new one)
+  useEffect(() => {
+    const cached = cachedListRef.current;
+    if (cached?.homeId) {
+      writeOfflineCache(`shopping:${cached.listId}`, cached.homeId, items);
+    }
+  }, [items]);
+
+  // Show the cached lists and pending offline changes straight away
+  useEffect(() => {
+    setLists(readOfflineCache('shopping-lists', activeHomeId, null));
+    setStoreLayouts(readOfflineCache('store-layouts', activeHomeId, []));
+    queueRef.current = readOfflineCache('shopping-queue', activeHomeId, []);
+    setPendingChanges(queueRef.current.length);
+  }, [activeHomeId]);
+
+  useEffect(() => {
+    cachedListRef.current = { homeId: activeHomeId || null, listId: activeListId };
+    setItems(readOfflineCache(`shopping:${activeListId}`, activeHomeId, []));
+  }, [activeHomeId, activeListId]);
+
+  const updateQueue = useCallback((update) => {
+    queueRef.current = update(queueRef.current);
+    setPendingChanges(queueRef.current.length);
+    writeOfflineCache('shopping-queue', activeHomeId, queueRef.current);
+  }, [activeHomeId]);
+
+  // Fetch shopping list (silently when a cached copy is shown or when resyncing)
+  const fetchShoppingList = useCallback(async ({ silent = false } = {}) => {
     if (!activeHomeId) {
       setLoading(false);
       return;
     }
 
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       setError(null);
 
-      const response = await fetch(`/api/shopping-list/${activeHomeId}`, {
+      const response = await fetch(getShoppingListUrl(activeHomeId, activeListId), {
         headers: getAuthHeaders()
       });
 
+      // The list was deleted by someone else - the default list is loaded instead
+      if (response.status === 404 && activeListId !== DEFAULT_SHOPPING_LIST_ID) {
+        setActiveListId(DEFAULT_SHOPPING_LIST_ID);
+        return;
+      }
+
       if (!response.ok) {
         throw new Error('Failed to fetch shopping list');
       }
 
       const data = await response.json();
-      setItems(data.items || []);
-      logger.debug('Shopping list fetched', { itemCount: data.items?.length || 0 });
+      // Offline changes that haven't been sent yet stay applied on top of the server's list
+      setItems(inList(queueRef.current.reduce(applyShoppingMutation, data.items || []), activeListId));
+      logger.debug('Shopping list fetched', { listId: activeListId, itemCount: data.items?.length || 0 });
     } catch (err) {
       logger.error('Error fetching shopping list:', err);
+      if (silent) return;
       setError(err.message);
       showError('Failed to load shopping list');
     } finally {
       setLoading(false);
     }
-  }, [getAuthHeaders, activeHomeId, showError]);
+  }, [getAuthHeaders, activeHomeId, activeListId, showError]);
+
+  // Fetch the home's lists (the cached copy is kept when offline)
+  const fetchLists = useCallback(async () => {
+    if (!activeHomeId) return;
+
+    try {
+      const response = await fetch(`/api/shopping-list/${activeHomeId}/lists`, {
+        headers: getAuthHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch shopping lists');
+      }
+
+      const data = await response.json();
+      setLists(data.lists);
+      writeOfflineCache('shopping-lists', activeHomeId, data.lists);
+    } catch (err) {
+      logger.error('Error fetching shopping lists:', err);
+    }
+  }, [getAuthHeaders, activeHomeId]);
 
   // Fetch on mount
   useEffect(() => {
-    fetchShoppingList();
-  }, [fetchShoppingList]);
+    fetchShoppingList({ silent: hasOfflineCache(`shopping:${activeListId}`, activeHomeId) });
+  }, [fetchShoppingList, activeHomeId, activeListId]);
+
+  // Fetch the home's store layouts (the cached copy is kept when offline)
+  const fetchStoreLayouts = useCallback(async () => {
+    if (!activeHomeId) return;
+
+    try {
+      const response = await fetch(`/api/shopping-list/${activeHomeId}/store-layouts`, {
+        headers: getAuthHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch store layouts');
+      }
+
+      const data = await response.json();
+      setStoreLayouts(data.layouts);
+      writeOfflineCache('store-layouts', activeHomeId, data.layouts);
+    } catch (err) {
+      logger.error('Error fetching store layouts:', err);
+    }
+  }, [getAuthHeaders, activeHomeId]);
+
+  useEffect(() => {
+    fetchLists();
+    fetchStoreLayouts();
+  }, [fetchLists, fetchStoreLayouts]);
+
+  // Apply a change locally and queue it for replay
+  const queueChange = useCallback((type, itemId, payload) => {
+    const mutation = createShoppingMutation(type, itemId, payload);
+    updateQueue(queue => enqueueShoppingMutation(queue, mutation));
+    setItems(prev => applyShoppingMutation(prev, mutation));
+    logger.debug('Shopping list change queued', { type, itemId });
+    return mutation;
+  }, [updateQueue]);
+
+  // Queue instead of sending while offline, or while earlier changes are still queued (keeps order)
+  const shouldQueue = useCallback(() => !navigator.onLine || queueRef.current.length > 0, []);
+
+  // Replay queued changes in order; stops at the first one that can't be sent yet
+  const syncQueue = useCallback(async () => {
+    if (!activeHomeId || isSyncingRef.current || queueRef.current.length === 0) return;
+
+    isSyncingRef.current = true;
+    clearTimeout(retryTimerRef.current);
+    let sentCount = 0;
+    let conflictCount = 0;
+    let rejectedCount = 0;
+    let deferred = false;
+
+    try {
+      while (queueRef.current.length > 0) {
+        const mutation = queueRef.current[0];
+
+        let response;
+        try {
+          response = await sendShoppingMutation(mutation, activeHomeId, getAuthHeaders);
+        } catch (err) {
+          logger.debug('Queued shopping changes not sent yet:', err.message);
+          break;
+        }
+
+        if (response.status >= 500 || RETRY_LATER_STATUSES.includes(response.status)) {
+          logger.warn('Queued shopping change deferred:', response.status);
+          deferred = true;
+          break;
+        }
+
+        if (response.status === 409) {
+          // Someone else changed the item after this change was made - theirs wins
+          conflictCount++;
+        } else if (!response.ok && response.status !== 404) {
+          // 404 means the item is already gone; anything else can never succeed
+          logger.error('Queued shopping change rejected:', response.status, mutation.type);
+          rejectedCount++;
+        }
+
+        updateQueue(queue => queue.filter(queued => queued.id !== mutation.id));
+        sentCount++;
+      }
+    } finally {
+      isSyncingRef.current = false;
+    }
+
+    // The server couldn't take the change yet (busy, rate limited) - try again later
+    if (deferred) {
+      const delay = RETRY_DELAYS_MS[Math.min(retryAttemptRef.current, RETRY_DELAYS_MS.length - 1)];
+      retryAttemptRef.current++;
+      retryTimerRef.current = setTimeout(() => setSyncRetries(count => count + 1), delay);
+    } else {
+      retryAttemptRef.current = 0;
+    }
+
+    if (sentCount === 0) return;
+
+    logger.debug('Queued shopping changes synced', {
+      sentCount,
+      conflictCount,
+      remaining: queueRef.current.length
+    });
+
+    if (conflictCount > 0) {
+      showInfo(`${conflictCount} offline change${conflictCount === 1 ? ' was' : 's were'} skipped because someone else updated the same item`);
+    }
+    if (rejectedCount > 0) {
+      showError(`${rejectedCount} offline change${rejectedCount === 1 ? ' was' : 's were'} discarded because the server refused ${rejectedCount === 1 ? 'it' : 'them'}`);
+    }
+
+    // Replace placeholders and skipped changes with the server's copies
+    await fetchShoppingList({ silent: true });
+  }, [activeHomeId, getAuthHeaders, updateQueue, fetchShoppingList, showInfo, showError]);
+
+  // Send queued changes whenever there are some and we're online (and again after a deferral)
+  useEffect(() => {
+    if (isOnline && pendingChanges > 0) {
+      syncQueue();
+    }
+  }, [isOnline, pendingChanges, syncQueue, syncRetries]);
+
+  // Drop a pending retry when the home changes or the list unmounts
+  useEffect(() => () => {
+    clearTimeout(retryTimerRef.current);
+    retryAttemptRef.current = 0;
+  }, [activeHomeId]);
+
+  // Merge changes made by other household members (and this user's other devices)
+  const handleLiveChange = useCallback((change) => {
+    if (change.collection === 'shoppingLists') {
+      setLists(prev => {
+        const next = applyItemChanges(prev || [DEFAULT_LIST], change);
+        writeOfflineCache('shopping-lists', activeHomeId, next);
+        return next;
+      });
+      return;
+    }
+
+    if (change.collection === 'storeLayouts') {
+      setStoreLayouts(prev => {
+        const next = applyItemChanges(prev, change);
+        writeOfflineCache('store-layouts', activeHomeId, next);
+        return next;
+      });
+      return;
+    }
+
+    if (change.collection !== 'shopping') return;
+
+    // Items moved to another list leave this one
+    const movedAway = change.upserted
+      .filter(item => item.listId !== activeListId)
+      .map(item => item.id);
+    const listChange = {
+      upserted: inList(change.upserted, activeListId),
+      deleted: [...change.deleted, ...movedAway]
+    };
 
-  // Add item with AI parsing
+    setItems(prev => inList(
+      queueRef.current.reduce(applyShoppingMutation, applyItemChanges(prev, listChange)),
+      activeListId
+    ));
+    logger.debug('Shopping list change received', {
+      upserted: listChange.upserted.length,
+      deleted: listChange.deleted.length
+    });
+  }, [activeHomeId, activeListId]);
+
+  useHomeEvents(getAuthHeaders, activeHomeId, {
+    onChange: handleLiveChange,
+    onResync: () => {
+      syncQueue();
+      fetchLists();
+      fetchStoreLayouts();
+      fetchShoppingList({ silent: true });
+    }
+  });
+
+  // Add item with AI parsing (parsed by the server once back online when offline)
   const addItem = useCallback(async (text) => {
     if (!text || text.trim().length === 0) {
       showError('Please enter an item');
@@ -78,11 +391,18 @@ const useShoppingList = (getAuthHeaders, activeHomeId) => {
       return null;
     }
 
+    const queueAdd = () => {
+      const mutation = queueChange('add', crypto.randomUUID(), { text: text.trim(), listId: activeListId });
+      return applyShoppingMutation([], mutation)[0];
+    };
+
+    if (shouldQueue()) return queueAdd();
+
     try {
       setLoading(true);
       setError(null);
 
-      const response = await fetch(`/api/shopping-list/${activeHomeId}/items`, {
+      const response = await fetch(`${getShoppingListUrl(activeHomeId, activeListId)}/items`, {
         method: 'POST',
         headers: getAuthHeaders(),
         body: JSON.stringify({ text: text.trim() })
@@ -96,14 +416,16 @@ const useShoppingList = (getAuthHeaders, activeHomeId) => {
       const data = await response.json();
       const newItem = data.item;
 
-      // Add to local state
-      setItems(prev => [...prev, newItem]);
+      // Add to local state (the live update for this item may have arrived first)
+      setItems(prev => upsertItems(prev, [newItem]));
 
       showSuccess(`Added "${newItem.name}"`);
       logger.debug('Item added to shopping list', { itemName: newItem.name });
 
       return newItem;
     } catch (err) {
+      if (isNetworkError(err)) return queueAdd();
+
       logger.error('Error adding item:', err);
       setError(err.message);
       showError(err.message);
@@ -111,12 +433,17 @@ const useShoppingList = (getAuthHeaders, activeHomeId) => {
     } finally {
       setLoading(false);
     }
-  }, [getAuthHeaders, activeHomeId, showSuccess, showError]);
+  }, [getAuthHeaders, activeHomeId, activeListId, showSuccess, showError, queueChange, shouldQueue]);
 
   // Toggle item checked state
   const toggleCheck = useCallback(async (itemId, checked) => {
     if (!activeHomeId) return;
 
+    if (shouldQueue()) {
+      queueChange('check', itemId, { checked });
+      return;
+    }
+
     try {
       const response = await fetch(`/api/shopping-list/${activeHomeId}/items/${itemId}/check`, {
         method: 'PATCH',
@@ -147,15 +474,25 @@ const useShoppingList = (getAuthHeaders, activeHomeId) => {
 
       logger.debug('Item checked state updated', { itemId, checked });
     } catch (err) {
+      if (isNetworkError(err)) {
+        queueChange('check', itemId, { checked });
+        return;
+      }
+
       logger.error('Error toggling check:', err);
       showError('Failed to update item');
     }
-  }, [getAuthHeaders, activeHomeId, showSuccess, showError]);
+  }, [getAuthHeaders, activeHomeId, showSuccess, showError, queueChange, shouldQueue]);
 
   // Edit item fields
   const editItem = useCallback(async (itemId, updates) => {
     if (!activeHomeId) return;
 
+    if (shouldQueue()) {
+      queueChange('edit', itemId, updates);
+      return;
+    }
+
     try {
       const response = await fetch(`/api/shopping-list/${activeHomeId}/items/${itemId}`, {
         method: 'PATCH',
@@ -177,10 +514,15 @@ const useShoppingList = (getAuthHeaders, activeHomeId) => {
 
       logger.debug('Item updated', { itemId, updates });
     } catch (err) {
+      if (isNetworkError(err)) {
+        queueChange('edit', itemId, updates);
+        return;
+      }
+
       logger.error('Error editing item:', err);
       showError('Failed to update item');
     }
-  }, [getAuthHeaders, activeHomeId, showError]);
+  }, [getAuthHeaders, activeHomeId, showError, queueChange, shouldQueue]);
 
   // Delete item
   const deleteItem = useCallback(async (itemId) => {
@@ -189,6 +531,11 @@ const useShoppingList = (getAuthHeaders, activeHomeId) => {
     const itemToDelete = items.find(item => item.id === itemId);
     if (!itemToDelete) return;
 
+    if (shouldQueue()) {
+      queueChange('delete', itemId);
+      return;
+    }
+
     try {
       const response = await fetch(`/api/shopping-list/${activeHomeId}/items/${itemId}`, {
         method: 'DELETE',
@@ -205,24 +552,36 @@ const useShoppingList = (getAuthHeaders, activeHomeId) => {
       showSuccess(`Deleted "${itemToDelete.name}"`);
       logger.debug('Item deleted', { itemId, itemName: itemToDelete.name });
     } catch (err) {
+      if (isNetworkError(err)) {
+        queueChange('delete', itemId);
+        return;
+      }
+
       logger.error('Error deleting item:', err);
       showError('Failed to delete item');
     }
-  }, [items, getAuthHeaders, activeHomeId, showSuccess, showError]);
+  }, [items, getAuthHeaders, activeHomeId, showSuccess, showError, queueChange, shouldQueue]);
 
   // Clear all checked items
   const clearCheckedItems = useCallback(async () => {
     if (!activeHomeId) return;
 
-    const checkedCount = items.filter(item => item.checked).length;
+    const checkedList = items.filter(item => item.checked);
+    const checkedCount = checkedList.length;
 
     if (checkedCount === 0) {
       showError('No checked items to clear');
       return;
     }
 
+    // Offline this is a delete per item, so it only clears what this device has checked
+    if (shouldQueue()) {
+      checkedList.forEach(item => queueChange('delete', item.id));
+      return;
+    }
+
     try {
-      const response = await fetch(`/api/shopping-list/${activeHomeId}/checked`, {
+      const response = await fetch(`${getShoppingListUrl(activeHomeId, activeListId)}/checked`, {
         method: 'DELETE',
         headers: getAuthHeaders()
       });
@@ -240,10 +599,261 @@ const useShoppingList = (getAuthHeaders, activeHomeId) => {
       logger.error('Error clearing checked items:', err);
       showError('Failed to clear checked items');
     }
-  }, [items, getAuthHeaders, activeHomeId, showSuccess, showError]);
+  }, [items, getAuthHeaders, activeHomeId, activeListId, showSuccess, showError, queueChange, shouldQueue]);
+
+  // Move checked items into the pantry, then drop them from the list
+  const putAwayCheckedItems = useCallback(async () => {
+    if (!activeHomeId) return;
+
+    const checkedCount = items.filter(item => item.checked).length;
+
+    if (checkedCount === 0) {
+      showError('No checked items to put away');
+      return;
+    }
+
+    // Needs the server's AI matching, so it can't be queued
+    if (!navigator.onLine) {
+      showError(OFFLINE_ACTION_MESSAGE);
+      return;
+    }
+
+    // Checks made offline must reach the server before it picks the checked items
+    await syncQueue();
+
+    try {
+      const response = await fetch(`${getShoppingListUrl(activeHomeId, activeListId)}/checked/put-away`, {
+        method: 'POST',
+        headers: getAuthHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to put items away');
+      }
+
+      const data = await response.json();
+      const movedIds = new Set(data.results.map(result => result.shoppingItemId));
+
+      // Remove moved items from local state
+      setItems(prev => prev.filter(item => !movedIds.has(item.id)));
+
+      const mergedText = data.mergedCount > 0 ? ` (${data.mergedCount} merged with existing items)` : '';
+      showSuccess(`Put away ${data.movedCount} item${data.movedCount === 1 ? '' : 's'} in the pantry${mergedText}`);
+      logger.debug('Checked items put away', { movedCount: data.movedCount, mergedCount: data.mergedCount });
+    } catch (err) {
+      logger.error('Error putting away checked items:', err);
+      showError('Failed to put items away');
+    }
+  }, [items, getAuthHeaders, activeHomeId, activeListId, showSuccess, showError, syncQueue]);
+
+  // Create a named list and switch to it
+  const createList = useCallback(async (name) => {
+    if (!activeHomeId || !name?.trim()) return null;
+
+    if (!navigator.onLine) {
+      showError(OFFLINE_ACTION_MESSAGE);
+      return null;
+    }
+
+    try {
+      const response = await fetch(`/api/shopping-list/${activeHomeId}/lists`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ name: name.trim() })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create list');
+      }
+
+      setLists(prev => upsertItems(prev || [DEFAULT_LIST], [data.list]));
+      setActiveListId(data.list.id);
+
+      showSuccess(`Created "${data.list.name}"`);
+      logger.debug('Shopping list created', { listId: data.list.id });
+
+      return data.list;
+    } catch (err) {
+      logger.error('Error creating shopping list:', err);
+      showError(err.message);
+      return null;
+    }
+  }, [getAuthHeaders, activeHomeId, showSuccess, showError]);
+
+  // Rename a named list
+  const renameList = useCallback(async (listId, name) => {
+    if (!activeHomeId || !name?.trim()) return;
+
+    if (!navigator.onLine) {
+      showError(OFFLINE_ACTION_MESSAGE);
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/shopping-list/${activeHomeId}/lists/${listId}`, {
+        method: 'PATCH',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ name: name.trim() })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to rename list');
+      }
+
+      setLists(prev => upsertItems(prev || [DEFAULT_LIST], [data.list]));
+      logger.debug('Shopping list renamed', { listId });
+    } catch (err) {
+      logger.error('Error renaming shopping list:', err);
+      showError(err.message);
+    }
+  }, [getAuthHeaders, activeHomeId, showError]);
+
+  // Delete a named list and its items
+  const deleteList = useCallback(async (listId) => {
+    if (!activeHomeId) return;
+
+    const listToDelete = lists?.find(list => list.id === listId);
+    if (!listToDelete || listToDelete.isDefault) return;
+
+    if (!navigator.onLine) {
+      showError(OFFLINE_ACTION_MESSAGE);
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/shopping-list/${activeHomeId}/lists/${listId}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders()
+      });
+
+      if (!response.ok && response.status !== 404) {
+        throw new Error('Failed to delete list');
+      }
+
+      // The active list falls back to the default list (see the effect above)
+      setLists(prev => (prev || [DEFAULT_LIST]).filter(list => list.id !== listId));
+
+      showSuccess(`Deleted "${listToDelete.name}"`);
+      logger.debug('Shopping list deleted', { listId });
+    } catch (err) {
+      logger.error('Error deleting shopping list:', err);
+      showError('Failed to delete list');
+    }
+  }, [lists, getAuthHeaders, activeHomeId, showSuccess, showError]);
+
+  // Move an item to another list
+  const moveItem = useCallback(async (itemId, listId) => {
+    if (!activeHomeId) return;
+
+    const itemToMove = items.find(item => item.id === itemId);
+    const targetList = lists?.find(list => list.id === listId);
+    if (!itemToMove || !targetList || (itemToMove.listId || DEFAULT_SHOPPING_LIST_ID) === listId) return;
+
+    if (!navigator.onLine) {
+      showError(OFFLINE_ACTION_MESSAGE);
+      return;
+    }
+
+    // An item added offline must exist on the server before it can move
+    await syncQueue();
+
+    try {
+      const response = await fetch(`/api/shopping-list/${activeHomeId}/items/${itemId}/move`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ listId })
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to move item');
+      }
+
+      // Remove from this list's local state
+      setItems(prev => prev.filter(item => item.id !== itemId));
+
+      showSuccess(`Moved "${itemToMove.name}" to ${targetList.name}`);
+      logger.debug('Item moved', { itemId, listId });
+    } catch (err) {
+      logger.error('Error moving item:', err);
+      showError('Failed to move item');
+    }
+  }, [items, lists, getAuthHeaders, activeHomeId, showSuccess, showError, syncQueue]);
+
+  // Save a store layout (creates it when it has no id yet) and make it the chosen store
+  const saveStoreLayout = useCallback(async (layout) => {
+    if (!activeHomeId) return null;
+
+    if (!navigator.onLine) {
+      showError(OFFLINE_ACTION_MESSAGE);
+      return null;
+    }
+
+    try {
+      const baseUrl = `/api/shopping-list/${activeHomeId}/store-layouts`;
+      const response = await fetch(layout.id ? `${baseUrl}/${layout.id}` : baseUrl, {
+        method: layout.id ? 'PUT' : 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ name: layout.name, aisles: layout.aisles })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save store layout');
+      }
+
+      setStoreLayouts(prev => upsertItems(prev, [data.layout]));
+      setActiveStoreLayoutId(data.layout.id);
+
+      showSuccess(`Saved "${data.layout.name}"`);
+      logger.debug('Store layout saved', { layoutId: data.layout.id, aisleCount: data.layout.aisles.length });
+
+      return data.layout;
+    } catch (err) {
+      logger.error('Error saving store layout:', err);
+      showError(err.message);
+      return null;
+    }
+  }, [getAuthHeaders, activeHomeId, showSuccess, showError]);
+
+  // Delete a store layout
+  const deleteStoreLayout = useCallback(async (layoutId) => {
+    if (!activeHomeId) return;
+
+    const layoutToDelete = storeLayouts.find(layout => layout.id === layoutId);
+    if (!layoutToDelete) return;
+
+    if (!navigator.onLine) {
+      showError(OFFLINE_ACTION_MESSAGE);
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/shopping-list/${activeHomeId}/store-layouts/${layoutId}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders()
+      });
+
+      if (!response.ok && response.status !== 404) {
+        throw new Error('Failed to delete store layout');
+      }
+
+      setStoreLayouts(prev => prev.filter(layout => layout.id !== layoutId));
+
+      showSuccess(`Deleted "${layoutToDelete.name}"`);
+      logger.debug('Store layout deleted', { layoutId });
+    } catch (err) {
+      logger.error('Error deleting store layout:', err);
+      showError('Failed to delete store layout');
+    }
+  }, [storeLayouts, getAuthHeaders, activeHomeId, showSuccess, showError]);
+
+  // The chosen store, or the first saved one
+  const activeStoreLayout = storeLayouts.find(layout => layout.id === activeStoreLayoutId) || storeLayouts[0] || null;
 
   // Apply search and filters, then group items
-  const { itemsByGroup, sortedGroups, filteredItemsCount } = useMemo(() => {
+  const { itemsByGroup, sortedGroups, groupLabels, filteredItemsCount } = useMemo(() => {
     // 1. Apply search filter
     let filtered = items;
     if (searchQuery.trim()) {
@@ -254,7 +864,7 @@ const useShoppingList = (getAuthHeaders, activeHomeId) => {
     }
 
     // 2. Apply category filter
-    if (filters.categories.length < 6) {
+    if (filters.categories.length < SHOPPING_CATEGORY_IDS.length) {
       filtered = filtered.filter(item =>
         filters.categories.includes(item.category || 'other')
       );
@@ -293,17 +903,24 @@ const useShoppingList = (getAuthHeaders, activeHomeId) => {
       });
     }
 
-    // 6. Group items based on groupBy strategy
-    const grouped = {};
+    // 6. Group items based on groupBy strategy (aisles need a saved store)
+    const grouping = groupBy === 'aisle' && !activeStoreLayout ? 'category' : groupBy;
+    let grouped = {};
+    let labels = {};
+    let aisleOrder = [];
     const sortByDate = (a, b) => {
       const dateA = new Date(a.addedAt);
       const dateB = new Date(b.addedAt);
       return dateB - dateA; // Most recent first
     };
 
-    if (groupBy === 'category') {
+    if (grouping === 'aisle') {
+      // Group by aisle in the chosen store's walking order
+      ({ groups: grouped, labels, order: aisleOrder } = groupItemsByAisle(filtered, activeStoreLayout));
+
+    } else if (grouping === 'category') {
       // Group by category
-      const categories = ['produce', 'dairy', 'meat', 'pantry', 'frozen', 'other'];
+      const categories = SHOPPING_CATEGORY_IDS;
       categories.forEach(cat => { grouped[cat] = []; });
 
       filtered.forEach(item => {
@@ -323,7 +940,7 @@ const useShoppingList = (getAuthHeaders, activeHomeId) => {
         });
       });
 
-    } else if (groupBy === 'date') {
+    } else if (grouping === 'date') {
       // Group by date added
       grouped.today = [];
       grouped.yesterday = [];
@@ -355,7 +972,7 @@ const useShoppingList = (getAuthHeaders, activeHomeId) => {
         grouped[key].sort(sortByDate);
       });
 
-    } else if (groupBy === 'user') {
+    } else if (grouping === 'user') {
       // Group by user (addedBy)
       const userIds = [...new Set(filtered.map(item => item.addedBy))];
       userIds.forEach(userId => {
@@ -363,7 +980,7 @@ const useShoppingList = (getAuthHeaders, activeHomeId) => {
         grouped[userId].sort(sortByDate);
       });
 
-    } else if (groupBy === 'status') {
+    } else if (grouping === 'status') {
       // Group by checked status
       grouped.unchecked = filtered.filter(item => !item.checked);
       grouped.checked = filtered.filter(item => item.checked);
@@ -386,11 +1003,13 @@ const useShoppingList = (getAuthHeaders, activeHomeId) => {
 
     // Determine sort order for groups
     let groupOrder = [];
-    if (groupBy === 'category') {
-      groupOrder = ['produce', 'dairy', 'meat', 'pantry', 'frozen', 'other'];
-    } else if (groupBy === 'date') {
+    if (grouping === 'aisle') {
+      groupOrder = aisleOrder;
+    } else if (grouping === 'category') {
+      groupOrder = SHOPPING_CATEGORY_IDS;
+    } else if (grouping === 'date') {
       groupOrder = ['today', 'yesterday', 'this-week', 'older'];
-    } else if (groupBy === 'status') {
+    } else if (grouping === 'status') {
       groupOrder = ['unchecked', 'checked'];
     } else {
       groupOrder = Object.keys(nonEmptyGroups);
@@ -401,9 +1020,10 @@ const useShoppingList = (getAuthHeaders, activeHomeId) => {
     return {
       itemsByGroup: nonEmptyGroups,
       sortedGroups: sortedGroupKeys,
+      groupLabels: labels,
       filteredItemsCount: filtered.length
     };
-  }, [items, searchQuery, filters, groupBy]);
+  }, [items, searchQuery, filters, groupBy, activeStoreLayout]);
 
   // Legacy support - map to old names for backward compatibility
   const itemsByCategory = itemsByGroup;
@@ -419,6 +1039,11 @@ const useShoppingList = (getAuthHeaders, activeHomeId) => {
     sortedCategories,
     loading,
     error,
+    isOnline,
+    pendingChanges,
+    lists: lists || [DEFAULT_LIST],
+    activeListId,
+    setActiveListId,
     totalItems,
     checkedItems,
     filteredItemsCount,
@@ -428,11 +1053,22 @@ const useShoppingList = (getAuthHeaders, activeHomeId) => {
     setFilters,
     groupBy,
     setGroupBy,
+    groupLabels,
+    storeLayouts,
+    activeStoreLayoutId: activeStoreLayout?.id || null,
+    setActiveStoreLayoutId,
+    saveStoreLayout,
+    deleteStoreLayout,
     addItem,
     toggleCheck,
     editItem,
     deleteItem,
     clearCheckedItems,
+    putAwayCheckedItems,
+    createList,
+    renameList,
+    deleteList,
+    moveItem,
     refetch: fetchShoppingList
   };
 };
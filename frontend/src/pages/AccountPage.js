@@ -0,0 +1,446 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useOutletContext } from 'react-router-dom';
+import {
+  EmailAuthProvider,
+  reauthenticateWithCredential,
+  signInWithEmailAndPassword,
+  signOut
+} from 'firebase/auth';
+import { ArrowLeft, Key, Mail, Download, Trash2 } from 'lucide-react';
+import { auth } from '../firebase';
+import { useToast } from '../contexts/ToastContext';
+import { downloadJson } from '../utils/downloads';
+import { getHomeRole } from '../utils/homeRoles';
+import logger from '../utils/logger';
+
+const MIN_PASSWORD_LENGTH = 6;
+const DELETE_CONFIRMATION = 'DELETE';
+
+const HOME_OUTCOME_TEXT = {
+  delete: "You're the only member, so this home and everything in it will be deleted.",
+  transfer: "You're the only admin. Choose who takes over:",
+  leave: "You'll be removed from this home's members."
+};
+
+/**
+ * Turn a Firebase sign-in error into a message for the user
+ */
+const getReauthErrorMessage = (error) => {
+  if (['auth/wrong-password', 'auth/invalid-credential'].includes(error.code)) {
+    return 'Your current password is incorrect.';
+  }
+  if (error.code === 'auth/too-many-requests') {
+    return 'Too many attempts. Please wait a moment and try again.';
+  }
+  return error.message || 'An unexpected error occurred';
+};
+
+/**
+ * AccountPage - Sign-in details, data export and account deletion
+ * Password, email and deletion changes ask for the current password first:
+ * the user re-authenticates, and the fresh token proves a recent sign-in to
+ * the server.
+ */
+export default function AccountPage() {
+  const context = useOutletContext();
+  const { userToken, profile, refreshProfile } = context || {};
+  const { showSuccess, showError } = useToast();
+
+  // Change password state
+  const [passwordForm, setPasswordForm] = useState({ current: '', next: '', confirm: '' });
+  const [isChangingPassword, setIsChangingPassword] = useState(false);
+
+  // Change email state
+  const [emailForm, setEmailForm] = useState({ email: '', current: '' });
+  const [isChangingEmail, setIsChangingEmail] = useState(false);
+
+  // Export state
+  const [isExporting, setIsExporting] = useState(false);
+
+  // Delete account state
+  const [deletionPlan, setDeletionPlan] = useState([]);
+  const [successors, setSuccessors] = useState({});
+  const [deleteForm, setDeleteForm] = useState({ current: '', confirmation: '', exportFirst: true });
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  const getAuthHeaders = useCallback((token = userToken) => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+  }), [userToken]);
+
+  useEffect(() => {
+    if (!userToken) return;
+
+    const fetchDeletionPlan = async () => {
+      try {
+        const response = await fetch('/api/account/deletion-plan', { headers: getAuthHeaders() });
+        if (!response.ok) throw new Error('Failed to load account details.');
+        const data = await response.json();
+        setDeletionPlan(data.homes);
+        setSuccessors(Object.fromEntries(
+          data.homes.filter(home => home.successorId).map(home => [home.id, home.successorId])
+        ));
+      } catch (err) {
+        logger.error('Error fetching deletion plan:', err);
+      }
+    };
+
+    fetchDeletionPlan();
+  }, [userToken, getAuthHeaders]);
+
+  /**
+   * Re-authenticate with the current password and return a fresh token
+   */
+  const confirmIdentity = async (currentPassword) => {
+    const user = auth.currentUser;
+    const credential = EmailAuthProvider.credential(user.email, currentPassword);
+    await reauthenticateWithCredential(user, credential);
+    return user.getIdToken(true);
+  };
+
+  const downloadAccountData = async (token = userToken) => {
+    const response = await fetch('/api/account/export', { headers: getAuthHeaders(token) });
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || 'Failed to export your data');
+    }
+    downloadJson(await response.json(), `home-helper-account-${new Date().toISOString().slice(0, 10)}.json`);
+  };
+
+  // ===== PASSWORD =====
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    if (passwordForm.next.length < MIN_PASSWORD_LENGTH) {
+      showError(`New password must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+      return;
+    }
+    if (passwordForm.next !== passwordForm.confirm) {
+      showError('New passwords do not match.');
+      return;
+    }
+
+    setIsChangingPassword(true);
+    try {
+      const email = auth.currentUser.email;
+      const token = await confirmIdentity(passwordForm.current).catch((err) => {
+        throw new Error(getReauthErrorMessage(err));
+      });
+
+      const response = await fetch('/api/account/password', {
+        method: 'PUT',
+        headers: getAuthHeaders(token),
+        body: JSON.stringify({ newPassword: passwordForm.next }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to change password');
+
+      // Sign in again with the new password so this session stays valid
+      await signInWithEmailAndPassword(auth, email, passwordForm.next);
+      setPasswordForm({ current: '', next: '', confirm: '' });
+      showSuccess('Password changed');
+    } catch (err) {
+      logger.error('Error changing password:', err);
+      showError(err.message);
+    } finally {
+      setIsChangingPassword(false);
+    }
+  };
+
+  // ===== EMAIL =====
+  const handleChangeEmail = async (e) => {
+    e.preventDefault();
+    setIsChangingEmail(true);
+    try {
+      const token = await confirmIdentity(emailForm.current).catch((err) => {
+        throw new Error(getReauthErrorMessage(err));
+      });
+
+      const response = await fetch('/api/account/email', {
+        method: 'PUT',
+        headers: getAuthHeaders(token),
+        body: JSON.stringify({ email: emailForm.email }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to change email address');
+
+      // Sign in again so the session carries the new address
+      await signInWithEmailAndPassword(auth, data.email, emailForm.current);
+      setEmailForm({ email: '', current: '' });
+      await refreshProfile();
+      showSuccess(`Your email address is now ${data.email}`);
+    } catch (err) {
+      logger.error('Error changing email:', err);
+      showError(err.message);
+    } finally {
+      setIsChangingEmail(false);
+    }
+  };
+
+  // ===== EXPORT =====
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      await downloadAccountData();
+      showSuccess('Your data has been downloaded');
+    } catch (err) {
+      logger.error('Error exporting account data:', err);
+      showError(err.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  // ===== DELETE ACCOUNT =====
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    if (deleteForm.confirmation !== DELETE_CONFIRMATION) {
+      showError(`Type ${DELETE_CONFIRMATION} to confirm.`);
+      return;
+    }
+
+    setIsDeleting(true);
+    try {
+      const token = await confirmIdentity(deleteForm.current).catch((err) => {
+        throw new Error(getReauthErrorMessage(err));
+      });
+
+      if (deleteForm.exportFirst) {
+        await downloadAccountData(token);
+      }
+
+      const response = await fetch('/api/account', {
+        method: 'DELETE',
+        headers: getAuthHeaders(token),
+        body: JSON.stringify({
+          successors: Object.entries(successors).map(([homeId, memberId]) => ({ homeId, memberId }))
+        }),
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to delete account');
+      }
+
+      showSuccess('Your account has been deleted');
+      await signOut(auth);
+    } catch (err) {
+      logger.error('Error deleting account:', err);
+      showError(err.message);
+      setIsDeleting(false);
+    }
+  };
+
+  if (!context) {
+    return (
+      <div className="section-padding">
+        <div className="container-mobile">
+          <p className="text-color-secondary">Loading...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="section-padding">
+      <div className="container-mobile lg:max-w-4xl">
+        {/* Page Header */}
+        <div className="animate-fade-in mb-8">
+          <Link to="/manage" className="inline-flex items-center gap-1 text-sm mb-3 text-color-muted">
+            <ArrowLeft className="w-4 h-4" />
+            Back to Manage
+          </Link>
+          <h1 className="text-2xl lg:text-3xl font-bold mb-2 text-color-primary">
+            🔐 Account
+          </h1>
+          <p className="text-color-muted">
+            Signed in as {profile?.email}
+          </p>
+        </div>
+
+        {/* ===== SECTION 1: PASSWORD ===== */}
+        <form onSubmit={handleChangePassword} className="card mb-6">
+          <div className="p-6 border-b border-color-light">
+            <div className="flex items-center gap-2 mb-1">
+              <Key className="w-5 h-5" />
+              <h2 className="text-lg font-semibold text-color-primary">Change Password</h2>
+            </div>
+            <p className="text-sm text-color-secondary">
+              At least {MIN_PASSWORD_LENGTH} characters
+            </p>
+          </div>
+          <div className="p-6 space-y-3">
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={passwordForm.current}
+              onChange={(e) => setPasswordForm(prev => ({ ...prev, current: e.target.value }))}
+              className="input-base focus-ring w-full"
+              placeholder="Current password"
+              disabled={isChangingPassword}
+              required
+            />
+            <input
+              type="password"
+              autoComplete="new-password"
+              value={passwordForm.next}
+              onChange={(e) => setPasswordForm(prev => ({ ...prev, next: e.target.value }))}
+              className="input-base focus-ring w-full"
+              placeholder="New password"
+              disabled={isChangingPassword}
+              required
+            />
+            <input
+              type="password"
+              autoComplete="new-password"
+              value={passwordForm.confirm}
+              onChange={(e) => setPasswordForm(prev => ({ ...prev, confirm: e.target.value }))}
+              className="input-base focus-ring w-full"
+              placeholder="Confirm new password"
+              disabled={isChangingPassword}
+              required
+            />
+            <button type="submit" disabled={isChangingPassword} className="btn-base btn-primary w-full">
+              {isChangingPassword ? 'Changing...' : 'Change Password'}
+            </button>
+          </div>
+        </form>
+
+        {/* ===== SECTION 2: EMAIL ===== */}
+        <form onSubmit={handleChangeEmail} className="card mb-6">
+          <div className="p-6 border-b border-color-light">
+            <div className="flex items-center gap-2 mb-1">
+              <Mail className="w-5 h-5" />
+              <h2 className="text-lg font-semibold text-color-primary">Change Email</h2>
+            </div>
+            <p className="text-sm text-color-secondary">
+              You&apos;ll sign in with the new address from now on
+            </p>
+          </div>
+          <div className="p-6 space-y-3">
+            <input
+              type="email"
+              autoComplete="email"
+              value={emailForm.email}
+              onChange={(e) => setEmailForm(prev => ({ ...prev, email: e.target.value }))}
+              className="input-base focus-ring w-full"
+              placeholder="New email address"
+              disabled={isChangingEmail}
+              required
+            />
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={emailForm.current}
+              onChange={(e) => setEmailForm(prev => ({ ...prev, current: e.target.value }))}
+              className="input-base focus-ring w-full"
+              placeholder="Current password"
+              disabled={isChangingEmail}
+              required
+            />
+            <button type="submit" disabled={isChangingEmail} className="btn-base btn-primary w-full">
+              {isChangingEmail ? 'Changing...' : 'Change Email'}
+            </button>
+          </div>
+        </form>
+
+        {/* ===== SECTION 3: EXPORT ===== */}
+        <div className="card mb-6">
+          <div className="p-6 flex items-center justify-between gap-4">
+            <div>
+              <div className="flex items-center gap-2 mb-1">
+                <Download className="w-5 h-5" />
+                <h2 className="text-lg font-semibold text-color-primary">Download Your Data</h2>
+              </div>
+              <p className="text-sm text-color-secondary">
+                Your profile, your homes, and everything in homes only you belong to
+              </p>
+            </div>
+            <button onClick={handleExport} disabled={isExporting} className="btn-base btn-secondary px-4 py-2">
+              {isExporting ? 'Preparing...' : 'Download'}
+            </button>
+          </div>
+        </div>
+
+        {/* ===== SECTION 4: DELETE ACCOUNT ===== */}
+        <form onSubmit={handleDeleteAccount} className="card mb-6">
+          <div className="p-6 border-b border-color-light">
+            <div className="flex items-center gap-2 mb-1">
+              <Trash2 className="w-5 h-5" />
+              <h2 className="text-lg font-semibold text-color-primary">Delete Account</h2>
+            </div>
+            <p className="text-sm text-color-secondary">
+              Permanently deletes your account. This can&apos;t be undone.
+            </p>
+          </div>
+
+          {deletionPlan.length > 0 && (
+            <div className="p-6 border-b border-color-light space-y-4">
+              {deletionPlan.map(home => (
+                <div key={home.id}>
+                  <p className="font-medium text-color-primary">
+                    {home.name}
+                    <span className="ml-2 text-sm font-normal text-color-muted">{getHomeRole(home.role).label}</span>
+                  </p>
+                  <p className="text-sm text-color-secondary">{HOME_OUTCOME_TEXT[home.outcome]}</p>
+                  {home.outcome === 'transfer' && (
+                    <select
+                      value={successors[home.id] || ''}
+                      onChange={(e) => setSuccessors(prev => ({ ...prev, [home.id]: e.target.value }))}
+                      className="input-base focus-ring w-full mt-2"
+                      disabled={isDeleting}
+                      required
+                    >
+                      <option value="" disabled>Choose a new admin</option>
+                      {home.candidates.map(candidate => (
+                        <option key={candidate.id} value={candidate.id}>
+                          {candidate.name} ({getHomeRole(candidate.role).label})
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="p-6 space-y-3">
+            <label className="flex items-center gap-2 text-sm text-color-secondary">
+              <input
+                type="checkbox"
+                checked={deleteForm.exportFirst}
+                onChange={(e) => setDeleteForm(prev => ({ ...prev, exportFirst: e.target.checked }))}
+                disabled={isDeleting}
+              />
+              Download my data first
+            </label>
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={deleteForm.current}
+              onChange={(e) => setDeleteForm(prev => ({ ...prev, current: e.target.value }))}
+              className="input-base focus-ring w-full"
+              placeholder="Current password"
+              disabled={isDeleting}
+              required
+            />
+            <input
+              type="text"
+              value={deleteForm.confirmation}
+              onChange={(e) => setDeleteForm(prev => ({ ...prev, confirmation: e.target.value }))}
+              className="input-base focus-ring w-full"
+              placeholder={`Type ${DELETE_CONFIRMATION} to confirm`}
+              disabled={isDeleting}
+              required
+            />
+            <button
+              type="submit"
+              disabled={isDeleting || deleteForm.confirmation !== DELETE_CONFIRMATION}
+              className="btn-base btn-error font-semibold w-full"
+            >
+              {isDeleting ? 'Deleting...' : 'Delete My Account'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
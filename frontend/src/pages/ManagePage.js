@@ -1,10 +1,14 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { useOutletContext } from 'react-router-dom';
+import { Link, useOutletContext } from 'react-router-dom';
 import { auth } from '../firebase';
 import { signOut } from 'firebase/auth';
 import { useTheme } from '../hooks/useTheme';
 import { useToast } from '../contexts/ToastContext';
 import logger from '../utils/logger';
+import { getInviteLink } from '../utils/homeInvites';
+import { HOME_ROLES, getHomeRole } from '../utils/homeRoles';
+import { downloadJson } from '../utils/downloads';
+import DietaryProfileEditor from '../components/DietaryProfileEditor';
 
 // Icons
 const EditIcon = () => <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M17 3a2.828 2.828 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z"></path></svg>;
@@ -15,13 +19,24 @@ const HomeIcon = () => <svg xmlns="http://www.w3.org/2000/svg" width="20" height
 
 const SettingsIcon = () => <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12.22 2h-.44a2 2 0 0 0-2 2v.18a2 2 0 0 1-1 1.73l-.43.25a2 2 0 0 1-2 0l-.15-.08a2 2 0 0 0-2.73.73l-.22.38a2 2 0 0 0 .73 2.73l.15.1a2 2 0 0 1 1 1.72v.51a2 2 0 0 1-1 1.74l-.15.09a2 2 0 0 0-.73 2.73l.22.38a2 2 0 0 0 2.73.73l.15-.08a2 2 0 0 1 2 0l.43.25a2 2 0 0 1 1 1.73V20a2 2 0 0 0 2 2h.44a2 2 0 0 0 2-2v-.18a2 2 0 0 1 1-1.73l.43-.25a2 2 0 0 1 2 0l.15.08a2 2 0 0 0 2.73-.73l.22-.39a2 2 0 0 0-.73-2.73l-.15-.08a2 2 0 0 1-1-1.74v-.5a2 2 0 0 1 1-1.74l.15-.09a2 2 0 0 0 .73-2.73l-.22-.38a2 2 0 0 0-2.73-.73l-.15.08a2 2 0 0 1-2 0l-.43-.25a2 2 0 0 1-1-1.73V4a2 2 0 0 0-2-2z"></path><circle cx="12" cy="12" r="3"></circle></svg>;
 
+const NUTRITION_TARGET_FIELDS = [
+  { key: 'calories', label: 'Calories', unit: 'kcal' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'carbs', label: 'Carbs', unit: 'g' },
+  { key: 'fat', label: 'Fat', unit: 'g' },
+  { key: 'fiber', label: 'Fiber', unit: 'g' },
+  { key: 'sodium', label: 'Sodium', unit: 'mg' }
+];
+
+const DietIcon = () => <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M3 2v7c0 1.1.9 2 2 2h4a2 2 0 0 0 2-2V2"></path><path d="M7 2v20"></path><path d="M21 15V2a5 5 0 0 0-5 5v6c0 1.1.9 2 2 2h3Zm0 0v7"></path></svg>;
+
 const SunIcon = () => <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="5"></circle><line x1="12" y1="1" x2="12" y2="3"></line><line x1="12" y1="21" x2="12" y2="23"></line><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"></line><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"></line><line x1="1" y1="12" x2="3" y2="12"></line><line x1="21" y1="12" x2="23" y2="12"></line><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"></line><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"></line></svg>;
 
 const MoonIcon = () => <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path></svg>;
 
 export default function ManagePage() {
   const context = useOutletContext();
-  const { userToken, activeHomeId, profile, refreshProfile, currentHome } = context || {};
+  const { userToken, activeHomeId, profile, refreshProfile, currentHome, switchHome } = context || {};
   const { theme, toggleTheme, isDark } = useTheme();
   const { showSuccess, showError } = useToast();
 
@@ -30,6 +45,11 @@ export default function ManagePage() {
   const [newUserName, setNewUserName] = useState('');
   const [isUpdatingUserName, setIsUpdatingUserName] = useState(false);
 
+  // Nutrition targets state
+  const [isEditingTargets, setIsEditingTargets] = useState(false);
+  const [targetsDraft, setTargetsDraft] = useState({});
+  const [isSavingTargets, setIsSavingTargets] = useState(false);
+
   // Home Management state
   const [isEditingHomeName, setIsEditingHomeName] = useState(false);
   const [newHomeName, setNewHomeName] = useState('');
@@ -37,7 +57,21 @@ export default function ManagePage() {
   const [members, setMembers] = useState([]);
   const [isLoadingMembers, setIsLoadingMembers] = useState(true);
   const [newMemberEmail, setNewMemberEmail] = useState('');
+  const [newMemberRole, setNewMemberRole] = useState('member');
   const [isInviting, setIsInviting] = useState(false);
+  const [invites, setInvites] = useState([]);
+  const [isCreatingLink, setIsCreatingLink] = useState(false);
+
+  // Homes state
+  const [createHomeName, setCreateHomeName] = useState('');
+  const [isCreatingHome, setIsCreatingHome] = useState(false);
+  const [isArchiveBusy, setIsArchiveBusy] = useState(false);
+
+  // Dietary Profile state
+  const [dietary, setDietary] = useState(null);
+  const [isLoadingDietary, setIsLoadingDietary] = useState(true);
+  const [isSavingUserDiet, setIsSavingUserDiet] = useState(false);
+  const [isSavingHomeDiet, setIsSavingHomeDiet] = useState(false);
 
   // Permissions
   const [isAdmin, setIsAdmin] = useState(false);
@@ -82,6 +116,57 @@ export default function ManagePage() {
     fetchMembers();
   }, [userToken, activeHomeId, getAuthHeaders, showError]);
 
+  // Fetch pending invites (admins only)
+  useEffect(() => {
+    if (!userToken || !activeHomeId || !isAdmin) {
+      setInvites([]);
+      return;
+    }
+
+    const fetchInvites = async () => {
+      try {
+        const response = await fetch(`/api/homes/${activeHomeId}/invites`, {
+          headers: getAuthHeaders(),
+        });
+        if (!response.ok) throw new Error('Failed to fetch invites.');
+        const data = await response.json();
+        setInvites(data.invites);
+      } catch (err) {
+        logger.error('Error fetching invites:', err);
+        showError('Failed to load pending invites');
+      }
+    };
+
+    fetchInvites();
+  }, [userToken, activeHomeId, isAdmin, getAuthHeaders, showError]);
+
+  // Fetch dietary profiles
+  const fetchDietaryProfiles = useCallback(async () => {
+    if (!userToken || !activeHomeId) {
+      setIsLoadingDietary(false);
+      return;
+    }
+
+    setIsLoadingDietary(true);
+    try {
+      const response = await fetch(`/api/homes/${activeHomeId}/dietary-profile`, {
+        headers: getAuthHeaders(),
+      });
+      if (!response.ok) throw new Error('Failed to fetch dietary profiles.');
+      const data = await response.json();
+      setDietary(data);
+    } catch (err) {
+      logger.error('Error fetching dietary profiles:', err);
+      showError('Failed to load dietary profiles');
+    } finally {
+      setIsLoadingDietary(false);
+    }
+  }, [userToken, activeHomeId, getAuthHeaders, showError]);
+
+  useEffect(() => {
+    fetchDietaryProfiles();
+  }, [fetchDietaryProfiles]);
+
   // Initialize form values when profile changes
   useEffect(() => {
     if (profile?.name) {
@@ -132,6 +217,45 @@ export default function ManagePage() {
     }
   };
 
+  const startEditingTargets = () => {
+    const current = profile?.nutritionTargets || {};
+    setTargetsDraft(NUTRITION_TARGET_FIELDS.reduce((acc, { key }) => ({
+      ...acc,
+      [key]: current[key] ? String(current[key]) : ''
+    }), {}));
+    setIsEditingTargets(true);
+  };
+
+  const handleSaveTargets = async () => {
+    setIsSavingTargets(true);
+    try {
+      const response = await fetch('/api/user/me/nutrition-targets', {
+        method: 'PUT',
+        headers: getAuthHeaders(),
+        body: JSON.stringify(targetsDraft)
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to update nutrition targets');
+      }
+
+      showSuccess('Nutrition targets updated');
+
+      // Refresh profile if available
+      if (refreshProfile) {
+        await refreshProfile(userToken);
+      }
+
+      setIsEditingTargets(false);
+    } catch (err) {
+      logger.error('Error updating nutrition targets:', err);
+      showError(err.message);
+    } finally {
+      setIsSavingTargets(false);
+    }
+  };
+
   const handleLogout = async () => {
     try {
       await signOut(auth);
@@ -142,6 +266,34 @@ export default function ManagePage() {
     }
   };
 
+  // ===== DIETARY PROFILE HANDLERS =====
+  const handleSaveDietaryProfile = async (scope, dietaryProfile) => {
+    const isHome = scope === 'home';
+    const setSaving = isHome ? setIsSavingHomeDiet : setIsSavingUserDiet;
+
+    setSaving(true);
+    try {
+      const response = await fetch(isHome ? `/api/homes/${activeHomeId}/dietary-profile` : '/api/user/me/dietary-profile', {
+        method: 'PUT',
+        headers: getAuthHeaders(),
+        body: JSON.stringify(dietaryProfile)
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to update dietary profile');
+      }
+
+      showSuccess(isHome ? 'Household dietary profile updated' : 'Your dietary profile updated');
+      await fetchDietaryProfiles();
+    } catch (err) {
+      logger.error('Error updating dietary profile:', err);
+      showError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
   // ===== HOME MANAGEMENT HANDLERS =====
   const handleUpdateHomeName = async () => {
     if (!newHomeName.trim() || newHomeName.trim() === currentHome?.name) {
@@ -185,26 +337,22 @@ export default function ManagePage() {
 
     setIsInviting(true);
     try {
-      const response = await fetch(`/api/homes/${activeHomeId}/members`, {
+      const response = await fetch(`/api/homes/${activeHomeId}/invites`, {
         method: 'POST',
         headers: getAuthHeaders(),
-        body: JSON.stringify({ email: newMemberEmail.trim() })
+        body: JSON.stringify({ email: newMemberEmail.trim(), role: newMemberRole })
       });
 
       const data = await response.json();
 
       if (!response.ok) {
-        if (response.status === 404) {
-          showError('User not found. They must create an account first.');
-        } else {
-          showError(data.error || 'Failed to invite member');
-        }
+        showError(data.error || 'Failed to invite member');
         return;
       }
 
-      setMembers(prev => [...prev, data]);
+      setInvites(prev => [data.invite, ...prev]);
       setNewMemberEmail('');
-      showSuccess(`Added ${newMemberEmail.trim()} to home`);
+      showSuccess(`Invited ${data.invite.email}. They can accept after signing in, or with the invite link.`);
     } catch (err) {
       logger.error('Error inviting member:', err);
       showError('An unexpected error occurred');
@@ -213,6 +361,114 @@ export default function ManagePage() {
     }
   };
 
+  const copyInviteLink = async (code) => {
+    try {
+      await navigator.clipboard.writeText(getInviteLink(code));
+      showSuccess('Invite link copied');
+    } catch (err) {
+      // Clipboard access can be blocked; let the user copy it by hand
+      window.prompt('Copy this invite link:', getInviteLink(code));
+    }
+  };
+
+  const handleCreateInviteLink = async () => {
+    setIsCreatingLink(true);
+    try {
+      const response = await fetch(`/api/homes/${activeHomeId}/invites`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ role: newMemberRole })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create invite link');
+      }
+
+      setInvites(prev => [data.invite, ...prev]);
+      await copyInviteLink(data.invite.code);
+    } catch (err) {
+      logger.error('Error creating invite link:', err);
+      showError(err.message);
+    } finally {
+      setIsCreatingLink(false);
+    }
+  };
+
+  const handleRevokeInvite = async (invite) => {
+    if (!window.confirm(`Cancel the invite ${invite.email ? `for ${invite.email}` : `link ${invite.code}`}?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/homes/${activeHomeId}/invites/${invite.id}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders(),
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to cancel invite');
+      }
+
+      setInvites(prev => prev.filter(i => i.id !== invite.id));
+      showSuccess('Invite cancelled');
+    } catch (err) {
+      logger.error('Error revoking invite:', err);
+      showError(err.message);
+    }
+  };
+
+  const handleChangeRole = async (member, role) => {
+    try {
+      const response = await fetch(`/api/homes/${activeHomeId}/members/${member.id}/role`, {
+        method: 'PUT',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ role })
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to change role');
+      }
+
+      setMembers(prev => prev.map(m => (m.id === member.id ? { ...m, role } : m)));
+      showSuccess(`${member.name} is now ${getHomeRole(role).label.toLowerCase()}`);
+    } catch (err) {
+      logger.error('Error changing member role:', err);
+      showError(err.message);
+    }
+  };
+
+  const handleDeleteHome = async () => {
+    const typed = window.prompt(
+      `This permanently deletes ${currentHome?.name} with its pantry, meal plans, recipes and shopping lists for every member.\n\nType the home name to confirm:`
+    );
+    if (typed === null) return;
+    if (typed.trim() !== currentHome?.name) {
+      showError('Home name did not match');
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/homes/${activeHomeId}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders(),
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to delete home');
+      }
+
+      showSuccess(`Deleted ${currentHome?.name}`);
+      await refreshProfile(userToken);
+    } catch (err) {
+      logger.error('Error deleting home:', err);
+      showError(err.message);
+    }
+  };
+
   const handleRemoveMember = useCallback(async (memberId, memberName) => {
     if (!window.confirm(`Are you sure you want to remove ${memberName} from this home?`)) {
       return;
@@ -237,6 +493,173 @@ export default function ManagePage() {
     }
   }, [activeHomeId, getAuthHeaders, showSuccess, showError]);
 
+  // ===== HOMES HANDLERS =====
+  const handleCreateHome = async (e) => {
+    e.preventDefault();
+    if (!createHomeName.trim()) return;
+
+    setIsCreatingHome(true);
+    try {
+      const response = await fetch('/api/homes', {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ name: createHomeName.trim() })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create home');
+      }
+
+      await refreshProfile(userToken);
+      switchHome(data.id);
+      setCreateHomeName('');
+      showSuccess(`Created ${data.name}`);
+    } catch (err) {
+      logger.error('Error creating home:', err);
+      showError(err.message);
+    } finally {
+      setIsCreatingHome(false);
+    }
+  };
+
+  // ===== BACKUP HANDLERS =====
+  const readArchiveFile = async (file) => {
+    try {
+      return JSON.parse(await file.text());
+    } catch (err) {
+      throw new Error("That file isn't a home backup");
+    }
+  };
+
+  const handleExportHome = async () => {
+    setIsArchiveBusy(true);
+    try {
+      const response = await fetch(`/api/homes/${activeHomeId}/export`, { headers: getAuthHeaders() });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to export home');
+      }
+
+      const slug = currentHome?.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'home';
+      downloadJson(data, `${slug}-backup-${new Date().toISOString().slice(0, 10)}.json`);
+      showSuccess(`Exported ${currentHome?.name}`);
+    } catch (err) {
+      logger.error('Error exporting home:', err);
+      showError(err.message);
+    } finally {
+      setIsArchiveBusy(false);
+    }
+  };
+
+  const handleImportHome = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsArchiveBusy(true);
+    try {
+      const archive = await readArchiveFile(file);
+      const response = await fetch('/api/homes/import', {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ archive })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to import home');
+      }
+
+      await refreshProfile(userToken);
+      switchHome(data.home.id);
+      showSuccess(`Imported ${data.home.name}`);
+    } catch (err) {
+      logger.error('Error importing home:', err);
+      showError(err.message);
+    } finally {
+      setIsArchiveBusy(false);
+    }
+  };
+
+  const handleRestoreHome = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!window.confirm(`Replace everything in ${currentHome?.name} with this backup? Its current pantry, meal plans, recipes and shopping lists will be deleted. Members and invites stay.`)) {
+      return;
+    }
+
+    setIsArchiveBusy(true);
+    try {
+      const archive = await readArchiveFile(file);
+      const response = await fetch(`/api/homes/${activeHomeId}/import`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ archive })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to restore home');
+      }
+
+      await fetchDietaryProfiles();
+      showSuccess(`Restored ${currentHome?.name} from backup`);
+    } catch (err) {
+      logger.error('Error restoring home:', err);
+      showError(err.message);
+    } finally {
+      setIsArchiveBusy(false);
+    }
+  };
+
+  const handleSetPrimaryHome = async (home) => {
+    try {
+      const response = await fetch('/api/user/me/primary-home', {
+        method: 'PUT',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ homeId: home.id })
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to change default home');
+      }
+
+      await refreshProfile(userToken);
+      showSuccess(`${home.name} is now your default home`);
+    } catch (err) {
+      logger.error('Error changing primary home:', err);
+      showError(err.message);
+    }
+  };
+
+  const handleLeaveHome = async () => {
+    if (!window.confirm(`Leave ${currentHome?.name}? You'll need a new invite to rejoin.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/homes/${activeHomeId}/leave`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to leave home');
+      }
+
+      showSuccess(`You left ${currentHome?.name}`);
+      await refreshProfile(userToken);
+    } catch (err) {
+      logger.error('Error leaving home:', err);
+      showError(err.message);
+    }
+  };
+
   // Handle missing context
   if (!context) {
     return (
@@ -327,7 +750,7 @@ export default function ManagePage() {
             )}
           </div>
 
-          {/* Email (read-only) */}
+          {/* Email (changed on the Account page) */}
           <div className="p-6 border-b border-color-light">
             <h3 className="font-medium mb-2 text-color-primary">Email</h3>
             <p className="text-lg text-color-secondary">
@@ -335,6 +758,83 @@ export default function ManagePage() {
             </p>
           </div>
 
+          {/* Nutrition Targets */}
+          <div className="p-6 border-b border-color-light">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="font-medium text-color-primary">Daily Nutrition Targets</h3>
+              {!isEditingTargets && (
+                <button
+                  onClick={startEditingTargets}
+                  className="flex items-center gap-2 px-3 py-1 rounded-lg text-sm font-medium transition-colors icon-color-primary bg-tertiary"
+                >
+                  <EditIcon />
+                  Edit
+                </button>
+              )}
+            </div>
+
+            {isEditingTargets ? (
+              <div className="space-y-3">
+                <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                  {NUTRITION_TARGET_FIELDS.map(({ key, label, unit }) => (
+                    <label key={key} className="block">
+                      <span className="block text-sm mb-1 text-color-secondary">{label} ({unit})</span>
+                      <input
+                        type="number"
+                        min="0"
+                        value={targetsDraft[key] || ''}
+                        onChange={(e) => setTargetsDraft(prev => ({ ...prev, [key]: e.target.value }))}
+                        className="input-base focus-ring w-full"
+                        placeholder="No target"
+                        disabled={isSavingTargets}
+                      />
+                    </label>
+                  ))}
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={handleSaveTargets}
+                    disabled={isSavingTargets}
+                    className="btn-base btn-primary flex-1"
+                  >
+                    {isSavingTargets ? 'Saving...' : 'Save'}
+                  </button>
+                  <button
+                    onClick={() => setIsEditingTargets(false)}
+                    disabled={isSavingTargets}
+                    className="btn-base btn-secondary flex-1"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <p className="text-color-secondary">
+                {NUTRITION_TARGET_FIELDS
+                  .filter(({ key }) => profile?.nutritionTargets?.[key])
+                  .map(({ key, label, unit }) => `${label}: ${profile.nutritionTargets[key]} ${unit}`)
+                  .join(' · ') || 'Not set'}
+              </p>
+            )}
+          </div>
+
+          {/* Account */}
+          <div className="p-6 border-b border-color-light">
+            <div className="flex items-center justify-between">
+              <div>
+                <h3 className="font-medium mb-1 text-color-primary">
+                  Account & Security
+                </h3>
+                <p className="text-sm text-color-muted">
+                  Change your password or email, download your data, or delete your account
+                </p>
+              </div>
+              <Link to="/account" className="btn-base btn-secondary px-6 py-2">
+                Open
+              </Link>
+            </div>
+          </div>
+
           {/* Logout */}
           <div className="p-6">
             <div className="flex items-center justify-between">
@@ -356,7 +856,184 @@ export default function ManagePage() {
           </div>
         </div>
 
-        {/* ===== SECTION 2: HOME MANAGEMENT (Admin Only) ===== */}
+        {/* ===== SECTION 2: DIETARY PROFILES ===== */}
+        {activeHomeId && (
+          <div className="card mb-6">
+            <div className="p-6 border-b border-color-light">
+              <div className="flex items-center gap-2 mb-1">
+                <DietIcon />
+                <h2 className="text-lg font-semibold text-color-primary">
+                  Dietary Profiles
+                </h2>
+              </div>
+              <p className="text-sm text-color-secondary">
+                Restrictions from every member apply to all generated recipes
+              </p>
+            </div>
+
+            {isLoadingDietary && !dietary ? (
+              <div className="p-6 text-center">
+                <p className="text-color-muted">Loading dietary profiles...</p>
+              </div>
+            ) : dietary && (
+              <>
+                {/* My Profile */}
+                <div className="p-6 border-b border-color-light">
+                  <h3 className="font-medium mb-4 text-color-primary">My Dietary Profile</h3>
+                  <DietaryProfileEditor
+                    profile={dietary.members.find(m => m.id === profile?.uid)?.dietaryProfile}
+                    dietOptions={dietary.dietOptions}
+                    onSave={(updated) => handleSaveDietaryProfile('user', updated)}
+                    isSaving={isSavingUserDiet}
+                  />
+                </div>
+
+                {/* Household Profile */}
+                <div className="p-6">
+                  <h3 className="font-medium mb-1 text-color-primary">Household Profile</h3>
+                  <p className="text-sm mb-4 text-color-muted">
+                    {isAdmin ? 'Applies to everyone in this home' : 'Only admins can edit the household profile'}
+                  </p>
+                  <DietaryProfileEditor
+                    profile={dietary.homeProfile}
+                    dietOptions={dietary.dietOptions}
+                    onSave={(updated) => handleSaveDietaryProfile('home', updated)}
+                    isSaving={isSavingHomeDiet}
+                    disabled={!isAdmin}
+                  />
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        {/* ===== SECTION 3: HOMES ===== */}
+        <div className="card mb-6">
+          <div className="p-6 border-b border-color-light">
+            <div className="flex items-center gap-2 mb-1">
+              <HomeIcon />
+              <h2 className="text-lg font-semibold text-color-primary">
+                Your Homes
+              </h2>
+            </div>
+            <p className="text-sm text-color-secondary">
+              Switch between homes, choose the one the app opens in, or start a new one
+            </p>
+          </div>
+
+          {/* Homes List */}
+          <div className="p-6 border-b border-color-light">
+            <ul className="space-y-3">
+              {(profile?.homes || []).map(home => (
+                <li
+                  key={home.id}
+                  className="flex justify-between items-center gap-3 p-4 rounded-lg bg-tertiary"
+                >
+                  <div className="min-w-0">
+                    <p className="font-medium mb-1 truncate text-color-primary">
+                      {home.name}
+                      {home.id === activeHomeId && (
+                        <span className="ml-2 text-xs text-color-muted">(current)</span>
+                      )}
+                    </p>
+                    <p className="text-sm text-color-muted">
+                      {getHomeRole(home.role).label}{home.id === profile?.primaryHomeId ? ' · default' : ''}
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    {home.id !== activeHomeId && (
+                      <button
+                        onClick={() => switchHome(home.id)}
+                        className="btn-base btn-ghost text-sm px-4 py-2"
+                      >
+                        Switch
+                      </button>
+                    )}
+                    {home.id !== profile?.primaryHomeId && (
+                      <button
+                        onClick={() => handleSetPrimaryHome(home)}
+                        className="btn-base btn-ghost text-sm px-4 py-2"
+                      >
+                        Make Default
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {/* Create Home */}
+          <div className="p-6 border-b border-color-light">
+            <h3 className="font-medium mb-4 text-color-primary">
+              Create a Home
+            </h3>
+            <form onSubmit={handleCreateHome} className="flex gap-3">
+              <input
+                type="text"
+                value={createHomeName}
+                onChange={(e) => setCreateHomeName(e.target.value)}
+                className="flex-1 input-base focus-ring"
+                placeholder="e.g., 'Lake Cabin'"
+                maxLength={100}
+                required
+              />
+              <button
+                type="submit"
+                disabled={isCreatingHome}
+                className="btn-base btn-primary px-6"
+              >
+                {isCreatingHome ? 'Creating...' : 'Create'}
+              </button>
+            </form>
+          </div>
+
+          {/* Import Home */}
+          <div className="p-6 border-b border-color-light">
+            <div className="flex items-center justify-between">
+              <div>
+                <h3 className="font-medium mb-1 text-color-primary">
+                  Import a Home
+                </h3>
+                <p className="text-sm text-color-muted">
+                  Create a new home from a backup file
+                </p>
+              </div>
+              <label className={`btn-base btn-secondary px-6 py-2 cursor-pointer ${isArchiveBusy ? 'opacity-50 pointer-events-none' : ''}`}>
+                {isArchiveBusy ? 'Working...' : 'Import'}
+                <input
+                  type="file"
+                  accept="application/json,.json"
+                  onChange={handleImportHome}
+                  className="hidden"
+                  disabled={isArchiveBusy}
+                />
+              </label>
+            </div>
+          </div>
+
+          {/* Leave Home */}
+          <div className="p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <h3 className="font-medium mb-1 text-color-primary">
+                  Leave {currentHome?.name}
+                </h3>
+                <p className="text-sm text-color-muted">
+                  {isAdmin ? 'If you are the only admin, make someone else an admin first' : 'Stop sharing this home'}
+                </p>
+              </div>
+              <button
+                onClick={handleLeaveHome}
+                className="btn-base btn-error font-semibold px-6 py-2"
+              >
+                Leave
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* ===== SECTION 4: HOME MANAGEMENT (Admin Only) ===== */}
         {isAdmin && (
           <div className="card mb-6">
             <div className="p-6 border-b border-color-light">
@@ -423,11 +1100,27 @@ export default function ManagePage() {
               )}
             </div>
 
-            {/* Add Member */}
+            {/* Invite Members */}
             <div className="p-6 border-b border-color-light">
-              <h3 className="font-medium mb-4 text-color-primary">
-                Add New Member
+              <h3 className="font-medium mb-1 text-color-primary">
+                Invite Members
               </h3>
+              <p className="text-sm mb-4 text-color-muted">
+                People join once they accept. Invites expire after 7 days.
+              </p>
+              <label htmlFor="inviteRole" className="block text-sm font-medium mb-2 text-color-secondary">
+                Join as
+              </label>
+              <select
+                id="inviteRole"
+                value={newMemberRole}
+                onChange={(e) => setNewMemberRole(e.target.value)}
+                className="input-base focus-ring w-full mb-3"
+              >
+                {HOME_ROLES.filter(role => role.id !== 'admin').map(role => (
+                  <option key={role.id} value={role.id}>{role.label} - {role.description}</option>
+                ))}
+              </select>
               <form onSubmit={handleInviteMember} className="flex gap-3">
                 <input
                   type="email"
@@ -442,9 +1135,50 @@ export default function ManagePage() {
                   disabled={isInviting}
                   className="btn-base btn-primary px-6"
                 >
-                  {isInviting ? 'Adding...' : 'Add'}
+                  {isInviting ? 'Inviting...' : 'Invite'}
                 </button>
               </form>
+              <button
+                onClick={handleCreateInviteLink}
+                disabled={isCreatingLink}
+                className="btn-base btn-secondary mt-3"
+              >
+                {isCreatingLink ? 'Creating...' : 'Create Invite Link'}
+              </button>
+
+              {invites.length > 0 && (
+                <ul className="space-y-3 mt-4">
+                  {invites.map(invite => (
+                    <li
+                      key={invite.id}
+                      className="flex justify-between items-center gap-3 p-4 rounded-lg bg-tertiary"
+                    >
+                      <div className="min-w-0">
+                        <p className="font-medium mb-1 truncate text-color-primary">
+                          {invite.email || `Invite link ${invite.code}`}
+                        </p>
+                        <p className="text-sm text-color-muted">
+                          {getHomeRole(invite.role).label} · expires {new Date(invite.expiresAt).toLocaleDateString()}
+                        </p>
+                      </div>
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => copyInviteLink(invite.code)}
+                          className="btn-base btn-ghost text-sm px-4 py-2"
+                        >
+                          Copy Link
+                        </button>
+                        <button
+                          onClick={() => handleRevokeInvite(invite)}
+                          className="btn-base btn-error text-sm font-semibold px-4 py-2"
+                        >
+                          Revoke
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
 
             {/* Members List */}
@@ -474,30 +1208,97 @@ export default function ManagePage() {
                               color: member.role === 'admin' ? 'var(--color-primary)' : 'var(--text-muted)'
                             }}
                           >
-                            {member.role}
+                            {getHomeRole(member.role).label}
                           </span>
                         </p>
                         <p className="text-sm text-color-muted">
                           {member.email}
                         </p>
                       </div>
-                      {member.role !== 'admin' && member.id !== profile?.uid && (
-                        <button
-                          onClick={() => handleRemoveMember(member.id, member.name)}
-                          className="btn-base btn-error text-sm font-semibold px-4 py-2"
-                        >
-                          Remove
-                        </button>
+                      {member.id !== profile?.uid && (
+                        <div className="flex gap-2">
+                          <select
+                            value={member.role}
+                            onChange={(e) => handleChangeRole(member, e.target.value)}
+                            className="input-base focus-ring text-sm"
+                            aria-label={`Role of ${member.name}`}
+                          >
+                            {HOME_ROLES.map(role => (
+                              <option key={role.id} value={role.id}>{role.label}</option>
+                            ))}
+                          </select>
+                          {member.role !== 'admin' && (
+                            <button
+                              onClick={() => handleRemoveMember(member.id, member.name)}
+                              className="btn-base btn-error text-sm font-semibold px-4 py-2"
+                            >
+                              Remove
+                            </button>
+                          )}
+                        </div>
                       )}
                     </li>
                   ))}
                 </ul>
               )}
             </div>
+
+            {/* Backup & Restore */}
+            <div className="p-6 border-t border-color-light">
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div>
+                  <h3 className="font-medium mb-1 text-color-primary">
+                    Backup & Restore
+                  </h3>
+                  <p className="text-sm text-color-muted">
+                    Download everything in this home, or replace it with a backup
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={handleExportHome}
+                    disabled={isArchiveBusy}
+                    className="btn-base btn-secondary px-4 py-2"
+                  >
+                    Export
+                  </button>
+                  <label className={`btn-base btn-ghost px-4 py-2 cursor-pointer ${isArchiveBusy ? 'opacity-50 pointer-events-none' : ''}`}>
+                    Restore
+                    <input
+                      type="file"
+                      accept="application/json,.json"
+                      onChange={handleRestoreHome}
+                      className="hidden"
+                      disabled={isArchiveBusy}
+                    />
+                  </label>
+                </div>
+              </div>
+            </div>
+
+            {/* Delete Home */}
+            <div className="p-6 border-t border-color-light">
+              <div className="flex items-center justify-between">
+                <div>
+                  <h3 className="font-medium mb-1 text-color-primary">
+                    Delete Home
+                  </h3>
+                  <p className="text-sm text-color-muted">
+                    Permanently removes this home and all of its data for every member
+                  </p>
+                </div>
+                <button
+                  onClick={handleDeleteHome}
+                  className="btn-base btn-error font-semibold px-6 py-2"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
           </div>
         )}
 
-        {/* ===== SECTION 3: SETTINGS ===== */}
+        {/* ===== SECTION 5: SETTINGS ===== */}
         <div className="card">
           <div className="p-6 border-b border-color-light">
             <div className="flex items-center gap-2 mb-1">
@@ -1,7 +1,9 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useOutletContext, useNavigate } from 'react-router-dom';
 import { AlertCircle } from 'lucide-react';
 import { daysToExpiryDate } from '../utils/dateUtils';
+import { applyItemChanges } from '../utils/liveChanges';
+import { hasOfflineCache, readOfflineCache, writeOfflineCache } from '../utils/offlineCache';
 
 // New Components
 import AddItemSection from '../components/AddItemSection';
@@ -11,24 +13,44 @@ import PantryCategory from '../components/PantryCategory';
 import FilterModal from '../components/FilterModal';
 import EditItemModal from '../components/EditItemModal';
 import JSONExportModal from '../components/JSONExportModal';
+import ConsumptionPanel from '../components/pantry/ConsumptionPanel';
 
 // Custom Hooks
 import usePantryFilters from '../hooks/usePantryFilters';
 import useItemManager from '../hooks/useItemManager';
+import useHomeEvents from '../hooks/useHomeEvents';
 
 // Styles
 import '../styles/Pantry.css';
 
+// Convert Firestore timestamps to ISO strings
+const normalizePantryItem = (item) => ({
+  ...item,
+  createdAt: item.createdAt && item.createdAt._seconds
+    ? new Date(item.createdAt._seconds * 1000).toISOString()
+    : item.createdAt,
+  expiresAt: item.expiresAt && item.expiresAt._seconds
+    ? new Date(item.expiresAt._seconds * 1000).toISOString()
+    : item.expiresAt
+});
+
+// Live updates replace server fields but keep a pending AI enhancement the user hasn't reviewed
+const keepPendingEnhancement = (existing, incoming) => ({
+  ...incoming,
+  pendingEnhancement: existing.pendingEnhancement
+});
+
 export default function PantryPage() {
   const navigate = useNavigate();
   const context = useOutletContext();
-  const { userToken, activeHomeId } = context || {};
+  const { userToken, activeHomeId, can = () => true } = context || {};
 
   // Core state
   const [items, setItems] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const [processingEnhancementIds, setProcessingEnhancementIds] = useState([]);
+  const cachedHomeRef = useRef(null);
 
   // Modal state
   const [showFilterModal, setShowFilterModal] = useState(false);
@@ -66,44 +88,73 @@ export default function PantryPage() {
     handleAIItemsDetected
   } = useItemManager(getAuthHeaders, activeHomeId);
 
-  // Fetch items
-  useEffect(() => {
-    const fetchItems = async () => {
-      if (!userToken || !activeHomeId) {
-        setIsLoading(false);
-        return;
-      }
-      
-      try {
-        const response = await fetch(`/api/pantry/${activeHomeId}`, {
-          headers: getAuthHeaders()
+  // Fetch items (silently when resyncing after a dropped live connection)
+  const fetchItems = useCallback(async ({ silent = false } = {}) => {
+    if (!userToken || !activeHomeId) {
+      setIsLoading(false);
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/pantry/${activeHomeId}`, {
+        headers: getAuthHeaders()
+      });
+
+      if (!response.ok) throw new Error('Failed to fetch pantry items');
+      const data = await response.json();
+
+      setItems(prev => {
+        const existingById = new Map(prev.map(item => [item.id, item]));
+        return data.map(item => {
+          const normalized = normalizePantryItem(item);
+          const existing = existingById.get(item.id);
+          return existing ? keepPendingEnhancement(existing, normalized) : normalized;
         });
-        
-        if (!response.ok) throw new Error('Failed to fetch pantry items');
-        const data = await response.json();
-        
-        // Convert Firestore timestamps to Date objects
-        const processedData = data.map(item => ({
-          ...item,
-          createdAt: item.createdAt && item.createdAt._seconds
-            ? new Date(item.createdAt._seconds * 1000).toISOString()
-            : item.createdAt,
-          expiresAt: item.expiresAt && item.expiresAt._seconds
-            ? new Date(item.expiresAt._seconds * 1000).toISOString()
-            : item.expiresAt
-        }));
-        
-        setItems(processedData);
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setIsLoading(false);
-      }
-    };
-    
-    fetchItems();
+      });
+    } catch (err) {
+      if (!silent) setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
   }, [activeHomeId, userToken, getAuthHeaders]);
 
+  // Keep a copy of the pantry on the device for offline viewing (declared before the
+  // cache load below so a home switch never writes the previous home's items)
+  useEffect(() => {
+    if (cachedHomeRef.current) {
+      // Unreviewed AI enhancements are only meaningful in this session
+      writeOfflineCache('pantry', cachedHomeRef.current, items.map(item => ({ ...item, pendingEnhancement: undefined })));
+    }
+  }, [items]);
+
+  // Show the cached pantry straight away; the fetch below refreshes it
+  useEffect(() => {
+    cachedHomeRef.current = activeHomeId || null;
+    const cachedItems = readOfflineCache('pantry', activeHomeId, null);
+    setItems(cachedItems || []);
+    if (cachedItems) setIsLoading(false);
+  }, [activeHomeId]);
+
+  useEffect(() => {
+    fetchItems({ silent: hasOfflineCache('pantry', activeHomeId) });
+  }, [fetchItems, activeHomeId]);
+
+  // Merge changes made by other household members (and this user's other devices)
+  const handleLiveChange = useCallback((change) => {
+    if (change.collection !== 'pantry') return;
+
+    setItems(prev => applyItemChanges(prev, change, {
+      normalize: normalizePantryItem,
+      merge: keepPendingEnhancement,
+      prepend: true
+    }));
+  }, []);
+
+  useHomeEvents(getAuthHeaders, activeHomeId, {
+    onChange: handleLiveChange,
+    onResync: () => fetchItems({ silent: true })
+  });
+
   // Handlers
   const handleDirectAdd = async (itemToAdd) => {
     const addedItem = await handleDirectAddItem(itemToAdd, setItems);
@@ -210,15 +261,23 @@ export default function PantryPage() {
         </div>
 
         {/* Add Items Section */}
-        <AddItemSection
-          onDirectAdd={handleDirectAdd}
-          onAIItemsDetected={handleAIItemsAdd}
-          onItemEnhancementRequested={handleItemEnhancementRequested}
-          onStartEnhancementProcessing={handleStartEnhancementProcessing}
-          onUpdateItemDefaults={handleUpdateItemDefaults}
-          activeHomeId={activeHomeId}
-          userToken={userToken}
+        {can('pantry:add') && (
+          <AddItemSection
+            onDirectAdd={handleDirectAdd}
+            onAIItemsDetected={handleAIItemsAdd}
+            onItemEnhancementRequested={handleItemEnhancementRequested}
+            onStartEnhancementProcessing={handleStartEnhancementProcessing}
+            onUpdateItemDefaults={can('pantry:edit') ? handleUpdateItemDefaults : undefined}
+            activeHomeId={activeHomeId}
+            userToken={userToken}
+            getAuthHeaders={getAuthHeaders}
+          />
+        )}
+
+        {/* Usage history and run-out forecast */}
+        <ConsumptionPanel
           getAuthHeaders={getAuthHeaders}
+          activeHomeId={activeHomeId}
         />
 
         {/* View & Manage Section */}
@@ -279,9 +338,9 @@ export default function PantryPage() {
                   key={group}
                   category={group}
                   items={itemsByGroup[group]}
-                  onEdit={handleEdit}
-                  onDelete={handleDelete}
-                  onApplyEnhancement={handleApplyEnhancement}
+                  onEdit={can('pantry:edit') ? handleEdit : undefined}
+                  onDelete={can('pantry:delete') ? handleDelete : undefined}
+                  onApplyEnhancement={can('pantry:edit') ? handleApplyEnhancement : undefined}
                   onDismissEnhancement={handleDismissEnhancement}
                   processingEnhancementIds={processingEnhancementIds}
                 />
@@ -304,7 +363,7 @@ export default function PantryPage() {
           item={editingItem}
           onClose={() => setEditingItem(null)}
           onSave={handleSaveEdit}
-          onDelete={handleDelete}
+          onDelete={can('pantry:delete') ? handleDelete : undefined}
         />
 
         <JSONExportModal
@@ -0,0 +1,122 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useOutletContext, useNavigate } from 'react-router-dom';
+import { ArrowLeft } from 'lucide-react';
+import NutritionDashboard from '../components/analytics/NutritionDashboard';
+import AdherenceReport from '../components/analytics/AdherenceReport';
+import logger from '../utils/logger';
+import { formatDateForAPI } from '../utils/dateUtils';
+import { ANALYTICS_RANGE_OPTIONS } from '../constants/plannerConstants';
+
+export default function PlannerAnalyticsPage() {
+  const context = useOutletContext();
+  const { userToken, activeHomeId } = context || {};
+  const navigate = useNavigate();
+
+  const [rangeDays, setRangeDays] = useState(ANALYTICS_RANGE_OPTIONS[0].days);
+  const [nutrition, setNutrition] = useState(null);
+  const [adherence, setAdherence] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const getAuthHeaders = useCallback(() => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${userToken}`,
+  }), [userToken]);
+
+  useEffect(() => {
+    if (!userToken || !activeHomeId) return;
+
+    const fetchAnalytics = async () => {
+      setIsLoading(true);
+      setError('');
+
+      const end = new Date();
+      const start = new Date();
+      start.setDate(end.getDate() - (rangeDays - 1));
+      const query = `startDate=${formatDateForAPI(start)}&endDate=${formatDateForAPI(end)}`;
+
+      try {
+        const [nutritionResponse, adherenceResponse] = await Promise.all([
+          fetch(`/api/planner/${activeHomeId}/nutrition?${query}`, { headers: getAuthHeaders() }),
+          fetch(`/api/planner/${activeHomeId}/analytics?${query}`, { headers: getAuthHeaders() })
+        ]);
+        for (const response of [nutritionResponse, adherenceResponse]) {
+          if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Failed to load analytics');
+          }
+        }
+        setNutrition(await nutritionResponse.json());
+        setAdherence(await adherenceResponse.json());
+      } catch (err) {
+        logger.error('Error fetching planner analytics:', err);
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchAnalytics();
+  }, [userToken, activeHomeId, rangeDays, getAuthHeaders]);
+
+  return (
+    <div className="section-padding">
+      <div className="container-mobile lg:max-w-4xl">
+        {/* Page Header */}
+        <div className="animate-fade-in mb-6">
+          <button
+            onClick={() => navigate('/planner')}
+            className="flex items-center gap-2 text-sm mb-3 text-color-muted hover:text-color-primary"
+          >
+            <ArrowLeft size={16} />
+            Back to Planner
+          </button>
+          <h1 className="text-2xl lg:text-3xl font-bold mb-2 text-color-primary">
+            📊 Planner Analytics
+          </h1>
+          <p className="text-color-muted">
+            How your planning is working and what your household actually ate
+          </p>
+        </div>
+
+        {/* Range Selector */}
+        <div className="flex gap-2 mb-6">
+          {ANALYTICS_RANGE_OPTIONS.map(option => (
+            <button
+              key={option.days}
+              onClick={() => setRangeDays(option.days)}
+              className="px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+              style={{
+                backgroundColor: rangeDays === option.days ? 'var(--color-primary)' : 'var(--bg-tertiary)',
+                color: rangeDays === option.days ? 'white' : 'var(--text-secondary)'
+              }}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {error && (
+          <div className="mb-4 p-4 rounded-lg" style={{ backgroundColor: 'var(--color-error-light)', color: 'var(--color-error)' }}>
+            {error}
+          </div>
+        )}
+
+        {isLoading && !nutrition ? (
+          <p className="text-color-muted">Loading analytics...</p>
+        ) : (
+          <div className="space-y-8">
+            <section>
+              <h2 className="text-lg font-semibold mb-4 text-color-primary">Planned vs Actual</h2>
+              <AdherenceReport analytics={adherence} />
+            </section>
+            <section>
+              <h2 className="text-lg font-semibold mb-4 text-color-primary">Nutrition</h2>
+              <NutritionDashboard dashboard={nutrition} />
+            </section>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,20 +1,34 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { useOutletContext } from 'react-router-dom';
+import { useOutletContext, useNavigate } from 'react-router-dom';
+import { BarChart2 } from 'lucide-react';
 import { useToast } from '../contexts/ToastContext';
 import UnifiedMealModal from '../components/UnifiedMealModal';
+import MealPlanShoppingModal from '../components/MealPlanShoppingModal';
+import WeekPlanModal from '../components/WeekPlanModal';
 import PlannerSidebar from '../components/PlannerSidebar';
 import DaySection from '../components/DaySection';
 import WeekView from '../components/WeekView';
+import useHomeEvents from '../hooks/useHomeEvents';
 import logger from '../utils/logger';
+import { applyItemChanges, upsertItems } from '../utils/liveChanges';
 import { formatDateForAPI, getMealTypeByTime } from '../utils/dateUtils';
 import { MEAL_FETCH_WINDOW, MEAL_TIME_BOUNDARIES } from '../constants/plannerConstants';
 import '../styles/Planner.css';
 
 
+/**
+ * Convert a meal plan from the API to local shape (date-only string instead of ISO timestamp)
+ */
+const normalizeMealPlan = (plan) => ({
+  ...plan,
+  date: typeof plan.date === 'string' ? plan.date.split('T')[0] : formatDateForAPI(new Date(plan.date))
+});
+
 export default function PlannerPage() {
   const context = useOutletContext();
   const { userToken, activeHomeId } = context || {};
-  const { showToast } = useToast();
+  const { showToast, showSuccess } = useToast();
+  const navigate = useNavigate();
 
   // State Management
   // Week navigation: These two states track different aspects of the UI
@@ -38,6 +52,10 @@ export default function PlannerPage() {
   const [selectedDate, setSelectedDate] = useState(null);
   const [selectedMealType, setSelectedMealType] = useState(null);
   const [editingMeal, setEditingMeal] = useState(null);
+  const [showShoppingModal, setShowShoppingModal] = useState(false);
+  const [shoppingWeekStart, setShoppingWeekStart] = useState(null);
+  const [showWeekPlanModal, setShowWeekPlanModal] = useState(false);
+  const [weekPlanStart, setWeekPlanStart] = useState(null);
 
   // Refs for day sections (for scrolling)
   const daySectionRefs = useRef({});
@@ -110,11 +128,11 @@ export default function PlannerPage() {
     'Content-Type': 'application/json'
   }), [userToken]);
 
-  // Fetch meal plans
-  const fetchMealPlans = useCallback(async () => {
+  // Fetch meal plans (silent refreshes keep the current view on failure)
+  const fetchMealPlans = useCallback(async ({ silent = false } = {}) => {
     if (!userToken || !activeHomeId || !currentWeekStart) return;
 
-    setIsLoading(true);
+    if (!silent) setIsLoading(true);
     try {
       // Fetch ±4 weeks of data so calendar widget can show dots for browsed weeks
       const startDate = new Date(currentWeekStart);
@@ -133,17 +151,12 @@ export default function PlannerPage() {
       if (response.ok) {
         const data = await response.json();
 
-        // Extract date-only string from ISO timestamps
-        const plansWithDates = data.map(plan => ({
-          ...plan,
-          date: typeof plan.date === 'string' ? plan.date.split('T')[0] : formatDateForAPI(new Date(plan.date))
-        }));
-
-        setMealPlans(plansWithDates);
+        setMealPlans(data.map(normalizeMealPlan));
         setError('');
       } else {
         const errorText = await response.text();
         logger.error('Failed to fetch meal plans:', response.status, errorText);
+        if (silent) return;
         if (response.status === 401) {
           setError('Session expired. Please refresh the page.');
         } else {
@@ -153,10 +166,11 @@ export default function PlannerPage() {
       }
     } catch (err) {
       logger.error('Error fetching meal plans:', err);
+      if (silent) return;
       setError('Failed to load meal plans');
       setMealPlans([]);
     } finally {
-      setIsLoading(false);
+      if (!silent) setIsLoading(false);
     }
   }, [userToken, activeHomeId, currentWeekStart, getAuthHeaders]);
 
@@ -188,6 +202,23 @@ export default function PlannerPage() {
     fetchPantryItems();
   }, [fetchMealPlans, fetchPantryItems]);
 
+  // Merge meal plan and pantry changes made by other household members (or devices)
+  const handleLiveChange = useCallback((change) => {
+    if (change.collection === 'planner') {
+      setMealPlans(prevPlans => applyItemChanges(prevPlans, change, { normalize: normalizeMealPlan }));
+    } else if (change.collection === 'pantry') {
+      setPantryItems(prevItems => applyItemChanges(prevItems, change));
+    }
+  }, []);
+
+  useHomeEvents(getAuthHeaders, activeHomeId, {
+    onChange: handleLiveChange,
+    onResync: () => {
+      fetchMealPlans({ silent: true });
+      fetchPantryItems();
+    }
+  });
+
   // Event handlers
   const handleAddMeal = (day, mealType) => {
     setSelectedDate(day);
@@ -206,6 +237,13 @@ export default function PlannerPage() {
   const handleCompleteMeal = async (mealData) => {
     if (!mealData || !mealData.id) return;
 
+    // Recipe-based meals go through the modal so pantry deductions can be confirmed
+    const hasIngredients = mealData.planned?.recipeId || mealData.planned?.ingredients?.length > 0;
+    if (hasIngredients && !mealData.pantryDeducted) {
+      handleEditMeal(mealData);
+      return;
+    }
+
     try {
       const updatedMeal = {
         ...mealData,
@@ -261,6 +299,12 @@ export default function PlannerPage() {
       return;
     }
 
+    // Completion deducted pantry items - refresh so the pantry reflects it
+    if (savedMeal.pantryDeduction?.consumptionLogs?.length > 0) {
+      fetchPantryItems();
+      showSuccess(`✓ Updated ${savedMeal.pantryDeduction.consumptionLogs.length} pantry items`);
+    }
+
     // Update meal plans with the saved meal
     setMealPlans(prevPlans => {
       const updatedPlans = [...prevPlans];
@@ -311,6 +355,48 @@ export default function PlannerPage() {
     setShowUnifiedMealModal(true);
   };
 
+  const handleOpenWeekPlanModal = (weekStart) => {
+    setWeekPlanStart(weekStart instanceof Date ? weekStart : calendarWeekStart);
+    setShowWeekPlanModal(true);
+  };
+
+  const handleWeekPlanAccepted = (result) => {
+    const created = (result.mealPlans || []).map(normalizeMealPlan);
+
+    // Live updates may already have added these plans
+    setMealPlans(prevPlans => upsertItems(prevPlans, created));
+
+    if (created.length > 0) {
+      showSuccess(`✓ Planned ${created.length} meal${created.length !== 1 ? 's' : ''}`);
+    }
+    if (result.conflicts?.length > 0) {
+      showToast(`${result.conflicts.length} slot${result.conflicts.length !== 1 ? 's were' : ' was'} already filled and skipped`, { type: 'info' });
+    }
+  };
+
+  const handleOpenShoppingModal = (weekStart) => {
+    setShoppingWeekStart(weekStart instanceof Date ? weekStart : calendarWeekStart);
+    setShowShoppingModal(true);
+  };
+
+  const handleShoppingListGenerated = (result) => {
+    const addedCount = result.items?.length || 0;
+
+    if (result.mealPlanCount === 0 && result.alreadyListedCount > 0) {
+      showToast('These meals are already on your shopping list', { type: 'info' });
+    } else if (result.mealPlanCount === 0) {
+      showToast('No planned meals in that range', { type: 'info' });
+    } else if (addedCount === 0) {
+      showToast('Your pantry already covers these meals', { type: 'info' });
+    } else {
+      showSuccess(`✓ Added ${addedCount} item${addedCount !== 1 ? 's' : ''} to shopping list`, {
+        action: 'View',
+        onAction: () => navigate('/shopping-list'),
+        duration: 5000
+      });
+    }
+  };
+
   // Loading state
   if (isLoading && mealPlans.length === 0) {
     return (
@@ -329,13 +415,22 @@ export default function PlannerPage() {
     <div className="section-padding">
       <div className="container-mobile lg:max-w-none lg:px-8">
         {/* Page Header - Full Width */}
-        <div className="animate-fade-in mb-6">
-          <h1 className="text-2xl lg:text-3xl font-bold mb-2" style={{ color: 'var(--text-primary)' }}>
-            📅 Meal Planner
-          </h1>
-          <p style={{ color: 'var(--text-muted)' }}>
-            Plan and track your meals for the week ahead
-          </p>
+        <div className="animate-fade-in mb-6 flex items-start justify-between gap-4">
+          <div>
+            <h1 className="text-2xl lg:text-3xl font-bold mb-2" style={{ color: 'var(--text-primary)' }}>
+              📅 Meal Planner
+            </h1>
+            <p style={{ color: 'var(--text-muted)' }}>
+              Plan and track your meals for the week ahead
+            </p>
+          </div>
+          <button
+            onClick={() => navigate('/planner/analytics')}
+            className="btn-base btn-secondary flex items-center gap-2 px-4 py-2 text-sm"
+          >
+            <BarChart2 size={16} />
+            Analytics
+          </button>
         </div>
 
         {/* Error Display */}
@@ -354,6 +449,8 @@ export default function PlannerPage() {
               currentWeekStart={currentWeekStart}
               calendarWeekStart={calendarWeekStart}
               onAddMeal={handleSidebarAddMeal}
+              onPlanWeek={handleOpenWeekPlanModal}
+              onGenerateShoppingList={handleOpenShoppingModal}
               onDayClick={handleDayClick}
               onCalendarWeekChange={handleCalendarWeekChange}
               onEditMeal={handleEditMeal}
@@ -368,6 +465,8 @@ export default function PlannerPage() {
                 mealPlans={mealPlans}
                 initialWeekStart={currentWeekStart}
                 onDayClick={handleDayClick}
+                onPlanWeek={handleOpenWeekPlanModal}
+                onGenerateShoppingList={handleOpenShoppingModal}
               />
             </div>
 
@@ -410,6 +509,27 @@ export default function PlannerPage() {
         activeHomeId={activeHomeId}
         pantryItems={pantryItems}
       />
+
+      {/* Plan My Week Modal */}
+      <WeekPlanModal
+        isOpen={showWeekPlanModal}
+        onClose={() => setShowWeekPlanModal(false)}
+        onAccepted={handleWeekPlanAccepted}
+        weekStart={weekPlanStart}
+        getAuthHeaders={getAuthHeaders}
+        activeHomeId={activeHomeId}
+        pantryItems={pantryItems}
+      />
+
+      {/* Shop for Planned Meals Modal */}
+      <MealPlanShoppingModal
+        isOpen={showShoppingModal}
+        onClose={() => setShowShoppingModal(false)}
+        onGenerated={handleShoppingListGenerated}
+        weekStart={shoppingWeekStart}
+        getAuthHeaders={getAuthHeaders}
+        activeHomeId={activeHomeId}
+      />
     </div>
   );
 }
@@ -8,6 +8,7 @@ import NumberControl from '../components/recipe/NumberControl';
 import SettingsSummary from '../components/recipe/SettingsSummary';
 import EmptyPantryBanner from '../components/recipe/EmptyPantryBanner';
 import RecipeListItem from '../components/recipe/RecipeListItem';
+import NutritionSummary from '../components/recipe/NutritionSummary';
 import logger from '../utils/logger';
 import { useToast } from '../contexts/ToastContext';
 
@@ -74,6 +75,11 @@ function RecipeCard({ recipe, onSave, onUnsave, isSaved, onSchedule }) {
             </span>
           )}
         </div>
+        {recipe.nutrition && (
+          <div className="mt-4">
+            <NutritionSummary nutrition={recipe.nutrition} />
+          </div>
+        )}
       </div>
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         <div>
@@ -7,6 +7,8 @@ import ShoppingListEmpty from '../components/ShoppingListEmpty';
 import ShoppingListToolbar from '../components/ShoppingListToolbar';
 import ShoppingListFilterModal from '../components/ShoppingListFilterModal';
 import EditShoppingItemModal from '../components/EditShoppingItemModal';
+import StoreLayoutModal from '../components/StoreLayoutModal';
+import { SHOPPING_CATEGORY_IDS } from '../utils/shoppingCategories';
 import logger from '../utils/logger';
 import '../styles/ShoppingList.css';
 
@@ -16,9 +18,10 @@ import '../styles/ShoppingList.css';
  */
 const ShoppingList = () => {
   const context = useOutletContext();
-  const { userToken, activeHomeId } = context || {};
+  const { userToken, activeHomeId, can = () => true } = context || {};
   const [homeMembers, setHomeMembers] = useState([]);
   const [showFilterModal, setShowFilterModal] = useState(false);
+  const [showStoreLayoutModal, setShowStoreLayoutModal] = useState(false);
   const [editingItem, setEditingItem] = useState(null);
 
   // Auth headers callback
@@ -60,6 +63,11 @@ const ShoppingList = () => {
     sortedCategories,
     loading,
     error,
+    isOnline,
+    pendingChanges,
+    lists,
+    activeListId,
+    setActiveListId,
     totalItems,
     checkedItems,
     filteredItemsCount,
@@ -69,11 +77,22 @@ const ShoppingList = () => {
     setFilters,
     groupBy,
     setGroupBy,
+    groupLabels,
+    storeLayouts,
+    activeStoreLayoutId,
+    setActiveStoreLayoutId,
+    saveStoreLayout,
+    deleteStoreLayout,
     addItem,
     toggleCheck,
     editItem,
     deleteItem,
-    clearCheckedItems
+    clearCheckedItems,
+    putAwayCheckedItems,
+    createList,
+    renameList,
+    deleteList,
+    moveItem
   } = useShoppingList(getAuthHeaders, activeHomeId);
 
   const handleAddItem = async (text) => {
@@ -87,10 +106,16 @@ const ShoppingList = () => {
     }
   };
 
+  const handlePutAway = () => {
+    if (window.confirm(`Move ${checkedItems} checked item${checkedItems > 1 ? 's' : ''} into the pantry?`)) {
+      putAwayCheckedItems();
+    }
+  };
+
   // Calculate active filters count
   const getActiveFiltersCount = () => {
     let count = 0;
-    if (filters.categories.length < 6) count++;
+    if (filters.categories.length < SHOPPING_CATEGORY_IDS.length) count++;
     if (filters.status !== 'all') count++;
     if (filters.users.length > 0) count++;
     if (filters.dateAdded !== 'all') count++;
@@ -99,7 +124,7 @@ const ShoppingList = () => {
 
   const handleClearFilters = () => {
     setFilters({
-      categories: ['produce', 'dairy', 'meat', 'pantry', 'frozen', 'other'],
+      categories: SHOPPING_CATEGORY_IDS,
       status: 'all',
       users: [],
       dateAdded: 'all'
@@ -132,10 +157,18 @@ const ShoppingList = () => {
         </div>
 
         {/* Add Item Input */}
-        <ShoppingListInput onAdd={handleAddItem} loading={loading} />
+        {can('shopping:add') && (
+          <ShoppingListInput onAdd={handleAddItem} loading={loading} />
+        )}
 
         {/* Toolbar - Search, Filters, Group By, Actions */}
         <ShoppingListToolbar
+          lists={lists}
+          activeListId={activeListId}
+          onListChange={setActiveListId}
+          onCreateList={can('shopping:manage') ? createList : undefined}
+          onRenameList={can('shopping:manage') ? renameList : undefined}
+          onDeleteList={can('shopping:manage') ? deleteList : undefined}
           searchQuery={searchQuery}
           onSearchChange={setSearchQuery}
           onOpenFilter={() => setShowFilterModal(true)}
@@ -144,10 +177,24 @@ const ShoppingList = () => {
           onGroupByChange={setGroupBy}
           totalItems={totalItems}
           checkedItems={checkedItems}
-          onClearChecked={handleClearChecked}
+          onClearChecked={can('shopping:manage') ? handleClearChecked : undefined}
+          onPutAway={can('shopping:manage') ? handlePutAway : undefined}
           homeMembers={homeMembers}
+          storeLayouts={storeLayouts}
+          activeStoreLayoutId={activeStoreLayoutId}
+          onStoreLayoutChange={setActiveStoreLayoutId}
+          onManageStores={can('shopping:manage') ? () => setShowStoreLayoutModal(true) : undefined}
         />
 
+        {/* Offline / Sync Status */}
+        {(!isOnline || pendingChanges > 0) && (
+          <div className="alert alert-info">
+            {isOnline
+              ? `${pendingChanges} offline change${pendingChanges === 1 ? '' : 's'} waiting to sync`
+              : `You're offline - changes are saved on this device${pendingChanges > 0 ? ` (${pendingChanges} waiting to sync)` : ''}`}
+          </div>
+        )}
+
         {/* Error Message */}
         {error && (
           <div className="alert alert-error">
@@ -171,10 +218,11 @@ const ShoppingList = () => {
             <ShoppingListCategory
               key={category}
               category={category}
+              label={groupLabels[category]}
               items={itemsByCategory[category]}
-              onCheck={toggleCheck}
-              onEdit={setEditingItem}
-              onDelete={deleteItem}
+              onCheck={can('shopping:check') ? toggleCheck : undefined}
+              onEdit={can('shopping:edit') ? setEditingItem : undefined}
+              onDelete={can('shopping:edit') ? deleteItem : undefined}
               homeMembers={homeMembers}
             />
           ))}
@@ -191,6 +239,16 @@ const ShoppingList = () => {
           homeMembers={homeMembers}
         />
 
+        {/* Store Layout Modal */}
+        <StoreLayoutModal
+          isOpen={showStoreLayoutModal}
+          onClose={() => setShowStoreLayoutModal(false)}
+          layouts={storeLayouts}
+          activeLayoutId={activeStoreLayoutId}
+          onSave={saveStoreLayout}
+          onDelete={deleteStoreLayout}
+        />
+
         {/* Edit Item Modal */}
         <EditShoppingItemModal
           isOpen={!!editingItem}
@@ -198,6 +256,8 @@ const ShoppingList = () => {
           onClose={() => setEditingItem(null)}
           onSave={editItem}
           onDelete={deleteItem}
+          lists={lists}
+          onMove={moveItem}
         />
       </div>
     </div>
@@ -0,0 +1,21 @@
+/**
+ * Utility functions for saving data as files
+ */
+
+/**
+ * Save data as a pretty-printed JSON file
+ * @param {Object} data - Data to save
+ * @param {string} filename - Suggested file name (e.g. 'export.json')
+ */
+export const downloadJson = (data, filename) => {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,42 @@
+/**
+ * Utility functions for home invite links
+ *
+ * An invite link is the app URL with `?invite=<code>`. The code is moved into
+ * sessionStorage when the app loads, so it survives signing in or up and the
+ * invite can be offered once the user has an account.
+ */
+
+const PENDING_INVITE_KEY = 'pendingInviteCode';
+
+/**
+ * Build the link an admin shares for an invite
+ * @param {string} code - Invite code
+ * @returns {string} - Invite URL
+ */
+export const getInviteLink = (code) => `${window.location.origin}/?invite=${encodeURIComponent(code)}`;
+
+/**
+ * Take an invite code from the current URL, if there is one
+ * Stores it as the pending invite and removes it from the address bar.
+ * @returns {string|null} - Pending invite code (from the URL or stored earlier)
+ */
+export const captureInviteCode = () => {
+  const params = new URLSearchParams(window.location.search);
+  const code = params.get('invite');
+
+  if (code) {
+    sessionStorage.setItem(PENDING_INVITE_KEY, code);
+    params.delete('invite');
+    const search = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+  }
+
+  return sessionStorage.getItem(PENDING_INVITE_KEY);
+};
+
+/**
+ * Forget the pending invite code (after it was accepted, declined or found unusable)
+ */
+export const clearPendingInviteCode = () => {
+  sessionStorage.removeItem(PENDING_INVITE_KEY);
+};
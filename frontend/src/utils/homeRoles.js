@@ -0,0 +1,53 @@
+/**
+ * Utility functions for household roles
+ *
+ * Mirrors backend/utils/homeRoles.js, which the server enforces. The app uses it
+ * only to hide controls a role can't use; every member can see everything.
+ */
+
+export const HOME_ROLES = [
+  { id: 'admin', label: 'Admin', description: 'Everything, plus members and home settings' },
+  { id: 'member', label: 'Member', description: 'Everything except home settings' },
+  { id: 'shopper', label: 'Shopper', description: 'Shopping lists and adding groceries to the pantry' },
+  { id: 'child', label: 'Child', description: 'Add and check off shopping list items' },
+  { id: 'viewer', label: 'Viewer', description: 'Can look but not change anything' }
+];
+
+const ALL_PERMISSIONS = [
+  'pantry:add',
+  'pantry:edit',
+  'pantry:delete',
+  'planner:edit',
+  'planner:delete',
+  'recipes:save',
+  'recipes:delete',
+  'shopping:check',
+  'shopping:add',
+  'shopping:edit',
+  'shopping:manage'
+];
+
+const ROLE_PERMISSIONS = {
+  admin: ALL_PERMISSIONS,
+  member: ALL_PERMISSIONS,
+  shopper: ['pantry:add', 'shopping:check', 'shopping:add', 'shopping:edit', 'shopping:manage'],
+  child: ['shopping:check', 'shopping:add'],
+  viewer: []
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Home role
+ * @param {string} permission - e.g. 'pantry:delete'
+ * @returns {boolean} - True if allowed
+ */
+export const roleCan = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+/**
+ * Look up a role's display details
+ * @param {string} roleId - Role ID
+ * @returns {Object} - { id, label, description } (unknown roles show their id)
+ */
+export const getHomeRole = (roleId) => (
+  HOME_ROLES.find(role => role.id === roleId) || { id: roleId, label: roleId, description: '' }
+);
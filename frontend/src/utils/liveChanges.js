@@ -0,0 +1,47 @@
+/**
+ * Utility functions for merging live household changes into local item lists
+ */
+
+/**
+ * Insert items into a list, replacing any existing item with the same id
+ * New items are added at the start or end of the list; replaced items keep their position.
+ * @param {Object[]} items - Current items
+ * @param {Object[]} incoming - Items to insert or replace (must have ids)
+ * @param {Object} [options] - Merge options
+ * @param {boolean} [options.prepend=false] - Add new items at the start instead of the end
+ * @param {Function} [options.merge] - Combines (existing, incoming) when replacing; defaults to the incoming item
+ * @returns {Object[]} - New list (the same list if nothing was given)
+ */
+export const upsertItems = (items, incoming, { prepend = false, merge = (existing, item) => item } = {}) => {
+  if (incoming.length === 0) return items;
+
+  const incomingById = new Map(incoming.map(item => [item.id, item]));
+  const merged = items.map(item => {
+    if (!incomingById.has(item.id)) return item;
+    const replacement = merge(item, incomingById.get(item.id));
+    incomingById.delete(item.id);
+    return replacement;
+  });
+
+  const added = [...incomingById.values()];
+  return prepend ? [...added, ...merged] : [...merged, ...added];
+};
+
+/**
+ * Apply a change event from the home event stream to a list of items
+ * @param {Object[]} items - Current items
+ * @param {Object} change - Change event ({ upserted, deleted })
+ * @param {Object} [options] - Merge options
+ * @param {Function} [options.normalize] - Converts an incoming item to the local shape
+ * @param {boolean} [options.prepend=false] - Add new items at the start instead of the end
+ * @param {Function} [options.merge] - Combines (existing, incoming) when replacing an item
+ * @returns {Object[]} - New list with the change applied
+ */
+export const applyItemChanges = (items, change, { normalize = item => item, prepend = false, merge } = {}) => {
+  const deletedIds = new Set(change.deleted || []);
+  const remaining = deletedIds.size > 0
+    ? items.filter(item => !deletedIds.has(item.id))
+    : items;
+
+  return upsertItems(remaining, (change.upserted || []).map(normalize), { prepend, merge });
+};
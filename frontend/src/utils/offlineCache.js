@@ -0,0 +1,70 @@
+/**
+ * Utility functions for keeping household data on the device for offline use
+ * Entries are stored in localStorage per home, e.g. "offline:shopping:<homeId>".
+ */
+import logger from './logger';
+
+const CACHE_PREFIX = 'offline';
+
+/**
+ * Build the localStorage key for a cached data set
+ * @param {string} kind - Data set name ('shopping', 'shopping-queue', 'pantry')
+ * @param {string} homeId - Home the data belongs to
+ * @returns {string} - Storage key
+ */
+const getCacheKey = (kind, homeId) => `${CACHE_PREFIX}:${kind}:${homeId}`;
+
+/**
+ * Check whether a data set has been cached for a home
+ * @param {string} kind - Data set name
+ * @param {string} homeId - Home the data belongs to
+ * @returns {boolean} - True if a cached copy exists
+ */
+export const hasOfflineCache = (kind, homeId) => {
+  if (!homeId) return false;
+  return localStorage.getItem(getCacheKey(kind, homeId)) !== null;
+};
+
+/**
+ * Read a cached data set
+ * @param {string} kind - Data set name
+ * @param {string} homeId - Home the data belongs to
+ * @param {*} fallback - Returned when nothing (or something unreadable) is cached
+ * @returns {*} - Cached value or fallback
+ */
+export const readOfflineCache = (kind, homeId, fallback) => {
+  if (!homeId) return fallback;
+
+  try {
+    const stored = localStorage.getItem(getCacheKey(kind, homeId));
+    return stored === null ? fallback : JSON.parse(stored);
+  } catch (err) {
+    logger.warn('Ignoring unreadable offline cache:', kind, err.message);
+    return fallback;
+  }
+};
+
+/**
+ * Store a data set for offline use
+ * Failures (e.g. storage quota exceeded) are logged, never thrown.
+ * @param {string} kind - Data set name
+ * @param {string} homeId - Home the data belongs to
+ * @param {*} value - JSON-serializable value
+ */
+export const writeOfflineCache = (kind, homeId, value) => {
+  if (!homeId) return;
+
+  try {
+    localStorage.setItem(getCacheKey(kind, homeId), JSON.stringify(value));
+  } catch (err) {
+    logger.warn('Failed to write offline cache:', kind, err.message);
+  }
+};
+
+/**
+ * Check whether a failed request failed because the device is offline
+ * fetch() rejects with a TypeError when no response was received at all.
+ * @param {Error} err - Error thrown by fetch
+ * @returns {boolean} - True for network failures
+ */
+export const isNetworkError = (err) => !navigator.onLine || err instanceof TypeError;
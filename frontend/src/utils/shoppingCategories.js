@@ -0,0 +1,100 @@
+/**
+ * Utility functions for shopping list categories and store aisle ordering
+ *
+ * Categories match SHOPPING_CATEGORIES in backend/services/shoppingListAI.js and are
+ * listed in a typical store's walking order. A store layout ({ name, aisles: [{ name,
+ * categories }] }) orders them for a particular store.
+ */
+
+export const SHOPPING_CATEGORIES = [
+  { id: 'produce', label: 'Produce', emoji: '🥬' },
+  { id: 'bakery', label: 'Bakery', emoji: '🍞' },
+  { id: 'meat', label: 'Meat', emoji: '🥩' },
+  { id: 'seafood', label: 'Seafood', emoji: '🐟' },
+  { id: 'dairy', label: 'Dairy', emoji: '🥛' },
+  { id: 'frozen', label: 'Frozen', emoji: '❄️' },
+  { id: 'pantry', label: 'Pantry', emoji: '🥫' },
+  { id: 'snacks', label: 'Snacks', emoji: '🍿' },
+  { id: 'beverages', label: 'Beverages', emoji: '🧃' },
+  { id: 'household', label: 'Household', emoji: '🧻' },
+  { id: 'personal-care', label: 'Personal Care', emoji: '🧴' },
+  { id: 'other', label: 'Other', emoji: '📦' }
+];
+
+export const SHOPPING_CATEGORY_IDS = SHOPPING_CATEGORIES.map(category => category.id);
+
+// Group key for items whose category isn't in any aisle of the chosen store
+export const UNASSIGNED_AISLE = 'aisle:unassigned';
+
+/**
+ * Look up a category's display details
+ * @param {string} categoryId - Category ID
+ * @returns {Object} - { id, label, emoji } (unknown categories show as "Other")
+ */
+export const getShoppingCategory = (categoryId) => (
+  SHOPPING_CATEGORIES.find(category => category.id === categoryId)
+    || SHOPPING_CATEGORIES[SHOPPING_CATEGORIES.length - 1]
+);
+
+/**
+ * Build the group key of a store aisle
+ * @param {number} index - Aisle position in the layout
+ * @returns {string} - Group key, e.g. "aisle:0"
+ */
+export const getAisleKey = (index) => `aisle:${index}`;
+
+/**
+ * Create a layout with one aisle per category in the default order
+ * Used as the starting point for a new store.
+ * @param {string} [name=''] - Store name
+ * @returns {Object} - { name, aisles }
+ */
+export const createDefaultStoreLayout = (name = '') => ({
+  name,
+  aisles: SHOPPING_CATEGORIES.map(category => ({ name: category.label, categories: [category.id] }))
+});
+
+/**
+ * Group items by the aisle their category is in, in walking order
+ * Within an aisle, unchecked items come first, then items follow the aisle's
+ * category order.
+ * @param {Object[]} items - Shopping list items
+ * @param {Object} layout - Store layout
+ * @returns {Object} - { groups: { [aisleKey]: items }, order: aisleKeys, labels: { [aisleKey]: { emoji, name } } }
+ */
+export const groupItemsByAisle = (items, layout) => {
+  const aisleByCategory = new Map();
+  layout.aisles.forEach((aisle, index) => {
+    aisle.categories.forEach(categoryId => aisleByCategory.set(categoryId, index));
+  });
+
+  const groups = {};
+  const labels = {};
+  const order = [...layout.aisles.map((aisle, index) => getAisleKey(index)), UNASSIGNED_AISLE];
+
+  layout.aisles.forEach((aisle, index) => {
+    groups[getAisleKey(index)] = [];
+    labels[getAisleKey(index)] = { emoji: '🛒', name: aisle.name };
+  });
+  groups[UNASSIGNED_AISLE] = [];
+  labels[UNASSIGNED_AISLE] = { emoji: '📦', name: 'Not in an aisle' };
+
+  items.forEach(item => {
+    const aisleIndex = aisleByCategory.get(item.category || 'other');
+    groups[aisleIndex === undefined ? UNASSIGNED_AISLE : getAisleKey(aisleIndex)].push(item);
+  });
+
+  const categoryRank = (item, key) => {
+    if (key === UNASSIGNED_AISLE) return SHOPPING_CATEGORY_IDS.indexOf(item.category || 'other');
+    return layout.aisles[aisleByCategory.get(item.category || 'other')].categories.indexOf(item.category || 'other');
+  };
+
+  Object.keys(groups).forEach(key => {
+    groups[key].sort((a, b) => {
+      if (a.checked !== b.checked) return a.checked ? 1 : -1;
+      return categoryRank(a, key) - categoryRank(b, key) || new Date(b.addedAt) - new Date(a.addedAt);
+    });
+  });
+
+  return { groups, order, labels };
+};
@@ -0,0 +1,137 @@
+/**
+ * Utility functions for shopping list changes made while offline
+ *
+ * Each change is queued as a mutation { id, type, itemId, payload, changedAt }:
+ * - add: { text, listId } - item id is generated on the device so the server keeps it
+ * - edit: { name, quantity, unit, category } (any subset)
+ * - check: { checked }
+ * - delete: {}
+ * Mutations are applied to local state straight away and replayed in order once
+ * the device is back online. `changedAt` lets the server reject a change when
+ * someone else changed the same item later (409 with the server's copy).
+ */
+import { upsertItems } from './liveChanges';
+
+export const DEFAULT_SHOPPING_LIST_ID = 'default';
+
+/**
+ * Build the API URL of a shopping list (the default list has no /lists/ segment)
+ * @param {string} homeId - Home the list belongs to
+ * @param {string} listId - List ID
+ * @returns {string} - List URL, e.g. /api/shopping-list/<homeId>/lists/<listId>
+ */
+export const getShoppingListUrl = (homeId, listId) => (
+  listId === DEFAULT_SHOPPING_LIST_ID
+    ? `/api/shopping-list/${homeId}`
+    : `/api/shopping-list/${homeId}/lists/${listId}`
+);
+
+/**
+ * Create a queued mutation
+ * @param {string} type - 'add' | 'edit' | 'check' | 'delete'
+ * @param {string} itemId - Item the change applies to
+ * @param {Object} [payload] - Change details (see above)
+ * @returns {Object} - Mutation
+ */
+export const createShoppingMutation = (type, itemId, payload = {}) => ({
+  id: crypto.randomUUID(),
+  type,
+  itemId,
+  payload,
+  changedAt: new Date().toISOString()
+});
+
+/**
+ * Add a mutation to the queue
+ * Deleting an item whose add has not been sent yet drops all of its queued changes.
+ * @param {Object[]} queue - Queued mutations
+ * @param {Object} mutation - Mutation to add
+ * @returns {Object[]} - New queue
+ */
+export const enqueueShoppingMutation = (queue, mutation) => {
+  const hasQueuedAdd = queue.some(queued => queued.type === 'add' && queued.itemId === mutation.itemId);
+
+  if (mutation.type === 'delete' && hasQueuedAdd) {
+    return queue.filter(queued => queued.itemId !== mutation.itemId);
+  }
+  return [...queue, mutation];
+};
+
+/**
+ * Apply a mutation to local items (optimistic update)
+ * Safe to apply more than once, so queued mutations can be re-applied on top of
+ * freshly fetched items until they have been sent.
+ * @param {Object[]} items - Current items
+ * @param {Object} mutation - Mutation to apply
+ * @returns {Object[]} - New items
+ */
+export const applyShoppingMutation = (items, mutation) => {
+  const { type, itemId, payload, changedAt } = mutation;
+
+  switch (type) {
+    case 'add':
+      // Placeholder until the server has parsed the text
+      return upsertItems(items, [{
+        id: itemId,
+        listId: payload.listId || DEFAULT_SHOPPING_LIST_ID,
+        name: payload.text,
+        quantity: '',
+        unit: '',
+        category: 'other',
+        checked: false,
+        addedAt: changedAt,
+        updatedAt: changedAt,
+        source: { type: 'manual' },
+        pendingSync: true
+      }]);
+    case 'edit':
+    case 'check':
+      return items.map(item =>
+        item.id === itemId ? { ...item, ...payload, updatedAt: changedAt, pendingSync: true } : item
+      );
+    case 'delete':
+      return items.filter(item => item.id !== itemId);
+    default:
+      return items;
+  }
+};
+
+/**
+ * Send a queued mutation to the shopping list API
+ * @param {Object} mutation - Mutation to send
+ * @param {string} homeId - Home the shopping list belongs to
+ * @param {Function} getAuthHeaders - Function that returns auth headers
+ * @returns {Promise<Response>} - API response (rejects when offline)
+ */
+export const sendShoppingMutation = (mutation, homeId, getAuthHeaders) => {
+  const { type, itemId, payload, changedAt } = mutation;
+  const itemUrl = `/api/shopping-list/${homeId}/items/${itemId}`;
+
+  switch (type) {
+    case 'add':
+      return fetch(`${getShoppingListUrl(homeId, payload.listId || DEFAULT_SHOPPING_LIST_ID)}/items`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ id: itemId, text: payload.text, changedAt })
+      });
+    case 'edit':
+      return fetch(itemUrl, {
+        method: 'PATCH',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ ...payload, changedAt })
+      });
+    case 'check':
+      return fetch(`${itemUrl}/check`, {
+        method: 'PATCH',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ ...payload, changedAt })
+      });
+    case 'delete':
+      return fetch(`${itemUrl}?changedAt=${encodeURIComponent(changedAt)}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders()
+      });
+    default:
+      return Promise.reject(new Error(`Unknown shopping mutation "${type}"`));
+  }
+};